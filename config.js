@@ -25,6 +25,23 @@ export default {
         newUsers: "newUsers",
         returnUsers: "activeUsers",
       },
+      // Calculated metrics: arithmetic (+ - * / and parentheses) over the
+      // metrics above. The underlying metrics are fetched automatically and
+      // division by zero yields null.
+      calculatedMetrics: {
+        pagesPerSession: {
+          expression: "pageviews / sessions",
+          description: "Pageviews per session",
+        },
+        revenuePerUser: {
+          expression: "revenue / users",
+          description: "Total revenue per user",
+        },
+        newUserShare: {
+          expression: "newUsers / users * 100",
+          description: "New users as a percentage of all users",
+        },
+      },
       // Google Analytics 4 dimensions
       dimensions: {
         date: "date",
@@ -46,11 +63,69 @@ export default {
         month: "month",
         year: "year",
       },
-      // Analytics API page size default
-      pageSize: 1000,
+      // Rows requested per runReport page; larger reports are fetched
+      // page by page up to limits.maxRows
+      pageSize: 10000,
+      // Realtime reports (runRealtimeReport) accept their own, smaller set
+      // of fields and cover the last minutes instead of a date range
+      realtime: {
+        metrics: {
+          activeUsers: "activeUsers",
+          pageviews: "screenPageViews",
+          events: "eventCount",
+          keyEvents: "keyEvents",
+        },
+        dimensions: {
+          country: "country",
+          city: "city",
+          deviceCategory: "deviceCategory",
+          platform: "platform",
+          pageTitle: "unifiedScreenName",
+          eventName: "eventName",
+          audience: "audienceName",
+          minutesAgo: "minutesAgo",
+        },
+        defaultMetrics: ["activeUsers"],
+        defaultDimensions: ["country"],
+        // Minutes covered by default; standard properties allow 30, GA4 360 allows 60
+        minutes: 30,
+        maxMinutes: 30,
+        // Seconds between refreshes of the CLI realtime screen
+        refreshSeconds: 10,
+      },
+      // Funnels for the session flow funnel analysis. Each step matches a
+      // page path (match: exact, beginsWith (default), endsWith, contains or
+      // regex), an event, or an event with a parameter condition
+      // ({ name, value, match? }). Open funnels let users enter at any step;
+      // closed funnels only count users who completed the first step. An
+      // optional breakdown dimension splits every step by its values.
+      funnels: [
+        {
+          id: "purchase",
+          label: "Purchase Funnel",
+          open: false,
+          steps: [
+            { name: "Viewed item", event: "view_item" },
+            { name: "Added to cart", event: "add_to_cart" },
+            { name: "Began checkout", event: "begin_checkout" },
+            { name: "Purchased", event: "purchase" },
+          ],
+        },
+        {
+          id: "pricing-signup",
+          label: "Pricing to Sign-up",
+          open: true,
+          breakdown: "deviceCategory",
+          steps: [
+            { name: "Pricing page", path: "/pricing" },
+            { name: "Sign-up form", path: "/signup" },
+            { name: "Signed up by email", event: "sign_up", parameter: { name: "method", value: "email" } },
+          ],
+        },
+      ],
     },
     searchconsole: {
-      enabled: false, // Disabled in favor of Analytics
+      enabled: false, // Set to true to query Search Console sites (selected in the CLI or API)
       // OAuth2 credentials file path
       credentialsFile: process.env.GSC_CREDENTIALS_FILE || "./env/client_secret_13637964853-bqgo2khek52dtvgb6gg01kg3ste21qto.apps.googleusercontent.com.json",
       siteUrl: process.env.GSC_SITE_URL || "",
@@ -72,11 +147,12 @@ export default {
         searchAppearance: "searchAppearance",
         date: "date",
       },
-      // GSC API page size default
-      pageSize: 1000,
+      // Rows requested per Search Analytics page (the API returns at most
+      // 25,000); larger queries are fetched page by page up to limits.maxRows
+      pageSize: 25000,
     },
     bigquery: {
-      enabled: false, // Optional - set to true if you want to use BigQuery with GSC data
+      enabled: false, // Optional - set to true to query the GSC export in BigQuery (dataset selected in the CLI or API)
       // Service account via env GOOGLE_APPLICATION_CREDENTIALS or inline
       projectId: process.env.BQ_PROJECT_ID || "",
       dataset: process.env.BQ_DATASET || "",
@@ -91,6 +167,12 @@ export default {
   },
 
   // Query presets for Google Analytics 4
+  // Filters are applied server-side and combined with AND. Each filter is
+  // { type: "dimension" | "metric", field, op, value } where op is one of
+  // eq, neq, gt, gte, lt, lte, contains, beginsWith, endsWith, regex,
+  // inList (with values: [...]) or between (with from and to). Set
+  // caseSensitive: true for exact-case string matching. Combine filters of
+  // the same type with { and: [...] }, { or: [...] } or { not: filter }.
   presets: [
     {
       id: "overview-dashboard",
@@ -182,6 +264,19 @@ export default {
       limit: 50,
       filters: [],
     },
+    {
+      id: "organic-landing-pages",
+      label: "Organic Search Landing Pages",
+      source: "analytics",
+      metrics: ["sessions", "bounceRate", "sessionDuration"],
+      dimensions: ["landingPage"],
+      orderBys: [{ metric: "sessions", desc: true }],
+      limit: 50,
+      filters: [
+        { type: "dimension", field: "trafficSource", op: "eq", value: "Organic Search" },
+        { type: "metric", field: "sessions", op: "gte", value: 10 },
+      ],
+    },
     {
       id: "campaign-performance",
       label: "Campaign Performance",
@@ -190,10 +285,44 @@ export default {
       dimensions: ["campaign", "source", "medium"],
       orderBys: [{ metric: "sessions", desc: true }],
       limit: 100,
+      filters: [
+        { not: { type: "dimension", field: "campaign", op: "inList", values: ["(not set)", "(direct)", "(organic)", "(referral)"] } },
+      ],
+    },
+    // Pivot presets lay their dimensions out over pivots (runPivotReport):
+    // the first pivot's dimensions are the rows, the others the columns.
+    // Each pivot has its own limit and ordering.
+    {
+      id: "countries-by-device",
+      label: "Countries by Device (pivot)",
+      source: "analytics",
+      metrics: ["sessions"],
+      pivots: [
+        { dimensions: ["country"], limit: 25, orderBys: [{ metric: "sessions", desc: true }] },
+        { dimensions: ["deviceCategory"], limit: 5, orderBys: [{ metric: "sessions", desc: true }] },
+      ],
+      filters: [],
+    },
+    {
+      id: "channels-by-month",
+      label: "Channels by Month (pivot)",
+      source: "analytics",
+      metrics: ["sessions", "conversionRate"],
+      pivots: [
+        { dimensions: ["trafficSource"], limit: 15, orderBys: [{ metric: "sessions", desc: true }] },
+        { dimensions: ["year", "month"], limit: 12, orderBys: [{ dimension: "year" }, { dimension: "month" }] },
+      ],
       filters: [],
     },
   ],
 
+  // Datasource plugins: each .js/.mjs file in this directory default-exports
+  // a datasource definition (see plugins/README.md). Enable a plugin source
+  // by adding an entry with enabled: true under sources.
+  plugins: {
+    directory: "./plugins",
+  },
+
   // Output settings
   output: {
     defaultFormat: "table", // "table" | "json" | "csv"
@@ -201,9 +330,104 @@ export default {
     outDir: "./.out",
   },
 
+  // Relative date ranges ("this_week", "last_2_weeks", ...)
+  dateRanges: {
+    // First day of the week: 0 = Sunday (GA4 default), 1 = Monday
+    weekStartsOn: 0,
+  },
+
+  // Query result cache (stored in gsc_auth.db)
+  cache: {
+    enabled: true,
+    // Per-source time-to-live in seconds (0 disables caching for that source)
+    ttlSeconds: {
+      analytics: 900,
+      searchconsole: 3600,
+      bigquery: 21600,
+    },
+    // GA4 property metadata (dimensions, metrics, custom definitions)
+    metadataTtlSeconds: 86400,
+  },
+
+  // GA4 property quota (standard properties get 200,000 tokens per day and
+  // 40,000 per hour). Analytics requests warn when the remaining tokens
+  // reported by the previous request fall below `warn`, and are refused
+  // below `refuse` (0 never refuses)
+  quota: {
+    softLimits: {
+      tokensPerHour: { warn: 4000, refuse: 500 },
+      tokensPerDay: { warn: 20000, refuse: 2000 },
+    },
+  },
+
+  // Anomaly detection on queries with a date dimension. Each day is scored
+  // against the days around it after removing the weekly pattern (modified
+  // z-score from the rolling median and MAD); days beyond the threshold are
+  // flagged. Override the threshold per metric, or set a metric to false to
+  // skip it
+  anomalies: {
+    enabled: true,
+    threshold: 3.5,
+    metrics: {
+      bounceRate: 4.5,
+    },
+    // Days compared with each day (centered on it)
+    window: 21,
+    // Shorter series are not scored
+    minPoints: 14,
+  },
+
+  // Forecasts of queries with a date dimension (Holt-Winters with a weekly
+  // season, fitted on the fetched days). Projected rows are labeled with
+  // rowType "forecast" and carry <metric>_lower and <metric>_upper bounds
+  forecast: {
+    // Longest projection accepted, in days
+    maxDays: 90,
+    // Coverage of the bounds: 0.8, 0.9, 0.95 or 0.99
+    confidence: 0.95,
+  },
+
+  // "Explain change": splits a metric change between two periods by the
+  // values of candidate dimensions into mix and rate effects. Rate metrics
+  // are averaged over the metric named here (GA4 rates such as bounceRate
+  // and engagementRate are known already); counts are weighted by
+  // `weightMetric`
+  insights: {
+    rateMetrics: {
+      pagesPerSession: "sessions",
+    },
+    weightMetric: "sessions",
+    // Candidate dimensions per analysis (one report each)
+    maxDimensions: 6,
+    // Values fetched per dimension
+    limit: 50,
+    // Largest contributions listed as drivers
+    top: 10,
+  },
+
+  // Pre-flight query checks
+  validation: {
+    // Check analytics fields against the property metadata and the GA4
+    // checkCompatibility endpoint before a report is requested
+    checkCompatibility: true,
+  },
+
   // Safety limits
   limits: {
     maxRows: 100000,
+    // Queries running longer are aborted (BigQuery jobs are cancelled)
     maxRuntimeMs: 120000,
+    // Properties queried in parallel by multi-property queries
+    maxConcurrentProperties: 4,
+    // GA4 requests in flight per property (GA4 allows 10 for standard properties)
+    maxConcurrentRequestsPerProperty: 5,
+  },
+
+  // GA4 requests answered with 429 or 5xx are retried with exponential
+  // backoff (initialDelayMs doubling up to maxDelayMs, with random jitter)
+  retries: {
+    maxRetries: 4,
+    initialDelayMs: 500,
+    maxDelayMs: 16000,
   },
 };
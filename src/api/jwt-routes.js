@@ -3,17 +3,35 @@ import express from "express";
 import { loadConfig } from "../utils/config.js";
 import { getOAuth2Client, getAvailableProperties } from "../datasources/analytics.js";
 import { runQuery } from "../core/query-runner.js";
+import { GA4AuthError, GA4QuotaError, GA4InvalidArgumentError, GA4NotFoundError } from "../datasources/ga4-client.js";
+import { getDatasource, getEnabledDatasources, getPresetsForSource, getSchemaForSource } from "../datasources/registry.js";
 import { 
   saveSelectedSite, 
   getSelectedSite, 
   hasValidSiteSelection, 
   clearSelectedSite, 
   getVerifiedSites, 
-  signOut 
+  signOut,
+  getSelectionTarget,
+  getSelectableTargets,
+  resolveSourceSelection,
+  getSelectionOptions
 } from "../utils/site-manager.js";
 import { ensureAuthentication } from "../utils/auth-helper.js";
-import { applySorting } from "../cli/renderers.js";
+import { applySorting, buildAggregationRows } from "../cli/renderers.js";
+import { validateFilters, QueryValidationError } from "../cli/validators.js";
 import { stringify } from "csv-stringify/sync";
+import { resolveDateRangeFromAnswers } from "../core/date-ranges.js";
+import { parseQueryText, QueryParseError } from "../core/query-language.js";
+import { resolveProperties, runQueryAcrossProperties } from "../core/multi-property.js";
+import { loadAnalyticsSchema, toFieldMap } from "../core/metadata.js";
+import { checkQuotaLimits, getQuotaStatus, QuotaLimitError } from "../core/quota.js";
+import { QueryAbortedError } from "../core/cancellation.js";
+import { runRealtime } from "../core/realtime.js";
+import { runCohortAnalysis, toCohortRows } from "../core/cohorts.js";
+import { getFunnels, runFunnel, toFunnelRows } from "../core/funnels.js";
+import { withForecastRows } from "../core/forecast.js";
+import { explainChange, toExplainRows } from "../core/insights.js";
 import { 
   generateToken, 
   authenticateToken, 
@@ -75,8 +93,160 @@ async function getUserOAuthClient(userId, cfg) {
   }
 }
 
+// Helper function to resolve a request's dateRangeType into {start, end}
+// Sends a 400 response and returns null when the range is invalid
+function resolveRequestDateRange(res, params, cfg) {
+  try {
+    return resolveDateRangeFromAnswers(params, cfg);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Helper function to resolve the `source` of a request, "analytics" by default
+// Sends a 400 response and returns null when the source is unknown or disabled
+function resolveRequestSource(res, source, cfg) {
+  const name = source || "analytics";
+  if (!getEnabledDatasources(cfg).some(datasource => datasource.name === name)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown or disabled source: ${name}`
+    });
+    return null;
+  }
+  return name;
+}
+
+// Helper function to point a source at the user's selection and authenticate:
+// GA4 queries need the selected property and Search Console queries the
+// selected site, both with the shared Google sign-in; BigQuery queries the
+// selected dataset with its own credentials. Returns the runQuery options
+// carrying the selection, or sends a 400 response and returns null when
+// nothing is selected
+async function prepareSource(res, source, cfg) {
+  const target = getSelectionTarget(source);
+  let selection = null;
+  if (source === "analytics") {
+    selection = hasValidSiteSelection() ? getSelectedSite() : null;
+  } else if (target) {
+    selection = resolveSourceSelection(source, cfg);
+  }
+  
+  if (target && !selection) {
+    res.status(400).json({
+      success: false,
+      error: source === "analytics"
+        ? "No Google Analytics property selected. Please select a property first."
+        : `No ${getDatasource(source).label} ${target.label} selected. Please select a ${target.label} first.`
+    });
+    return null;
+  }
+  
+  const auth = ["analytics", "searchconsole"].includes(source) ? await ensureAuthentication(cfg) : null;
+  return { selection, auth, options: getSelectionOptions(source, selection) };
+}
+
+// File name of CSV downloads; GA4 keeps its historical names
+function getCsvFileName(source, name) {
+  return source === "analytics" ? `ga4-${name}.csv` : `${source}-${name}.csv`;
+}
+
+// HTTP status for typed GA4 errors, or null for other errors
+function getGA4ErrorStatus(error) {
+  if (error instanceof GA4AuthError) {
+    return error.status === 401 ? 401 : 403;
+  } else if (error instanceof GA4QuotaError) {
+    return 429;
+  } else if (error instanceof GA4InvalidArgumentError) {
+    return 400;
+  } else if (error instanceof GA4NotFoundError) {
+    return 404;
+  }
+  return null;
+}
+
+// AbortSignal that fires when the client disconnects before the response is
+// sent, so the running query stops instead of finishing for nobody
+function getRequestSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// CSV responses flag approximate data in a header, e.g. "sampled, thresholded",
+// or "exact" when GA4 reported no sampling, thresholding or "(other)" rows
+function setDataQualityHeader(res, dataQuality) {
+  const flags = [
+    dataQuality?.sampled && "sampled",
+    dataQuality?.thresholded && "thresholded",
+    dataQuality?.otherRow && "other-row"
+  ].filter(Boolean);
+  res.setHeader('X-Data-Quality', flags.length > 0 ? flags.join(', ') : 'exact');
+}
+
+// The forecast block of JSON responses; its projected rows are part of `data`
+function summarizeForecast(forecast) {
+  if (!forecast) {
+    return null;
+  }
+  return { days: forecast.days, confidence: forecast.confidence, metrics: forecast.metrics, series: forecast.series };
+}
+
 // Helper function to handle errors
+// Query validation errors become 422 responses listing the offending fields,
+// soft quota refusals 429 responses, queries over limits.maxRuntimeMs 504
+// responses, typed GA4 errors their matching status
 function handleError(res, error, statusCode = 500) {
+  if (error instanceof QueryValidationError) {
+    return res.status(422).json({
+      success: false,
+      error: error.message,
+      errors: error.errors,
+      fields: error.fields
+    });
+  }
+  
+  const ga4Status = getGA4ErrorStatus(error);
+  if (ga4Status) {
+    console.error("GA4 API Error:", error.message);
+    return res.status(ga4Status).json({
+      success: false,
+      error: error.message,
+      errorType: error.name
+    });
+  }
+  
+  if (error instanceof QuotaLimitError) {
+    return res.status(429).json({
+      success: false,
+      error: error.message,
+      propertyId: error.propertyId,
+      quota: { bucket: error.bucket, remaining: error.remaining }
+    });
+  }
+  
+  if (error instanceof QueryAbortedError) {
+    // A cancelled query means the client is gone; there is nobody to answer
+    if (error.reason === "cancelled") {
+      console.log("Query cancelled: client disconnected");
+      return;
+    }
+    return res.status(504).json({
+      success: false,
+      error: error.message,
+      errorType: error.name,
+      timeoutMs: error.timeoutMs
+    });
+  }
+  
   console.error("API Error:", error);
   res.status(statusCode).json({
     success: false,
@@ -328,12 +498,26 @@ router.get("/api/status", authenticateToken, async (req, res) => {
       authStatus = false;
     }
     
+    // Latest GA4 quota reported for each property, checked against the soft limits
+    const quota = getQuotaStatus(cfg);
+    
     res.json({
       success: true,
       userId: userId,
       authenticated: authStatus,
       currentProperty: currentProperty,
       hasValidProperty: hasValidProperty,
+      // Enabled sources with the property, site or dataset each queries
+      sources: getEnabledDatasources(cfg).map(datasource => ({
+        name: datasource.name,
+        label: datasource.label,
+        selection: getSelectionTarget(datasource.name) ? getSelectedSite(datasource.name) : null
+      })),
+      quota: {
+        current: quota.find(entry => entry.propertyId === currentProperty) || null,
+        properties: quota,
+        softLimits: cfg.quota?.softLimits || {}
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -348,6 +532,30 @@ router.get("/api/properties", authenticateToken, async (req, res) => {
     setUserId(userId);
     
     const cfg = loadConfig();
+    const source = resolveRequestSource(res, req.query.source, cfg);
+    if (!source) {
+      return;
+    }
+    
+    // Search Console sites and BigQuery datasets come as {id, name, detail}
+    if (source !== "analytics") {
+      if (!getSelectionTarget(source)) {
+        return res.status(400).json({
+          success: false,
+          error: `Source ${source} has nothing to select`
+        });
+      }
+      const auth = source === "searchconsole" ? await getUserOAuthClient(userId, cfg) : null;
+      const targets = await getSelectableTargets(source, cfg, auth);
+      return res.json({
+        success: true,
+        source,
+        properties: targets,
+        currentProperty: getSelectedSite(source),
+        total: targets.length
+      });
+    }
+    
     const auth = await getUserOAuthClient(userId, cfg);
     const properties = await getAvailableProperties(cfg);
     
@@ -355,6 +563,7 @@ router.get("/api/properties", authenticateToken, async (req, res) => {
     
     res.json({
       success: true,
+      source,
       properties: properties,
       currentProperty: currentProperty,
       total: properties.length
@@ -388,6 +597,7 @@ router.post("/api/properties/select", authenticateToken, async (req, res) => {
     const userId = getUserId(req);
     setUserId(userId);
     
+    // propertyId is a GA4 property ID, a Search Console site URL or a BigQuery dataset ID
     const { propertyId } = req.body;
     if (!propertyId) {
       return res.status(400).json({
@@ -397,30 +607,44 @@ router.post("/api/properties/select", authenticateToken, async (req, res) => {
     }
     
     const cfg = loadConfig();
-    await ensureAuthentication(cfg);
+    const source = resolveRequestSource(res, req.body.source, cfg);
+    if (!source) {
+      return;
+    }
+    const target = getSelectionTarget(source);
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: `Source ${source} has nothing to select`
+      });
+    }
+    const auth = source === "bigquery" ? null : await ensureAuthentication(cfg);
     
-    // Verify the property exists and user has access
-    const verifiedProperties = await getAvailableProperties(cfg);
-    const propertyExists = verifiedProperties.some(prop => prop.propertyId === propertyId);
+    // Verify the property, site or dataset exists and user has access
+    const targets = await getSelectableTargets(source, cfg, auth);
+    const propertyExists = targets.some(item => item.id === propertyId);
     
     if (!propertyExists) {
       return res.status(400).json({
         success: false,
-        error: "Property not found or you don't have access to it"
+        error: source === "analytics"
+          ? "Property not found or you don't have access to it"
+          : `${target.label.charAt(0).toUpperCase()}${target.label.slice(1)} not found or you don't have access to it`
       });
     }
     
-    const success = saveSelectedSite(propertyId);
+    const success = saveSelectedSite(propertyId, source);
     if (success) {
       res.json({
         success: true,
-        message: `Selected property: ${propertyId}`,
+        source,
+        message: `Selected ${target.label}: ${propertyId}`,
         selectedProperty: propertyId
       });
     } else {
       res.status(500).json({
         success: false,
-        error: "Failed to save property selection"
+        error: `Failed to save ${target.label} selection`
       });
     }
   } catch (error) {
@@ -433,11 +657,18 @@ router.get("/api/properties/current", authenticateToken, async (req, res) => {
     const userId = getUserId(req);
     setUserId(userId);
     
-    const currentProperty = getSelectedSite();
-    const hasValidProperty = hasValidSiteSelection();
+    const cfg = loadConfig();
+    const source = resolveRequestSource(res, req.query.source, cfg);
+    if (!source) {
+      return;
+    }
+    
+    const currentProperty = getSelectedSite(source);
+    const hasValidProperty = hasValidSiteSelection(source);
     
     res.json({
       success: true,
+      source,
       currentProperty: currentProperty,
       hasValidProperty: hasValidProperty
     });
@@ -451,16 +682,24 @@ router.delete("/api/properties/current", authenticateToken, async (req, res) =>
     const userId = getUserId(req);
     setUserId(userId);
     
-    const success = await clearSelectedSite();
+    const cfg = loadConfig();
+    const source = resolveRequestSource(res, req.query.source, cfg);
+    if (!source) {
+      return;
+    }
+    const label = getSelectionTarget(source)?.label || "property";
+    
+    const success = await clearSelectedSite(source);
     if (success) {
       res.json({
         success: true,
-        message: "Selected property cleared"
+        source,
+        message: `Selected ${label} cleared`
       });
     } else {
       res.status(500).json({
         success: false,
-        error: "Failed to clear property selection"
+        error: `Failed to clear ${label} selection`
       });
     }
   } catch (error) {
@@ -474,15 +713,31 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
     const userId = getUserId(req);
     setUserId(userId);
     
+    const cfg = loadConfig();
+    const source = resolveRequestSource(res, req.body.source, cfg);
+    if (!source) {
+      return;
+    }
+    
+    // GA4 queries default to a page overview; other sources name their fields
     const {
-      metrics = ["sessions", "users", "pageviews", "bounceRate"],
-      dimensions = ["pageTitle"],
+      metrics = source === "analytics" ? ["sessions", "users", "pageviews", "bounceRate"] : [],
+      dimensions = source === "analytics" ? ["pageTitle"] : [],
       dateRangeType = "last7",
       customStartDate,
       customEndDate,
       limit = 1000,
       outputFormat = "json",
-      sorting
+      sorting,
+      bypassCache = false,
+      compareTo = "none",
+      compareStartDate,
+      compareEndDate,
+      filters = [],
+      forecastDays,
+      searchType,
+      aggregationType,
+      dataState
     } = req.body;
     
     // Validate required fields
@@ -500,65 +755,96 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
       });
     }
     
-    const cfg = loadConfig();
-    
-    // Check if we have a valid property selection
-    if (!hasValidSiteSelection()) {
+    const filterErrors = validateFilters(filters, source);
+    if (filterErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: "No Google Analytics property selected. Please select a property first."
+        error: `Invalid filters: ${filterErrors.join(", ")}`
       });
     }
     
-    // Set the selected property as environment variable
-    const selectedProperty = getSelectedSite();
-    process.env.GA_PROPERTY_ID = selectedProperty;
+    const dateRange = resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg);
+    if (!dateRange) {
+      return;
+    }
     
-    // Ensure authentication
-    const auth = await ensureAuthentication(cfg);
+    // Select the property, site or dataset and authenticate
+    const prepared = await prepareSource(res, source, cfg);
+    if (!prepared) {
+      return;
+    }
+    const { selection: selectedProperty, auth, options: selectionOptions } = prepared;
     
-    // Build query parameters
+    // Build query parameters; searchType, aggregationType and dataState
+    // only apply to Search Console
     const answers = {
       action: "adhoc",
-      source: "analytics",
+      source,
       metrics,
       dimensions,
       dateRangeType,
       customStartDate,
       customEndDate,
-      limit
+      limit,
+      bypassCache,
+      compareTo,
+      compareStartDate,
+      compareEndDate,
+      filters,
+      forecastDays,
+      searchType,
+      aggregationType,
+      dataState
     };
     
     // Run the query
-    const rows = await runQuery(answers, cfg, auth);
+    const result = await runQuery(answers, cfg, auth, { ...selectionOptions, signal: getRequestSignal(res) });
+    const rows = result.rows;
     
-    // Apply sorting if provided
+    // Apply sorting if provided; anomalies follow their rows
+    const anomalyRows = result.anomalies.map(anomaly => rows[anomaly.rowIndex]);
     let sortedRows = rows;
     if (sorting && sorting.columns && !sorting.columns.includes('none')) {
       sortedRows = applySorting(rows, sorting);
     }
+    const anomalies = result.anomalies.map((anomaly, index) => ({ ...anomaly, rowIndex: sortedRows.indexOf(anomalyRows[index]) }));
+    // Projected rows follow the sorted rows, labeled with rowType
+    const outputRows = withForecastRows(sortedRows, result.forecast);
     
     // Format response based on output format
     let responseData;
     if (outputFormat === "csv") {
-      responseData = stringify(sortedRows, { header: true });
+      responseData = stringify([...outputRows, ...buildAggregationRows(result.aggregations, outputRows)], { header: true });
       res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename="ga4-data.csv"');
+      res.setHeader('Content-Disposition', `attachment; filename="${getCsvFileName(source, "data")}"`);
+      res.setHeader('X-Cache', result.metadata.cache.hit ? 'HIT' : 'MISS');
+      res.setHeader('X-Truncated', result.metadata.truncated ? 'true' : 'false');
+      setDataQualityHeader(res, result.metadata.dataQuality);
+      res.setHeader('X-Anomalies', String(result.anomalies.length));
+      res.setHeader('X-Forecast-Days', String(result.forecast?.days ?? 0));
       return res.send(responseData);
     } else {
       responseData = {
         success: true,
-        data: sortedRows,
-        total: sortedRows.length,
+        data: outputRows,
+        total: outputRows.length,
+        source,
         property: selectedProperty,
+        truncated: result.metadata.truncated ?? false,
+        rowCount: result.metadata.rowCount ?? rows.length,
+        dataQuality: result.metadata.dataQuality,
+        anomalies,
+        forecast: summarizeForecast(result.forecast),
+        totals: result.aggregations,
+        metadata: result.metadata,
         query: {
           metrics,
           dimensions,
-          dateRange: {
-            start: answers.customStartDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-            end: answers.customEndDate || new Date().toISOString().split('T')[0]
-          },
-          limit
+          dateRange,
+          compareDateRange: result.metadata.compareDateRange ?? null,
+          filters,
+          limit,
+          forecastDays: result.forecast?.days ?? null
         }
       };
       
@@ -585,7 +871,12 @@ router.post("/api/query/preset", authenticateToken, async (req, res) => {
       customStartDate,
       customEndDate,
       limit = 1000,
-      outputFormat = "json"
+      outputFormat = "json",
+      bypassCache = false,
+      compareTo = "none",
+      compareStartDate,
+      compareEndDate,
+      forecastDays
     } = req.body;
     
     if (!preset) {
@@ -596,56 +887,75 @@ router.post("/api/query/preset", authenticateToken, async (req, res) => {
     }
     
     const cfg = loadConfig();
-    
-    // Check if we have a valid property selection
-    if (!hasValidSiteSelection()) {
-      return res.status(400).json({
-        success: false,
-        error: "No Google Analytics property selected. Please select a property first."
-      });
+    const source = resolveRequestSource(res, req.body.source, cfg);
+    if (!source) {
+      return;
     }
     
-    // Set the selected property as environment variable
-    const selectedProperty = getSelectedSite();
-    process.env.GA_PROPERTY_ID = selectedProperty;
+    const dateRange = resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg);
+    if (!dateRange) {
+      return;
+    }
     
-    // Ensure authentication
-    const auth = await ensureAuthentication(cfg);
+    // Select the property, site or dataset and authenticate
+    const prepared = await prepareSource(res, source, cfg);
+    if (!prepared) {
+      return;
+    }
+    const { selection: selectedProperty, auth, options: selectionOptions } = prepared;
     
     // Build query parameters
     const answers = {
       action: "preset",
-      source: "analytics",
+      source,
       preset,
       dateRangeType,
       customStartDate,
       customEndDate,
-      limit
+      limit,
+      bypassCache,
+      compareTo,
+      compareStartDate,
+      compareEndDate,
+      forecastDays
     };
     
     // Run the query
-    const rows = await runQuery(answers, cfg, auth);
+    const result = await runQuery(answers, cfg, auth, { ...selectionOptions, signal: getRequestSignal(res) });
+    const rows = withForecastRows(result.rows, result.forecast);
     
     // Format response based on output format
     let responseData;
     if (outputFormat === "csv") {
-      responseData = stringify(rows, { header: true });
+      responseData = stringify([...rows, ...buildAggregationRows(result.aggregations, rows)], { header: true });
       res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename="ga4-preset-data.csv"');
+      res.setHeader('Content-Disposition', `attachment; filename="${getCsvFileName(source, "preset-data")}"`);
+      res.setHeader('X-Cache', result.metadata.cache.hit ? 'HIT' : 'MISS');
+      res.setHeader('X-Truncated', result.metadata.truncated ? 'true' : 'false');
+      setDataQualityHeader(res, result.metadata.dataQuality);
+      res.setHeader('X-Anomalies', String(result.anomalies.length));
+      res.setHeader('X-Forecast-Days', String(result.forecast?.days ?? 0));
       return res.send(responseData);
     } else {
       responseData = {
         success: true,
         data: rows,
         total: rows.length,
+        source,
         property: selectedProperty,
         preset: preset,
+        truncated: result.metadata.truncated ?? false,
+        rowCount: result.metadata.rowCount ?? result.rows.length,
+        dataQuality: result.metadata.dataQuality,
+        anomalies: result.anomalies,
+        forecast: summarizeForecast(result.forecast),
+        totals: result.aggregations,
+        metadata: result.metadata,
         query: {
-          dateRange: {
-            start: answers.customStartDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-            end: answers.customEndDate || new Date().toISOString().split('T')[0]
-          },
-          limit
+          dateRange,
+          compareDateRange: result.metadata.compareDateRange ?? null,
+          limit,
+          forecastDays: result.forecast?.days ?? null
         }
       };
       
@@ -661,6 +971,488 @@ router.post("/api/query/preset", authenticateToken, async (req, res) => {
   }
 });
 
+router.post("/api/query/text", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const {
+      query,
+      outputFormat = "json",
+      bypassCache = false
+    } = req.body;
+    
+    if (!query || typeof query !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "query text is required"
+      });
+    }
+    
+    const cfg = loadConfig();
+    const source = resolveRequestSource(res, req.body.source, cfg);
+    if (!source) {
+      return;
+    }
+    
+    // Parse up front so syntax errors point at the offending token
+    let parsed;
+    try {
+      parsed = parseQueryText(query, cfg, source);
+    } catch (error) {
+      if (error instanceof QueryParseError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          position: error.position,
+          token: error.token
+        });
+      }
+      throw error;
+    }
+    
+    const filterErrors = validateFilters(parsed.filters, source);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid filters: ${filterErrors.join(", ")}`
+      });
+    }
+    
+    const dateRange = resolveRequestDateRange(res, parsed, cfg);
+    if (!dateRange) {
+      return;
+    }
+    
+    // Select the property, site or dataset and authenticate
+    const prepared = await prepareSource(res, source, cfg);
+    if (!prepared) {
+      return;
+    }
+    const { selection: selectedProperty, auth, options: selectionOptions } = prepared;
+    
+    // Run the query
+    const result = await runQuery({
+      action: "text",
+      source,
+      queryText: query,
+      bypassCache
+    }, cfg, auth, { ...selectionOptions, signal: getRequestSignal(res) });
+    const rows = result.rows;
+    
+    if (outputFormat === "csv") {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${getCsvFileName(source, "data")}"`);
+      res.setHeader('X-Cache', result.metadata.cache.hit ? 'HIT' : 'MISS');
+      res.setHeader('X-Truncated', result.metadata.truncated ? 'true' : 'false');
+      setDataQualityHeader(res, result.metadata.dataQuality);
+      res.setHeader('X-Anomalies', String(result.anomalies.length));
+      return res.send(stringify([...rows, ...buildAggregationRows(result.aggregations, rows)], { header: true }));
+    }
+    
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+      source,
+      property: selectedProperty,
+      truncated: result.metadata.truncated ?? false,
+      rowCount: result.metadata.rowCount ?? rows.length,
+      dataQuality: result.metadata.dataQuality,
+      anomalies: result.anomalies,
+      totals: result.aggregations,
+      metadata: result.metadata,
+      query: {
+        text: query,
+        metrics: parsed.metrics,
+        dimensions: parsed.dimensions,
+        filters: parsed.filters,
+        orderBys: parsed.orderBys,
+        dateRange,
+        limit: parsed.limit ?? null
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+// Pivot query: ad-hoc pivots, or a preset that defines pivots
+router.post("/api/query/pivot", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const {
+      preset,
+      metrics,
+      pivots,
+      rowDimensions,
+      columnDimensions,
+      rowLimit,
+      columnLimit,
+      dateRangeType = "last7",
+      customStartDate,
+      customEndDate,
+      limit = 1000,
+      filters = [],
+      outputFormat = "json",
+      bypassCache = false
+    } = req.body;
+    
+    const cfg = loadConfig();
+    
+    if (preset && !getPresetsForSource("analytics", cfg).find(p => p.id === preset)?.pivots) {
+      return res.status(400).json({
+        success: false,
+        error: `Preset ${preset} is not a pivot preset`
+      });
+    }
+    
+    if (!preset && (!metrics || metrics.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one metric is required"
+      });
+    }
+    
+    const filterErrors = validateFilters(filters, "analytics");
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid filters: ${filterErrors.join(", ")}`
+      });
+    }
+    
+    const dateRange = resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg);
+    if (!dateRange) {
+      return;
+    }
+    
+    // Check if we have a valid property selection
+    if (!hasValidSiteSelection()) {
+      return res.status(400).json({
+        success: false,
+        error: "No Google Analytics property selected. Please select a property first."
+      });
+    }
+    
+    // The selected property is passed to runQuery, which scopes the cache
+    // entry with it too
+    const selectedProperty = getSelectedSite();
+    
+    // Ensure authentication
+    const auth = await ensureAuthentication(cfg);
+    
+    const answers = preset
+      ? { action: "preset", source: "analytics", preset, dateRangeType, customStartDate, customEndDate, bypassCache }
+      : {
+        action: "pivot",
+        source: "analytics",
+        metrics,
+        pivots,
+        rowDimensions,
+        columnDimensions,
+        rowLimit,
+        columnLimit,
+        dateRangeType,
+        customStartDate,
+        customEndDate,
+        limit,
+        filters,
+        bypassCache
+      };
+    
+    const result = await runQuery(answers, cfg, auth, { propertyId: selectedProperty, signal: getRequestSignal(res) });
+    const { pivot, ...metadata } = result.metadata;
+    
+    if (outputFormat === "csv") {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="ga4-pivot-data.csv"');
+      res.setHeader('X-Cache', result.metadata.cache.hit ? 'HIT' : 'MISS');
+      res.setHeader('X-Truncated', result.metadata.truncated ? 'true' : 'false');
+      setDataQualityHeader(res, result.metadata.dataQuality);
+      return res.send(stringify([...result.rows, ...buildAggregationRows(result.aggregations, result.rows)], { header: true }));
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length,
+      property: selectedProperty,
+      totals: result.aggregations?.total ?? null,
+      pivot,
+      truncated: result.metadata.truncated ?? false,
+      rowCount: result.metadata.rowCount ?? result.rows.length,
+      dataQuality: result.metadata.dataQuality,
+      metadata,
+      query: {
+        preset: preset || null,
+        metrics: pivot.metrics,
+        rowDimensions: pivot.rowDimensions,
+        columnDimensions: pivot.columnDimensions,
+        dateRange
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+router.post("/api/query/multi-property", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const {
+      properties,
+      action = "adhoc",
+      preset,
+      query,
+      metrics = ["sessions", "users", "pageviews", "bounceRate"],
+      dimensions = ["pageTitle"],
+      dateRangeType = "last7",
+      customStartDate,
+      customEndDate,
+      limit = 1000,
+      outputFormat = "json",
+      bypassCache = false,
+      compareTo = "none",
+      compareStartDate,
+      compareEndDate,
+      filters = [],
+      concurrency
+    } = req.body;
+    
+    if (properties !== "all" && (!Array.isArray(properties) || properties.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'properties must be a non-empty array of property IDs or "all"'
+      });
+    }
+    
+    if (!["adhoc", "preset", "text"].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be "adhoc", "preset" or "text"'
+      });
+    }
+    
+    if (action === "preset" && !preset) {
+      return res.status(400).json({
+        success: false,
+        error: "Preset ID is required"
+      });
+    }
+    
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: "concurrency must be a whole number of at least 1"
+      });
+    }
+    
+    const cfg = loadConfig();
+    
+    // Check the query once up front instead of failing for every property
+    if (action === "text") {
+      try {
+        parseQueryText(query, cfg, "analytics");
+      } catch (error) {
+        if (error instanceof QueryParseError) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            position: error.position,
+            token: error.token
+          });
+        }
+        throw error;
+      }
+    } else {
+      const filterErrors = validateFilters(filters, "analytics");
+      if (filterErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid filters: ${filterErrors.join(", ")}`
+        });
+      }
+      
+      if (!resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg)) {
+        return;
+      }
+    }
+    
+    // Ensure authentication
+    const auth = await ensureAuthentication(cfg);
+    
+    const targets = await resolveProperties(properties, cfg);
+    const maxConcurrency = cfg.limits.maxConcurrentProperties || 4;
+    
+    const answers = {
+      action,
+      source: "analytics",
+      preset,
+      queryText: query,
+      metrics,
+      dimensions,
+      dateRangeType,
+      customStartDate,
+      customEndDate,
+      limit,
+      bypassCache,
+      compareTo,
+      compareStartDate,
+      compareEndDate,
+      filters
+    };
+    
+    const result = await runQueryAcrossProperties(answers, cfg, auth, targets, {
+      concurrency: Math.min(concurrency || maxConcurrency, maxConcurrency),
+      signal: getRequestSignal(res)
+    });
+    
+    if (outputFormat === "csv") {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="ga4-multi-property-data.csv"');
+      res.setHeader('X-Failed-Properties', String(result.failed));
+      setDataQualityHeader(res, result.dataQuality);
+      res.setHeader('X-Anomalies', String(result.anomalies.length));
+      return res.send(stringify(result.rows, { header: true }));
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.totalRows,
+      properties: result.properties,
+      failed: result.failed,
+      dataQuality: result.dataQuality,
+      anomalies: result.anomalies
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+// Realtime report over the last minutes of the selected (or given) property
+router.get("/api/realtime", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const { metrics, dimensions, minutes, minuteRanges, limit } = req.query;
+    const propertyId = req.query.propertyId || (hasValidSiteSelection() ? getSelectedSite() : null);
+    
+    if (!propertyId) {
+      return res.status(400).json({
+        success: false,
+        error: "No Google Analytics property selected. Please select a property first."
+      });
+    }
+    
+    const cfg = loadConfig();
+    const auth = await ensureAuthentication(cfg);
+    
+    const result = await runRealtime({ metrics, dimensions, minutes, minuteRanges, limit }, cfg, auth, propertyId, {
+      signal: getRequestSignal(res)
+    });
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.totalRows,
+      property: propertyId,
+      totals: result.totals,
+      metadata: result.metadata
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+// Contribution analysis: which dimension values drove a metric change
+router.post("/api/insights/explain", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const {
+      metric,
+      dimensions,
+      dateRangeType = "last7",
+      customStartDate,
+      customEndDate,
+      compareTo = "previous_period",
+      compareStartDate,
+      compareEndDate,
+      weightMetric,
+      filters = [],
+      limit,
+      top,
+      outputFormat = "json"
+    } = req.body;
+    
+    const filterErrors = validateFilters(filters, "analytics");
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid filters: ${filterErrors.join(", ")}`
+      });
+    }
+    
+    const cfg = loadConfig();
+    
+    const dateRange = resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg);
+    if (!dateRange) {
+      return;
+    }
+    
+    // Check if we have a valid property selection
+    if (!hasValidSiteSelection()) {
+      return res.status(400).json({
+        success: false,
+        error: "No Google Analytics property selected. Please select a property first."
+      });
+    }
+    
+    const selectedProperty = getSelectedSite();
+    
+    // Ensure authentication
+    const auth = await ensureAuthentication(cfg);
+    
+    // Refuse before any report is sent when the property quota is too low
+    checkQuotaLimits(selectedProperty, cfg);
+    
+    const result = await explainChange({
+      metric,
+      dimensions,
+      dateRange,
+      compareTo,
+      compareStartDate,
+      compareEndDate,
+      weightMetric,
+      filters,
+      limit,
+      top
+    }, cfg, auth, selectedProperty, { signal: getRequestSignal(res) });
+    
+    if (outputFormat === "csv") {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="ga4-explain-change.csv"');
+      return res.send(stringify(toExplainRows(result), { header: true }));
+    }
+    
+    res.json({
+      success: true,
+      property: selectedProperty,
+      result
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
 // Configuration endpoints
 router.get("/api/presets", authenticateToken, async (req, res) => {
   try {
@@ -668,16 +1460,56 @@ router.get("/api/presets", authenticateToken, async (req, res) => {
     setUserId(userId);
     
     const cfg = loadConfig();
-    const presets = cfg.presets.filter(p => p.source === "analytics" || p.source === "any");
+    const source = resolveRequestSource(res, req.query.source, cfg);
+    if (!source) {
+      return;
+    }
+    
+    const describePreset = p => ({
+      id: p.id,
+      label: p.label,
+      description: p.description,
+      metrics: p.metrics,
+      dimensions: p.dimensions,
+      pivots: p.pivots,
+      filters: p.filters || []
+    });
+    
+    // Presets of every enabled source, keyed by source name
+    const sources = {};
+    getEnabledDatasources(cfg).forEach(datasource => {
+      sources[datasource.name] = {
+        label: datasource.label,
+        presets: getPresetsForSource(datasource.name, cfg).map(describePreset)
+      };
+    });
     
     res.json({
       success: true,
-      presets: presets.map(p => ({
-        id: p.id,
-        label: p.label,
-        description: p.description,
-        metrics: p.metrics,
-        dimensions: p.dimensions
+      source,
+      presets: sources[source].presets,
+      sources
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+router.get("/api/funnels", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const cfg = loadConfig();
+    
+    res.json({
+      success: true,
+      funnels: getFunnels(cfg).map(f => ({
+        id: f.id,
+        label: f.label,
+        open: f.open === true,
+        breakdown: f.breakdown || null,
+        steps: f.steps
       }))
     });
   } catch (error) {
@@ -691,12 +1523,85 @@ router.get("/api/schema", authenticateToken, async (req, res) => {
     setUserId(userId);
     
     const cfg = loadConfig();
-    const sourceConfig = cfg.sources.analytics;
+    const source = resolveRequestSource(res, req.query.source, cfg);
+    if (!source) {
+      return;
+    }
+    
+    // Other sources describe their own fields; the analytics schema is
+    // only listed under `sources` for them
+    if (source !== "analytics") {
+      const sources = {};
+      getEnabledDatasources(cfg).forEach(datasource => {
+        sources[datasource.name] = {
+          label: datasource.label,
+          auth: datasource.auth,
+          ...getSchemaForSource(datasource.name, cfg)
+        };
+      });
+      return res.json({
+        success: true,
+        source,
+        selection: getSelectionTarget(source) ? getSelectedSite(source) : null,
+        ...getSchemaForSource(source, cfg),
+        sources
+      });
+    }
+    
+    // The analytics schema comes from the property's GA4 metadata when a
+    // property is selected and the user is authenticated
+    const selectedProperty = hasValidSiteSelection() ? getSelectedSite() : null;
+    const propertyId = req.query.propertyId || selectedProperty;
+    let auth = null;
+    if (propertyId) {
+      try {
+        auth = await ensureAuthentication(cfg);
+      } catch (error) {
+        console.log(`Schema falls back to config: ${error.message}`);
+      }
+    }
+    
+    // Property metadata is cached for every user, so another property must
+    // be one the caller has access to
+    if (propertyId !== selectedProperty) {
+      const targets = auth ? await getSelectableTargets("analytics", cfg, auth) : [];
+      if (!targets.some(item => item.id === propertyId)) {
+        return res.status(403).json({
+          success: false,
+          error: "Property not found or you don't have access to it"
+        });
+      }
+    }
+    const analytics = await loadAnalyticsSchema(cfg, auth, propertyId, { refresh: req.query.refresh === "true" });
+    const metrics = toFieldMap(analytics.metrics);
+    const dimensions = toFieldMap(analytics.dimensions);
+    
+    // Every enabled source, including plugins, keyed by source name
+    const sources = {};
+    getEnabledDatasources(cfg).forEach(datasource => {
+      sources[datasource.name] = {
+        label: datasource.label,
+        auth: datasource.auth,
+        ...(datasource.name === "analytics"
+          ? { metrics, calculatedMetrics: analytics.calculatedMetrics, dimensions }
+          : getSchemaForSource(datasource.name, cfg))
+      };
+    });
     
     res.json({
       success: true,
-      metrics: sourceConfig.metrics || {},
-      dimensions: sourceConfig.dimensions || {}
+      source,
+      propertyId: analytics.propertyId,
+      origin: analytics.origin,
+      fetchedAt: analytics.fetchedAt,
+      metrics,
+      calculatedMetrics: analytics.calculatedMetrics,
+      dimensions,
+      fields: {
+        metrics: analytics.metrics,
+        dimensions: analytics.dimensions
+      },
+      sources
     });
   } catch (error) {
     handleError(res, error, 500);
@@ -870,6 +1775,11 @@ router.post("/api/session-flow/explore", authenticateToken, async (req, res) =>
     
     const cfg = loadConfig();
     
+    const dateRange = resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg);
+    if (!dateRange) {
+      return;
+    }
+    
     // Check if we have a valid property selection
     if (!hasValidSiteSelection()) {
       return res.status(400).json({
@@ -885,6 +1795,9 @@ router.post("/api/session-flow/explore", authenticateToken, async (req, res) =>
     // Ensure authentication
     const auth = await ensureAuthentication(cfg);
     
+    // Refuse before any report is sent when the property quota is too low
+    checkQuotaLimits(selectedProperty, cfg);
+    
     // Import session flow analysis functions
     const { handleSessionFlowAnalysis } = await import('../cli/session-flow-cli.js');
     
@@ -903,10 +1816,7 @@ router.post("/api/session-flow/explore", authenticateToken, async (req, res) =>
       success: true,
       analysisType,
       property: selectedProperty,
-      dateRange: {
-        start: customStartDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        end: customEndDate || new Date().toISOString().split('T')[0]
-      },
+      dateRange,
       result
     });
   } catch (error) {
@@ -925,6 +1835,11 @@ router.post("/api/session-flow/analyze", authenticateToken, async (req, res) =>
       customStartDate,
       customEndDate,
       limit = 1000,
+      granularity = "weekly",
+      funnelId,
+      funnel,
+      breakdown,
+      breakdownLimit,
       outputFormat = "json"
     } = req.body;
     
@@ -937,6 +1852,11 @@ router.post("/api/session-flow/analyze", authenticateToken, async (req, res) =>
     
     const cfg = loadConfig();
     
+    const dateRange = resolveRequestDateRange(res, { dateRangeType, customStartDate, customEndDate }, cfg);
+    if (!dateRange) {
+      return;
+    }
+    
     // Check if we have a valid property selection
     if (!hasValidSiteSelection()) {
       return res.status(400).json({
@@ -952,6 +1872,51 @@ router.post("/api/session-flow/analyze", authenticateToken, async (req, res) =>
     // Ensure authentication
     const auth = await ensureAuthentication(cfg);
     
+    // Refuse before any report is sent when the property quota is too low
+    checkQuotaLimits(selectedProperty, cfg);
+    
+    // Cohort retention returns its matrix; errors reach the client instead of the console
+    if (analysisType === "cohort") {
+      const matrix = await runCohortAnalysis({ dateRange, granularity }, cfg, auth, selectedProperty, {
+        signal: getRequestSignal(res),
+      });
+      
+      if (outputFormat === "csv") {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="ga4-cohort-retention.csv"');
+        return res.send(stringify(toCohortRows(matrix), { header: true }));
+      }
+      
+      return res.json({
+        success: true,
+        analysisType,
+        property: selectedProperty,
+        dateRange,
+        result: matrix
+      });
+    }
+    
+    // Funnels run a configured funnel (funnelId) or an inline definition (funnel)
+    if (analysisType === "funnel_analysis") {
+      const result = await runFunnel({ funnelId, funnel, breakdown, breakdownLimit, dateRange }, cfg, auth, selectedProperty, {
+        signal: getRequestSignal(res),
+      });
+      
+      if (outputFormat === "csv") {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="ga4-funnel.csv"');
+        return res.send(stringify(toFunnelRows(result), { header: true }));
+      }
+      
+      return res.json({
+        success: true,
+        analysisType,
+        property: selectedProperty,
+        dateRange,
+        result
+      });
+    }
+    
     // Import session flow analysis functions
     const { handleSessionFlowAnalysis } = await import('../cli/session-flow-cli.js');
     
@@ -978,10 +1943,7 @@ router.post("/api/session-flow/analyze", authenticateToken, async (req, res) =>
         success: true,
         analysisType,
         property: selectedProperty,
-        dateRange: {
-          start: customStartDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          end: customEndDate || new Date().toISOString().split('T')[0]
-        },
+        dateRange,
         result
       };
       
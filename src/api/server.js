@@ -4,6 +4,7 @@ import express from "express";
 import cors from "cors";
 import jwtRoutes from "./jwt-routes.js";
 import { getDatabase } from "../utils/database.js";
+import { initializePlugins } from "../utils/config.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -44,9 +45,15 @@ app.use("*", (req, res) => {
       "DELETE /api/properties/current",
       "POST /api/query/adhoc",
       "POST /api/query/preset",
+      "POST /api/query/text",
+      "POST /api/query/pivot",
+      "POST /api/query/multi-property",
+      "GET /api/realtime",
+      "POST /api/insights/explain",
       "POST /api/query/filter",
       "POST /api/query/paginate",
       "GET /api/presets",
+      "GET /api/funnels",
       "GET /api/schema",
       "POST /api/export/file",
       "POST /api/session-flow/explore",
@@ -60,6 +67,12 @@ console.log("🔧 Initializing database...");
 getDatabase();
 console.log("✅ Database initialized successfully");
 
+// Register datasource plugins
+const plugins = await initializePlugins();
+if (plugins.length > 0) {
+  console.log(`🔌 Loaded datasource plugins: ${plugins.join(", ")}`);
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 GA4 API Server (JWT) running on port ${PORT}`);
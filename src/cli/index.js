@@ -12,13 +12,19 @@ import "dotenv/config";
 import inquirer from "inquirer";
 import ora from "ora";
 import chalk from "chalk";
-import { loadConfig } from "../utils/config.js";
-import { buildPrompts, buildPresetPrompts, buildAdhocPrompts, buildSiteSelectionPrompts, buildSortingPrompts, displaySortingFeedback, buildSessionFlowPrompts } from "./prompts.js";
+import { loadConfig, initializePlugins } from "../utils/config.js";
+import { buildPrompts, buildPresetPrompts, buildAdhocPrompts, buildTextQueryPrompts, buildMultiPropertyPrompts, buildSiteSelectionPrompts, buildSortingPrompts, displaySortingFeedback, buildSessionFlowPrompts, buildRealtimePrompts, buildPivotPrompts, buildExplainPrompts } from "./prompts.js";
 import { runQuery } from "../core/query-runner.js";
-import { renderOutput, clearFilters } from "./renderers.js";
+import { runQueryAcrossProperties } from "../core/multi-property.js";
+import { renderOutput, renderPivotOutput, clearFilters } from "./renderers.js";
 import { getOAuth2Client, getAvailableProperties } from "../datasources/analytics.js";
-import { saveSelectedSite, getSelectedSite, hasValidSiteSelection, clearSelectedSite, getVerifiedSites, signOut } from "../utils/site-manager.js";
+import { saveSelectedSite, getSelectedSite, hasValidSiteSelection, clearSelectedSite, getVerifiedSites, signOut, getSelectionTarget, getSelectableTargets, resolveSourceSelection, getSelectionOptions } from "../utils/site-manager.js";
+import { getDatasource } from "../datasources/registry.js";
 import { ensureAuthentication } from "../utils/auth-helper.js";
+import { loadAnalyticsSchema } from "../core/metadata.js";
+import { QueryValidationError } from "./validators.js";
+import { QueryAbortedError } from "../core/cancellation.js";
+import { getQuotaStatus } from "../core/quota.js";
 import { getDatabase } from "../utils/database.js";
 
 // Helper function to wait for user to continue
@@ -31,6 +37,18 @@ async function waitForEnter() {
   }]);
 }
 
+// Run a query that Ctrl+C cancels, returning to the menu instead of exiting
+async function runCancellable(task) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  process.on("SIGINT", cancel);
+  try {
+    return await task(controller.signal);
+  } finally {
+    process.off("SIGINT", cancel);
+  }
+}
+
 async function handleAuthentication(cfg) {
   const spinner = ora("Authenticating with Google...").start();
   try {
@@ -48,7 +66,7 @@ async function handleAuthentication(cfg) {
     }
     
     spinner.succeed("Authentication successful!");
-    console.log(chalk.green("You are now authenticated with Google Analytics."));
+    console.log(chalk.green("You are now authenticated with Google Analytics and Search Console."));
     console.log(chalk.blue("You can now run queries without re-authenticating."));
   } catch (error) {
     spinner.fail("Authentication failed");
@@ -57,7 +75,12 @@ async function handleAuthentication(cfg) {
   }
 }
 
-async function handleListSites(cfg) {
+async function handleListSites(cfg, source = "analytics") {
+  if (source !== "analytics") {
+    await handleListSourceTargets(cfg, source);
+    return;
+  }
+  
   const spinner = ora("Fetching available properties...").start();
   try {
     // Ensure authentication first
@@ -100,32 +123,207 @@ async function handleListSites(cfg) {
   }
 }
 
-async function handleSiteSelection(cfg) {
-  const spinner = ora("Fetching available properties...").start();
+// List the Search Console sites or BigQuery datasets a source can query
+async function handleListSourceTargets(cfg, source) {
+  const { label } = getSelectionTarget(source);
+  const sourceLabel = getDatasource(source).label;
+  const spinner = ora(`Fetching ${sourceLabel} ${label}s...`).start();
   try {
-    // Ensure authentication first
-    await ensureAuthentication(cfg);
-    // Fetch properties first
-    const verifiedProperties = await getAvailableProperties(cfg);
-    spinner.succeed(`Found ${verifiedProperties.length} verified properties`);
+    // Search Console uses the shared Google sign-in; BigQuery its own credentials
+    const auth = source === "searchconsole" ? await ensureAuthentication(cfg) : null;
+    const targets = await getSelectableTargets(source, cfg, auth);
+    spinner.succeed(`Found ${targets.length} ${label}s`);
+    
+    targets.forEach((target, index) => {
+      console.log(`${index + 1}. ${chalk.cyan(target.name)}${target.detail ? chalk.gray(` (${target.detail})`) : ""}`);
+    });
+    
+    const current = getSelectedSite(source);
+    if (current) {
+      console.log(chalk.green(`\nCurrently selected: ${current}`));
+    } else {
+      console.log(chalk.blue(`\nNo ${label} selected. Use 'Select property, site or dataset' to choose one.`));
+    }
+  } catch (error) {
+    spinner.fail(`Failed to fetch ${label}s`);
+    console.error(chalk.red(error.message));
+    process.exitCode = 1;
+  }
+}
+
+// Show the GA4 quota last reported for each property against the soft limits
+function handleQuotaStatus(cfg) {
+  const currentSite = getSelectedSite();
+  const statuses = getQuotaStatus(cfg)
+    .sort((a, b) => Number(b.propertyId === currentSite) - Number(a.propertyId === currentSite));
+  
+  console.log(chalk.blue("\nGA4 property quota"));
+  console.log("==========================================");
+  
+  if (statuses.length === 0) {
+    console.log(chalk.yellow("No quota recorded yet. Quota is recorded with every Analytics query."));
+    return;
+  }
+  
+  statuses.forEach(status => {
+    const selected = status.propertyId === currentSite ? chalk.green(" (selected)") : "";
+    console.log(`\n${chalk.cyan(`Property ${status.propertyId}`)}${selected}`);
+    console.log(chalk.gray(`Last updated: ${new Date(status.updatedAt).toLocaleString()}`));
+    
+    const rows = {};
+    Object.entries(status.buckets).forEach(([name, bucket]) => {
+      const limits = cfg.quota?.softLimits?.[name];
+      rows[bucket.label] = {
+        Consumed: bucket.consumed,
+        Remaining: bucket.current ? bucket.remaining : "(window reset)",
+        "Soft limits": limits ? `warn < ${limits.warn ?? "-"}, refuse < ${limits.refuse || "-"}` : "",
+      };
+    });
+    console.table(rows);
+    
+    status.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    if (status.refusal) {
+      console.log(chalk.red(`⛔ Queries are refused: ${status.refusal.message}`));
+    }
+  });
+}
+
+async function handleSiteSelection(cfg, source = "analytics") {
+  const { label } = getSelectionTarget(source);
+  const spinner = ora(`Fetching available ${label}s...`).start();
+  try {
+    // Ensure authentication first; BigQuery uses its own credentials
+    const auth = source === "bigquery" ? null : await ensureAuthentication(cfg);
+    // Fetch properties, sites or datasets first
+    const targets = await getSelectableTargets(source, cfg, auth);
+    spinner.succeed(`Found ${targets.length} ${source === "analytics" ? "verified properties" : `${label}s`}`);
     
-    // Build prompts with the fetched properties
-    const answers = await inquirer.prompt(buildSiteSelectionPrompts(verifiedProperties));
+    // Build prompts with the fetched targets
+    const answers = await inquirer.prompt(buildSiteSelectionPrompts(targets, source));
     
-    const success = saveSelectedSite(answers.selectedSite);
+    const success = saveSelectedSite(answers.selectedSite, source);
     if (success) {
-      console.log(chalk.green(`Selected property: ${answers.selectedSite}`));
-      console.log(chalk.blue("This property will be used for all queries until you change it."));
+      console.log(chalk.green(`Selected ${label}: ${answers.selectedSite}`));
+      console.log(chalk.blue(`This ${label} will be used for all ${getDatasource(source).label} queries until you change it.`));
     } else {
-      console.log(chalk.red("Failed to save property selection"));
+      console.log(chalk.red(`Failed to save ${label} selection`));
     }
   } catch (error) {
-    spinner.fail("Property selection failed");
+    spinner.fail(`${label.charAt(0).toUpperCase()}${label.slice(1)} selection failed`);
     console.error(chalk.red(error.message));
     process.exitCode = 1;
   }
 }
 
+// Load the property schema (GA4 metadata merged with config aliases) that
+// drives the ad-hoc checklists; other sources use their configured maps
+async function loadAdhocSchema(cfg, source, auth, propertyId) {
+  if (source !== "analytics") {
+    return null;
+  }
+  
+  const spinner = ora("Loading property metadata...").start();
+  const schema = await loadAnalyticsSchema(cfg, auth, propertyId);
+  if (schema.origin === "metadata") {
+    spinner.succeed(`Loaded ${schema.metrics.length} metrics and ${schema.dimensions.length} dimensions`);
+  } else {
+    spinner.warn("Property metadata unavailable, using configured metrics and dimensions");
+  }
+  return schema;
+}
+
+async function handleMultiPropertyQuery(cfg) {
+  const source = "analytics";
+  
+  let auth;
+  try {
+    auth = await ensureAuthentication(cfg);
+  } catch {
+    console.log(chalk.yellow("Authentication required. Please authenticate first."));
+    return;
+  }
+  
+  const spinner = ora("Fetching available properties...").start();
+  let available;
+  try {
+    available = await getAvailableProperties(cfg);
+    spinner.succeed(`Found ${available.length} properties`);
+  } catch (error) {
+    spinner.fail("Failed to fetch properties");
+    console.error(chalk.red(error.message));
+    return;
+  }
+  
+  let prompts;
+  try {
+    prompts = buildMultiPropertyPrompts(available);
+  } catch (error) {
+    console.log(chalk.yellow(error.message));
+    return;
+  }
+  
+  const selection = await inquirer.prompt(prompts);
+  const properties = selection.properties.includes("all")
+    ? available
+    : available.filter(property => selection.properties.includes(property.propertyId));
+  
+  let queryAnswers;
+  if (selection.queryType === "preset") {
+    queryAnswers = await inquirer.prompt(await buildPresetPrompts(cfg, source));
+  } else if (selection.queryType === "text") {
+    queryAnswers = await inquirer.prompt(buildTextQueryPrompts(cfg, source));
+  } else {
+    // Custom definitions differ per property; offer those of the first one
+    const schema = await loadAdhocSchema(cfg, source, auth, properties[0]?.propertyId);
+    queryAnswers = await inquirer.prompt(await buildAdhocPrompts(cfg, source, schema));
+  }
+  const answers = { action: selection.queryType, ...queryAnswers, source };
+  
+  const runSpinner = ora(`Running query across ${properties.length} properties... (Ctrl+C to cancel)`).start();
+  let result;
+  try {
+    result = await runCancellable(signal => runQueryAcrossProperties(answers, cfg, auth, properties, {
+      signal,
+      onProgress: ({ completed, total }) => {
+        runSpinner.text = `Running query... ${completed} of ${total} properties done (Ctrl+C to cancel)`;
+      }
+    }));
+  } catch (error) {
+    if (error instanceof QueryAbortedError) {
+      runSpinner.warn(error.reason === "timeout" ? error.message : "Query cancelled");
+    } else {
+      runSpinner.fail("Multi-property query failed");
+      console.error(chalk.red(error.message));
+    }
+    return;
+  }
+  
+  const succeeded = properties.length - result.failed;
+  if (succeeded === 0) {
+    runSpinner.fail("Query failed for every property");
+  } else {
+    runSpinner.succeed(`Fetched ${result.totalRows} rows from ${succeeded} of ${properties.length} properties`);
+  }
+  
+  result.properties.forEach(summary => {
+    if (summary.success) {
+      console.log(chalk.green(`  ✔ ${summary.propertyName} (${summary.propertyId}): ${summary.rowCount} rows${summary.truncated ? " (truncated)" : ""}`));
+    } else {
+      console.log(chalk.red(`  ✖ ${summary.propertyName} (${summary.propertyId}): ${summary.error}`));
+    }
+  });
+  
+  if (result.rows.length > 0) {
+    const shouldContinue = await renderOutput(result.rows, answers, cfg, null, {
+      dataQuality: result.dataQuality,
+      anomalies: result.anomalies,
+    });
+    if (shouldContinue) {
+      clearFilters();
+    }
+  }
+}
+
 async function handleSignOut() {
   console.log(chalk.blue("Signing out..."));
   
@@ -146,6 +344,12 @@ async function main() {
     getDatabase();
     console.log("✅ Database initialized successfully");
     
+    // Register datasource plugins before validating the sources that use them
+    const plugins = await initializePlugins();
+    if (plugins.length > 0) {
+      console.log(`🔌 Loaded datasource plugins: ${plugins.join(", ")}`);
+    }
+    
     // Load and validate configuration first
     const cfg = loadConfig();
     
@@ -160,12 +364,21 @@ async function main() {
           await handleAuthentication(cfg);
           await waitForEnter();
           continue;
+        } else if (["sites", "select_site"].includes(initialAnswers.action) && !getSelectionTarget(initialAnswers.source || "analytics")) {
+          // Plugin sources have no properties, sites or datasets to choose from
+          console.log(chalk.yellow(`${getDatasource(initialAnswers.source).label} has nothing to select.`));
+          await waitForEnter();
+          continue;
         } else if (initialAnswers.action === "sites") {
-          await handleListSites(cfg);
+          await handleListSites(cfg, initialAnswers.source || "analytics");
           await waitForEnter();
           continue;
         } else if (initialAnswers.action === "select_site") {
-          await handleSiteSelection(cfg);
+          await handleSiteSelection(cfg, initialAnswers.source || "analytics");
+          await waitForEnter();
+          continue;
+        } else if (initialAnswers.action === "quota") {
+          handleQuotaStatus(cfg);
           await waitForEnter();
           continue;
         } else if (initialAnswers.action === "signout") {
@@ -177,62 +390,190 @@ async function main() {
           clearFilters();
           console.log(chalk.blue("Goodbye! 👋"));
           break;
+        } else if (initialAnswers.action === "multi_property") {
+          await handleMultiPropertyQuery(cfg);
+          await waitForEnter();
+          continue;
         } else if (initialAnswers.action === "session_flow") {
           const { handleSessionFlowAnalysis } = await import('./session-flow-cli.js');
           const sessionFlowAnswers = await inquirer.prompt(await buildSessionFlowPrompts(cfg));
           await handleSessionFlowAnalysis(sessionFlowAnswers, cfg);
           await waitForEnter();
           continue;
+        } else if (initialAnswers.action === "realtime") {
+          if (!hasValidSiteSelection()) {
+            console.log(chalk.yellow("No Google Analytics property selected."));
+            console.log(chalk.blue("Please select a property first."));
+            await handleSiteSelection(cfg);
+            await waitForEnter();
+            continue;
+          }
+          const { handleRealtime } = await import('./realtime-cli.js');
+          await handleRealtime(await inquirer.prompt(buildRealtimePrompts(cfg)), cfg);
+          await waitForEnter();
+          continue;
+        } else if (initialAnswers.action === "explain") {
+          if (!hasValidSiteSelection()) {
+            console.log(chalk.yellow("No Google Analytics property selected."));
+            console.log(chalk.blue("Please select a property first."));
+            await handleSiteSelection(cfg);
+            await waitForEnter();
+            continue;
+          }
+          const { handleExplainChange } = await import('./insights-cli.js');
+          await handleExplainChange(await inquirer.prompt(buildExplainPrompts(cfg)), cfg);
+          await waitForEnter();
+          continue;
         }
         
         // Skip query processing for non-query actions
-        if (!["adhoc", "preset"].includes(initialAnswers.action)) {
+        if (!["adhoc", "preset", "text", "pivot"].includes(initialAnswers.action)) {
           continue;
         }
         
-        // Hardcode source to analytics since we only support Analytics
-        const source = "analytics";
+        // The source prompt only appears when several sources are enabled
+        const source = initialAnswers.source || "analytics";
         
-        // Check if we need to select a property for Analytics queries
-        if (!hasValidSiteSelection()) {
-          console.log(chalk.yellow("No Google Analytics property selected."));
-          console.log(chalk.blue("Please select a property first."));
-          await handleSiteSelection(cfg);
-          await waitForEnter();
-          continue;
+        // Analytics queries run against the selected property and Search
+        // Console queries against the selected site, both with the shared
+        // OAuth2 client; BigQuery queries the selected dataset with its own
+        // credentials, and plugins authenticate themselves. The selection is
+        // passed to runQuery in its options
+        let auth = null;
+        let selectionOptions = {};
+        if (source === "searchconsole" || source === "bigquery") {
+          const { label } = getSelectionTarget(source);
+          const selection = resolveSourceSelection(source, cfg);
+          if (!selection) {
+            console.log(chalk.yellow(`No ${getDatasource(source).label} ${label} selected.`));
+            console.log(chalk.blue(`Please select a ${label} first.`));
+            await handleSiteSelection(cfg, source);
+            await waitForEnter();
+            continue;
+          }
+          console.log(chalk.blue(`Using ${label}: ${selection}`));
+          selectionOptions = getSelectionOptions(source, selection);
+          
+          if (source === "searchconsole") {
+            try {
+              auth = await ensureAuthentication(cfg);
+            } catch {
+              console.log(chalk.yellow("Authentication required. Please authenticate first."));
+              await handleAuthentication(cfg);
+              await waitForEnter();
+              continue;
+            }
+          }
+        } else if (source === "analytics") {
+          // Check if we need to select a property for Analytics queries
+          if (!hasValidSiteSelection()) {
+            console.log(chalk.yellow("No Google Analytics property selected."));
+            console.log(chalk.blue("Please select a property first."));
+            await handleSiteSelection(cfg);
+            await waitForEnter();
+            continue;
+          }
+          
+          // Set the selected property as environment variable for the query
+          const selectedProperty = getSelectedSite();
+          process.env.GA_PROPERTY_ID = selectedProperty;
+          console.log(chalk.blue(`Using property: ${selectedProperty}`));
+          selectionOptions = getSelectionOptions(source, selectedProperty);
+          
+          // Ensure authentication is available before running queries
+          try {
+            auth = await ensureAuthentication(cfg);
+          } catch (error) {
+            console.log(chalk.yellow("Authentication required. Please authenticate first."));
+            await handleAuthentication(cfg);
+            await waitForEnter();
+            continue;
+          }
         }
         
-        // Set the selected property as environment variable for the query
-        const selectedProperty = getSelectedSite();
-        process.env.GA_PROPERTY_ID = selectedProperty;
-        console.log(chalk.blue(`Using property: ${selectedProperty}`));
+        const schema = ["adhoc", "pivot"].includes(initialAnswers.action)
+          ? await loadAdhocSchema(cfg, source, auth, process.env.GA_PROPERTY_ID)
+          : null;
         
-        // Ensure authentication is available before running queries
-        let auth;
-        try {
-          auth = await ensureAuthentication(cfg);
-        } catch (error) {
-          console.log(chalk.yellow("Authentication required. Please authenticate first."));
-          await handleAuthentication(cfg);
-          await waitForEnter();
-          continue;
-        }
+        let answers;
+        let result = null;
+        let spinner;
+        do {
+          // Build additional prompts based on action
+          let additionalAnswers = {};
+          if (initialAnswers.action === "preset") {
+            additionalAnswers = await inquirer.prompt(await buildPresetPrompts(cfg, source));
+          } else if (initialAnswers.action === "adhoc") {
+            additionalAnswers = await inquirer.prompt(await buildAdhocPrompts(cfg, source, schema, { forecast: true }));
+          } else if (initialAnswers.action === "pivot") {
+            additionalAnswers = await inquirer.prompt(buildPivotPrompts(cfg, source, schema));
+          } else if (initialAnswers.action === "text") {
+            additionalAnswers = await inquirer.prompt(buildTextQueryPrompts(cfg, source));
+          }
+          
+          // Merge all answers and add source
+          answers = { ...initialAnswers, ...additionalAnswers, source };
+          
+          spinner = ora("Running query... (Ctrl+C to cancel)").start();
+          try {
+            result = await runCancellable(signal => runQuery(answers, cfg, auth, {
+              ...selectionOptions,
+              signal,
+              onProgress: ({ fetched, total, page }) => {
+                spinner.text = `Running query... fetched ${fetched} of ${total} rows (page ${page})`;
+              },
+              onRetry: ({ status, attempt, maxRetries }) => {
+                spinner.text = `Running query... GA4 returned HTTP ${status}, retrying (${attempt} of ${maxRetries})`;
+              }
+            }));
+          } catch (e) {
+            // Cancelled and timed-out queries go back to the menu
+            if (e instanceof QueryAbortedError) {
+              spinner.warn(e.reason === "timeout" ? e.message : "Query cancelled");
+              if (e.reason === "timeout") {
+                await waitForEnter();
+              }
+              break;
+            }
+            // Invalid ad-hoc and text queries are asked again
+            if (!(e instanceof QueryValidationError) || initialAnswers.action === "preset") {
+              spinner.fail("Query failed");
+              console.error(chalk.red(e.message));
+              await waitForEnter();
+              break;
+            }
+            spinner.fail("The query is not valid");
+            e.errors.forEach(message => console.log(chalk.red(`  • ${message}`)));
+            const { retry } = await inquirer.prompt([{
+              type: "confirm",
+              name: "retry",
+              message: "Edit the query and try again?",
+              default: true,
+            }]);
+            if (!retry) {
+              break;
+            }
+          }
+        } while (!result);
         
-        // Build additional prompts based on action
-        let additionalAnswers = {};
-        if (initialAnswers.action === "preset") {
-          additionalAnswers = await inquirer.prompt(await buildPresetPrompts(cfg, source));
-        } else if (initialAnswers.action === "adhoc") {
-          additionalAnswers = await inquirer.prompt(await buildAdhocPrompts(cfg, source));
+        if (!result) {
+          continue;
         }
         
-        // Merge all answers and add source
-        const answers = { ...initialAnswers, ...additionalAnswers, source };
-        
-        const spinner = ora("Running query...").start();
         try {
-          const rows = await runQuery(answers, cfg, auth);
-          spinner.succeed(`Fetched ${rows.length} rows`);
+          const rows = result.rows;
+          spinner.succeed(`Fetched ${rows.length} rows${result.metadata.cache.hit ? " (from cache)" : ""}`);
+          if (result.metadata.truncated) {
+            const available = result.metadata.rowCount === undefined ? "More rows" : `${result.metadata.rowCount} rows`;
+            console.log(chalk.yellow(`⚠️  Results truncated: ${available} are available. Increase the limit (max ${cfg.limits.maxRows}) to fetch more.`));
+          }
+          
+          // Pivot reports render as a cross-tab, or as wide rows in JSON and CSV
+          if (result.metadata.pivot) {
+            renderPivotOutput(result, answers, cfg);
+            await waitForEnter();
+            continue;
+          }
           
           let finalAnswers = { ...answers };
           
@@ -246,7 +587,11 @@ async function main() {
           }
           // For preset queries, don't override sorting - let them use their natural order
           
-          const shouldContinue = await renderOutput(rows, finalAnswers, cfg);
+          const shouldContinue = await renderOutput(rows, finalAnswers, cfg, result.aggregations, {
+            dataQuality: result.metadata.dataQuality,
+            anomalies: result.anomalies,
+            forecast: result.forecast,
+          });
           if (shouldContinue) {
             // Clear filters after successful query completion
             clearFilters();
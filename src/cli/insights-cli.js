@@ -0,0 +1,106 @@
+/**
+ * CLI explain-change screen
+ * Shows what drove a metric change between two periods, by dimension value
+ */
+
+import chalk from "chalk";
+import ora from "ora";
+import { getOAuth2Client } from "../datasources/analytics.js";
+import { getSelectedSite } from "../utils/site-manager.js";
+import { resolveDateRangeFromAnswers } from "../core/date-ranges.js";
+import { explainChange } from "../core/insights.js";
+import { QueryAbortedError } from "../core/cancellation.js";
+import { QueryValidationError } from "./validators.js";
+
+function formatSigned(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return `${rounded > 0 ? "+" : ""}${rounded.toLocaleString()}`;
+}
+
+function formatShare(share) {
+  return share === null ? "–" : `${share}%`;
+}
+
+function describeTotal(result) {
+  const { current, previous, delta, changePct } = result.total;
+  const color = delta >= 0 ? chalk.green : chalk.red;
+  const change = changePct === null ? "" : ` (${changePct > 0 ? "+" : ""}${changePct}%)`;
+  return `${result.metric}: ${previous.toLocaleString()} → ${current.toLocaleString()} ${color.bold(`${formatSigned(delta)}${change}`)}`;
+}
+
+function renderExplanation(result) {
+  console.log(chalk.blue.bold(`\n🔎 ${describeTotal(result)}`));
+  console.log(chalk.gray(`${result.dateRange.start} to ${result.dateRange.end} compared with ${result.compareDateRange.start} to ${result.compareDateRange.end}`));
+  console.log(chalk.gray(result.kind === "rate"
+    ? `Rate averaged over ${result.weightMetric}: mix is the shift in each value's share of ${result.weightMetric}, rate the change in its own ${result.metric}`
+    : `Mix is the change in each value's ${result.weightMetric}, rate the change in ${result.metric} per ${result.weightMetric}`));
+
+  if (result.drivers.length === 0) {
+    console.log(chalk.yellow("\nNo rows in either period."));
+    return;
+  }
+
+  console.log(chalk.blue.bold("\nLargest contributions:"));
+  console.table(result.drivers.map(driver => ({
+    dimension: driver.dimension,
+    value: driver.value,
+    previous: driver.previous,
+    current: driver.current,
+    contribution: formatSigned(driver.contribution),
+    mix: formatSigned(driver.mixEffect),
+    rate: formatSigned(driver.rateEffect),
+    "share of change": formatShare(driver.share),
+  })));
+
+  console.log(chalk.blue.bold("Dimensions:"));
+  console.table(result.dimensions.map(dimension => ({
+    dimension: dimension.dimension,
+    "top value": dimension.contributions[0]?.value ?? "",
+    "top share": formatShare(dimension.topShare),
+    explained: formatSigned(dimension.explained),
+    unexplained: formatSigned(dimension.unexplained),
+  })));
+  if (result.dimensions.some(dimension => dimension.truncated)) {
+    console.log(chalk.yellow("Some dimensions have more values than the limit; the values left out count as unexplained."));
+  }
+}
+
+export async function handleExplainChange(answers, cfg) {
+  const propertyId = getSelectedSite();
+  if (!propertyId) {
+    console.log(chalk.red("❌ No GA4 property selected. Please select a property first."));
+    return;
+  }
+
+  const dateRange = resolveDateRangeFromAnswers(answers, cfg);
+  const auth = await getOAuth2Client(cfg.sources.analytics);
+
+  // Ctrl+C cancels the remaining reports
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  process.on("SIGINT", cancel);
+
+  const spinner = ora(`Comparing ${answers.metric} across ${answers.dimensions.length} dimensions... (Ctrl+C to cancel)`).start();
+  try {
+    const result = await explainChange({ ...answers, dateRange }, cfg, auth, propertyId, {
+      signal: controller.signal,
+      onProgress: ({ completed, total, dimension }) => {
+        spinner.text = `Compared ${dimension} (${completed} of ${total} dimensions)`;
+      },
+    });
+    spinner.succeed(`Compared ${answers.metric} across ${result.dimensions.length} dimensions`);
+    renderExplanation(result);
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      spinner.fail("The analysis is not valid");
+      error.errors.forEach(message => console.log(chalk.red(`  • ${message}`)));
+    } else if (error instanceof QueryAbortedError) {
+      spinner.warn(error.reason === "timeout" ? error.message : "Analysis cancelled");
+    } else {
+      spinner.fail("Analysis failed");
+      console.log(chalk.red(`❌ Error: ${error.message}`));
+    }
+  } finally {
+    process.off("SIGINT", cancel);
+  }
+}
@@ -1,14 +1,17 @@
 import chalk from "chalk";
 import inquirer from "inquirer";
-import { getSelectedSite, getVerifiedSites, hasValidSiteSelection } from "../utils/site-manager.js";
+import { getSelectedSite, getVerifiedSites, hasValidSiteSelection, getSelectionTarget } from "../utils/site-manager.js";
+import { DATE_RANGE_CHOICES, resolveDateRange } from "../core/date-ranges.js";
+import { parseQueryText, formatQueryParseError } from "../core/query-language.js";
+import { getDatasource, getEnabledDatasources, getPresetsForSource, getSchemaForSource } from "../datasources/registry.js";
+import { getRealtimeConfig } from "../core/realtime.js";
+import { getFunnels } from "../core/funnels.js";
+import { GSC_SEARCH_TYPES } from "../core/schema.js";
+import { MAX_PIVOT_CELLS } from "../core/pivot.js";
 
 export async function buildPrompts(cfg) {
-  const enabledSources = Object.entries(cfg.sources)
-    .filter(([, v]) => v.enabled)
-    .map(([k, v]) => ({ 
-      name: k === 'bigquery' ? `${k.toUpperCase()} (Optional)` : k.toUpperCase(), 
-      value: k 
-    }));
+  const enabledSources = getEnabledDatasources(cfg)
+    .map(datasource => ({ name: datasource.label, value: datasource.name }));
 
   if (enabledSources.length === 0) {
     throw new Error("No data sources are enabled. Check your configuration.");
@@ -20,95 +23,124 @@ export async function buildPrompts(cfg) {
       name: "action",
       message: "What would you like to do?",
       choices: [
-        { name: "Analytics Query: Ad-hoc", value: "adhoc" },
-        { name: "Analytics Query: Report", value: "preset" },
+        { name: "Query: Ad-hoc", value: "adhoc" },
+        { name: "Query: Report", value: "preset" },
+        { name: "Query: Text", value: "text" },
+        { name: "Analytics Query: Pivot", value: "pivot" },
+        { name: "Analytics Query: Multiple properties", value: "multi_property" },
         { name: "Session Flow Analysis", value: "session_flow" },
+        { name: "Analytics Explain change", value: "explain" },
+        { name: "Analytics Realtime", value: "realtime" },
         new inquirer.Separator(),
-        { name: "Analytics List properties", value: "sites" },
-        { name: "Analytics Select property", value: "select_site" },
+        { name: "List properties, sites or datasets", value: "sites" },
+        { name: "Select property, site or dataset", value: "select_site" },
+        { name: "Analytics Quota status", value: "quota" },
         new inquirer.Separator(),
-        { name: "Sign in with Google Account that has access to Analytics", value: "auth" },
+        { name: "Sign in with Google Account that has access to Analytics and Search Console", value: "auth" },
         { name: "Sign out", value: "signout" },
         { name: "Exit", value: "exit" },
         new inquirer.Separator()
       ],
     },
+    {
+      type: "list",
+      name: "source",
+      message: "Data source",
+      choices: enabledSources,
+      // Sources with something to select: a GA4 property, a GSC site or a BigQuery dataset
+      when: (answers) => enabledSources.length > 1 && ["adhoc", "preset", "text", "sites", "select_site"].includes(answers.action),
+    },
   ];
 
   return base;
 }
 
-export function buildSiteSelectionPrompts(verifiedSites) {
-  if (verifiedSites.length === 0) {
-    throw new Error("No verified Google Analytics properties found. Make sure you have access to Analytics properties.");
+/**
+ * Prompt for the property, site or dataset a source's queries run against
+ * @param {Object[]} targets - [{id, name, detail}] from getSelectableTargets
+ * @param {string} [source] - The source; GA4 properties by default
+ */
+export function buildSiteSelectionPrompts(targets, source = "analytics") {
+  const label = getSelectionTarget(source)?.label || "site";
+  const sourceLabel = getDatasource(source)?.label || source;
+
+  if (targets.length === 0) {
+    throw new Error(`No ${sourceLabel} ${label} found. Make sure your account has access to one.`);
   }
 
-  const currentSite = getSelectedSite();
+  const currentSite = getSelectedSite(source);
   
   return [
     {
       type: "list",
       name: "selectedSite",
-      message: "Select a Google Analytics property",
-      choices: verifiedSites.map(site => ({
-        name: `${site.displayName} (${site.propertyId})`,
-        value: site.propertyId,
-        short: site.displayName
+      message: `Select a ${sourceLabel} ${label}`,
+      choices: targets.map(target => ({
+        name: target.name === target.id ? target.id : `${target.name} (${target.id})`,
+        value: target.id,
+        short: target.name
       })),
-      default: currentSite ? verifiedSites.findIndex(site => site.propertyId === currentSite) : 0,
+      default: currentSite ? Math.max(targets.findIndex(target => target.id === currentSite), 0) : 0,
     }
   ];
 }
 
-export async function buildPresetPrompts(cfg, source) {
-  const presets = cfg.presets.filter(p => p.source === source || p.source === "any");
-  
-  if (presets.length === 0) {
-    throw new Error(`No presets available for ${source}`);
+export function buildMultiPropertyPrompts(properties) {
+  if (properties.length === 0) {
+    throw new Error("No Google Analytics properties found. Make sure you have access to Analytics properties.");
   }
 
   return [
     {
-      type: "list",
-      name: "preset",
-      message: "Select a preset",
-      choices: presets.map(p => ({ name: p.label, value: p.id })),
-    },
-    {
-      type: "list",
-      name: "dateRangeType",
-      message: "Date range",
+      type: "checkbox",
+      name: "properties",
+      message: "Select properties to query",
       choices: [
-        { name: "Last 7 days", value: "last7" },
-        { name: "Last 28 days", value: "last28" },
-        { name: "Last 90 days", value: "last90" },
-        { name: "Custom range", value: "custom" },
+        { name: `All properties (${properties.length})`, value: "all" },
+        new inquirer.Separator(),
+        ...properties.map(property => ({
+          name: `${property.displayName} (${property.propertyId})`,
+          value: property.propertyId,
+          short: property.displayName
+        })),
       ],
-    },
-    {
-      type: "input",
-      name: "customStartDate",
-      message: "Start date (YYYY-MM-DD)",
-      when: (answers) => answers.dateRangeType === "custom",
       validate: (input) => {
-        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          return "Please enter a valid date in YYYY-MM-DD format";
+        if (input.length === 0) {
+          return "Please select at least one property";
         }
         return true;
       },
     },
     {
-      type: "input",
-      name: "customEndDate",
-      message: "End date (YYYY-MM-DD)",
-      when: (answers) => answers.dateRangeType === "custom",
-      validate: (input) => {
-        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          return "Please enter a valid date in YYYY-MM-DD format";
-        }
-        return true;
-      },
+      type: "list",
+      name: "queryType",
+      message: "Query type",
+      choices: [
+        { name: "Ad-hoc", value: "adhoc" },
+        { name: "Report", value: "preset" },
+        { name: "Text", value: "text" },
+      ],
     },
+  ];
+}
+
+export async function buildPresetPrompts(cfg, source) {
+  const presets = getPresetsForSource(source, cfg);
+  
+  if (presets.length === 0) {
+    throw new Error(`No presets available for ${source}`);
+  }
+
+  return [
+    {
+      type: "list",
+      name: "preset",
+      message: "Select a preset",
+      choices: presets.map(p => ({ name: p.label, value: p.id })),
+    },
+    ...buildDateRangePrompts(),
+    // Only GA4 runs period comparisons
+    ...buildComparisonPrompts({ when: () => source === "analytics" }),
     {
       type: "number",
       name: "limit",
@@ -121,6 +153,12 @@ export async function buildPresetPrompts(cfg, source) {
         return true;
       },
     },
+    {
+      type: "confirm",
+      name: "bypassCache",
+      message: "Bypass cached results and fetch fresh data?",
+      default: false,
+    },
     {
       type: "list",
       name: "outputFormat",
@@ -140,17 +178,69 @@ export async function buildPresetPrompts(cfg, source) {
   ];
 }
 
-export async function buildAdhocPrompts(cfg, source) {
+// Checklist choices for schema fields, grouped under a separator per category
+function buildFieldChoices(fields) {
+  const choices = [];
+  let category = null;
+  [...fields]
+    .sort((a, b) => Number(b.alias) - Number(a.alias) || a.category.localeCompare(b.category))
+    .forEach(field => {
+      const fieldCategory = field.alias ? "Configured" : field.category;
+      if (fieldCategory !== category) {
+        category = fieldCategory;
+        choices.push(new inquirer.Separator(chalk.gray(`── ${category} ──`)));
+      }
+      const label = field.name === field.apiName ? field.uiName : field.name;
+      choices.push({ name: `${label} (${field.apiName})`, value: field.apiName });
+    });
+  return choices;
+}
+
+// Metric and dimension choices from the property schema, or from the
+// configured maps when there is none
+function buildMetricAndDimensionChoices(cfg, source, schema, { calculated = true } = {}) {
   const sourceConfig = cfg.sources[source];
   if (!sourceConfig) {
     throw new Error(`Source ${source} not configured`);
   }
 
-  const metrics = Object.entries(sourceConfig.metrics || {})
-    .map(([key, value]) => ({ name: `${key} (${value})`, value: value }));
+  const calculatedChoices = calculated
+    ? Object.entries(sourceConfig.calculatedMetrics || {})
+      .map(([key, definition]) => ({ name: `${key} (= ${definition.expression})`, value: key }))
+    : [];
+
+  // Sources without a loaded schema list the fields their datasource declares
+  const fields = schema ? null : getSchemaForSource(source, cfg);
+  const metrics = schema
+    ? [
+      ...buildFieldChoices(schema.metrics),
+      ...(calculatedChoices.length > 0 ? [new inquirer.Separator(chalk.gray("── Calculated ──")), ...calculatedChoices] : []),
+    ]
+    : [
+      ...Object.entries(fields.metrics || {})
+        .map(([key, value]) => ({ name: `${key} (${value})`, value: value })),
+      ...calculatedChoices,
+    ];
   
-  const dimensions = Object.entries(sourceConfig.dimensions || {})
-    .map(([key, value]) => ({ name: `${key} (${value})`, value: value }));
+  const dimensions = schema
+    ? buildFieldChoices(schema.dimensions)
+    : Object.entries(fields.dimensions || {})
+      .map(([key, value]) => ({ name: `${key} (${value})`, value: value }));
+
+  return { metrics, dimensions };
+}
+
+/**
+ * Build the ad-hoc query prompts
+ * @param {Object} cfg - The loaded configuration
+ * @param {string} source - The data source
+ * @param {Object} [schema] - A property schema from loadAnalyticsSchema; the
+ *   configured metric and dimension maps are offered when omitted
+ * @param {Object} [options] - {forecast}: ask for a forecast of queries grouped by date
+ */
+export async function buildAdhocPrompts(cfg, source, schema = null, options = {}) {
+  const { metrics, dimensions } = buildMetricAndDimensionChoices(cfg, source, schema);
+  const maxForecastDays = cfg.forecast?.maxDays || 90;
 
   return [
     {
@@ -158,7 +248,11 @@ export async function buildAdhocPrompts(cfg, source) {
       name: "metrics",
       message: "Select metrics",
       choices: metrics,
-      default: ["sessions", "users", "pageviews", "bounceRate"],
+      // Search Console and BigQuery have a handful of metrics; preselect them all
+      default: source === "analytics"
+        ? ["sessions", "users", "pageviews", "bounceRate"]
+        : metrics.filter(choice => choice.value).map(choice => choice.value),
+      pageSize: 20,
       validate: (input) => {
         if (input.length === 0) {
           return "Please select at least one metric";
@@ -171,6 +265,7 @@ export async function buildAdhocPrompts(cfg, source) {
       name: "dimensions",
       message: "Select dimensions",
       choices: dimensions,
+      pageSize: 20,
       validate: (input) => {
         if (input.length === 0) {
           return "Please select at least one dimension";
@@ -180,51 +275,221 @@ export async function buildAdhocPrompts(cfg, source) {
     },
     {
       type: "list",
-      name: "dateRangeType",
-      message: "Date range",
+      name: "searchType",
+      message: "Search type",
+      choices: GSC_SEARCH_TYPES,
+      default: "web",
+      when: () => source === "searchconsole",
+    },
+    {
+      type: "list",
+      name: "aggregationType",
+      message: "Aggregate results",
       choices: [
-        { name: "Last 7 days", value: "last7" },
-        { name: "Last 28 days", value: "last28" },
-        { name: "Last 90 days", value: "last90" },
-        { name: "Custom range", value: "custom" },
+        { name: "Automatically", value: "auto" },
+        { name: "By page (canonical URL)", value: "byPage" },
+        { name: "By property", value: "byProperty" },
+        { name: "By News Showcase panel", value: "byNewsShowcasePanel" },
       ],
+      default: "auto",
+      when: () => source === "searchconsole",
     },
+    ...buildDateRangePrompts(),
+    // Only GA4 runs period comparisons
+    ...buildComparisonPrompts({ when: () => source === "analytics" }),
     {
-      type: "input",
-      name: "customStartDate",
-      message: "Start date (YYYY-MM-DD)",
-      when: (answers) => answers.dateRangeType === "custom",
+      type: "number",
+      name: "limit",
+      message: "Limit results (max 100,000)",
+      default: 1000,
       validate: (input) => {
-        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          return "Please enter a valid date in YYYY-MM-DD format";
+        if (input < 1 || input > 100000) {
+          return "Limit must be between 1 and 100,000";
         }
         return true;
       },
     },
     {
-      type: "input",
-      name: "customEndDate",
-      message: "End date (YYYY-MM-DD)",
-      when: (answers) => answers.dateRangeType === "custom",
+      type: "number",
+      name: "forecastDays",
+      message: `Forecast days past the last day (0 for none, max ${maxForecastDays})`,
+      default: 0,
+      when: (answers) => options.forecast === true && answers.dimensions.includes("date"),
       validate: (input) => {
-        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          return "Please enter a valid date in YYYY-MM-DD format";
+        if (!Number.isInteger(input) || input < 0 || input > maxForecastDays) {
+          return `Enter a whole number between 0 and ${maxForecastDays}`;
         }
         return true;
       },
     },
+    {
+      type: "confirm",
+      name: "bypassCache",
+      message: "Bypass cached results and fetch fresh data?",
+      default: false,
+    },
+    {
+      type: "list",
+      name: "outputFormat",
+      message: "Output format",
+      choices: [
+        { name: "Table (console)", value: "table" },
+        { name: "JSON", value: "json" },
+        { name: "CSV", value: "csv" },
+      ],
+    },
+    {
+      type: "confirm",
+      name: "saveToFile",
+      message: "Save to file?",
+      default: false,
+    },
+  ];
+}
+
+/**
+ * Build the pivot query prompts: metrics, the dimensions laid out as rows
+ * and as columns, and a limit for each
+ * Calculated metrics are not offered; GA4 pivot reports cannot compute them
+ * @param {Object} cfg - The loaded configuration
+ * @param {string} source - The data source
+ * @param {Object} [schema] - A property schema from loadAnalyticsSchema
+ */
+export function buildPivotPrompts(cfg, source, schema = null) {
+  const { metrics, dimensions } = buildMetricAndDimensionChoices(cfg, source, schema, { calculated: false });
+
+  return [
+    {
+      type: "checkbox",
+      name: "metrics",
+      message: "Select metrics",
+      choices: metrics,
+      default: ["sessions"],
+      pageSize: 20,
+      validate: (input) => input.length > 0 || "Please select at least one metric",
+    },
+    {
+      type: "checkbox",
+      name: "rowDimensions",
+      message: "Dimensions shown as rows",
+      choices: dimensions,
+      pageSize: 20,
+      validate: (input) => input.length > 0 || "Please select at least one row dimension",
+    },
+    {
+      type: "checkbox",
+      name: "columnDimensions",
+      message: "Dimensions shown as columns",
+      choices: dimensions,
+      pageSize: 20,
+      validate: (input, answers) => {
+        if (input.length === 0) {
+          return "Please select at least one column dimension";
+        }
+        const overlap = input.filter(dimension => answers.rowDimensions.includes(dimension));
+        return overlap.length === 0 || `Already used as rows: ${overlap.join(", ")}`;
+      },
+    },
     {
       type: "number",
-      name: "limit",
-      message: "Limit results (max 100,000)",
-      default: 1000,
+      name: "rowLimit",
+      message: "Maximum rows",
+      default: 25,
+      validate: (input) => (input >= 1 && input <= 10000) || "Rows must be between 1 and 10,000",
+    },
+    {
+      type: "number",
+      name: "columnLimit",
+      message: "Maximum columns",
+      default: 10,
+      validate: (input, answers) => {
+        if (!(input >= 1 && input <= 100)) {
+          return "Columns must be between 1 and 100";
+        }
+        return answers.rowLimit * input <= MAX_PIVOT_CELLS
+          || `Rows × columns must be at most ${MAX_PIVOT_CELLS.toLocaleString("en-US")}`;
+      },
+    },
+    ...buildDateRangePrompts(),
+    {
+      type: "confirm",
+      name: "bypassCache",
+      message: "Bypass cached results and fetch fresh data?",
+      default: false,
+    },
+    {
+      type: "list",
+      name: "outputFormat",
+      message: "Output format",
+      choices: [
+        { name: "Table (cross-tab)", value: "table" },
+        { name: "JSON (wide)", value: "json" },
+        { name: "CSV (wide)", value: "csv" },
+      ],
+    },
+    {
+      type: "confirm",
+      name: "saveToFile",
+      message: "Save to file?",
+      default: false,
+    },
+  ];
+}
+
+/**
+ * Build the explain-change prompts: the metric, candidate dimensions, the
+ * period to explain and the period it is compared with
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [schema] - A property schema from loadAnalyticsSchema
+ */
+export function buildExplainPrompts(cfg, schema = null) {
+  const { metrics, dimensions } = buildMetricAndDimensionChoices(cfg, "analytics", schema);
+  const maxDimensions = cfg.insights?.maxDimensions || 6;
+
+  return [
+    {
+      type: "list",
+      name: "metric",
+      message: "Metric that changed",
+      choices: metrics,
+      default: "sessions",
+      pageSize: 20,
+    },
+    {
+      type: "checkbox",
+      name: "dimensions",
+      message: `Candidate dimensions (up to ${maxDimensions})`,
+      choices: dimensions.filter(choice => choice.value !== "date"),
+      default: ["sessionDefaultChannelGrouping", "deviceCategory", "country"],
+      pageSize: 20,
+      validate: (input) => (input.length > 0 && input.length <= maxDimensions) || `Select between 1 and ${maxDimensions} dimensions`,
+    },
+    ...buildDateRangePrompts({ message: "Period to explain" }),
+    ...buildComparisonPrompts({ optional: false }),
+  ];
+}
+
+export function buildTextQueryPrompts(cfg, source) {
+  return [
+    {
+      type: "input",
+      name: "queryText",
+      message: "Query (e.g. sessions,users by country where sessions>100 last28 order -sessions limit 50)",
       validate: (input) => {
-        if (input < 1 || input > 100000) {
-          return "Limit must be between 1 and 100,000";
+        try {
+          parseQueryText(input, cfg, source);
+          return true;
+        } catch (error) {
+          return formatQueryParseError(input, error);
         }
-        return true;
       },
     },
+    {
+      type: "confirm",
+      name: "bypassCache",
+      message: "Bypass cached results and fetch fresh data?",
+      default: false,
+    },
     {
       type: "list",
       name: "outputFormat",
@@ -244,32 +509,137 @@ export async function buildAdhocPrompts(cfg, source) {
   ];
 }
 
-export function getDateRange(type, customStart, customEnd) {
-  const today = new Date();
-  const formatDate = (date) => date.toISOString().split('T')[0];
-
-  switch (type) {
-    case "last7":
-      const last7 = new Date(today);
-      last7.setDate(today.getDate() - 7);
-      return { start: formatDate(last7), end: formatDate(today) };
-    
-    case "last28":
-      const last28 = new Date(today);
-      last28.setDate(today.getDate() - 28);
-      return { start: formatDate(last28), end: formatDate(today) };
-    
-    case "last90":
-      const last90 = new Date(today);
-      last90.setDate(today.getDate() - 90);
-      return { start: formatDate(last90), end: formatDate(today) };
-    
-    case "custom":
-      return { start: customStart, end: customEnd };
-    
-    default:
-      throw new Error(`Unknown date range type: ${type}`);
-  }
+/**
+ * Build the shared period comparison prompts
+ * Answers resolve through getComparisonDateRange in core/comparison.js
+ * @param {Object} [options] - {optional, when}: offer "No comparison" (default true);
+ *   when decides whether the comparison is asked for at all
+ */
+export function buildComparisonPrompts({ optional = true, when } = {}) {
+  const validateDate = (input) => {
+    if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+      return "Please enter a valid date in YYYY-MM-DD format";
+    }
+    return true;
+  };
+
+  return [
+    {
+      type: "list",
+      name: "compareTo",
+      message: "Compare with",
+      choices: [
+        ...(optional ? [{ name: "No comparison", value: "none" }] : []),
+        { name: "Previous period", value: "previous_period" },
+        { name: "Same period last year", value: "previous_year" },
+        { name: "Custom range", value: "custom" },
+      ],
+      when,
+    },
+    {
+      type: "input",
+      name: "compareStartDate",
+      message: "Comparison start date (YYYY-MM-DD)",
+      when: (answers) => answers.compareTo === "custom",
+      validate: validateDate,
+    },
+    {
+      type: "input",
+      name: "compareEndDate",
+      message: "Comparison end date (YYYY-MM-DD)",
+      when: (answers) => answers.compareTo === "custom",
+      validate: validateDate,
+    },
+  ];
+}
+
+/**
+ * Build the shared date range prompts
+ * Answers resolve through resolveDateRangeFromAnswers in core/date-ranges.js
+ */
+export function buildDateRangePrompts({ message = "Date range", when } = {}) {
+  const validateDate = (input) => {
+    if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+      return "Please enter a valid date in YYYY-MM-DD format";
+    }
+    return true;
+  };
+
+  return [
+    {
+      type: "list",
+      name: "dateRangeType",
+      message,
+      pageSize: 20,
+      choices: [
+        ...DATE_RANGE_CHOICES,
+        { name: "Last N days/weeks/months", value: "last_n" },
+        { name: "Same period last year", value: "same_period_last_year" },
+        { name: "Relative expression (e.g. -30d..-1d)", value: "expression" },
+        { name: "Custom range", value: "custom" },
+      ],
+      when,
+    },
+    {
+      type: "number",
+      name: "lastN",
+      message: "How many?",
+      default: 14,
+      when: (answers) => answers.dateRangeType === "last_n",
+      validate: (input) => {
+        if (!Number.isInteger(input) || input < 1) {
+          return "Please enter a whole number of at least 1";
+        }
+        return true;
+      },
+    },
+    {
+      type: "list",
+      name: "lastNUnit",
+      message: "Unit",
+      choices: [
+        { name: "Days (ending yesterday)", value: "days" },
+        { name: "Weeks (complete weeks)", value: "weeks" },
+        { name: "Months (complete months)", value: "months" },
+      ],
+      when: (answers) => answers.dateRangeType === "last_n",
+    },
+    {
+      type: "list",
+      name: "samePeriodBase",
+      message: "Same period last year as",
+      choices: DATE_RANGE_CHOICES,
+      when: (answers) => answers.dateRangeType === "same_period_last_year",
+    },
+    {
+      type: "input",
+      name: "dateRangeExpression",
+      message: "Date expression (offsets in d/w/m/y, e.g. -30d..-1d or 2024-01-01..yesterday)",
+      when: (answers) => answers.dateRangeType === "expression",
+      validate: (input) => {
+        try {
+          resolveDateRange(input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    {
+      type: "input",
+      name: "customStartDate",
+      message: "Start date (YYYY-MM-DD)",
+      when: (answers) => answers.dateRangeType === "custom",
+      validate: validateDate,
+    },
+    {
+      type: "input",
+      name: "customEndDate",
+      message: "End date (YYYY-MM-DD)",
+      when: (answers) => answers.dateRangeType === "custom",
+      validate: validateDate,
+    },
+  ];
 }
 
 /**
@@ -360,7 +730,69 @@ export function displaySortingFeedback(sortingConfig) {
 /**
  * Build session flow analysis prompts
  */
+export function buildRealtimePrompts(cfg) {
+  const realtime = getRealtimeConfig(cfg);
+  const maxMinutes = realtime.maxMinutes || 30;
+
+  return [
+    {
+      type: "checkbox",
+      name: "metrics",
+      message: "Realtime metrics",
+      choices: Object.entries(realtime.metrics || {}).map(([key, value]) => ({ name: `${key} (${value})`, value: key })),
+      default: realtime.defaultMetrics || [],
+      validate: (input) => input.length > 0 || "Select at least one metric",
+    },
+    {
+      type: "checkbox",
+      name: "dimensions",
+      message: "Realtime dimensions (optional)",
+      choices: Object.entries(realtime.dimensions || {}).map(([key, value]) => ({ name: `${key} (${value})`, value: key })),
+      default: realtime.defaultDimensions || [],
+    },
+    {
+      type: "number",
+      name: "minutes",
+      message: `Minutes to cover (max ${maxMinutes})`,
+      default: realtime.minutes || maxMinutes,
+      validate: (input) => {
+        if (!Number.isInteger(input) || input < 1 || input > maxMinutes) {
+          return `Minutes must be between 1 and ${maxMinutes}`;
+        }
+        return true;
+      },
+    },
+    {
+      type: "number",
+      name: "refreshSeconds",
+      message: "Refresh every N seconds",
+      default: realtime.refreshSeconds || 10,
+      validate: (input) => {
+        if (!Number.isInteger(input) || input < 5) {
+          return "Refresh interval must be at least 5 seconds";
+        }
+        return true;
+      },
+    },
+    {
+      type: "number",
+      name: "limit",
+      message: "Rows to show",
+      default: 25,
+      validate: (input) => {
+        if (input < 1 || input > 1000) {
+          return "Rows must be between 1 and 1,000";
+        }
+        return true;
+      },
+    },
+  ];
+}
+
 export async function buildSessionFlowPrompts(cfg) {
+  const funnels = getFunnels(cfg);
+  const findFunnel = (answers) => funnels.find(funnel => funnel.id === answers.funnelId);
+
   return [
     {
       type: "list",
@@ -373,44 +805,46 @@ export async function buildSessionFlowPrompts(cfg) {
         { name: "Exit Page Analysis", value: "exit_analysis" },
         { name: "Landing Page Analysis", value: "landing_analysis" },
         { name: "Session Exploration", value: "session_exploration" },
+        { name: "Cohort Retention", value: "cohort" },
         { name: "Back to Main Menu", value: "back" },
       ],
     },
     {
       type: "list",
-      name: "dateRangeType",
-      message: "Date range for analysis",
+      name: "granularity",
+      message: "Group users into cohorts by first session:",
       choices: [
-        { name: "Last 7 days", value: "last7" },
-        { name: "Last 28 days", value: "last28" },
-        { name: "Last 90 days", value: "last90" },
-        { name: "Custom range", value: "custom" },
+        { name: "Day", value: "daily" },
+        { name: "Week", value: "weekly" },
+        { name: "Month", value: "monthly" },
       ],
-      when: (answers) => answers.analysisType !== "back",
+      default: "weekly",
+      when: (answers) => answers.analysisType === "cohort",
     },
     {
-      type: "input",
-      name: "customStartDate",
-      message: "Start date (YYYY-MM-DD)",
-      when: (answers) => answers.dateRangeType === "custom",
-      validate: (input) => {
-        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          return "Please enter a valid date in YYYY-MM-DD format";
-        }
-        return true;
-      },
+      type: "list",
+      name: "funnelId",
+      message: "Which funnel?",
+      choices: funnels.map(funnel => ({
+        name: `${funnel.label} (${funnel.open ? "open" : "closed"}, ${funnel.steps.length} steps)`,
+        value: funnel.id,
+      })),
+      when: (answers) => answers.analysisType === "funnel_analysis" && funnels.length > 0,
     },
     {
-      type: "input",
-      name: "customEndDate",
-      message: "End date (YYYY-MM-DD)",
-      when: (answers) => answers.dateRangeType === "custom",
-      validate: (input) => {
-        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          return "Please enter a valid date in YYYY-MM-DD format";
-        }
-        return true;
-      },
+      type: "list",
+      name: "breakdown",
+      message: "Break the funnel down by:",
+      choices: [
+        { name: "No breakdown", value: "" },
+        ...Object.keys(cfg.sources.analytics?.dimensions || {}).map(dimension => ({ name: dimension, value: dimension })),
+      ],
+      default: (answers) => findFunnel(answers)?.breakdown || "",
+      when: (answers) => answers.analysisType === "funnel_analysis" && funnels.length > 0,
     },
+    ...buildDateRangePrompts({
+      message: "Date range for analysis",
+      when: (answers) => answers.analysisType !== "back",
+    }),
   ];
 }
@@ -0,0 +1,108 @@
+/**
+ * CLI realtime screen
+ * Redraws a GA4 realtime report every few seconds until Ctrl+C
+ */
+
+import chalk from "chalk";
+import { getOAuth2Client } from "../datasources/analytics.js";
+import { getSelectedSite } from "../utils/site-manager.js";
+import { runRealtime, getRealtimeConfig, normalizeRealtimeQuery } from "../core/realtime.js";
+import { QueryAbortedError } from "../core/cancellation.js";
+import { QueryValidationError } from "./validators.js";
+
+// Resolve after ms, or as soon as the signal aborts
+function waitForRefresh(ms, signal) {
+  return new Promise(resolve => {
+    if (signal.aborted) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener("abort", done, { once: true });
+  });
+}
+
+function describeTotals(totals) {
+  return totals.map(total => Object.entries(total)
+    .map(([key, value]) => (key === "minuteRange" ? chalk.cyan(`${value}:`) : `${key} ${chalk.bold(value.toLocaleString())}`))
+    .join("  "));
+}
+
+// "Last 30 minutes" for the default window, the range names for custom minute ranges
+function describeMinuteRanges(minuteRanges) {
+  return minuteRanges
+    .map(range => range.name || `Last ${range.startMinutesAgo - range.endMinutesAgo + 1} minutes`)
+    .join(", ");
+}
+
+function renderScreen({ propertyId, period, refreshSeconds, result, error }) {
+  console.clear();
+  console.log(chalk.blue.bold(`⚡ Realtime: property ${propertyId}`));
+  console.log(chalk.gray(`${period} · updated ${new Date().toLocaleTimeString()} · refreshing every ${refreshSeconds}s · Ctrl+C to stop\n`));
+
+  if (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    console.log(chalk.gray("Retrying at the next refresh..."));
+    return;
+  }
+
+  describeTotals(result.totals).forEach(line => console.log(line));
+  console.log("");
+
+  if (result.rows.length === 0) {
+    console.log(chalk.yellow("No activity in this period."));
+  } else {
+    console.table(result.rows);
+  }
+}
+
+export async function handleRealtime(answers, cfg) {
+  const realtime = getRealtimeConfig(cfg);
+  const propertyId = getSelectedSite();
+  const period = describeMinuteRanges(normalizeRealtimeQuery(answers, cfg).minuteRanges);
+  const refreshSeconds = answers.refreshSeconds || realtime.refreshSeconds || 10;
+
+  if (!propertyId) {
+    console.log(chalk.red("❌ No GA4 property selected. Please select a property first."));
+    return;
+  }
+
+  const auth = await getOAuth2Client(cfg.sources.analytics);
+
+  // Ctrl+C stops the refresh loop and returns to the menu
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  process.on("SIGINT", stop);
+
+  try {
+    while (!controller.signal.aborted) {
+      let result = null;
+      let error = null;
+      try {
+        result = await runRealtime(answers, cfg, auth, propertyId, { signal: controller.signal });
+      } catch (e) {
+        if (e instanceof QueryValidationError) {
+          console.log(chalk.red("The realtime query is not valid"));
+          e.errors.forEach(message => console.log(chalk.red(`  • ${message}`)));
+          return;
+        }
+        if (e instanceof QueryAbortedError && e.reason === "cancelled") {
+          break;
+        }
+        error = e;
+      }
+
+      renderScreen({ propertyId, period, refreshSeconds, result, error });
+      await waitForRefresh(refreshSeconds * 1000, controller.signal);
+    }
+  } finally {
+    process.off("SIGINT", stop);
+  }
+
+  console.log(chalk.blue("\nRealtime view stopped. Returning to main menu..."));
+}
@@ -3,6 +3,7 @@ import path from "node:path";
 import { stringify } from "csv-stringify/sync";
 import chalk from "chalk";
 import inquirer from "inquirer";
+import { withForecastRows } from "../core/forecast.js";
 
 // Global filter state management
 let currentFilters = {
@@ -250,10 +251,125 @@ Enter 'q' to cancel:`);
   });
 }
 
-export async function renderOutput(rows, answers, cfg) {
+// Labels for aggregation footer rows, in display order
+const AGGREGATION_LABELS = {
+  total: "Total",
+  minimum: "Minimum",
+  maximum: "Maximum",
+};
+
+function formatFooterRow(values, columns, label) {
+  const footer = {};
+  const labelColumn = columns.find(column => !(column in values));
+  columns.forEach(column => {
+    if (column in values) {
+      footer[column] = values[column];
+    } else {
+      footer[column] = column === labelColumn && label ? label : '';
+    }
+  });
+  return footer;
+}
+
+/**
+ * Build footer rows for metric aggregations
+ * Each row has every column of the data rows; the first non-metric column
+ * carries the label ("Total", "Minimum", "Maximum") and other non-metric
+ * columns are left empty
+ * @param {Object|null} aggregations - {total, minimum, maximum} from runQuery
+ * @param {Object[]} rows - The data rows, used for the column order
+ * @returns {Object[]} - Footer rows, or an empty array without aggregations
+ */
+export function buildAggregationRows(aggregations, rows) {
+  if (!aggregations || rows.length === 0) {
+    return [];
+  }
+
+  const columns = Object.keys(rows[0]);
+  return Object.entries(AGGREGATION_LABELS)
+    .filter(([kind]) => aggregations[kind])
+    .map(([kind, label]) => formatFooterRow(aggregations[kind], columns, label));
+}
+
+// Warnings for approximate data (sampling, thresholding, "(other)" rows)
+// above a table, then the currency and time zone values are reported in
+function displayDataQuality(dataQuality) {
+  if (!dataQuality) {
+    return;
+  }
+  dataQuality.warnings.forEach(warning => console.log(chalk.bgYellow.black.bold(` ⚠️  ${warning} `)));
+  const units = [
+    dataQuality.currencyCode && `Currency: ${dataQuality.currencyCode}`,
+    dataQuality.timeZone && `Time zone: ${dataQuality.timeZone}`,
+  ].filter(Boolean);
+  if (units.length > 0) {
+    console.log(chalk.gray(units.join(" · ")));
+  }
+}
+
+// One marker per anomalous row, e.g. "▲ sessions 4.2", keyed by row object
+// so they follow the rows through filtering and sorting
+function buildAnomalyMarkers(anomalies) {
+  const markers = new Map();
+  anomalies.forEach(({ row, ...anomaly }) => {
+    const marker = `${anomaly.direction === "up" ? "▲" : "▼"} ${anomaly.metric} ${anomaly.score}`;
+    markers.set(row, markers.has(row) ? `${markers.get(row)}, ${marker}` : marker);
+  });
+  return markers;
+}
+
+function displayPageAnomalies(pageRows, anomalies) {
+  const onPage = new Set(pageRows);
+  anomalies
+    .filter(anomaly => onPage.has(anomaly.row))
+    .forEach(anomaly => {
+      const color = anomaly.direction === "up" ? chalk.green.bold : chalk.red.bold;
+      const group = anomaly.group ? ` (${Object.values(anomaly.group).join(", ")})` : "";
+      console.log(color(`${anomaly.direction === "up" ? "▲" : "▼"} Anomaly on ${anomaly.date}${group}: ${anomaly.metric} ${anomaly.value.toLocaleString()}, expected ~${anomaly.expected.toLocaleString()} (score ${anomaly.score})`));
+    });
+}
+
+const MAX_FORECAST_LINES = 10;
+
+// The projected value of each series on its last forecast day, with the bounds
+function displayForecast(forecast) {
+  const projected = forecast.series.filter(series => series.end);
+  console.log(chalk.magenta.bold(`\n📈 Forecast: ${forecast.days} days, ${forecast.confidence * 100}% bounds (rows with rowType "forecast")`));
+  projected.slice(0, MAX_FORECAST_LINES).forEach(series => {
+    const group = series.group ? ` (${Object.values(series.group).join(", ")})` : "";
+    const { date, value, lower, upper } = series.end;
+    console.log(chalk.magenta(`  ${series.metric}${group} on ${date}: ~${value.toLocaleString()} (${lower.toLocaleString()} – ${upper.toLocaleString()}, ${series.method})`));
+  });
+  if (projected.length > MAX_FORECAST_LINES) {
+    console.log(chalk.gray(`  ...and ${projected.length - MAX_FORECAST_LINES} more series`));
+  }
+  const skipped = forecast.series.length - projected.length;
+  if (skipped > 0) {
+    console.log(chalk.gray(`  ${skipped} series had too few days to forecast`));
+  }
+}
+
+/**
+ * Render query rows as a table, JSON or CSV
+ * @param {Object[]} rows - Result rows
+ * @param {Object} answers - CLI answers with outputFormat, saveToFile and sorting
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [aggregations] - Footer rows for the table
+ * @param {Object} [details] - {dataQuality, anomalies, forecast} shown above and in the table;
+ *   anomalies index into rows as returned by runQuery, and forecast rows follow the result rows
+ * @returns {Promise<boolean>}
+ */
+export async function renderOutput(rows, answers, cfg, aggregations = null, details = {}) {
   const fmt = answers.outputFormat || cfg.output.defaultFormat;
   const shouldSave = answers.saveToFile ?? cfg.output.saveToFileByDefault;
   
+  // Anomalies point at rows by index; hold on to the rows before sorting reorders them
+  const tableDetails = {
+    dataQuality: details.dataQuality,
+    anomalies: (details.anomalies || []).map(anomaly => ({ ...anomaly, row: rows[anomaly.rowIndex] })),
+    forecast: details.forecast || null,
+  };
+  
   // Apply filters first
   let filteredRows = applyAllFilters(rows);
   
@@ -264,7 +380,7 @@ export async function renderOutput(rows, answers, cfg) {
   }
 
   if (fmt === "json") {
-    const json = JSON.stringify(sortedRows, null, 2);
+    const json = JSON.stringify(withForecastRows(sortedRows, details.forecast), null, 2);
     if (shouldSave) {
       return save(json, "json", cfg);
     } else {
@@ -272,7 +388,7 @@ export async function renderOutput(rows, answers, cfg) {
     }
     return true; // Continue to next prompt
   } else if (fmt === "csv") {
-    const csv = stringify(sortedRows, { header: true });
+    const csv = stringify(withForecastRows(sortedRows, details.forecast), { header: true });
     if (shouldSave) {
       return save(csv, "csv", cfg);
     } else {
@@ -281,8 +397,99 @@ export async function renderOutput(rows, answers, cfg) {
     return true; // Continue to next prompt
   } else {
     // default: table with pagination
-    return await displayTableWithPagination(rows, sortedRows);
+    return await displayTableWithPagination(rows, sortedRows, aggregations, tableDetails);
+  }
+}
+
+/**
+ * Render a pivot query result: a cross-tab in the console, or the wide rows
+ * as JSON or CSV (the CSV ends with the "Total" row)
+ * @param {Object} result - A runQuery result whose metadata.pivot holds the cross-tab
+ * @param {Object} answers - CLI answers with outputFormat and saveToFile
+ * @param {Object} cfg - The loaded configuration
+ * @returns {boolean}
+ */
+export function renderPivotOutput(result, answers, cfg) {
+  const fmt = answers.outputFormat || cfg.output.defaultFormat;
+  const shouldSave = answers.saveToFile ?? cfg.output.saveToFileByDefault;
+
+  if (fmt === "json" || fmt === "csv") {
+    const content = fmt === "json"
+      ? JSON.stringify(result.rows, null, 2)
+      : stringify([...result.rows, ...buildAggregationRows(result.aggregations, result.rows)], { header: true });
+    if (shouldSave) {
+      save(content, fmt, cfg);
+    } else {
+      console.log(content);
+    }
+    return true;
+  }
+
+  console.log("");
+  displayDataQuality(result.metadata.dataQuality);
+  displayCrossTab(result.metadata.pivot);
+  return true;
+}
+
+function formatCrossTabValue(value) {
+  if (value === null || value === undefined) {
+    return "-";
   }
+  return typeof value === "number" ? roundNumbers({ value }).value.toLocaleString() : String(value);
+}
+
+// Print a cross-tab with one column group per column value and a Total group
+function displayCrossTab(crossTab) {
+  const { rowDimensions, columnDimensions, metrics, columns } = crossTab;
+  const groups = [...columns.map(column => column.key), "Total"];
+  const labelCount = rowDimensions.length;
+  const gap = "  ";
+  const divider = " │ ";
+
+  const header = [...rowDimensions, ...groups.flatMap(() => metrics)];
+  const body = crossTab.rows.map(row => [
+    ...rowDimensions.map(dimension => String(row.values[dimension] ?? "")),
+    ...columns.flatMap(column => metrics.map(metric => formatCrossTabValue(row.cells[column.key]?.[metric]))),
+    ...metrics.map(metric => formatCrossTabValue(row.total?.[metric])),
+  ]);
+  const footer = [
+    ...rowDimensions.map((_, index) => (index === 0 ? "Total" : "")),
+    ...columns.flatMap(column => metrics.map(metric => formatCrossTabValue(crossTab.columnTotals[column.key]?.[metric]))),
+    ...metrics.map(metric => formatCrossTabValue(crossTab.grandTotal?.[metric])),
+  ];
+
+  const widths = header.map((cell, index) => Math.max(cell.length, footer[index].length, ...body.map(row => row[index].length)));
+  const spanWidth = (start, count) => widths.slice(start, start + count).reduce((sum, width) => sum + width, 0) + (count - 1) * gap.length;
+
+  // Widen the last cell of a span whose heading is longer than its cells
+  const columnHeading = `${columnDimensions.join(" / ")} →`;
+  const spans = [
+    { start: 0, count: labelCount, heading: columnHeading },
+    ...groups.map((group, index) => ({ start: labelCount + index * metrics.length, count: metrics.length, heading: group })),
+  ];
+  spans.forEach(({ start, count, heading }) => {
+    const missing = heading.length - spanWidth(start, count);
+    if (missing > 0) {
+      widths[start + count - 1] += missing;
+    }
+  });
+
+  const formatLine = (cells) => spans
+    .map(({ start, count }) => cells.slice(start, start + count)
+      .map((cell, index) => (start === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[start + index])))
+      .join(gap))
+    .join(divider);
+  const headingLine = spans.map(({ start, count, heading }) => heading.padEnd(spanWidth(start, count))).join(divider);
+  const rule = "─".repeat(headingLine.length);
+
+  console.log("");
+  console.log(chalk.bold(headingLine));
+  console.log(chalk.bold(formatLine(header)));
+  console.log(chalk.gray(rule));
+  body.forEach(row => console.log(formatLine(row)));
+  console.log(chalk.gray(rule));
+  console.log(chalk.bold(formatLine(footer)));
+  console.log(chalk.blue(`\n${crossTab.rows.length} rows × ${columns.length} columns`));
 }
 
 export function applySorting(rows, sortingConfig) {
@@ -384,41 +591,74 @@ export function applySorting(rows, sortingConfig) {
   });
 }
 
-async function displayTableWithPagination(originalRows, filteredRows) {
+// Round non-integer numbers to 3 decimal places
+function roundNumbers(row) {
+  const formattedRow = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      formattedRow[key] = Math.round(value * 1000) / 1000;
+    } else {
+      formattedRow[key] = value;
+    }
+  }
+  return formattedRow;
+}
+
+async function displayTableWithPagination(originalRows, filteredRows, aggregations = null, details = {}) {
   const rowsPerPage = 50;
   let currentPage = 0;
-  const totalPages = Math.ceil(filteredRows.length / rowsPerPage);
+  const markers = buildAnomalyMarkers(details.anomalies || []);
+  // Projected rows come after the (filtered) result rows; every row is labeled by rowType
+  const forecast = details.forecast;
+  const displayRows = forecast ? [...filteredRows, ...forecast.rows] : filteredRows;
+  const totalPages = Math.ceil(displayRows.length / rowsPerPage);
   
   // Show filter summary
   const filterSummary = getFiltersSummary();
   if (filterSummary) {
     console.log(chalk.cyan(`\n${filterSummary}\n`));
+    if (aggregations) {
+      console.log(chalk.gray("Total, Minimum and Maximum rows cover the full report, before filters\n"));
+    }
+  }
+  
+  if (forecast) {
+    displayForecast(forecast);
   }
   
-  console.log(chalk.blue(`\nTotal rows: ${filteredRows.length} (${totalPages} pages)\n`));
+  console.log(chalk.blue(`\nTotal rows: ${displayRows.length} (${totalPages} pages)\n`));
   
   while (currentPage < totalPages) {
     const startIndex = currentPage * rowsPerPage;
-    const endIndex = Math.min(startIndex + rowsPerPage, filteredRows.length);
-    const pageRows = filteredRows.slice(startIndex, endIndex);
+    const endIndex = Math.min(startIndex + rowsPerPage, displayRows.length);
+    const pageRows = displayRows.slice(startIndex, endIndex);
     
+    displayDataQuality(details.dataQuality);
+    displayPageAnomalies(pageRows, details.anomalies || []);
     console.log(chalk.gray(`Page ${currentPage + 1} of ${totalPages} (rows ${startIndex + 1}-${endIndex}):\n`));
     
-    // Format numbers to 3 decimal places for better readability
-    const formattedRows = pageRows.map(row => {
-      const formattedRow = {};
-      for (const [key, value] of Object.entries(row)) {
-        if (typeof value === 'number' && !Number.isInteger(value)) {
-          // Round to 3 decimal places
-          formattedRow[key] = Math.round(value * 1000) / 1000;
-        } else {
-          formattedRow[key] = value;
-        }
-      }
-      return formattedRow;
-    });
+    // Format numbers to 3 decimal places for better readability; anomalous
+    // rows are marked in an extra column
+    const formattedRows = pageRows
+      .map(row => (forecast && row.rowType !== "forecast" ? { ...row, rowType: "actual" } : row))
+      .map((row, index) => (markers.size > 0
+        ? { ...roundNumbers(row), anomaly: markers.get(pageRows[index]) || "" }
+        : roundNumbers(row)));
     
-    console.table(formattedRows);
+    // Aggregation footer rows are keyed by label so console.table shows
+    // "Total", "Minimum" and "Maximum" in the index column
+    if (aggregations && formattedRows.length > 0) {
+      const table = { ...formattedRows };
+      const columns = Object.keys(formattedRows[0]);
+      Object.entries(AGGREGATION_LABELS)
+        .filter(([kind]) => aggregations[kind])
+        .forEach(([kind, label]) => {
+          table[label] = formatFooterRow(roundNumbers(aggregations[kind]), columns);
+        });
+      console.table(table);
+    } else {
+      console.table(formattedRows);
+    }
     
     currentPage++;
     
@@ -431,13 +671,13 @@ async function displayTableWithPagination(originalRows, filteredRows) {
       } else if (result === 'filter') {
         // Re-apply filters and restart pagination
         const newFilteredRows = applyAllFilters(originalRows);
-        return await displayTableWithPagination(originalRows, newFilteredRows);
+        return await displayTableWithPagination(originalRows, newFilteredRows, aggregations, details);
       }
       console.clear(); // Clear screen for next page
     }
   }
   
-  console.log(chalk.green(`\n✅ Displayed all ${filteredRows.length} rows across ${totalPages} pages`));
+  console.log(chalk.green(`\n✅ Displayed all ${displayRows.length} rows across ${totalPages} pages`));
   return true; // Completed successfully
 }
 
@@ -6,7 +6,12 @@
 import chalk from "chalk";
 import { getOAuth2Client } from "../datasources/analytics.js";
 import { getSelectedSite } from "../utils/site-manager.js";
-import { getDateRange } from "./prompts.js";
+import { resolveDateRangeFromAnswers } from "../core/date-ranges.js";
+import { checkQuotaLimits } from "../core/quota.js";
+import { runReport } from "../datasources/ga4-client.js";
+import { runCohortAnalysis } from "../core/cohorts.js";
+import { runFunnel } from "../core/funnels.js";
+import { QueryValidationError } from "./validators.js";
 import inquirer from "inquirer";
 
 export async function handleSessionFlowAnalysis(answers, cfg) {
@@ -16,7 +21,7 @@ export async function handleSessionFlowAnalysis(answers, cfg) {
     return;
   }
   
-  const dateRange = getDateRange(answers.dateRangeType, answers.customStartDate, answers.customEndDate);
+  const dateRange = resolveDateRangeFromAnswers(answers, cfg);
   
   // Check authentication
   try {
@@ -28,6 +33,9 @@ export async function handleSessionFlowAnalysis(answers, cfg) {
       return;
     }
     
+    // Each analysis sends several reports; check the soft limits up front
+    checkQuotaLimits(propertyId, cfg).forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    
     console.log(chalk.green(`✅ Analyzing property: ${propertyId}`));
     console.log(chalk.gray(`📅 Date range: ${dateRange.start} to ${dateRange.end}`));
     console.log("");
@@ -40,8 +48,7 @@ export async function handleSessionFlowAnalysis(answers, cfg) {
         await analyzeUserJourney(auth, propertyId, dateRange);
         break;
       case "funnel_analysis":
-        await analyzeFunnel(auth, propertyId, dateRange);
-        break;
+        return await analyzeFunnel(auth, propertyId, dateRange, answers, cfg);
       case "exit_analysis":
         await analyzeExitPages(auth, propertyId, dateRange);
         break;
@@ -51,6 +58,8 @@ export async function handleSessionFlowAnalysis(answers, cfg) {
       case "session_exploration":
         await analyzeSessionExploration(auth, propertyId, dateRange);
         break;
+      case "cohort":
+        return await analyzeCohorts(auth, propertyId, dateRange, answers.granularity, cfg);
     }
     
   } catch (error) {
@@ -81,22 +90,7 @@ async function analyzePathExploration(auth, propertyId, dateRange) {
       limit: 1000
     };
     
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
+    const data = await runReport(auth, propertyId, requestBody);
     
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No session data found for the selected date range."));
@@ -223,41 +217,26 @@ async function explorePagePaths(auth, propertyId, dateRange, selectedPage) {
     console.log("");
     
     // Get more detailed data for path analysis
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' },
-          { name: 'pageTitle' },
-          { name: 'sessionSource' },
-          { name: 'sessionMedium' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' },
-          { name: 'bounceRate' },
-          { name: 'averageSessionDuration' }
-        ],
-        limit: 1000
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'pagePath' },
+        { name: 'pageTitle' },
+        { name: 'sessionSource' },
+        { name: 'sessionMedium' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'screenPageViews' },
+        { name: 'bounceRate' },
+        { name: 'averageSessionDuration' }
+      ],
+      limit: 1000
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No detailed path data found."));
       return;
@@ -393,44 +372,29 @@ async function exploreUserJourneyDetails(auth, propertyId, dateRange, selectedPa
     console.log("");
     
     // Get detailed user journey data
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' },
-          { name: 'pageTitle' },
-          { name: 'sessionSource' },
-          { name: 'sessionMedium' },
-          { name: 'deviceCategory' },
-          { name: 'country' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' },
-          { name: 'bounceRate' },
-          { name: 'averageSessionDuration' },
-          { name: 'newUsers' }
-        ],
-        limit: 1000
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'pagePath' },
+        { name: 'pageTitle' },
+        { name: 'sessionSource' },
+        { name: 'sessionMedium' },
+        { name: 'deviceCategory' },
+        { name: 'country' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'screenPageViews' },
+        { name: 'bounceRate' },
+        { name: 'averageSessionDuration' },
+        { name: 'newUsers' }
+      ],
+      limit: 1000
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No user journey data found."));
       return;
@@ -559,37 +523,22 @@ async function analyzeUserJourney(auth, propertyId, dateRange) {
   console.log("");
   
   try {
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' },
-          { name: 'pageTitle' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' }
-        ],
-        limit: 100
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'pagePath' },
+        { name: 'pageTitle' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'screenPageViews' }
+      ],
+      limit: 100
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No user journey data found."));
       return;
@@ -702,95 +651,63 @@ async function analyzeUserJourney(auth, propertyId, dateRange) {
   }
 }
 
-async function analyzeFunnel(auth, propertyId, dateRange) {
+function formatStepLine(step, firstUsers) {
+  const barWidth = 30;
+  const filled = firstUsers > 0 ? Math.round((step.users / firstUsers) * barWidth) : 0;
+  const bar = "█".repeat(filled) + "░".repeat(barWidth - filled);
+  return `${chalk.cyan(`${step.step}. ${step.name}`)}\n   ${chalk.green(bar)} ${chalk.bold(step.users.toLocaleString())} users`;
+}
+
+function displayFunnelSteps(steps) {
+  const firstUsers = steps[0]?.users || 0;
+  steps.forEach((step, index) => {
+    console.log(formatStepLine(step, firstUsers));
+    if (index > 0) {
+      console.log(chalk.gray(`   ${step.conversionRate}% of the previous step`));
+    }
+    if (index < steps.length - 1) {
+      console.log(chalk.red(`   ↓ ${step.abandonments.toLocaleString()} abandoned (${step.abandonmentRate}%)`));
+    }
+  });
+}
+
+async function analyzeFunnel(auth, propertyId, dateRange, answers, cfg) {
   console.log(chalk.green("🔄 Funnel Analysis"));
-  console.log(chalk.gray("Analyzing conversion funnels..."));
-  console.log("");
+  
+  if (!answers.funnelId) {
+    console.log(chalk.yellow("⚠️  No funnels configured. Define them in config.js under sources.analytics.funnels."));
+    return;
+  }
   
   try {
-    // Get page views to analyze funnel
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' }
-        ],
-        limit: 1000
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
+    const result = await runFunnel({
+      funnelId: answers.funnelId,
+      breakdown: answers.breakdown,
+      dateRange,
+    }, cfg, auth, propertyId);
     
-    const data = await response.json();
+    console.log(chalk.gray(`${result.funnel.label} (${result.funnel.open ? "open" : "closed"} funnel)`));
+    console.log("");
     
-    if (!data.rows || data.rows.length === 0) {
-      console.log(chalk.yellow("⚠️  No funnel data found."));
-      return;
+    if (result.steps[0].users === 0) {
+      console.log(chalk.yellow("⚠️  No users entered this funnel in the selected date range."));
+      return result;
     }
     
-    // Analyze common funnel pages
-    const pageData = data.rows.map(row => ({
-      path: row.dimensionValues[0]?.value || '',
-      sessions: parseInt(row.metricValues[0]?.value || '0'),
-      pageviews: parseInt(row.metricValues[1]?.value || '0')
-    })).sort((a, b) => b.sessions - a.sessions);
-    
-    console.log(chalk.blue("📊 Top Pages by Sessions:"));
+    displayFunnelSteps(result.steps);
     console.log("");
+    console.log(chalk.yellow(`Overall Conversion Rate: ${result.overallConversionRate}%`));
     
-    pageData.slice(0, 10).forEach((page, index) => {
-      console.log(chalk.green(`${index + 1}. ${page.path}`));
-      console.log(chalk.gray(`   Sessions: ${page.sessions}, Pageviews: ${page.pageviews}`));
+    if (result.breakdowns.length > 0) {
       console.log("");
-    });
-    
-    // Calculate potential funnel
-    const homePage = pageData.find(p => p.path === '/');
-    const productPages = pageData.filter(p => p.path.includes('/product'));
-    const checkoutPages = pageData.filter(p => p.path.includes('/checkout'));
-    
-    if (homePage) {
-      console.log(chalk.blue("🔄 Potential Funnel Analysis:"));
-      console.log("");
-      console.log(chalk.cyan("Step 1 - Homepage:"));
-      console.log(chalk.gray(`  Sessions: ${homePage.sessions}`));
-      console.log("");
-      
-      if (productPages.length > 0) {
-        const totalProductSessions = productPages.reduce((sum, p) => sum + p.sessions, 0);
-        const productRate = ((totalProductSessions / homePage.sessions) * 100).toFixed(1);
-        console.log(chalk.cyan("Step 2 - Product Pages:"));
-        console.log(chalk.gray(`  Sessions: ${totalProductSessions} (${productRate}% of homepage)`));
-        console.log("");
-        
-        if (checkoutPages.length > 0) {
-          const totalCheckoutSessions = checkoutPages.reduce((sum, p) => sum + p.sessions, 0);
-          const checkoutRate = ((totalCheckoutSessions / totalProductSessions) * 100).toFixed(1);
-          console.log(chalk.cyan("Step 3 - Checkout Pages:"));
-          console.log(chalk.gray(`  Sessions: ${totalCheckoutSessions} (${checkoutRate}% of product pages)`));
-          console.log("");
-          
-          const overallRate = ((totalCheckoutSessions / homePage.sessions) * 100).toFixed(1);
-          console.log(chalk.yellow(`Overall Conversion Rate: ${overallRate}%`));
-        }
-      }
+      console.log(chalk.blue(`📊 Breakdown by ${result.breakdown}:`));
+      console.table(result.breakdowns.map(breakdown => ({
+        [result.breakdown]: breakdown.value,
+        ...Object.fromEntries(breakdown.steps.map(step => [step.name, step.users])),
+        "Conversion %": breakdown.overallConversionRate,
+      })));
     }
+    console.log("");
     
     // Add session exploration option
     const { exploreSessions } = await inquirer.prompt([
@@ -809,48 +726,100 @@ async function analyzeFunnel(auth, propertyId, dateRange) {
       await showIndividualSessions(auth, propertyId, dateRange);
     }
     
+    return result;
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      console.log(chalk.red("❌ The funnel definition is not valid"));
+      error.errors.forEach(message => console.log(chalk.red(`  • ${message}`)));
+      return;
+    }
     console.log(chalk.red(`❌ Error analyzing funnel: ${error.message}`));
   }
 }
 
+function colorRetention(text, retention) {
+  if (retention >= 40) {
+    return chalk.green(text);
+  }
+  if (retention >= 20) {
+    return chalk.yellow(text);
+  }
+  return chalk.red(text);
+}
+
+// One line per cohort, one column per period; periods not reached yet stay blank
+function displayRetentionTriangle(matrix) {
+  const nameWidth = Math.max(10, ...matrix.cohorts.map(cohort => cohort.name.length));
+  const usersWidth = Math.max(5, ...matrix.cohorts.map(cohort => cohort.users.toLocaleString().length));
+  const cellWidth = Math.max(6, ...matrix.periods.map(period => period.length));
+  const cell = retention => (retention === null ? "" : `${retention.toFixed(1)}%`).padStart(cellWidth);
+
+  console.log(chalk.bold([
+    "Cohort".padEnd(nameWidth),
+    "Users".padStart(usersWidth),
+    ...matrix.periods.map(period => period.padStart(cellWidth)),
+  ].join("  ")));
+
+  matrix.cohorts.forEach(cohort => {
+    console.log([
+      chalk.cyan(cohort.name.padEnd(nameWidth)),
+      cohort.users.toLocaleString().padStart(usersWidth),
+      ...cohort.retention.map(retention => colorRetention(cell(retention), retention)),
+    ].join("  "));
+  });
+
+  console.log(chalk.bold([
+    "Average".padEnd(nameWidth),
+    "".padStart(usersWidth),
+    ...matrix.average.map(cell),
+  ].join("  ")));
+}
+
+async function analyzeCohorts(auth, propertyId, dateRange, granularity, cfg) {
+  console.log(chalk.green("👥 Cohort Retention Analysis"));
+  console.log(chalk.gray(`Grouping users by ${granularity || "weekly"} first session...`));
+  console.log("");
+  
+  try {
+    const matrix = await runCohortAnalysis({ dateRange, granularity }, cfg, auth, propertyId);
+    
+    if (matrix.cohorts.every(cohort => cohort.users === 0)) {
+      console.log(chalk.yellow("⚠️  No new users found for the selected date range."));
+      return matrix;
+    }
+    
+    displayRetentionTriangle(matrix);
+    console.log("");
+    console.log(chalk.gray("Retention is the share of each cohort's users active in the period."));
+    
+    return matrix;
+  } catch (error) {
+    console.log(chalk.red(`❌ Error analyzing cohorts: ${error.message}`));
+  }
+}
+
 async function analyzeExitPages(auth, propertyId, dateRange) {
   console.log(chalk.green("🚪 Exit Page Analysis"));
   console.log(chalk.gray("Analyzing where users leave your site..."));
   console.log("");
   
   try {
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' },
-          { name: 'pageTitle' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' }
-        ],
-        limit: 1000
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'pagePath' },
+        { name: 'pageTitle' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'screenPageViews' }
+      ],
+      limit: 1000
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No exit page data found."));
       return;
@@ -903,38 +872,23 @@ async function analyzeLandingPages(auth, propertyId, dateRange) {
   console.log("");
   
   try {
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'landingPage' },
-          { name: 'sessionSource' },
-          { name: 'sessionMedium' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'newUsers' }
-        ],
-        limit: 1000
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'landingPage' },
+        { name: 'sessionSource' },
+        { name: 'sessionMedium' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'newUsers' }
+      ],
+      limit: 1000
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No landing page data found."));
       return;
@@ -988,45 +942,30 @@ async function analyzeSessionExploration(auth, propertyId, dateRange) {
   
   try {
     // Get session data with more detailed information
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' },
-          { name: 'pageTitle' },
-          { name: 'sessionSource' },
-          { name: 'sessionMedium' },
-          { name: 'deviceCategory' },
-          { name: 'country' },
-          { name: 'city' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' },
-          { name: 'bounceRate' },
-          { name: 'averageSessionDuration' },
-          { name: 'newUsers' }
-        ],
-        limit: 1000
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'pagePath' },
+        { name: 'pageTitle' },
+        { name: 'sessionSource' },
+        { name: 'sessionMedium' },
+        { name: 'deviceCategory' },
+        { name: 'country' },
+        { name: 'city' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'screenPageViews' },
+        { name: 'bounceRate' },
+        { name: 'averageSessionDuration' },
+        { name: 'newUsers' }
+      ],
+      limit: 1000
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No session data found."));
       return;
@@ -1293,46 +1232,31 @@ async function showIndividualSessions(auth, propertyId, dateRange) {
     console.log("");
     
     // Get detailed session data with page sequences
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${(await auth.getAccessToken()).token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        dateRanges: [{
-          startDate: dateRange.start,
-          endDate: dateRange.end
-        }],
-        dimensions: [
-          { name: 'pagePath' },
-          { name: 'pageTitle' },
-          { name: 'sessionSource' },
-          { name: 'sessionMedium' },
-          { name: 'deviceCategory' },
-          { name: 'country' },
-          { name: 'city' },
-          { name: 'hour' }
-        ],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'screenPageViews' },
-          { name: 'bounceRate' },
-          { name: 'averageSessionDuration' },
-          { name: 'newUsers' }
-        ],
-        limit: 1000
-      })
+    const data = await runReport(auth, propertyId, {
+      dateRanges: [{
+        startDate: dateRange.start,
+        endDate: dateRange.end
+      }],
+      dimensions: [
+        { name: 'pagePath' },
+        { name: 'pageTitle' },
+        { name: 'sessionSource' },
+        { name: 'sessionMedium' },
+        { name: 'deviceCategory' },
+        { name: 'country' },
+        { name: 'city' },
+        { name: 'hour' }
+      ],
+      metrics: [
+        { name: 'sessions' },
+        { name: 'screenPageViews' },
+        { name: 'bounceRate' },
+        { name: 'averageSessionDuration' },
+        { name: 'newUsers' }
+      ],
+      limit: 1000
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(chalk.red(`API Error ${response.status}: ${errorText}`));
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
     if (!data.rows || data.rows.length === 0) {
       console.log(chalk.yellow("⚠️  No individual session data found."));
       return;
@@ -1,26 +1,53 @@
+import { FILTER_OPERATORS, NUMERIC_FILTER_OPERATORS } from "../core/schema.js";
+import { validateCalculatedMetrics } from "../core/calculated-metrics.js";
+import { getDatasource } from "../datasources/registry.js";
+import { normalizePivots, validatePivots } from "../core/pivot.js";
+import { getFunnels, normalizeFunnel, validateFunnel } from "../core/funnels.js";
+import { validateAnomalyConfig } from "../core/anomalies.js";
+import { validateForecastConfig } from "../core/forecast.js";
+import { validateInsightsConfig } from "../core/insights.js";
+
 export function validateConfig(cfg) {
   const errors = [];
 
-  // Check Search Console configuration
-  if (cfg.sources.searchconsole?.enabled) {
-    if (!cfg.sources.searchconsole.siteUrl && !process.env.GSC_SITE_URL) {
-      errors.push("GSC site URL is required (set GSC_SITE_URL env var or in config)");
-    }
-    if (!cfg.sources.searchconsole.credentialsFile && !process.env.GSC_CREDENTIALS_FILE && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-      errors.push("GSC credentials are required (set GSC_CREDENTIALS_FILE or GOOGLE_APPLICATION_CREDENTIALS env var or in config)");
-    }
-  }
+  // Each enabled source validates its own configuration
+  Object.entries(cfg.sources)
+    .filter(([, sourceConfig]) => sourceConfig.enabled)
+    .forEach(([name, sourceConfig]) => {
+      const datasource = getDatasource(name);
+      if (!datasource) {
+        errors.push(`Unsupported source: ${name} (no datasource is registered under this name)`);
+      } else if (datasource.validateConfig) {
+        errors.push(...datasource.validateConfig(sourceConfig, cfg));
+      }
+    });
 
+  // Check calculated metric expressions
+  Object.values(cfg.sources).forEach(sourceConfig => {
+    errors.push(...validateCalculatedMetrics(sourceConfig));
+  });
 
-  // Check BigQuery configuration
-  if (cfg.sources.bigquery?.enabled) {
-    if (!cfg.sources.bigquery.projectId && !process.env.BQ_PROJECT_ID) {
-      errors.push("BigQuery project ID is required (set BQ_PROJECT_ID env var or in config)");
+  // Check preset filters and pivot layouts
+  (cfg.presets || []).forEach(preset => {
+    if (preset.filters) {
+      validateFilters(preset.filters, preset.source)
+        .forEach(error => errors.push(`Preset ${preset.id}: ${error}`));
     }
-    if (!cfg.sources.bigquery.dataset && !process.env.BQ_DATASET) {
-      errors.push("BigQuery dataset is required (set BQ_DATASET env var or in config)");
+    if (preset.pivots) {
+      validatePivots({ pivots: normalizePivots(preset.pivots, preset.limit || 1000), metrics: preset.metrics })
+        .forEach(error => errors.push(`Preset ${preset.id}: ${error}`));
     }
-  }
+  });
+
+  // Check funnel definitions
+  getFunnels(cfg).forEach(funnel => {
+    validateFunnel(normalizeFunnel(funnel))
+      .forEach(error => errors.push(`Funnel ${funnel.id}: ${error}`));
+  });
+
+  errors.push(...validateAnomalyConfig(cfg));
+  errors.push(...validateForecastConfig(cfg));
+  errors.push(...validateInsightsConfig(cfg));
 
   // Check that at least one source is enabled
   const enabledSources = Object.entries(cfg.sources)
@@ -58,7 +85,30 @@ export function validateDateRange(dateRange) {
   return null;
 }
 
-export function validateQuery(query) {
+/**
+ * Error raised when a query fails validation
+ * `errors` holds the messages; `fields` lists the offending fields as
+ * {field, kind, reason, suggestion?, message}
+ */
+export class QueryValidationError extends Error {
+  constructor(errors, fields = []) {
+    super(`Query validation failed: ${errors.join(", ")}`);
+    this.name = "QueryValidationError";
+    this.errors = errors;
+    this.fields = fields;
+  }
+}
+
+/**
+ * Validate a normalized query
+ * @param {Object} query - The normalized query
+ * @param {Object} [schema] - A property schema from loadAnalyticsSchema; when
+ *   given, metric, dimension and filter fields must exist in it
+ * @param {Object} [cfg] - The loaded configuration, for source-specific rules
+ *   that depend on it (e.g. calculated metrics)
+ * @returns {string[]} - Error messages
+ */
+export function validateQuery(query, schema = null, cfg = null) {
   const errors = [];
 
   if (!query.metrics || query.metrics.length === 0) {
@@ -78,5 +128,274 @@ export function validateQuery(query) {
     }
   }
 
+  if (query.compareDateRange) {
+    const compareError = validateDateRange(query.compareDateRange);
+    if (compareError) {
+      errors.push(`Comparison range: ${compareError}`);
+    }
+    if (query.source && query.source !== "analytics") {
+      errors.push("Period comparison is only supported for analytics queries");
+    }
+  }
+
+  if (query.pivots) {
+    if (query.source && query.source !== "analytics") {
+      errors.push("Pivot reports are only supported for analytics queries");
+    }
+    errors.push(...validatePivots(query));
+  }
+
+  if (query.filters) {
+    const filterErrors = validateFilters(query.filters, query.source);
+    errors.push(...filterErrors);
+
+    // GA4 only filters on metrics that are part of the report
+    if (filterErrors.length === 0 && query.source === "analytics") {
+      collectFilterFields(query.filters, "metric")
+        .filter(field => !(query.metrics || []).includes(field))
+        .forEach(field => errors.push(`Metric filter on ${field} requires ${field} in the selected metrics`));
+    }
+  }
+
+  if (schema) {
+    errors.push(...findUnknownFields(query, schema).map(field => field.message));
+  }
+
+  // Source-specific rules, e.g. Search Console search types and filter groups
+  const datasource = query.source ? getDatasource(query.source) : null;
+  if (datasource?.validateQuery) {
+    errors.push(...datasource.validateQuery(query, cfg));
+  }
+
+  return errors;
+}
+
+/**
+ * Find the metrics, dimensions and filter fields of a query that the schema
+ * does not know, with a "did you mean" suggestion for each
+ * @param {Object} query - The normalized query
+ * @param {Object} schema - {metrics, dimensions, calculatedMetrics} from loadAnalyticsSchema
+ * @returns {Object[]} - {field, kind, reason: "unknown"|"wrong-kind", suggestion?, message}
+ */
+export function findUnknownFields(query, schema) {
+  const names = {
+    metric: [
+      ...schema.metrics.flatMap(field => [field.name, field.apiName]),
+      ...Object.keys(schema.calculatedMetrics || {}),
+    ],
+    dimension: schema.dimensions.flatMap(field => [field.name, field.apiName]),
+  };
+  const known = { metric: new Set(names.metric), dimension: new Set(names.dimension) };
+
+  const requested = [
+    ...(query.metrics || []).map(field => ({ field, kind: "metric" })),
+    ...(query.dimensions || []).map(field => ({ field, kind: "dimension" })),
+    ...collectFilterFields(query.filters || [], "metric").map(field => ({ field, kind: "metric" })),
+    ...collectFilterFields(query.filters || [], "dimension").map(field => ({ field, kind: "dimension" })),
+  ];
+
+  const seen = new Set();
+  return requested
+    .filter(({ field, kind }) => {
+      const key = `${kind}:${field}`;
+      if (seen.has(key) || known[kind].has(field)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .map(({ field, kind }) => {
+      const otherKind = kind === "metric" ? "dimension" : "metric";
+      if (known[otherKind].has(field)) {
+        return { field, kind, reason: "wrong-kind", message: `${field} is a ${otherKind}, not a ${kind}` };
+      }
+
+      const suggestion = suggestFieldName(field, [...known[kind]]);
+      return {
+        field,
+        kind,
+        reason: "unknown",
+        ...(suggestion ? { suggestion } : {}),
+        message: `Unknown ${kind} "${field}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`,
+      };
+    });
+}
+
+/**
+ * Suggest the closest known field name for a misspelled one
+ * @param {string} name - The unknown name
+ * @param {string[]} candidates - Known names
+ * @returns {string|null} - The closest name, or null when nothing is close
+ */
+export function suggestFieldName(name, candidates) {
+  const lower = name.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = candidate.toLowerCase() === lower ? 0 : editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Validate a list of filters and filter groups
+ * @param {Array} filters - Filters from a preset, CLI answers or an API request
+ * @param {string} [source] - The data source the filters are sent to
+ * @returns {string[]} - Error messages, each naming the offending filter
+ */
+export function validateFilters(filters, source) {
+  if (!Array.isArray(filters)) {
+    return ["Filters must be an array"];
+  }
+
+  const errors = [];
+  filters.forEach((filter, index) => {
+    validateFilterNode(filter, `filters[${index}]`, source, errors);
+  });
   return errors;
 }
+
+// Sources that accept and/or/not filter groups
+const FILTER_GROUP_SOURCES = ["analytics", "searchconsole"];
+
+function validateFilterNode(node, path, source, errors) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    errors.push(`Filter ${path} must be an object`);
+    return;
+  }
+
+  const groupKeys = ["and", "or", "not"].filter(key => key in node);
+  if (groupKeys.length === 0) {
+    validateFilterLeaf(node, path, errors);
+    return;
+  }
+
+  if (groupKeys.length > 1) {
+    errors.push(`Filter ${path} must have exactly one of "and", "or" or "not"`);
+    return;
+  }
+
+  if (source && !FILTER_GROUP_SOURCES.includes(source)) {
+    errors.push(`Filter ${path}: filter groups are only supported for ${FILTER_GROUP_SOURCES.join(" and ")} queries`);
+    return;
+  }
+
+  const key = groupKeys[0];
+  if (key === "not") {
+    validateFilterNode(node.not, `${path}.not`, source, errors);
+  } else if (!Array.isArray(node[key]) || node[key].length === 0) {
+    errors.push(`Filter ${path}.${key} must be a non-empty array`);
+    return;
+  } else {
+    node[key].forEach((child, index) => {
+      validateFilterNode(child, `${path}.${key}[${index}]`, source, errors);
+    });
+  }
+
+  // GA4 sends dimension and metric filters as separate expressions
+  const types = new Set(collectFilterTypes(node));
+  if (types.size > 1) {
+    errors.push(`Filter ${path} mixes dimension and metric filters; use separate groups`);
+  }
+}
+
+function validateFilterLeaf(filter, path, errors) {
+  if (filter.type !== "dimension" && filter.type !== "metric") {
+    errors.push(`Filter ${path}: type must be "dimension" or "metric"`);
+  }
+
+  if (!filter.field || typeof filter.field !== "string") {
+    errors.push(`Filter ${path}: field is required`);
+  }
+
+  if (!FILTER_OPERATORS.includes(filter.op)) {
+    errors.push(`Filter ${path}: unsupported operator "${filter.op}" (expected one of ${FILTER_OPERATORS.join(", ")})`);
+    return;
+  }
+
+  if (filter.type === "metric" && !["eq", "neq", ...NUMERIC_FILTER_OPERATORS].includes(filter.op)) {
+    errors.push(`Filter ${path}: operator "${filter.op}" is not supported for metrics`);
+    return;
+  }
+
+  if (filter.op === "inList") {
+    if (!Array.isArray(filter.values) || filter.values.length === 0) {
+      errors.push(`Filter ${path}: inList requires a non-empty "values" array`);
+    }
+    return;
+  }
+
+  if (filter.op === "between") {
+    if (!isNumeric(filter.from) || !isNumeric(filter.to)) {
+      errors.push(`Filter ${path}: between requires numeric "from" and "to"`);
+    } else if (Number(filter.from) > Number(filter.to)) {
+      errors.push(`Filter ${path}: between "from" must not exceed "to"`);
+    }
+    return;
+  }
+
+  if (filter.value === undefined || filter.value === null || filter.value === "") {
+    errors.push(`Filter ${path}: value is required`);
+    return;
+  }
+
+  if ((NUMERIC_FILTER_OPERATORS.includes(filter.op) || filter.type === "metric") && !isNumeric(filter.value)) {
+    errors.push(`Filter ${path}: "${filter.op}" on ${filter.type} ${filter.field} requires a numeric value`);
+  }
+}
+
+function collectFilterFields(filters, type) {
+  const fields = new Set();
+  const visit = (node) => {
+    if (node.and || node.or) {
+      (node.and || node.or).forEach(visit);
+    } else if (node.not) {
+      visit(node.not);
+    } else if (node.type === type) {
+      fields.add(node.field);
+    }
+  };
+  filters.forEach(visit);
+  return [...fields];
+}
+
+function collectFilterTypes(node) {
+  if (!node || typeof node !== "object") {
+    return [];
+  }
+  if (Array.isArray(node.and) || Array.isArray(node.or)) {
+    return (node.and || node.or).flatMap(collectFilterTypes);
+  }
+  if (node.not) {
+    return collectFilterTypes(node.not);
+  }
+  return node.type ? [node.type] : [];
+}
+
+function isNumeric(value) {
+  return value !== "" && value !== null && value !== undefined && !isNaN(Number(value));
+}
@@ -0,0 +1,227 @@
+/**
+ * Anomaly detection on date series
+ *
+ * Queries with a `date` dimension get each metric scored day by day. The
+ * weekly pattern is removed first: every weekday's typical deviation from a
+ * 7-day rolling median is subtracted. Each adjusted day is then compared with
+ * the median of the days around it, scaled by their median absolute
+ * deviation (a modified z-score). Days scoring beyond the metric's threshold
+ * are reported as anomalies. Series split by other dimensions (e.g. date and
+ * country) are scored per value combination.
+ */
+
+const DATE_DIMENSION = "date";
+const DEFAULT_THRESHOLD = 3.5;
+const DEFAULT_WINDOW = 21;
+const DEFAULT_MIN_POINTS = 14;
+const TREND_WINDOW = 7;
+const DAYS_PER_WEEK = 7;
+// Scales the MAD to a standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+
+/**
+ * @typedef Anomaly
+ * @property {number} rowIndex - Index of the row in the result rows
+ * @property {string} date - The row's date value
+ * @property {Object} [group] - Values of the other dimensions of the series
+ * @property {string} metric
+ * @property {number} value
+ * @property {number} expected - Value expected from the surrounding days and the weekday
+ * @property {number} score - Modified z-score; negative below expectations
+ * @property {string} direction - "up" or "down"
+ * @property {number} threshold - The threshold the score exceeded
+ */
+
+export function getAnomalyConfig(cfg) {
+  return cfg.anomalies || {};
+}
+
+/**
+ * Threshold of a metric: anomalies.metrics.<metric>, then anomalies.threshold
+ * @returns {number|null} - null when the metric is excluded with `false`
+ */
+export function getMetricThreshold(metric, cfg) {
+  const settings = getAnomalyConfig(cfg);
+  const override = settings.metrics?.[metric];
+  if (override === false) {
+    return null;
+  }
+  return Number(override) || settings.threshold || DEFAULT_THRESHOLD;
+}
+
+/**
+ * Check the anomaly settings
+ * @returns {string[]} - Error messages
+ */
+export function validateAnomalyConfig(cfg) {
+  const settings = getAnomalyConfig(cfg);
+  const errors = [];
+  const isPositive = value => typeof value === "number" && value > 0;
+
+  if (settings.threshold !== undefined && !isPositive(settings.threshold)) {
+    errors.push("anomalies.threshold must be a positive number");
+  }
+  Object.entries(settings.metrics || {}).forEach(([metric, threshold]) => {
+    if (threshold !== false && !isPositive(threshold)) {
+      errors.push(`anomalies.metrics.${metric} must be a positive number or false`);
+    }
+  });
+  ["window", "minPoints"].forEach(key => {
+    if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] >= 3)) {
+      errors.push(`anomalies.${key} must be a whole number of at least 3`);
+    }
+  });
+  return errors;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// The values around index, within half the window on either side, without index itself
+function neighbours(values, index, window) {
+  const half = Math.floor(window / 2);
+  return [
+    ...values.slice(Math.max(0, index - half), index),
+    ...values.slice(index + 1, index + half + 1),
+  ];
+}
+
+/**
+ * Parse a date dimension value: YYYYMMDD (GA4) or YYYY-MM-DD
+ * @returns {Date|null}
+ */
+export function parseDateValue(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value ?? ""));
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+/**
+ * Typical deviation of each weekday from the 7-day rolling median
+ * Needs two full weeks; shorter series get no weekly adjustment
+ * @param {number[]} values - Values in date order
+ * @param {number[]} weekdays - Weekday of each value
+ * @returns {number[]} - Seasonal offset per weekday (0 = Sunday)
+ */
+export function getWeekdayOffsets(values, weekdays) {
+  const offsets = new Array(DAYS_PER_WEEK).fill(0);
+  if (values.length < DAYS_PER_WEEK * 2) {
+    return offsets;
+  }
+
+  const half = Math.floor(TREND_WINDOW / 2);
+  const deviations = Array.from({ length: DAYS_PER_WEEK }, () => []);
+  values.forEach((value, index) => {
+    const trend = median(values.slice(Math.max(0, index - half), index + half + 1));
+    deviations[weekdays[index]].push(value - trend);
+  });
+  deviations.forEach((list, weekday) => {
+    offsets[weekday] = median(list);
+  });
+  return offsets;
+}
+
+/**
+ * Score one series
+ * @param {Object[]} points - {value, weekday} in date order
+ * @param {Object} settings - {window, minPoints}
+ * @returns {Object[]|null} - {expected, score} per point, or null when the series is too short
+ */
+export function scoreSeries(points, settings = {}) {
+  const window = settings.window || DEFAULT_WINDOW;
+  if (points.length < (settings.minPoints || DEFAULT_MIN_POINTS)) {
+    return null;
+  }
+
+  const values = points.map(point => point.value);
+  const weekdays = points.map(point => point.weekday);
+  const offsets = getWeekdayOffsets(values, weekdays);
+  const adjusted = values.map((value, index) => value - offsets[weekdays[index]]);
+
+  return adjusted.map((value, index) => {
+    const around = neighbours(adjusted, index, window);
+    const baseline = median(around);
+    const mad = median(around.map(other => Math.abs(other - baseline)));
+    // A flat neighbourhood has no spread; keep a small floor so a change still scores
+    const scale = Math.max(MAD_SCALE * mad, Math.abs(baseline) * 0.01, 1e-9);
+
+    return {
+      expected: baseline + offsets[weekdays[index]],
+      score: (value - baseline) / scale,
+    };
+  });
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Find anomalous days in the rows of a query with a date dimension
+ * @param {Object[]} rows - Result rows keyed by dimension and metric name
+ * @param {Object} query - {dimensions, metrics}
+ * @param {Object} cfg - The loaded configuration; cfg.anomalies holds the settings
+ * @returns {Anomaly[]} - Ordered by date, then metric
+ */
+export function detectAnomalies(rows, query, cfg) {
+  const settings = getAnomalyConfig(cfg);
+  if (settings.enabled === false || !query.dimensions?.includes(DATE_DIMENSION)) {
+    return [];
+  }
+
+  const groupDimensions = query.dimensions.filter(dimension => dimension !== DATE_DIMENSION);
+  const series = new Map();
+  rows.forEach((row, rowIndex) => {
+    const date = parseDateValue(row[DATE_DIMENSION]);
+    if (!date) {
+      return;
+    }
+    const key = JSON.stringify(groupDimensions.map(dimension => row[dimension]));
+    if (!series.has(key)) {
+      series.set(key, []);
+    }
+    series.get(key).push({ row, rowIndex, time: date.getTime(), weekday: date.getUTCDay() });
+  });
+
+  const anomalies = [];
+  series.forEach(entries => {
+    entries.sort((a, b) => a.time - b.time);
+
+    query.metrics.forEach(metric => {
+      const threshold = getMetricThreshold(metric, cfg);
+      const points = entries
+        .filter(entry => typeof entry.row[metric] === "number" && Number.isFinite(entry.row[metric]))
+        .map(entry => ({ ...entry, value: entry.row[metric] }));
+      const scores = threshold === null ? null : scoreSeries(points, settings);
+
+      (scores || []).forEach(({ expected, score }, index) => {
+        if (Math.abs(score) < threshold) {
+          return;
+        }
+        const { row, rowIndex, value } = points[index];
+        anomalies.push({
+          rowIndex,
+          date: row[DATE_DIMENSION],
+          ...(groupDimensions.length > 0
+            ? { group: Object.fromEntries(groupDimensions.map(dimension => [dimension, row[dimension]])) }
+            : {}),
+          metric,
+          value,
+          expected: round(expected, 3),
+          score: round(score, 2),
+          direction: score > 0 ? "up" : "down",
+          threshold,
+        });
+      });
+    });
+  });
+
+  const order = metric => query.metrics.indexOf(metric);
+  return anomalies.sort((a, b) => parseDateValue(a.date) - parseDateValue(b.date) || order(a.metric) - order(b.metric));
+}
@@ -0,0 +1,263 @@
+/**
+ * Calculated metrics: arithmetic expressions over native metrics
+ *
+ * Expressions support numbers, metric names (config aliases or API names),
+ * + - * /, unary minus and parentheses. They are parsed into a small syntax
+ * tree and evaluated per row; nothing is passed to eval.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()]))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const rest = expression.slice(TOKEN_PATTERN.lastIndex);
+    if (/^\s*$/.test(rest)) {
+      break;
+    }
+
+    const position = TOKEN_PATTERN.lastIndex + rest.match(/^\s*/)[0].length;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid character in expression "${expression}" at column ${position + 1}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: "number", value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: "metric", value: match[2] });
+    } else {
+      tokens.push({ type: match[3], value: match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * expression := term (("+" | "-") term)*
+ * term       := factor (("*" | "/") factor)*
+ * factor     := number | metric | "-" factor | "(" expression ")"
+ */
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid expression "${expression}": ${message}`);
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (tokens[index]?.type === "+" || tokens[index]?.type === "-") {
+      const op = tokens[index++].type;
+      node = { op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseFactor();
+    while (tokens[index]?.type === "*" || tokens[index]?.type === "/") {
+      const op = tokens[index++].type;
+      node = { op, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  const parseFactor = () => {
+    const token = tokens[index++];
+    if (!token) {
+      fail("unexpected end of expression");
+    }
+    if (token.type === "number") {
+      return { number: token.value };
+    }
+    if (token.type === "metric") {
+      return { metric: token.value };
+    }
+    if (token.type === "-") {
+      return { op: "neg", operand: parseFactor() };
+    }
+    if (token.type === "(") {
+      const node = parseExpression();
+      if (tokens[index++]?.type !== ")") {
+        fail('missing ")"');
+      }
+      return node;
+    }
+    fail(`unexpected "${token.value}"`);
+  };
+
+  const tree = parseExpression();
+  if (index < tokens.length) {
+    fail(`unexpected "${tokens[index].value}"`);
+  }
+  return tree;
+}
+
+function collectMetrics(node, metrics = new Set()) {
+  if (node.metric) {
+    metrics.add(node.metric);
+  }
+  if (node.left) {
+    collectMetrics(node.left, metrics);
+    collectMetrics(node.right, metrics);
+  }
+  if (node.operand) {
+    collectMetrics(node.operand, metrics);
+  }
+  return metrics;
+}
+
+// Returns null when a division by zero makes the value undefined
+function evaluate(node, lookup) {
+  if (node.number !== undefined) {
+    return node.number;
+  }
+  if (node.metric) {
+    return lookup(node.metric) ?? 0;
+  }
+  if (node.op === "neg") {
+    const value = evaluate(node.operand, lookup);
+    return value === null ? null : -value;
+  }
+
+  const left = evaluate(node.left, lookup);
+  const right = evaluate(node.right, lookup);
+  if (left === null || right === null) {
+    return null;
+  }
+
+  switch (node.op) {
+    case "+":
+      return left + right;
+    case "-":
+      return left - right;
+    case "*":
+      return left * right;
+    case "/":
+      return right === 0 ? null : left / right;
+  }
+}
+
+/**
+ * Compile a calculated metric expression
+ * @param {string} expression - e.g. "pageviews / sessions"
+ * @returns {{dependencies: string[], evaluate: function(function(string): number): number|null}}
+ */
+export function compileExpression(expression) {
+  if (!expression || typeof expression !== "string") {
+    throw new Error("Calculated metric expression is required");
+  }
+
+  const tree = parse(expression);
+  return {
+    dependencies: [...collectMetrics(tree)],
+    evaluate: (lookup) => evaluate(tree, lookup),
+  };
+}
+
+/**
+ * Get the calculated metrics configured for a source
+ * @param {Object} sourceConfig - The source configuration
+ * @returns {Object} - Map of metric name to {expression, description}
+ */
+export function getCalculatedMetrics(sourceConfig) {
+  return sourceConfig?.calculatedMetrics || {};
+}
+
+export function isCalculatedMetric(metric, sourceConfig) {
+  return Object.prototype.hasOwnProperty.call(getCalculatedMetrics(sourceConfig), metric);
+}
+
+/**
+ * Validate the calculated metrics of a source configuration
+ * @param {Object} sourceConfig - The source configuration
+ * @returns {string[]} - Error messages
+ */
+export function validateCalculatedMetrics(sourceConfig) {
+  const errors = [];
+  const nativeMetrics = sourceConfig?.metrics || {};
+
+  Object.entries(getCalculatedMetrics(sourceConfig)).forEach(([name, definition]) => {
+    if (nativeMetrics[name]) {
+      errors.push(`Calculated metric ${name} conflicts with a native metric of the same name`);
+      return;
+    }
+
+    try {
+      const { dependencies } = compileExpression(definition?.expression);
+      dependencies
+        .filter(dependency => isCalculatedMetric(dependency, sourceConfig))
+        .forEach(dependency => errors.push(`Calculated metric ${name} cannot reference calculated metric ${dependency}`));
+    } catch (error) {
+      errors.push(`Calculated metric ${name}: ${error.message}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Work out which native metrics to fetch for a list of requested metrics
+ * Dependencies that resolve to an already requested API metric reuse it
+ * @param {string[]} metrics - Requested metrics, native or calculated
+ * @param {Object} sourceConfig - The source configuration
+ * @returns {{fetchMetrics: string[], calculated: Object[]}} - Native metrics to
+ *   request, and the calculated metrics with their compiled expressions
+ */
+export function planCalculatedMetrics(metrics, sourceConfig) {
+  const nativeMetrics = sourceConfig?.metrics || {};
+  const toApiName = (metric) => nativeMetrics[metric] || metric;
+
+  const fetchMetrics = metrics.filter(metric => !isCalculatedMetric(metric, sourceConfig));
+  const calculated = metrics
+    .filter(metric => isCalculatedMetric(metric, sourceConfig))
+    .map(name => {
+      const compiled = compileExpression(getCalculatedMetrics(sourceConfig)[name].expression);
+      const columns = {};
+
+      compiled.dependencies.forEach(dependency => {
+        const existing = fetchMetrics.find(metric => toApiName(metric) === toApiName(dependency));
+        if (existing) {
+          columns[dependency] = existing;
+        } else {
+          fetchMetrics.push(dependency);
+          columns[dependency] = dependency;
+        }
+      });
+
+      return { name, columns, evaluate: compiled.evaluate };
+    });
+
+  return { fetchMetrics, calculated };
+}
+
+/**
+ * Compute calculated metrics per row and drop helper columns that were
+ * only fetched as dependencies
+ * @param {Object[]} rows - Rows carrying the fetched native metrics
+ * @param {Object} plan - The result of planCalculatedMetrics
+ * @param {string[]} metrics - The metrics originally requested
+ * @returns {Object[]}
+ */
+export function applyCalculatedMetrics(rows, plan, metrics) {
+  if (plan.calculated.length === 0) {
+    return rows;
+  }
+
+  const helperColumns = plan.fetchMetrics.filter(metric => !metrics.includes(metric));
+
+  return rows.map(row => {
+    const result = { ...row };
+    plan.calculated.forEach(({ name, columns, evaluate }) => {
+      result[name] = evaluate(dependency => row[columns[dependency]]);
+    });
+    helperColumns.forEach(column => delete result[column]);
+    return result;
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * Query cancellation
+ *
+ * runQuery combines the caller's AbortSignal (Ctrl+C in the CLI, a client
+ * disconnect in the API) with the cfg.limits.maxRuntimeMs timeout and hands
+ * the resulting signal to the datasource, which aborts its in-flight request.
+ */
+
+/**
+ * Error raised when a query is cancelled or exceeds its runtime limit
+ * `reason` is "timeout" or "cancelled"
+ */
+export class QueryAbortedError extends Error {
+  constructor(message, reason = "cancelled", timeoutMs = null) {
+    super(message);
+    this.name = "QueryAbortedError";
+    this.reason = reason;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Create the signal a query runs under
+ * @param {Object} cfg - The loaded configuration; cfg.limits.maxRuntimeMs sets the timeout
+ * @param {AbortSignal} [parentSignal] - Aborts the query when the caller cancels
+ * @returns {{signal: AbortSignal, cleanup: Function}} - Call cleanup once the query settles
+ */
+export function createQuerySignal(cfg, parentSignal = null) {
+  const controller = new AbortController();
+  const timeoutMs = cfg.limits?.maxRuntimeMs || 0;
+  let timer = null;
+
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => {
+      controller.abort(new QueryAbortedError(
+        `Query exceeded the maximum runtime of ${timeoutMs}ms (limits.maxRuntimeMs)`,
+        "timeout",
+        timeoutMs,
+      ));
+    }, timeoutMs);
+  }
+
+  const onParentAbort = () => controller.abort(toAbortError(parentSignal));
+  if (parentSignal?.aborted) {
+    onParentAbort();
+  } else if (parentSignal) {
+    parentSignal.addEventListener("abort", onParentAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener("abort", onParentAbort);
+    },
+  };
+}
+
+/**
+ * The QueryAbortedError describing why a signal was aborted
+ * @param {AbortSignal} signal - An aborted signal
+ * @returns {QueryAbortedError}
+ */
+export function toAbortError(signal) {
+  if (signal?.reason instanceof QueryAbortedError) {
+    return signal.reason;
+  }
+  return new QueryAbortedError("Query cancelled");
+}
+
+/**
+ * Throw the abort error when the signal has been aborted
+ * @param {AbortSignal} [signal]
+ * @throws {QueryAbortedError}
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw toAbortError(signal);
+  }
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts
+ * @param {Promise} promise - The pending work
+ * @param {AbortSignal} [signal]
+ * @param {Function} [onAbort] - Stops the underlying work, e.g. cancels a job
+ * @returns {Promise}
+ */
+export function abortable(promise, signal, onAbort = null) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    onAbort?.();
+    return Promise.reject(toAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      onAbort?.();
+      reject(toAbortError(signal));
+    };
+    signal.addEventListener("abort", abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", abort));
+  });
+}
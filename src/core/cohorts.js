@@ -0,0 +1,198 @@
+/**
+ * Cohort retention
+ *
+ * Users are grouped into cohorts by the day, week or month of their first
+ * session, and each cohort's active users are counted for every following
+ * period through the GA4 cohortSpec. The result is a retention matrix: one
+ * row per cohort, one column per period since acquisition, with the periods
+ * that have not happened yet left empty so the matrix forms a triangle.
+ */
+
+import { runReport } from "../datasources/ga4-client.js";
+import { QueryValidationError } from "../cli/validators.js";
+import { createQuerySignal, toAbortError } from "./cancellation.js";
+import { parseDate, formatDate, addDays, addMonths, startOfWeek, startOfMonth } from "./date-ranges.js";
+
+// Keeps the triangle readable in a terminal; the most recent cohorts are kept
+const MAX_COHORTS = 12;
+
+// GA4 aligns weekly cohorts to Sunday-Saturday weeks and monthly cohorts to calendar months
+const GRANULARITIES = {
+  daily: { api: "DAILY", dimension: "cohortNthDay", label: "Day", align: date => date, next: date => addDays(date, 1) },
+  weekly: { api: "WEEKLY", dimension: "cohortNthWeek", label: "Week", align: date => startOfWeek(date, 0), next: date => addDays(date, 7) },
+  monthly: { api: "MONTHLY", dimension: "cohortNthMonth", label: "Month", align: startOfMonth, next: date => addMonths(date, 1) },
+};
+
+export const COHORT_GRANULARITIES = Object.keys(GRANULARITIES);
+
+function getGranularity(granularity) {
+  const settings = GRANULARITIES[granularity];
+  if (!settings) {
+    throw new QueryValidationError([
+      `Unknown cohort granularity "${granularity}": use ${COHORT_GRANULARITIES.join(", ")}`,
+    ]);
+  }
+  return settings;
+}
+
+/**
+ * Split a date range into aligned cohorts
+ * @param {Object} dateRange - {start, end} as YYYY-MM-DD
+ * @param {string} granularity - "daily", "weekly" or "monthly"
+ * @returns {Object[]} - {name, startDate, endDate}, oldest first, at most MAX_COHORTS
+ */
+export function buildCohorts(dateRange, granularity) {
+  const { align, next } = getGranularity(granularity);
+  const end = parseDate(dateRange.end);
+  const cohorts = [];
+
+  for (let start = align(parseDate(dateRange.start)); start <= end; start = next(start)) {
+    cohorts.push({
+      name: formatDate(start),
+      startDate: formatDate(start),
+      endDate: formatDate(addDays(next(start), -1)),
+    });
+  }
+
+  return cohorts.slice(-MAX_COHORTS);
+}
+
+/**
+ * Build the runReport request body of a cohort report
+ * Cohort reports carry their date ranges in the cohortSpec and must not set dateRanges
+ */
+export function buildCohortRequest(cohorts, granularity) {
+  const { api, dimension } = getGranularity(granularity);
+
+  return {
+    dimensions: [{ name: "cohort" }, { name: dimension }],
+    metrics: [{ name: "cohortActiveUsers" }, { name: "cohortTotalUsers" }],
+    cohortSpec: {
+      cohorts: cohorts.map(cohort => ({
+        name: cohort.name,
+        dimension: "firstSessionDate",
+        dateRange: { startDate: cohort.startDate, endDate: cohort.endDate },
+      })),
+      cohortsRange: { granularity: api, startOffset: 0, endOffset: cohorts.length - 1 },
+    },
+  };
+}
+
+function toPercent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * @typedef CohortMatrix
+ * @property {string} granularity
+ * @property {string[]} periods - Period labels, e.g. "Week 0", "Week 1"
+ * @property {Object[]} cohorts - {name, startDate, endDate, users, activeUsers: (number|null)[],
+ *   retention: (number|null)[]}; retention is a percentage of the cohort's users, null for
+ *   periods after the cutoff
+ * @property {(number|null)[]} average - Retention per period over the cohorts that reached it,
+ *   weighted by cohort size
+ */
+
+/**
+ * Lay out a cohort report as a retention matrix
+ * @param {Object} data - The runReport response
+ * @param {Object[]} cohorts - The buildCohorts result the report was run for
+ * @param {string} granularity
+ * @param {string} cutoff - Last date with data (YYYY-MM-DD); later periods are left empty
+ * @returns {CohortMatrix}
+ */
+export function buildCohortMatrix(data, cohorts, granularity, cutoff) {
+  const { label, next } = getGranularity(granularity);
+  const lastDate = parseDate(cutoff);
+  const periods = cohorts.map((_, index) => `${label} ${index}`);
+
+  const values = new Map();
+  (data.rows || []).forEach(row => {
+    const name = row.dimensionValues?.[0]?.value;
+    const period = Number(row.dimensionValues?.[1]?.value);
+    values.set(`${name}|${period}`, {
+      activeUsers: Number(row.metricValues?.[0]?.value || 0),
+      totalUsers: Number(row.metricValues?.[1]?.value || 0),
+    });
+  });
+
+  const matrix = cohorts.map(cohort => {
+    let periodStart = parseDate(cohort.startDate);
+    let users = 0;
+    const activeUsers = periods.map((_, period) => {
+      const cell = values.get(`${cohort.name}|${period}`);
+      users = Math.max(users, cell?.totalUsers || 0);
+      const reached = periodStart <= lastDate;
+      periodStart = next(periodStart);
+      return reached ? cell?.activeUsers || 0 : null;
+    });
+
+    return {
+      ...cohort,
+      users,
+      activeUsers,
+      retention: activeUsers.map(active => (active === null ? null : toPercent(active, users))),
+    };
+  });
+
+  const average = periods.map((_, period) => {
+    const reached = matrix.filter(cohort => cohort.activeUsers[period] !== null);
+    if (reached.length === 0) {
+      return null;
+    }
+    const active = reached.reduce((sum, cohort) => sum + cohort.activeUsers[period], 0);
+    const users = reached.reduce((sum, cohort) => sum + cohort.users, 0);
+    return toPercent(active, users);
+  });
+
+  return { granularity, periods, cohorts: matrix, average };
+}
+
+/**
+ * One flat row per cohort, for CSV output
+ * @param {CohortMatrix} matrix
+ * @returns {Object[]} - {cohort, users, "<period>": retention, ...}
+ */
+export function toCohortRows(matrix) {
+  return matrix.cohorts.map(cohort => {
+    const row = { cohort: cohort.name, users: cohort.users };
+    matrix.periods.forEach((period, index) => {
+      row[period] = cohort.retention[index];
+    });
+    return row;
+  });
+}
+
+/**
+ * Run a cohort retention report
+ * @param {Object} params - {dateRange: {start, end}, granularity}
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} [options] - {signal}; the report is also aborted after cfg.limits.maxRuntimeMs
+ * @returns {Promise<CohortMatrix & {dateRange: Object}>}
+ * @throws {QueryValidationError} - When the granularity is unknown
+ */
+export async function runCohortAnalysis(params, cfg, auth, propertyId, options = {}) {
+  const granularity = params.granularity || "weekly";
+  const cohorts = buildCohorts(params.dateRange, granularity);
+  const body = buildCohortRequest(cohorts, granularity);
+
+  const { signal, cleanup } = createQuerySignal(cfg, options.signal);
+  let data;
+  try {
+    data = await runReport(auth, propertyId, body, { signal });
+  } catch (error) {
+    if (signal.aborted) {
+      throw toAbortError(signal);
+    }
+    throw error;
+  } finally {
+    cleanup();
+  }
+
+  const today = formatDate(new Date());
+  const cutoff = params.dateRange.end < today ? params.dateRange.end : today;
+
+  return { dateRange: params.dateRange, ...buildCohortMatrix(data, cohorts, granularity, cutoff) };
+}
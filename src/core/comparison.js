@@ -0,0 +1,106 @@
+/**
+ * Period-over-period comparison helpers
+ * Resolves comparison date ranges and merges two-range report rows
+ */
+
+import { parseDate, formatDate, addDays, countDays, shiftRangeByYears } from "./date-ranges.js";
+
+// Names sent to GA4 for the two date ranges; GA4 echoes them back in the
+// "dateRange" dimension of every row
+export const CURRENT_RANGE_NAME = "current";
+export const COMPARISON_RANGE_NAME = "previous";
+
+export const COMPARISON_SUFFIXES = {
+  previous: "_previous",
+  delta: "_delta",
+  change: "_change_pct",
+};
+
+/**
+ * Resolve the comparison range for a date range
+ * @param {Object} dateRange - {start, end} in YYYY-MM-DD format
+ * @param {string} compareTo - "previous_period" | "previous_year" | "custom" | "none"
+ * @param {string} [customStart] - Start date when compareTo is "custom"
+ * @param {string} [customEnd] - End date when compareTo is "custom"
+ * @returns {Object|null} - {start, end} or null when no comparison is requested
+ */
+export function getComparisonDateRange(dateRange, compareTo, customStart, customEnd) {
+  if (!compareTo || compareTo === "none") {
+    return null;
+  }
+
+  switch (compareTo) {
+    case "previous_period": {
+      const days = countDays(parseDate(dateRange.start), parseDate(dateRange.end));
+      const previousEnd = addDays(parseDate(dateRange.start), -1);
+      return { start: formatDate(addDays(previousEnd, -(days - 1))), end: formatDate(previousEnd) };
+    }
+
+    case "previous_year":
+      return shiftRangeByYears(dateRange, -1);
+
+    case "custom":
+      return { start: customStart, end: customEnd };
+
+    default:
+      throw new Error(`Unknown comparison type: ${compareTo}`);
+  }
+}
+
+/**
+ * Merge rows tagged with a dateRange name into one row per dimension
+ * combination with previous-value, absolute-delta and percent-change columns
+ * @param {Object[]} rows - Rows carrying a `dateRange` field
+ * @param {string[]} dimensions - Dimension columns identifying a row
+ * @param {string[]} metrics - Metric columns to compare
+ * @param {Object} [options] - {completeOnly}: drop combinations missing one of
+ *   the ranges instead of comparing against 0, for truncated reports where the
+ *   missing row was cut off by the row limit
+ * @returns {Object[]} - Merged rows in first-seen order
+ */
+export function mergeComparisonRows(rows, dimensions, metrics, options = {}) {
+  const merged = new Map();
+
+  rows.forEach(row => {
+    const { dateRange, ...values } = row;
+    const key = JSON.stringify(dimensions.map(dimension => values[dimension]));
+
+    if (!merged.has(key)) {
+      const base = {};
+      Object.keys(values).forEach(column => {
+        if (!metrics.includes(column)) {
+          base[column] = values[column];
+        }
+      });
+      merged.set(key, { base, current: {}, previous: {} });
+    }
+
+    const entry = merged.get(key);
+    const isPrevious = dateRange === COMPARISON_RANGE_NAME;
+    const bucket = isPrevious ? entry.previous : entry.current;
+    entry[isPrevious ? "hasPrevious" : "hasCurrent"] = true;
+    metrics.forEach(metric => {
+      bucket[metric] = values[metric] ?? 0;
+    });
+  });
+
+  let entries = [...merged.values()];
+  if (options.completeOnly) {
+    entries = entries.filter(entry => entry.hasCurrent && entry.hasPrevious);
+  }
+
+  return entries.map(({ base, current, previous }) => {
+    const result = { ...base };
+    metrics.forEach(metric => {
+      const currentValue = current[metric] ?? 0;
+      const previousValue = previous[metric] ?? 0;
+      result[metric] = currentValue;
+      result[`${metric}${COMPARISON_SUFFIXES.previous}`] = previousValue;
+      result[`${metric}${COMPARISON_SUFFIXES.delta}`] = currentValue - previousValue;
+      result[`${metric}${COMPARISON_SUFFIXES.change}`] = previousValue === 0
+        ? null
+        : ((currentValue - previousValue) / previousValue) * 100;
+    });
+    return result;
+  });
+}
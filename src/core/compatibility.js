@@ -0,0 +1,80 @@
+/**
+ * Pre-flight field checks for analytics queries
+ *
+ * Before a report is requested, the query's fields are checked against the
+ * property's cached metadata (unknown names, with suggestions) and the GA4
+ * checkCompatibility endpoint (fields that cannot be combined, such as
+ * item-scoped dimensions with session-scoped metrics).
+ */
+
+import { findUnknownFields } from "../cli/validators.js";
+import { fetchIncompatibleFields } from "../datasources/analytics.js";
+import { planCalculatedMetrics } from "./calculated-metrics.js";
+import { loadAnalyticsSchema } from "./metadata.js";
+
+/**
+ * Check the fields of a normalized analytics query
+ * An unavailable metadata or compatibility endpoint never blocks the query
+ * @param {Object} query - The normalized query
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property the query runs against
+ * @returns {Promise<Object[]>} - Offending fields as {field, kind, reason, suggestion?, message};
+ *   reason is "unknown", "wrong-kind" or "incompatible"
+ */
+export async function checkAnalyticsFields(query, cfg, auth, propertyId) {
+  const schema = await loadAnalyticsSchema(cfg, auth, propertyId);
+  if (schema.origin === "metadata") {
+    const unknown = findUnknownFields(query, schema);
+    if (unknown.length > 0) {
+      return unknown;
+    }
+  }
+
+  const sourceConfig = cfg.sources.analytics || {};
+  const metricMap = sourceConfig.metrics || {};
+  const dimensionMap = sourceConfig.dimensions || {};
+  const toMetricApiName = (metric) => metricMap[metric] || metric;
+  const toDimensionApiName = (dimension) => dimensionMap[dimension] || dimension;
+
+  // Calculated metrics are checked through the native metrics they use
+  const plan = planCalculatedMetrics(query.metrics, sourceConfig);
+
+  let incompatible;
+  try {
+    incompatible = await fetchIncompatibleFields(propertyId, auth, {
+      dimensions: [...new Set(query.dimensions.map(toDimensionApiName))],
+      metrics: [...new Set(plan.fetchMetrics.map(toMetricApiName))],
+    });
+  } catch (error) {
+    console.log(`Warning: Could not check field compatibility: ${error.message}`);
+    return [];
+  }
+
+  const isIncompatibleMetric = (metric) => incompatible.metrics.includes(toMetricApiName(metric));
+
+  const dimensionErrors = query.dimensions
+    .filter(dimension => incompatible.dimensions.includes(toDimensionApiName(dimension)))
+    .map(field => ({
+      field,
+      kind: "dimension",
+      reason: "incompatible",
+      message: `Dimension ${field} is incompatible with the other selected fields`,
+    }));
+
+  const metricErrors = query.metrics
+    .filter(metric => {
+      const calculated = plan.calculated.find(entry => entry.name === metric);
+      return calculated
+        ? Object.values(calculated.columns).some(isIncompatibleMetric)
+        : isIncompatibleMetric(metric);
+    })
+    .map(field => ({
+      field,
+      kind: "metric",
+      reason: "incompatible",
+      message: `Metric ${field} is incompatible with the other selected fields`,
+    }));
+
+  return [...dimensionErrors, ...metricErrors];
+}
@@ -0,0 +1,130 @@
+/**
+ * Data quality metadata
+ *
+ * GA4 reports say when their numbers are approximate: sampled over part of
+ * the events, subject to thresholding that withholds rows with few users, or
+ * with rows grouped into "(other)". Each query result carries this in
+ * metadata.dataQuality, along with the currency and time zone the values are
+ * reported in, so the CLI and the API can flag approximate numbers.
+ */
+
+/**
+ * @typedef DataQuality
+ * @property {boolean} sampled - Whether any date range was sampled
+ * @property {number|null} samplingRate - Lowest share of the data read, as a percentage
+ * @property {Object[]} samplingMetadatas - {samplesReadCount, samplingSpaceSize} per date range
+ * @property {boolean} thresholded - Whether rows may be withheld by thresholding
+ * @property {boolean} otherRow - Whether rows were grouped into "(other)"
+ * @property {string|null} currencyCode
+ * @property {string|null} timeZone
+ * @property {string[]} warnings - Human-readable warnings for the flags above
+ */
+
+/**
+ * Data quality of a source that reports none: exact, with no currency or time zone
+ * @returns {DataQuality}
+ */
+export function createDataQuality() {
+  return {
+    sampled: false,
+    samplingRate: null,
+    samplingMetadatas: [],
+    thresholded: false,
+    otherRow: false,
+    currencyCode: null,
+    timeZone: null,
+    warnings: [],
+  };
+}
+
+function getSamplingRate(samplingMetadatas) {
+  const rates = samplingMetadatas
+    .filter(sampling => Number(sampling.samplingSpaceSize) > 0)
+    .map(sampling => (Number(sampling.samplesReadCount) / Number(sampling.samplingSpaceSize)) * 100);
+  return rates.length > 0 ? Math.round(Math.min(...rates) * 10) / 10 : null;
+}
+
+/**
+ * Warnings for the approximate-data flags of a data quality block
+ * @param {DataQuality} dataQuality
+ * @returns {string[]}
+ */
+export function getDataQualityWarnings(dataQuality) {
+  const warnings = [];
+  if (dataQuality.sampled) {
+    warnings.push(dataQuality.samplingRate !== null
+      ? `Sampled data: based on ${dataQuality.samplingRate}% of the events`
+      : "Sampled data: based on part of the events");
+  }
+  if (dataQuality.thresholded) {
+    warnings.push("Thresholding applied: rows with few users may be withheld");
+  }
+  if (dataQuality.otherRow) {
+    warnings.push("High cardinality: some rows were grouped into \"(other)\"");
+  }
+  return warnings;
+}
+
+/**
+ * Build the data quality block of GA4 response metadata
+ * @param {Object[]} responseMetadatas - The `metadata` of each response page
+ * @returns {DataQuality}
+ */
+export function extractDataQuality(responseMetadatas) {
+  const metadatas = responseMetadatas.filter(Boolean);
+  const samplingMetadatas = metadatas[0]?.samplingMetadatas || [];
+
+  const dataQuality = {
+    ...createDataQuality(),
+    sampled: samplingMetadatas.length > 0,
+    samplingRate: getSamplingRate(samplingMetadatas),
+    samplingMetadatas,
+    thresholded: metadatas.some(metadata => metadata.subjectToThresholding === true),
+    otherRow: metadatas.some(metadata => metadata.dataLossFromOtherRow === true),
+    currencyCode: metadatas[0]?.currencyCode || null,
+    timeZone: metadatas[0]?.timeZone || null,
+  };
+  dataQuality.warnings = getDataQualityWarnings(dataQuality);
+  return dataQuality;
+}
+
+/**
+ * Fill in a data quality block reported by a datasource; missing flags are
+ * false and the warnings follow the flags
+ * @param {Object} [dataQuality] - A partial block, or nothing for exact data
+ * @returns {DataQuality}
+ */
+export function normalizeDataQuality(dataQuality) {
+  const normalized = { ...createDataQuality(), ...dataQuality };
+  normalized.warnings = getDataQualityWarnings(normalized);
+  return normalized;
+}
+
+/**
+ * Combine the data quality of several results, e.g. one per property
+ * Flags are set when any result sets them; the sampling rate is the lowest,
+ * and currency and time zone are kept only when every result agrees
+ * @param {DataQuality[]} dataQualities
+ * @returns {DataQuality}
+ */
+export function mergeDataQuality(dataQualities) {
+  const all = dataQualities.filter(Boolean);
+  const common = key => {
+    const values = new Set(all.map(dataQuality => dataQuality[key]));
+    return values.size === 1 ? [...values][0] : null;
+  };
+  const rates = all.map(dataQuality => dataQuality.samplingRate).filter(rate => rate !== null);
+
+  const merged = {
+    ...createDataQuality(),
+    sampled: all.some(dataQuality => dataQuality.sampled),
+    samplingRate: rates.length > 0 ? Math.min(...rates) : null,
+    samplingMetadatas: all.flatMap(dataQuality => dataQuality.samplingMetadatas),
+    thresholded: all.some(dataQuality => dataQuality.thresholded),
+    otherRow: all.some(dataQuality => dataQuality.otherRow),
+    currencyCode: common("currencyCode"),
+    timeZone: common("timeZone"),
+  };
+  merged.warnings = getDataQualityWarnings(merged);
+  return merged;
+}
@@ -0,0 +1,293 @@
+/**
+ * Date range resolver shared by the CLI prompts, the API routes and the
+ * session flow analysis
+ *
+ * A date range type is either a named range ("today", "last_month", ...),
+ * a parameterized range ("last_14_days", "last_3_months"), a relative or
+ * absolute expression ("-30d..-1d", "2024-01-01..-1d"), or any of those
+ * prefixed with "same_period_last_year:" to shift it back one year.
+ * All dates are calendar days in UTC, formatted as YYYY-MM-DD.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAME_PERIOD_LAST_YEAR = "same_period_last_year";
+
+/**
+ * Named ranges offered in the CLI date range list
+ */
+export const DATE_RANGE_CHOICES = [
+  { name: "Today", value: "today" },
+  { name: "Yesterday", value: "yesterday" },
+  { name: "Last 7 days", value: "last7" },
+  { name: "Last 28 days", value: "last28" },
+  { name: "Last 90 days", value: "last90" },
+  { name: "This week", value: "this_week" },
+  { name: "Last week", value: "last_week" },
+  { name: "Month to date", value: "month_to_date" },
+  { name: "Last month", value: "last_month" },
+  { name: "Quarter to date", value: "quarter_to_date" },
+  { name: "Last quarter", value: "last_quarter" },
+  { name: "Year to date", value: "year_to_date" },
+];
+
+export function parseDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Add calendar months, clamping the day to the target month's length
+ */
+export function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+export function addYears(date, years) {
+  return addMonths(date, years * 12);
+}
+
+/**
+ * Number of calendar days in a range, both ends inclusive
+ */
+export function countDays(start, end) {
+  return Math.round((end - start) / DAY_MS) + 1;
+}
+
+function startOfToday(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * First day of the week containing date; weekStartsOn is 0 for Sunday
+ */
+export function startOfWeek(date, weekStartsOn) {
+  const offset = (date.getUTCDay() - weekStartsOn + 7) % 7;
+  return addDays(date, -offset);
+}
+
+export function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function startOfQuarter(date) {
+  const month = Math.floor(date.getUTCMonth() / 3) * 3;
+  return new Date(Date.UTC(date.getUTCFullYear(), month, 1));
+}
+
+function range(start, end) {
+  return { start: formatDate(start), end: formatDate(end) };
+}
+
+/**
+ * Resolve one end of a relative expression such as "-30d", "0", "today"
+ * or an absolute YYYY-MM-DD date
+ */
+function resolveEndpoint(token, today) {
+  const value = token.trim();
+
+  if (value === "today" || value === "0") {
+    return today;
+  }
+  if (value === "yesterday") {
+    return addDays(today, -1);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return parseDate(value);
+  }
+
+  const match = value.match(/^([+-]?\d+)([dwmy])$/);
+  if (!match) {
+    throw new Error(`Invalid date expression "${value}". Use offsets like -30d, -4w, -3m, -1y, "today" or YYYY-MM-DD`);
+  }
+
+  const amount = parseInt(match[1], 10);
+  switch (match[2]) {
+    case "d":
+      return addDays(today, amount);
+    case "w":
+      return addDays(today, amount * 7);
+    case "m":
+      return addMonths(today, amount);
+    case "y":
+      return addYears(today, amount);
+  }
+}
+
+function resolveNamedRange(type, today, weekStartsOn) {
+  switch (type) {
+    case "today":
+      return range(today, today);
+
+    case "yesterday": {
+      const yesterday = addDays(today, -1);
+      return range(yesterday, yesterday);
+    }
+
+    // Legacy ranges keep their original meaning: N days ago through today
+    case "last7":
+    case "last28":
+    case "last90": {
+      const days = parseInt(type.slice(4), 10);
+      return range(addDays(today, -days), today);
+    }
+
+    case "this_week":
+      return range(startOfWeek(today, weekStartsOn), today);
+
+    case "last_week": {
+      const start = addDays(startOfWeek(today, weekStartsOn), -7);
+      return range(start, addDays(start, 6));
+    }
+
+    case "month_to_date":
+      return range(startOfMonth(today), today);
+
+    case "last_month": {
+      const start = addMonths(startOfMonth(today), -1);
+      return range(start, addDays(startOfMonth(today), -1));
+    }
+
+    case "quarter_to_date":
+      return range(startOfQuarter(today), today);
+
+    case "last_quarter": {
+      const start = addMonths(startOfQuarter(today), -3);
+      return range(start, addDays(startOfQuarter(today), -1));
+    }
+
+    case "year_to_date":
+      return range(new Date(Date.UTC(today.getUTCFullYear(), 0, 1)), today);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * "last_N_days" ends yesterday; "last_N_weeks" and "last_N_months" cover
+ * the N complete weeks or months before the current one
+ */
+function resolveLastN(type, today, weekStartsOn) {
+  const match = type.match(/^last_(\d+)_(days|weeks|months)$/);
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseInt(match[1], 10);
+  if (amount < 1) {
+    throw new Error(`Invalid date range "${type}": N must be at least 1`);
+  }
+
+  switch (match[2]) {
+    case "days":
+      return range(addDays(today, -amount), addDays(today, -1));
+    case "weeks": {
+      const weekStart = startOfWeek(today, weekStartsOn);
+      return range(addDays(weekStart, -7 * amount), addDays(weekStart, -1));
+    }
+    case "months": {
+      const monthStart = startOfMonth(today);
+      return range(addMonths(monthStart, -amount), addDays(monthStart, -1));
+    }
+  }
+}
+
+function resolveExpression(type, today) {
+  if (!type.includes("..")) {
+    return null;
+  }
+
+  const [startToken, endToken] = type.split("..");
+  return range(resolveEndpoint(startToken, today), resolveEndpoint(endToken, today));
+}
+
+/**
+ * Resolve a date range type or expression to a {start, end} range
+ * @param {string} type - Named range, "last_N_<unit>", expression, or "custom"
+ * @param {Object} [options]
+ * @param {string} [options.customStart] - Start date when type is "custom"
+ * @param {string} [options.customEnd] - End date when type is "custom"
+ * @param {number} [options.weekStartsOn] - 0 (Sunday) through 6 (Saturday)
+ * @param {Date} [options.now] - Reference time, defaults to the current time
+ * @returns {{start: string, end: string}}
+ */
+export function resolveDateRange(type, options = {}) {
+  const { customStart, customEnd, weekStartsOn = 0, now = new Date() } = options;
+
+  if (!type) {
+    throw new Error("Date range type is required");
+  }
+
+  if (type === "custom") {
+    return { start: customStart, end: customEnd };
+  }
+
+  if (type.startsWith(`${SAME_PERIOD_LAST_YEAR}:`)) {
+    const base = resolveDateRange(type.slice(SAME_PERIOD_LAST_YEAR.length + 1), options);
+    return shiftRangeByYears(base, -1);
+  }
+
+  const today = startOfToday(now);
+  const resolved = resolveNamedRange(type, today, weekStartsOn)
+    || resolveLastN(type, today, weekStartsOn)
+    || resolveExpression(type, today);
+
+  if (!resolved) {
+    throw new Error(`Unknown date range type: ${type}`);
+  }
+
+  if (resolved.start > resolved.end) {
+    throw new Error(`Date range "${type}" starts after it ends (${resolved.start} > ${resolved.end})`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Shift a {start, end} range by whole years
+ */
+export function shiftRangeByYears(dateRange, years) {
+  return range(addYears(parseDate(dateRange.start), years), addYears(parseDate(dateRange.end), years));
+}
+
+/**
+ * Build the date range type string from CLI answers or an API request body
+ * The "last_n", "same_period_last_year" and "expression" prompt choices
+ * carry their parameters in companion answers
+ */
+export function getDateRangeType(answers) {
+  switch (answers.dateRangeType) {
+    case "last_n":
+      return `last_${answers.lastN}_${answers.lastNUnit || "days"}`;
+    case SAME_PERIOD_LAST_YEAR:
+      return `${SAME_PERIOD_LAST_YEAR}:${answers.samePeriodBase || "last28"}`;
+    case "expression":
+      return answers.dateRangeExpression;
+    default:
+      return answers.dateRangeType;
+  }
+}
+
+/**
+ * Resolve the date range described by CLI answers or an API request body
+ * @param {Object} answers - {dateRangeType, customStartDate, customEndDate, ...}
+ * @param {Object} [cfg] - The loaded configuration (for dateRanges.weekStartsOn)
+ * @returns {{start: string, end: string}}
+ */
+export function resolveDateRangeFromAnswers(answers, cfg = {}) {
+  return resolveDateRange(getDateRangeType(answers), {
+    customStart: answers.customStartDate,
+    customEnd: answers.customEndDate,
+    weekStartsOn: cfg.dateRanges?.weekStartsOn ?? 0,
+  });
+}
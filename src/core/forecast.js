@@ -0,0 +1,300 @@
+/**
+ * Forecasts of date series
+ *
+ * Queries with a `date` dimension can be projected a number of days past
+ * their last day. Each metric is fitted locally with additive Holt-Winters
+ * exponential smoothing (level, trend and a weekly season); series shorter
+ * than two weeks fall back to Holt's linear trend. The smoothing parameters
+ * are picked by grid search on the one-step-ahead errors, which also give
+ * the confidence bounds. Series split by other dimensions (e.g. date and
+ * country) are projected per value combination.
+ */
+
+import { parseDateValue } from "./anomalies.js";
+
+const DATE_DIMENSION = "date";
+const SEASON_LENGTH = 7;
+const MIN_POINTS = 4;
+const DEFAULT_MAX_DAYS = 90;
+const DEFAULT_CONFIDENCE = 0.95;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two-sided normal quantiles of the supported confidence levels
+const Z_SCORES = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758,
+};
+
+const LEVEL_GRID = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.8];
+const TREND_GRID = [0.01, 0.05, 0.1, 0.2, 0.3];
+const SEASON_GRID = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.8];
+
+/**
+ * @typedef ForecastSeries
+ * @property {Object} [group] - Values of the other dimensions of the series
+ * @property {string} metric
+ * @property {string|null} method - "holt-winters", "holt", or null when the series is too short
+ * @property {number} points - Days of history the model was fitted on
+ * @property {Object} [parameters] - {alpha, beta, gamma} smoothing parameters
+ * @property {number} [rmse] - Root mean squared one-step-ahead error
+ * @property {Object} [end] - {date, value, lower, upper} on the last projected day
+ */
+
+/**
+ * @typedef Forecast
+ * @property {number} days - Days projected past the last day of each series
+ * @property {number} confidence - Coverage of the bounds, e.g. 0.95
+ * @property {string[]} metrics
+ * @property {Object[]} rows - Projected rows: dimensions, metric values, <metric>_lower and
+ *   <metric>_upper bounds, and rowType "forecast"
+ * @property {ForecastSeries[]} series
+ */
+
+export function getForecastConfig(cfg) {
+  return cfg.forecast || {};
+}
+
+/**
+ * Check the forecast settings
+ * @returns {string[]} - Error messages
+ */
+export function validateForecastConfig(cfg) {
+  const settings = getForecastConfig(cfg);
+  const errors = [];
+
+  if (settings.maxDays !== undefined && !(Number.isInteger(settings.maxDays) && settings.maxDays >= 1)) {
+    errors.push("forecast.maxDays must be a whole number of at least 1");
+  }
+  if (settings.confidence !== undefined && !Z_SCORES[settings.confidence]) {
+    errors.push(`forecast.confidence must be one of ${Object.keys(Z_SCORES).join(", ")}`);
+  }
+  return errors;
+}
+
+/**
+ * Check a forecast request against the query it projects
+ * @param {*} days - The requested number of days
+ * @param {Object} query - {dimensions, pivots?}
+ * @param {Object} cfg - The loaded configuration
+ * @returns {string[]} - Error messages
+ */
+export function validateForecast(days, query, cfg) {
+  const maxDays = getForecastConfig(cfg).maxDays || DEFAULT_MAX_DAYS;
+  const errors = [];
+
+  if (!Number.isInteger(Number(days)) || Number(days) < 1 || Number(days) > maxDays) {
+    errors.push(`forecastDays must be a whole number between 1 and ${maxDays}`);
+  }
+  if (query.pivots) {
+    errors.push("Pivot reports cannot be forecast");
+  } else if (!query.dimensions?.includes(DATE_DIMENSION)) {
+    errors.push("Forecasts need the date dimension");
+  }
+  return errors;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Run the smoothing equations over the series; season 0 leaves the seasonal part out
+function smooth(values, { alpha, beta, gamma }, season) {
+  let level;
+  let trend;
+  let start;
+  const seasonals = [];
+
+  if (season) {
+    level = mean(values.slice(0, season));
+    trend = (mean(values.slice(season, season * 2)) - level) / season;
+    values.slice(0, season).forEach(value => seasonals.push(value - level));
+    start = season;
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+    start = 1;
+  }
+
+  let squaredErrors = 0;
+  for (let index = start; index < values.length; index++) {
+    const seasonal = season ? seasonals[index - season] : 0;
+    const error = values[index] - (level + trend + seasonal);
+    squaredErrors += error * error;
+
+    const nextLevel = alpha * (values[index] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (nextLevel - level) + (1 - beta) * trend;
+    if (season) {
+      seasonals[index] = gamma * (values[index] - nextLevel) + (1 - gamma) * seasonal;
+    }
+    level = nextLevel;
+  }
+
+  return { level, trend, seasonals, mse: squaredErrors / (values.length - start) };
+}
+
+/**
+ * Fit a series and project it
+ * Bounds follow the prediction variance of additive Holt-Winters: the
+ * one-step error variance times 1 + Σ c_j² over the earlier steps j, where
+ * c_j = alpha * (1 + j * beta), plus gamma * (1 - alpha) when j is a whole
+ * number of seasons
+ * @param {number[]} values - Values in date order, one per day
+ * @param {number} days - Days to project
+ * @param {number} [confidence] - Coverage of the bounds
+ * @returns {Object|null} - {method, parameters, rmse, points: [{value, lower, upper}]}, or null
+ *   when there are fewer than 4 values
+ */
+export function forecastSeries(values, days, confidence = DEFAULT_CONFIDENCE) {
+  if (values.length < MIN_POINTS) {
+    return null;
+  }
+
+  const season = values.length >= SEASON_LENGTH * 2 ? SEASON_LENGTH : 0;
+  let best = null;
+  LEVEL_GRID.forEach(alpha => {
+    TREND_GRID.forEach(beta => {
+      (season ? SEASON_GRID : [0]).forEach(gamma => {
+        const fit = smooth(values, { alpha, beta, gamma }, season);
+        if (!best || fit.mse < best.fit.mse) {
+          best = { fit, parameters: { alpha, beta, gamma } };
+        }
+      });
+    });
+  });
+
+  const { fit, parameters } = best;
+  const { alpha, beta, gamma } = parameters;
+  const z = Z_SCORES[confidence] || Z_SCORES[DEFAULT_CONFIDENCE];
+  // Counts are never negative; keep projections of non-negative series at 0 or above
+  const floor = values.every(value => value >= 0) ? 0 : -Infinity;
+
+  let variance = 1;
+  const points = [];
+  for (let step = 1; step <= days; step++) {
+    if (step > 1) {
+      const lag = step - 1;
+      const weight = alpha * (1 + lag * beta) + (season && lag % season === 0 ? gamma * (1 - alpha) : 0);
+      variance += weight * weight;
+    }
+    const seasonal = season ? fit.seasonals[values.length - season + ((step - 1) % season)] : 0;
+    const value = fit.level + step * fit.trend + seasonal;
+    const margin = z * Math.sqrt(fit.mse * variance);
+    points.push({
+      value: Math.max(floor, value),
+      lower: Math.max(floor, value - margin),
+      upper: Math.max(floor, value + margin),
+    });
+  }
+
+  return {
+    method: season ? "holt-winters" : "holt",
+    parameters: season ? parameters : { alpha, beta },
+    rmse: Math.sqrt(fit.mse),
+    points,
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Format a projected day like the series' own date values
+function formatDate(time, sample) {
+  const iso = new Date(time).toISOString().slice(0, 10);
+  return String(sample).includes("-") ? iso : iso.replace(/-/g, "");
+}
+
+/**
+ * Project the date series in the rows of a query
+ * @param {Object[]} rows - Result rows keyed by dimension and metric name
+ * @param {Object} query - {dimensions, metrics}
+ * @param {number} days - Days to project past the last day of each series
+ * @param {Object} cfg - The loaded configuration; cfg.forecast holds the settings
+ * @returns {Forecast}
+ */
+export function buildForecast(rows, query, days, cfg) {
+  const confidence = getForecastConfig(cfg).confidence || DEFAULT_CONFIDENCE;
+  const groupDimensions = query.dimensions.filter(dimension => dimension !== DATE_DIMENSION);
+
+  const series = new Map();
+  rows.forEach(row => {
+    const date = parseDateValue(row[DATE_DIMENSION]);
+    if (!date) {
+      return;
+    }
+    const key = JSON.stringify(groupDimensions.map(dimension => row[dimension]));
+    if (!series.has(key)) {
+      series.set(key, []);
+    }
+    series.get(key).push({ row, time: date.getTime() });
+  });
+
+  const projectedRows = [];
+  const summaries = [];
+  series.forEach(entries => {
+    entries.sort((a, b) => a.time - b.time);
+    const last = entries[entries.length - 1];
+    const group = Object.fromEntries(groupDimensions.map(dimension => [dimension, last.row[dimension]]));
+    const dates = Array.from({ length: days }, (_, index) => formatDate(last.time + (index + 1) * DAY_MS, last.row[DATE_DIMENSION]));
+
+    const projections = query.metrics.map(metric => {
+      const values = entries
+        .map(entry => entry.row[metric])
+        .filter(value => typeof value === "number" && Number.isFinite(value));
+      const projection = forecastSeries(values, days, confidence);
+
+      const end = projection?.points[days - 1];
+      summaries.push({
+        ...(groupDimensions.length > 0 ? { group } : {}),
+        metric,
+        method: projection?.method || null,
+        points: values.length,
+        ...(projection
+          ? {
+            parameters: projection.parameters,
+            rmse: round(projection.rmse, 3),
+            end: { date: dates[days - 1], value: round(end.value, 3), lower: round(end.lower, 3), upper: round(end.upper, 3) },
+          }
+          : {}),
+      });
+      return projection;
+    });
+
+    if (projections.every(projection => !projection)) {
+      return;
+    }
+    dates.forEach((date, index) => {
+      const row = Object.fromEntries(query.dimensions.map(dimension => [dimension, dimension === DATE_DIMENSION ? date : group[dimension]]));
+      query.metrics.forEach((metric, metricIndex) => {
+        row[metric] = projections[metricIndex] ? round(projections[metricIndex].points[index].value, 3) : null;
+      });
+      query.metrics.forEach((metric, metricIndex) => {
+        const point = projections[metricIndex]?.points[index];
+        row[`${metric}_lower`] = point ? round(point.lower, 3) : null;
+        row[`${metric}_upper`] = point ? round(point.upper, 3) : null;
+      });
+      row.rowType = "forecast";
+      projectedRows.push(row);
+    });
+  });
+
+  return { days, confidence, metrics: query.metrics, rows: projectedRows, series: summaries };
+}
+
+/**
+ * The result rows followed by the projected rows, all with the same columns:
+ * result rows get rowType "actual" and empty bounds
+ * @param {Object[]} rows - Result rows
+ * @param {Forecast|null} forecast
+ * @returns {Object[]} - rows unchanged when there is no forecast
+ */
+export function withForecastRows(rows, forecast) {
+  if (!forecast) {
+    return rows;
+  }
+  const bounds = Object.fromEntries(forecast.metrics.flatMap(metric => [[`${metric}_lower`, null], [`${metric}_upper`, null]]));
+  return [...rows.map(row => ({ ...row, ...bounds, rowType: "actual" })), ...forecast.rows];
+}
@@ -0,0 +1,334 @@
+/**
+ * Funnels
+ *
+ * A funnel is a named sequence of steps, each matching a page path, an event
+ * or an event with a parameter value. Funnels are defined in
+ * cfg.sources.analytics.funnels or sent inline through the API, and run with
+ * the GA4 runFunnelReport endpoint. Open funnels let users enter at any
+ * step; closed funnels only count users who completed the first step.
+ */
+
+import { runFunnelReport } from "../datasources/ga4-client.js";
+import { QueryValidationError } from "../cli/validators.js";
+import { createQuerySignal, toAbortError } from "./cancellation.js";
+
+// GA4 sets the breakdown value of the all-users rows to this value
+const TOTAL_VALUE = "RESERVED_TOTAL";
+const PATH_FIELD = "pagePath";
+const DEFAULT_BREAKDOWN_LIMIT = 5;
+const MAX_BREAKDOWN_LIMIT = 15;
+
+const MATCH_TYPES = {
+  exact: "EXACT",
+  beginsWith: "BEGINS_WITH",
+  endsWith: "ENDS_WITH",
+  contains: "CONTAINS",
+  regex: "FULL_REGEXP",
+};
+
+/**
+ * @typedef FunnelStep
+ * @property {string} name
+ * @property {string} [path] - Page path the step matches
+ * @property {string} [event] - Event name the step matches
+ * @property {Object} [parameter] - {name, value, match?}; narrows an event step to events
+ *   whose parameter matches
+ * @property {string} [match] - How path is matched: exact, beginsWith (default), endsWith,
+ *   contains or regex
+ */
+
+/**
+ * @typedef Funnel
+ * @property {string} id
+ * @property {string} label
+ * @property {boolean} open - Whether users may enter at any step
+ * @property {FunnelStep[]} steps
+ * @property {string} [breakdown] - Dimension the funnel is broken down by
+ */
+
+/**
+ * The funnels configured in cfg.sources.analytics.funnels
+ * @returns {Funnel[]}
+ */
+export function getFunnels(cfg) {
+  return cfg.sources.analytics?.funnels || [];
+}
+
+/**
+ * Fill in funnel defaults
+ * @param {Object} funnel - A funnel definition from the config or the API
+ * @returns {Funnel}
+ */
+export function normalizeFunnel(funnel) {
+  return {
+    ...funnel,
+    id: funnel.id || "custom",
+    label: funnel.label || funnel.id || "Custom funnel",
+    open: funnel.open === true,
+    // Anything but a list of steps is left for validateFunnel to reject
+    steps: Array.isArray(funnel.steps)
+      ? funnel.steps.map((step, index) => ({
+        ...step,
+        name: step?.name || `Step ${index + 1}`,
+      }))
+      : funnel.steps ?? [],
+  };
+}
+
+function isValidRegex(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateMatch(value, match, label, errors) {
+  if (match !== undefined && !MATCH_TYPES[match]) {
+    errors.push(`${label} has an unknown match type "${match}" (use ${Object.keys(MATCH_TYPES).join(", ")})`);
+  } else if (match === "regex" && !isValidRegex(value)) {
+    errors.push(`${label} has an invalid regular expression: ${value}`);
+  }
+}
+
+/**
+ * Validate a funnel definition
+ * @param {Funnel} funnel - A normalizeFunnel result
+ * @returns {string[]} - Error messages
+ */
+export function validateFunnel(funnel) {
+  const errors = [];
+
+  if (!Array.isArray(funnel.steps)) {
+    return ["A funnel's steps must be a list"];
+  }
+  if (funnel.steps.length < 2) {
+    errors.push("A funnel needs at least two steps");
+  }
+
+  funnel.steps.forEach((step, index) => {
+    const label = `Step ${index + 1} (${step.name})`;
+
+    if (Boolean(step.path) === Boolean(step.event)) {
+      errors.push(`${label} must match either a path or an event`);
+    }
+    if (step.path) {
+      validateMatch(step.path, step.match, label, errors);
+    }
+    if (step.parameter) {
+      if (!step.event) {
+        errors.push(`${label} has a parameter condition but no event`);
+      }
+      if (!step.parameter.name || step.parameter.value === undefined) {
+        errors.push(`${label} parameter condition needs a name and a value`);
+      } else {
+        validateMatch(String(step.parameter.value), step.parameter.match, `${label} parameter`, errors);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function stringFilter(value, match, defaultMatch) {
+  return { matchType: MATCH_TYPES[match || defaultMatch], value: String(value) };
+}
+
+function buildStepFilter(step) {
+  if (step.path) {
+    return { funnelFieldFilter: { fieldName: PATH_FIELD, stringFilter: stringFilter(step.path, step.match, "beginsWith") } };
+  }
+
+  const eventFilter = { eventName: step.event };
+  if (step.parameter) {
+    eventFilter.funnelParameterFilterExpression = {
+      funnelParameterFilter: {
+        eventParameterName: step.parameter.name,
+        stringFilter: stringFilter(step.parameter.value, step.parameter.match, "exact"),
+      },
+    };
+  }
+  return { funnelEventFilter: eventFilter };
+}
+
+/**
+ * Build the runFunnelReport request body
+ * @param {Funnel} funnel
+ * @param {Object} dateRange - {start, end}
+ * @param {Object} [breakdown] - {dimension, limit}; dimension is the GA4 name
+ */
+export function buildFunnelRequest(funnel, dateRange, breakdown = null) {
+  const body = {
+    dateRanges: [{ startDate: dateRange.start, endDate: dateRange.end }],
+    funnel: {
+      isOpenFunnel: funnel.open,
+      steps: funnel.steps.map(step => ({ name: step.name, filterExpression: buildStepFilter(step) })),
+    },
+  };
+
+  if (breakdown?.dimension) {
+    body.funnelBreakdown = {
+      breakdownDimension: { name: breakdown.dimension },
+      limit: String(breakdown.limit || DEFAULT_BREAKDOWN_LIMIT),
+    };
+  }
+  return body;
+}
+
+function toPercent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * Step counts with step-to-step conversion and abandonment
+ * @param {string[]} names - Step names in order
+ * @param {number[]} users - Active users per step
+ * @returns {{steps: Object[], overallConversionRate: number}} - steps hold {step, name, users,
+ *   conversionRate, abandonments, abandonmentRate}; conversionRate is the percentage of the
+ *   previous step's users, abandonments the users who did not reach the next step
+ */
+export function summarizeSteps(names, users) {
+  const steps = names.map((name, index) => {
+    const previous = index > 0 ? users[index - 1] : users[index];
+    const next = index < users.length - 1 ? users[index + 1] : users[index];
+    const abandonments = Math.max(0, users[index] - next);
+    return {
+      step: index + 1,
+      name,
+      users: users[index],
+      conversionRate: toPercent(users[index], previous),
+      abandonments,
+      abandonmentRate: toPercent(abandonments, users[index]),
+    };
+  });
+
+  return { steps, overallConversionRate: toPercent(users[users.length - 1] || 0, users[0] || 0) };
+}
+
+// Step index of a funnelStepName value such as "2. Added to cart"
+function parseStepIndex(value) {
+  const match = /^(\d+)\./.exec(value || "");
+  return match ? Number(match[1]) - 1 : -1;
+}
+
+/**
+ * Turn a runFunnelReport response into step summaries, overall and per breakdown value
+ * @param {Object} data - The runFunnelReport response
+ * @param {Funnel} funnel
+ * @returns {{steps: Object[], overallConversionRate: number, breakdowns: Object[]}} - breakdowns
+ *   hold {value, steps, overallConversionRate} in the order GA4 returned them
+ */
+export function buildFunnelResult(data, funnel) {
+  const table = data.funnelTable || {};
+  const headers = (table.dimensionHeaders || []).map(header => header.name);
+  const breakdownIndex = headers.findIndex(name => name !== "funnelStepName");
+  const usersIndex = Math.max(0, (table.metricHeaders || []).findIndex(header => header.name === "activeUsers"));
+  const names = funnel.steps.map(step => step.name);
+
+  const groups = new Map();
+  (table.rows || []).forEach(row => {
+    const step = parseStepIndex(row.dimensionValues?.[headers.indexOf("funnelStepName")]?.value);
+    if (step < 0 || step >= names.length) {
+      return;
+    }
+    const value = breakdownIndex >= 0 ? row.dimensionValues?.[breakdownIndex]?.value : TOTAL_VALUE;
+    if (!groups.has(value)) {
+      groups.set(value, names.map(() => 0));
+    }
+    groups.get(value)[step] = Number(row.metricValues?.[usersIndex]?.value || 0);
+  });
+
+  const total = summarizeSteps(names, groups.get(TOTAL_VALUE) || names.map(() => 0));
+  const breakdowns = [...groups.entries()]
+    .filter(([value]) => value !== TOTAL_VALUE)
+    .map(([value, users]) => ({ value, ...summarizeSteps(names, users) }));
+
+  return { ...total, breakdowns };
+}
+
+/**
+ * One flat row per step, and per step and breakdown value, for CSV output
+ */
+export function toFunnelRows(result) {
+  const rows = result.steps.map(step => ({ ...(result.breakdown ? { [result.breakdown]: "Total" } : {}), ...step }));
+  result.breakdowns.forEach(breakdown => {
+    breakdown.steps.forEach(step => rows.push({ [result.breakdown]: breakdown.value, ...step }));
+  });
+  return rows;
+}
+
+/**
+ * Resolve the funnel to run: an inline definition, or a configured funnel by id
+ * @param {Object} params - {funnel?: Object, funnelId?: string}
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Funnel}
+ * @throws {QueryValidationError} - When no funnel is given, the id is unknown or the
+ *   definition is invalid
+ */
+export function resolveFunnel(params, cfg) {
+  let definition = params.funnel;
+  if (!definition) {
+    const funnels = getFunnels(cfg);
+    if (!params.funnelId) {
+      throw new QueryValidationError(["A funnel or funnelId is required"]);
+    }
+    definition = funnels.find(funnel => funnel.id === params.funnelId);
+    if (!definition) {
+      const known = funnels.map(funnel => funnel.id).join(", ") || "none configured";
+      throw new QueryValidationError([`Unknown funnel "${params.funnelId}" (available: ${known})`]);
+    }
+  }
+
+  const funnel = normalizeFunnel(definition);
+  const errors = validateFunnel(funnel);
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+  return funnel;
+}
+
+/**
+ * Run a funnel report
+ * @param {Object} params - {funnel?, funnelId?, dateRange: {start, end}, breakdown?, breakdownLimit?};
+ *   breakdown is a configured dimension name or a GA4 dimension and overrides the funnel's own;
+ *   an empty breakdown turns it off
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} [options] - {signal}; the report is also aborted after cfg.limits.maxRuntimeMs
+ * @returns {Promise<Object>} - {funnel: {id, label, open}, dateRange, breakdown, steps,
+ *   overallConversionRate, breakdowns}
+ * @throws {QueryValidationError} - When the funnel or the breakdown limit is invalid
+ */
+export async function runFunnel(params, cfg, auth, propertyId, options = {}) {
+  const funnel = resolveFunnel(params, cfg);
+  const breakdown = (params.breakdown !== undefined ? params.breakdown : funnel.breakdown) || null;
+  const limit = Number(params.breakdownLimit || DEFAULT_BREAKDOWN_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BREAKDOWN_LIMIT) {
+    throw new QueryValidationError([`breakdownLimit must be a whole number between 1 and ${MAX_BREAKDOWN_LIMIT}`]);
+  }
+
+  const dimensions = cfg.sources.analytics?.dimensions || {};
+  const body = buildFunnelRequest(funnel, params.dateRange, breakdown ? { dimension: dimensions[breakdown] || breakdown, limit } : null);
+
+  const { signal, cleanup } = createQuerySignal(cfg, options.signal);
+  let data;
+  try {
+    data = await runFunnelReport(auth, propertyId, body, { signal });
+  } catch (error) {
+    if (signal.aborted) {
+      throw toAbortError(signal);
+    }
+    throw error;
+  } finally {
+    cleanup();
+  }
+
+  return {
+    funnel: { id: funnel.id, label: funnel.label, open: funnel.open },
+    dateRange: params.dateRange,
+    breakdown,
+    ...buildFunnelResult(data, funnel),
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * Contribution analysis: what drove a metric change between two periods
+ *
+ * The metric is fetched for both periods once per candidate dimension (one
+ * comparison report each, through the Analytics datasource), and every
+ * dimension value gets its share of the total change. The share splits into
+ * a mix effect and a rate effect:
+ *
+ * - Rate metrics (bounce rate, average session duration, ...) are averages
+ *   over a weight metric such as sessions. Mix is the change in the value's
+ *   share of the weight, valued at how far its previous rate was from the
+ *   overall rate; rate is the change in the value's own rate at its current
+ *   share.
+ * - Counts (sessions, revenue, ...) are weight × rate, e.g. revenue =
+ *   sessions × revenue per session. Mix is the change in the value's weight
+ *   at its previous rate; rate is the change in its rate at its current
+ *   weight. A count weighted by itself is all mix.
+ *
+ * Mix and rate add up to the value's contribution, and the contributions of
+ * all values add up to the total change; rows cut off by the limit are
+ * reported as unexplained. That includes values whose row for one of the
+ * periods was cut off: the datasource drops them from truncated comparison
+ * reports rather than comparing them against 0.
+ */
+
+import runAnalytics from "../datasources/analytics.js";
+import { QueryValidationError } from "../cli/validators.js";
+import { getComparisonDateRange } from "./comparison.js";
+import { createQuerySignal, toAbortError } from "./cancellation.js";
+
+const DEFAULT_WEIGHT_METRIC = "sessions";
+const DEFAULT_LIMIT = 50;
+const DEFAULT_TOP = 10;
+const DEFAULT_MAX_DIMENSIONS = 6;
+
+// GA4 rate metrics and the metric they are averaged over
+const DEFAULT_RATE_METRICS = {
+  bounceRate: "sessions",
+  engagementRate: "sessions",
+  averageSessionDuration: "sessions",
+  screenPageViewsPerSession: "sessions",
+  eventsPerSession: "sessions",
+  sessionKeyEventRate: "sessions",
+  userKeyEventRate: "activeUsers",
+  sessionsPerUser: "activeUsers",
+};
+
+/**
+ * @typedef Contribution
+ * @property {string} value - The dimension value
+ * @property {number} current - Metric value in the current period
+ * @property {number} previous - Metric value in the comparison period
+ * @property {number} contribution - Part of the total change this value accounts for
+ * @property {number} mixEffect - Part of the contribution from the value's weight (or share of it)
+ * @property {number} rateEffect - Part of the contribution from the value's rate
+ * @property {number|null} share - Contribution as a percentage of the total change
+ */
+
+export function getInsightsConfig(cfg) {
+  return cfg.insights || {};
+}
+
+/**
+ * The weight metric a rate metric is averaged over, or null for counts
+ * Looked up in insights.rateMetrics by the metric's name, then in the GA4 rate metrics
+ */
+export function getRateWeight(metric, cfg) {
+  const configured = getInsightsConfig(cfg).rateMetrics || {};
+  if (configured[metric]) {
+    return configured[metric];
+  }
+  const apiName = cfg.sources.analytics?.metrics?.[metric] || metric;
+  return DEFAULT_RATE_METRICS[apiName] || null;
+}
+
+/**
+ * Check the insights settings
+ * @returns {string[]} - Error messages
+ */
+export function validateInsightsConfig(cfg) {
+  const settings = getInsightsConfig(cfg);
+  const errors = [];
+
+  Object.entries(settings.rateMetrics || {}).forEach(([metric, weight]) => {
+    if (typeof weight !== "string" || !weight) {
+      errors.push(`insights.rateMetrics.${metric} must name the metric it is averaged over`);
+    }
+  });
+  ["maxDimensions", "limit", "top"].forEach(key => {
+    if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] >= 1)) {
+      errors.push(`insights.${key} must be a whole number of at least 1`);
+    }
+  });
+  return errors;
+}
+
+function toPercent(part, whole) {
+  return whole !== 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Split the change of each dimension value into mix and rate effects
+ * @param {Object[]} rows - Comparison rows of one dimension with <metric>, <metric>_previous,
+ *   <weight> and <weight>_previous columns
+ * @param {Object} spec - {dimension, metric, weightMetric, ratio}
+ * @param {Object} totals - {current, previous, weightCurrent, weightPrevious} over every row
+ * @returns {Contribution[]} - Ordered by the size of the contribution
+ */
+export function decomposeChange(rows, spec, totals) {
+  const { dimension, metric, weightMetric, ratio } = spec;
+  const delta = totals.current - totals.previous;
+
+  return rows
+    .map(row => {
+      const current = row[metric] || 0;
+      const previous = row[`${metric}_previous`] || 0;
+      const weightCurrent = row[weightMetric] || 0;
+      const weightPrevious = row[`${weightMetric}_previous`] || 0;
+      let mixEffect;
+      let rateEffect;
+
+      if (ratio) {
+        // The total rate is the weight-share average of the value rates
+        const shareCurrent = totals.weightCurrent ? weightCurrent / totals.weightCurrent : 0;
+        const sharePrevious = totals.weightPrevious ? weightPrevious / totals.weightPrevious : 0;
+        // Values without weight in a period take their other period's rate, so all of their change is mix
+        const rateCurrent = weightCurrent ? current : previous;
+        const ratePrevious = weightPrevious ? previous : current;
+        mixEffect = (shareCurrent - sharePrevious) * (ratePrevious - totals.previous);
+        rateEffect = shareCurrent * (rateCurrent - ratePrevious);
+      } else {
+        // New values take their current rate, so all of their change is mix
+        const ratePrevious = weightPrevious ? previous / weightPrevious : (weightCurrent ? current / weightCurrent : 0);
+        mixEffect = (weightCurrent - weightPrevious) * ratePrevious;
+        rateEffect = current - previous - mixEffect;
+      }
+
+      const contribution = mixEffect + rateEffect;
+      return {
+        value: row[dimension],
+        current: round(current),
+        previous: round(previous),
+        contribution: round(contribution),
+        mixEffect: round(mixEffect),
+        rateEffect: round(rateEffect),
+        share: toPercent(contribution, delta),
+      };
+    })
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
+/**
+ * Check an explain-change request and fill in its defaults
+ * @param {Object} params - {metric, dimensions, dateRange, compareDateRange?, compareTo?,
+ *   compareStartDate?, compareEndDate?, weightMetric?, filters?, limit?, top?}
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Object} - {metric, dimensions, dateRange, compareDateRange, weightMetric, ratio,
+ *   filters, limit, top}
+ * @throws {QueryValidationError}
+ */
+export function normalizeExplainRequest(params, cfg) {
+  const settings = getInsightsConfig(cfg);
+  const maxDimensions = settings.maxDimensions || DEFAULT_MAX_DIMENSIONS;
+  const dimensionsValid = params.dimensions === undefined
+    || (Array.isArray(params.dimensions) && params.dimensions.every(dimension => typeof dimension === "string" && dimension));
+  const dimensions = dimensionsValid ? [...new Set(params.dimensions || [])] : [];
+  const limit = Number(params.limit || settings.limit || DEFAULT_LIMIT);
+  const top = Number(params.top || settings.top || DEFAULT_TOP);
+  const errors = [];
+  const fields = [];
+
+  if (!params.metric || typeof params.metric !== "string") {
+    errors.push("A metric is required");
+    fields.push("metric");
+  }
+  if (!dimensionsValid) {
+    errors.push("dimensions must be an array of dimension names");
+    fields.push("dimensions");
+  } else if (dimensions.length === 0 || dimensions.length > maxDimensions) {
+    errors.push(`Choose between 1 and ${maxDimensions} candidate dimensions`);
+    fields.push("dimensions");
+  }
+  if (dimensions.includes("date")) {
+    errors.push("The date dimension cannot explain a change between two periods");
+    fields.push("dimensions");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > (cfg.limits?.maxRows ?? Infinity)) {
+    errors.push("limit must be a positive whole number within limits.maxRows");
+    fields.push("limit");
+  }
+  if (!Number.isInteger(top) || top < 1) {
+    errors.push("top must be a positive whole number");
+    fields.push("top");
+  }
+
+  const compareDateRange = params.compareDateRange
+    || (params.dateRange && params.compareTo && params.compareTo !== "none"
+      ? getComparisonDateRange(params.dateRange, params.compareTo, params.compareStartDate, params.compareEndDate)
+      : null);
+  if (!params.dateRange || !compareDateRange?.start || !compareDateRange?.end) {
+    errors.push("A date range and a comparison range are required");
+    fields.push("compareTo");
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors, fields);
+  }
+
+  const rateWeight = getRateWeight(params.metric, cfg);
+  return {
+    metric: params.metric,
+    dimensions,
+    dateRange: params.dateRange,
+    compareDateRange,
+    weightMetric: params.weightMetric || rateWeight || settings.weightMetric || DEFAULT_WEIGHT_METRIC,
+    ratio: rateWeight !== null,
+    filters: params.filters || [],
+    limit,
+    top,
+  };
+}
+
+function getTotals(result, request) {
+  const { metric, weightMetric } = request;
+  const total = result.aggregations?.total;
+  const sum = column => result.rows.reduce((acc, row) => acc + (row[column] || 0), 0);
+  if (total) {
+    return {
+      current: total[metric] || 0,
+      previous: total[`${metric}_previous`] || 0,
+      weightCurrent: total[weightMetric] || 0,
+      weightPrevious: total[`${weightMetric}_previous`] || 0,
+    };
+  }
+  // Without report totals, counts add up over the rows; rates cannot be derived
+  return {
+    current: request.ratio ? 0 : sum(metric),
+    previous: request.ratio ? 0 : sum(`${metric}_previous`),
+    weightCurrent: sum(weightMetric),
+    weightPrevious: sum(`${weightMetric}_previous`),
+  };
+}
+
+/**
+ * Explain a metric change between two periods by dimension value
+ * Runs one Analytics comparison report per candidate dimension, one after the other
+ * @param {Object} params - See normalizeExplainRequest; compareDateRange, or compareTo with
+ *   optional compareStartDate and compareEndDate, sets the comparison period
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} [options] - {signal, onProgress({completed, total, dimension})}; the reports are
+ *   also aborted after cfg.limits.maxRuntimeMs
+ * @returns {Promise<Object>} - {metric, weightMetric, kind, dateRange, compareDateRange, total:
+ *   {current, previous, delta, changePct}, dimensions: [{dimension, explained, unexplained,
+ *   truncated, topShare, contributions}], drivers}; dimensions are ordered by how much of the change
+ *   their top value accounts for, and drivers are the largest contributions of any dimension
+ * @throws {QueryValidationError} - When the request is invalid
+ */
+export async function explainChange(params, cfg, auth, propertyId, options = {}) {
+  const request = normalizeExplainRequest(params, cfg);
+  const metrics = [...new Set([request.metric, request.weightMetric])];
+
+  const { signal, cleanup } = createQuerySignal(cfg, options.signal);
+  const results = [];
+  try {
+    for (const dimension of request.dimensions) {
+      const result = await runAnalytics({
+        source: "analytics",
+        dateRange: request.dateRange,
+        compareDateRange: request.compareDateRange,
+        metrics,
+        dimensions: [dimension],
+        orderBys: [],
+        limit: request.limit,
+        filters: request.filters,
+      }, cfg, auth, { propertyId, signal });
+      results.push({ dimension, result });
+      if (options.onProgress) {
+        options.onProgress({ completed: results.length, total: request.dimensions.length, dimension });
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw toAbortError(signal);
+    }
+    throw error;
+  } finally {
+    cleanup();
+  }
+
+  const totals = getTotals(results[0].result, request);
+  const delta = totals.current - totals.previous;
+
+  const dimensions = results
+    .map(({ dimension, result }) => {
+      const contributions = decomposeChange(result.rows, { ...request, dimension }, getTotals(result, request));
+      const explained = contributions.reduce((sum, item) => sum + item.contribution, 0);
+      return {
+        dimension,
+        explained: round(explained),
+        unexplained: round(delta - explained),
+        truncated: !!result.metadata?.truncated,
+        topShare: contributions[0]?.share ?? null,
+        contributions,
+      };
+    })
+    .sort((a, b) => Math.abs(b.topShare || 0) - Math.abs(a.topShare || 0));
+
+  const drivers = dimensions
+    .flatMap(({ dimension, contributions }) => contributions.map(item => ({ dimension, ...item })))
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    .slice(0, request.top);
+
+  return {
+    metric: request.metric,
+    weightMetric: request.weightMetric,
+    kind: request.ratio ? "rate" : "count",
+    dateRange: request.dateRange,
+    compareDateRange: request.compareDateRange,
+    total: {
+      current: round(totals.current),
+      previous: round(totals.previous),
+      delta: round(delta),
+      changePct: toPercent(delta, totals.previous),
+    },
+    dimensions,
+    drivers,
+  };
+}
+
+/**
+ * One flat row per dimension value, for CSV output
+ */
+export function toExplainRows(result) {
+  return result.dimensions.flatMap(({ dimension, contributions }) => contributions.map(item => ({ dimension, ...item })));
+}
@@ -0,0 +1,167 @@
+/**
+ * GA4 metadata-driven schema
+ *
+ * The metrics and dimensions a property offers, including its custom
+ * definitions, come from the GA4 getMetadata endpoint. Responses are cached
+ * per property in the SQLite database and merged with the aliases configured
+ * in config.js.
+ */
+
+import { fetchPropertyMetadata } from "../datasources/analytics.js";
+import { getCachedPropertyMetadata, storeCachedPropertyMetadata } from "../utils/database.js";
+
+const DEFAULT_METADATA_TTL_SECONDS = 86400;
+
+/**
+ * @typedef {Object} SchemaField
+ * @property {string} name - Name used in queries: the config alias, or the API name
+ * @property {string} apiName - GA4 API name, e.g. "sessions" or "customEvent:plan"
+ * @property {string} uiName - Name shown in the GA4 interface
+ * @property {string} description
+ * @property {string} category - e.g. "Session", "Custom"
+ * @property {string} [type] - Metric type, e.g. "TYPE_INTEGER", "TYPE_CURRENCY"
+ * @property {boolean} custom - Whether the field is a custom definition
+ * @property {boolean} alias - Whether the field has an alias in config.js
+ */
+
+function getMetadataTtl(cfg) {
+  return Math.max(cfg.cache?.metadataTtlSeconds ?? DEFAULT_METADATA_TTL_SECONDS, 0) * 1000;
+}
+
+/**
+ * Get the metadata of a property, from the cache or from the GA4 API
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [options] - {refresh: true} skips the cache
+ * @returns {Promise<{metadata: Object, fetchedAt: number, cached: boolean}>}
+ */
+export async function getPropertyMetadata(propertyId, auth, cfg, options = {}) {
+  const ttlMs = getMetadataTtl(cfg);
+
+  if (ttlMs > 0 && !options.refresh) {
+    try {
+      const cached = getCachedPropertyMetadata(propertyId);
+      if (cached) {
+        return { metadata: cached.metadata, fetchedAt: cached.fetchedAt, cached: true };
+      }
+    } catch (error) {
+      console.log(`Warning: Could not read metadata cache: ${error.message}`);
+    }
+  }
+
+  const metadata = await fetchPropertyMetadata(propertyId, auth);
+
+  if (ttlMs > 0) {
+    try {
+      storeCachedPropertyMetadata(propertyId, metadata, ttlMs);
+    } catch (error) {
+      console.log(`Warning: Could not write metadata cache: ${error.message}`);
+    }
+  }
+
+  return { metadata, fetchedAt: Date.now(), cached: false };
+}
+
+function toSchemaField(name, apiName, definition, alias) {
+  const field = {
+    name,
+    apiName,
+    uiName: definition?.uiName || name,
+    description: definition?.description || "",
+    category: definition?.category || (alias ? "Configured" : "Other"),
+    custom: Boolean(definition?.customDefinition),
+    alias,
+  };
+  if (definition?.type) {
+    field.type = definition.type;
+  }
+  return field;
+}
+
+function mergeFields(aliases, definitions) {
+  const byApiName = new Map(definitions.map(definition => [definition.apiName, definition]));
+  const aliased = new Set();
+
+  const fields = Object.entries(aliases).map(([name, apiName]) => {
+    aliased.add(apiName);
+    return toSchemaField(name, apiName, byApiName.get(apiName), true);
+  });
+
+  definitions
+    .filter(definition => !aliased.has(definition.apiName))
+    .forEach(definition => fields.push(toSchemaField(definition.apiName, definition.apiName, definition, false)));
+
+  return fields;
+}
+
+/**
+ * Merge property metadata with the aliases configured for the source
+ * Configured aliases come first and are enriched with the metadata of their
+ * API name; fields without an alias follow under their API name
+ * @param {Object} sourceConfig - The analytics source configuration
+ * @param {Object} [metadata] - The getMetadata response; config-only when omitted
+ * @returns {{metrics: SchemaField[], dimensions: SchemaField[]}}
+ */
+export function mergeSchema(sourceConfig, metadata = null) {
+  return {
+    metrics: mergeFields(sourceConfig?.metrics || {}, metadata?.metrics || []),
+    dimensions: mergeFields(sourceConfig?.dimensions || {}, metadata?.dimensions || []),
+  };
+}
+
+/**
+ * Turn schema fields into a name to API name map, the shape of the
+ * metrics/dimensions maps in config.js
+ * @param {SchemaField[]} fields
+ * @returns {Object}
+ */
+export function toFieldMap(fields) {
+  return Object.fromEntries(fields.map(field => [field.name, field.apiName]));
+}
+
+/**
+ * Load the analytics schema of a property
+ * Falls back to the configured aliases when the metadata cannot be loaded
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} [options] - {refresh: true} skips the metadata cache
+ * @returns {Promise<Object>} - {propertyId, origin: "metadata"|"config", fetchedAt, metrics,
+ *   dimensions, calculatedMetrics, error?}
+ */
+export async function loadAnalyticsSchema(cfg, auth, propertyId, options = {}) {
+  const sourceConfig = cfg.sources.analytics || {};
+  const calculatedMetrics = sourceConfig.calculatedMetrics || {};
+
+  if (!auth || !propertyId) {
+    return {
+      propertyId: propertyId || null,
+      origin: "config",
+      fetchedAt: null,
+      ...mergeSchema(sourceConfig),
+      calculatedMetrics,
+    };
+  }
+
+  try {
+    const { metadata, fetchedAt } = await getPropertyMetadata(propertyId, auth, cfg, options);
+    return {
+      propertyId,
+      origin: "metadata",
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      ...mergeSchema(sourceConfig, metadata),
+      calculatedMetrics,
+    };
+  } catch (error) {
+    console.log(`Warning: Could not load metadata for property ${propertyId}: ${error.message}`);
+    return {
+      propertyId,
+      origin: "config",
+      fetchedAt: null,
+      ...mergeSchema(sourceConfig),
+      calculatedMetrics,
+      error: error.message,
+    };
+  }
+}
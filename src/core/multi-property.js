@@ -0,0 +1,136 @@
+/**
+ * Fan-out queries: run one query against several GA4 properties and
+ * union the results
+ */
+
+import { runQuery } from "./query-runner.js";
+import { throwIfAborted } from "./cancellation.js";
+import { mergeDataQuality } from "./data-quality.js";
+import { getAvailableProperties } from "../datasources/analytics.js";
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Resolve a property selection to {propertyId, displayName} entries
+ * @param {string[]|string} selection - Property IDs, or "all" for every
+ *   property returned by getAvailableProperties
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Promise<Object[]>}
+ */
+export async function resolveProperties(selection, cfg) {
+  if (selection === "all") {
+    return getAvailableProperties(cfg);
+  }
+
+  if (!Array.isArray(selection) || selection.length === 0) {
+    throw new Error('Select at least one property ID, or "all"');
+  }
+
+  const propertyIds = [...new Set(selection.map(String))];
+
+  // Names are a convenience; fall back to the ID when listing fails
+  let available = [];
+  try {
+    available = await getAvailableProperties(cfg);
+  } catch (error) {
+    console.log(`Warning: Could not fetch property names: ${error.message}`);
+  }
+
+  return propertyIds.map(propertyId => {
+    const property = available.find(p => p.propertyId === propertyId);
+    return { propertyId, displayName: property?.displayName || propertyId };
+  });
+}
+
+/**
+ * Run a query against each property with bounded concurrency
+ * A failing property is reported in `properties` and does not fail the run
+ * @param {Object} answers - CLI answers or API request parameters
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {Object[]} properties - {propertyId, displayName} entries
+ * @param {Object} [options] - {concurrency, onProgress({completed, total, propertyId, success}), signal};
+ *   aborting the signal cancels the run instead of reporting each property as failed
+ * @returns {Promise<{rows: Object[], totalRows: number, properties: Object[], failed: number,
+ *   dataQuality: Object, anomalies: Object[]}>} - dataQuality combines that of the properties that
+ *   succeeded; anomalies carry their propertyId and index into rows
+ */
+export async function runQueryAcrossProperties(answers, cfg, auth, properties, options = {}) {
+  const isValid = value => Number.isInteger(value) && value >= 1;
+  const concurrency = [options.concurrency, cfg.limits.maxConcurrentProperties].find(isValid) || DEFAULT_CONCURRENCY;
+  const outcomes = new Array(properties.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  const worker = async () => {
+    while (nextIndex < properties.length && !options.signal?.aborted) {
+      const index = nextIndex++;
+      const property = properties[index];
+
+      try {
+        const result = await runQuery(answers, cfg, auth, { propertyId: property.propertyId, signal: options.signal });
+        outcomes[index] = { property, result };
+      } catch (error) {
+        outcomes[index] = { property, error };
+      }
+
+      completed++;
+      if (options.onProgress) {
+        options.onProgress({
+          completed,
+          total: properties.length,
+          propertyId: property.propertyId,
+          success: !outcomes[index].error,
+        });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, properties.length) }, worker));
+  throwIfAborted(options.signal);
+
+  const rows = outcomes.flatMap(({ property, result }) => (result ? result.rows : []).map(row => ({
+    propertyId: property.propertyId,
+    propertyName: property.displayName,
+    ...row,
+  })));
+
+  // Anomalies point into the combined rows
+  let offset = 0;
+  const anomalies = outcomes.flatMap(({ property, result }) => {
+    const start = offset;
+    offset += result ? result.rows.length : 0;
+    return (result?.anomalies || []).map(anomaly => ({
+      ...anomaly,
+      rowIndex: start + anomaly.rowIndex,
+      propertyId: property.propertyId,
+    }));
+  });
+
+  const summaries = outcomes.map(({ property, result, error }) => (error
+    ? {
+      propertyId: property.propertyId,
+      propertyName: property.displayName,
+      success: false,
+      error: error.message,
+    }
+    : {
+      propertyId: property.propertyId,
+      propertyName: property.displayName,
+      success: true,
+      rowCount: result.rows.length,
+      truncated: result.metadata.truncated ?? false,
+      totals: result.aggregations,
+      dataQuality: result.metadata.dataQuality,
+      cache: result.metadata.cache,
+    }));
+
+  return {
+    rows,
+    totalRows: rows.length,
+    properties: summaries,
+    failed: summaries.filter(summary => !summary.success).length,
+    dataQuality: mergeDataQuality(summaries.map(summary => summary.dataQuality)),
+    anomalies,
+  };
+}
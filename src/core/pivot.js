@@ -0,0 +1,261 @@
+/**
+ * Pivot reports
+ *
+ * A pivot query lays its dimensions out over pivots: the first pivot's
+ * dimensions become the rows of a cross-tab and the other pivots'
+ * dimensions its columns. GA4 runs them with runPivotReport; this module
+ * normalizes and validates pivot definitions and turns the report into a
+ * cross-tab and into wide rows for JSON and CSV output.
+ */
+
+// GA4 sets the dimensions an aggregate row totals over to this value
+export const TOTAL_VALUE = "RESERVED_TOTAL";
+
+// GA4 rejects pivot reports whose pivot limits multiply to more than this
+export const MAX_PIVOT_CELLS = 250000;
+
+const DEFAULT_COLUMN_LIMIT = 10;
+const TOTAL_LABEL = "Total";
+const VALUE_SEPARATOR = " / ";
+
+/**
+ * @typedef Pivot
+ * @property {string[]} dimensions - Dimensions laid out by the pivot
+ * @property {number} limit - Distinct value combinations kept
+ * @property {Array} orderBys - Array of {metric?: string, dimension?: string, desc?: boolean}
+ */
+
+/**
+ * Pivot definitions from CLI answers or API parameters: `pivots` as given, or
+ * a row and a column pivot built from rowDimensions and columnDimensions,
+ * both ordered by the first metric
+ * @param {Object} answers
+ * @returns {Object[]}
+ */
+export function pivotsFromAnswers(answers) {
+  if (answers.pivots) {
+    return answers.pivots;
+  }
+
+  const orderBys = answers.metrics?.length > 0 ? [{ metric: answers.metrics[0], desc: true }] : [];
+  return [
+    { dimensions: answers.rowDimensions || [], limit: answers.rowLimit, orderBys },
+    { dimensions: answers.columnDimensions || [], limit: answers.columnLimit, orderBys },
+  ];
+}
+
+/**
+ * Fill in pivot defaults; the row pivot defaults to the query limit
+ * @param {Object[]} pivots - Pivot definitions
+ * @param {number} rowLimit - The query limit
+ * @returns {Pivot[]}
+ */
+export function normalizePivots(pivots, rowLimit) {
+  return pivots.map((pivot, index) => ({
+    dimensions: pivot.dimensions || [],
+    limit: Number(pivot.limit) || (index === 0 ? rowLimit : DEFAULT_COLUMN_LIMIT),
+    orderBys: pivot.orderBys || [],
+  }));
+}
+
+/**
+ * Every dimension of a pivot query, rows first
+ */
+export function getPivotDimensions(pivots) {
+  return pivots.flatMap(pivot => pivot.dimensions);
+}
+
+/**
+ * Validate the pivots of a normalized query
+ * @param {Object} query - {pivots, metrics, compareDateRange?}
+ * @returns {string[]} - Error messages
+ */
+export function validatePivots(query) {
+  const errors = [];
+  const seen = new Set();
+
+  if (query.pivots.length < 2) {
+    errors.push("A pivot report needs a row pivot and at least one column pivot");
+  }
+  if (query.compareDateRange) {
+    errors.push("Period comparison is not supported for pivot reports");
+  }
+
+  query.pivots.forEach((pivot, index) => {
+    const label = index === 0 ? "Row pivot" : `Column pivot ${index}`;
+
+    if (pivot.dimensions.length === 0) {
+      errors.push(`${label} needs at least one dimension`);
+    }
+    pivot.dimensions.forEach(dimension => {
+      if (seen.has(dimension)) {
+        errors.push(`Dimension ${dimension} is used in more than one pivot`);
+      }
+      seen.add(dimension);
+    });
+    if (!Number.isInteger(pivot.limit) || pivot.limit < 1) {
+      errors.push(`${label} limit must be a positive integer`);
+    }
+    pivot.orderBys.forEach(orderBy => {
+      if (orderBy.metric && !(query.metrics || []).includes(orderBy.metric)) {
+        errors.push(`${label} is ordered by ${orderBy.metric}, which is not one of the selected metrics`);
+      }
+      if (orderBy.dimension && !pivot.dimensions.includes(orderBy.dimension)) {
+        errors.push(`${label} is ordered by ${orderBy.dimension}, which is not one of its dimensions`);
+      }
+    });
+  });
+
+  const limits = query.pivots.map(pivot => pivot.limit);
+  if (limits.every(limit => Number.isInteger(limit) && limit >= 1)) {
+    const cells = limits.reduce((product, limit) => product * limit, 1);
+    if (cells > MAX_PIVOT_CELLS) {
+      errors.push(`The pivot limits multiply to ${cells.toLocaleString("en-US")}; GA4 allows at most ${MAX_PIVOT_CELLS.toLocaleString("en-US")}`);
+    }
+  }
+
+  return errors;
+}
+
+function keyOf(record, dimensions) {
+  return dimensions.map(dimension => record[dimension]).join(VALUE_SEPARATOR);
+}
+
+function pickMetrics(record, metrics) {
+  const values = {};
+  metrics.forEach(metric => {
+    values[metric] = record[metric] ?? null;
+  });
+  return values;
+}
+
+function pickValues(record, dimensions) {
+  const values = {};
+  dimensions.forEach(dimension => {
+    values[dimension] = record[dimension];
+  });
+  return values;
+}
+
+// Header entries in the given order, then any value combination only seen in the records
+function orderedEntries(headers, records, dimensions) {
+  const entries = new Map();
+  [...(headers || []), ...records].forEach(record => {
+    const key = keyOf(record, dimensions);
+    if (!entries.has(key)) {
+      entries.set(key, { key, values: pickValues(record, dimensions) });
+    }
+  });
+  return [...entries.values()];
+}
+
+/**
+ * @typedef CrossTab
+ * @property {string[]} rowDimensions
+ * @property {string[]} columnDimensions
+ * @property {string[]} metrics
+ * @property {Object[]} columns - {key, values: {dimension: value}}
+ * @property {Object[]} rows - {key, values, cells: {columnKey: {metric: value}|null}, total: {metric: value}|null}
+ * @property {Object} columnTotals - {columnKey: {metric: value}}
+ * @property {Object|null} grandTotal - {metric: value}
+ */
+
+/**
+ * Lay out pivot report records as a cross-tab
+ * @param {Object[]} records - One record per row and column value combination, keyed by
+ *   dimension and metric name
+ * @param {Object[]} aggregates - Total records; dimensions totalled over hold TOTAL_VALUE
+ * @param {Object} layout - {rowDimensions, columnDimensions, metrics, rowHeaders?, columnHeaders?};
+ *   the headers fix the row and column order, e.g. from the pivot headers of the response
+ * @returns {CrossTab}
+ */
+export function buildCrossTab(records, aggregates, layout) {
+  const { rowDimensions, columnDimensions, metrics } = layout;
+  const isTotal = (record, dimensions) => dimensions.every(dimension => record[dimension] === TOTAL_VALUE);
+
+  const columns = orderedEntries(layout.columnHeaders, records, columnDimensions);
+  const rows = orderedEntries(layout.rowHeaders, records, rowDimensions).map(row => ({
+    ...row,
+    cells: Object.fromEntries(columns.map(column => [column.key, null])),
+    total: null,
+  }));
+  const rowsByKey = new Map(rows.map(row => [row.key, row]));
+
+  records.forEach(record => {
+    const row = rowsByKey.get(keyOf(record, rowDimensions));
+    row.cells[keyOf(record, columnDimensions)] = pickMetrics(record, metrics);
+  });
+
+  const columnTotals = {};
+  let grandTotal = null;
+  aggregates.forEach(record => {
+    const rowTotal = isTotal(record, rowDimensions);
+    const columnTotal = isTotal(record, columnDimensions);
+    if (rowTotal && columnTotal) {
+      grandTotal = pickMetrics(record, metrics);
+    } else if (columnTotal) {
+      const row = rowsByKey.get(keyOf(record, rowDimensions));
+      if (row) {
+        row.total = pickMetrics(record, metrics);
+      }
+    } else if (rowTotal) {
+      columnTotals[keyOf(record, columnDimensions)] = pickMetrics(record, metrics);
+    }
+  });
+
+  return { rowDimensions, columnDimensions, metrics, columns, rows, columnTotals, grandTotal };
+}
+
+/**
+ * Wide-format column name of a cross-tab cell
+ * The column values alone with one metric, "<values> · <metric>" with several
+ */
+export function getCellColumnName(columnKey, metric, metrics) {
+  return metrics.length > 1 ? `${columnKey} · ${metric}` : columnKey;
+}
+
+function getTotalColumnName(metric, metrics) {
+  return getCellColumnName(TOTAL_LABEL, metric, metrics);
+}
+
+/**
+ * Flatten a cross-tab into one wide row per cross-tab row: the row
+ * dimensions, a column per column and metric, and the row totals
+ * @param {CrossTab} crossTab
+ * @returns {Object[]}
+ */
+export function toWideRows(crossTab) {
+  const { metrics } = crossTab;
+  return crossTab.rows.map(row => {
+    const wide = { ...row.values };
+    crossTab.columns.forEach(column => {
+      metrics.forEach(metric => {
+        wide[getCellColumnName(column.key, metric, metrics)] = row.cells[column.key]?.[metric] ?? null;
+      });
+    });
+    metrics.forEach(metric => {
+      wide[getTotalColumnName(metric, metrics)] = row.total?.[metric] ?? null;
+    });
+    return wide;
+  });
+}
+
+/**
+ * The column totals of a cross-tab keyed like its wide rows, for the
+ * "Total" footer row
+ * @param {CrossTab} crossTab
+ * @returns {Object}
+ */
+export function toWideTotals(crossTab) {
+  const { metrics } = crossTab;
+  const totals = {};
+  crossTab.columns.forEach(column => {
+    metrics.forEach(metric => {
+      totals[getCellColumnName(column.key, metric, metrics)] = crossTab.columnTotals[column.key]?.[metric] ?? null;
+    });
+  });
+  metrics.forEach(metric => {
+    totals[getTotalColumnName(metric, metrics)] = crossTab.grandTotal?.[metric] ?? null;
+  });
+  return totals;
+}
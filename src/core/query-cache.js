@@ -0,0 +1,83 @@
+/**
+ * Persistent query result cache backed by the SQLite database
+ */
+
+import crypto from "crypto";
+import { getCachedQueryResult, storeCachedQueryResult } from "../utils/database.js";
+
+/**
+ * Resolve the property (or site/dataset) a normalized query runs against
+ * @param {Object} normalized - The normalized query
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [selection] - Explicit {propertyId, siteUrl, dataset} selection, overriding the environment
+ * @returns {string} - The property identifier used to scope cache entries
+ */
+export function getCacheScope(normalized, cfg, selection = {}) {
+  switch (normalized.source) {
+    case "analytics":
+      return selection.propertyId || process.env.GA_PROPERTY_ID || cfg.sources.analytics?.propertyId || "";
+    case "searchconsole":
+      return selection.siteUrl || process.env.GSC_SITE_URL || cfg.sources.searchconsole?.siteUrl || "";
+    case "bigquery": {
+      const projectId = process.env.BQ_PROJECT_ID || cfg.sources.bigquery?.projectId || "";
+      const dataset = selection.dataset || process.env.BQ_DATASET || cfg.sources.bigquery?.dataset || "";
+      return `${projectId}.${dataset}`;
+    }
+    default:
+      return "";
+  }
+}
+
+/**
+ * Build the cache key from the property ID and the normalized query
+ * @param {string} propertyId - The property the query runs against
+ * @param {Object} normalized - The normalized query
+ * @returns {string} - A sha256 hex digest
+ */
+export function buildCacheKey(propertyId, normalized) {
+  return crypto
+    .createHash("sha256")
+    .update(`${propertyId}|${JSON.stringify(normalized)}`)
+    .digest("hex");
+}
+
+/**
+ * Get the cache TTL for a source in milliseconds
+ * Returns 0 when caching is disabled or no TTL is configured for the source
+ * @param {string} source - The data source name
+ * @param {Object} cfg - The loaded configuration
+ * @returns {number} - TTL in milliseconds
+ */
+export function getCacheTtl(source, cfg) {
+  if (!cfg.cache?.enabled) {
+    return 0;
+  }
+
+  const ttlSeconds = cfg.cache.ttlSeconds?.[source] ?? 0;
+  return Math.max(ttlSeconds, 0) * 1000;
+}
+
+/**
+ * Look up a cached datasource result
+ * @returns {Object|null} - {result, createdAt, expiresAt} or null on a miss
+ */
+export function readCache(cacheKey) {
+  try {
+    return getCachedQueryResult(cacheKey);
+  } catch (error) {
+    // A broken cache should never block a query
+    console.log(`Warning: Could not read query cache: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a datasource result in the cache
+ */
+export function writeCache(cacheKey, source, propertyId, result, ttlMs) {
+  try {
+    storeCachedQueryResult(cacheKey, source, propertyId, result, ttlMs);
+  } catch (error) {
+    console.log(`Warning: Could not write query cache: ${error.message}`);
+  }
+}
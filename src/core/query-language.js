@@ -0,0 +1,407 @@
+/**
+ * One-line text query language for ad-hoc queries
+ *
+ *   sessions,users by country,deviceCategory
+ *     where country=US and sessions>100 last28 order -sessions limit 50
+ *
+ * A query starts with a comma-separated metric list, followed by clauses in
+ * any order:
+ *   by <dimensions>                  Comma-separated dimension list
+ *   where <condition>                Filters (see below)
+ *   <date range>                     Any date range type: last28, last_month,
+ *                                    last_14_days, -30d..-1d, ...
+ *   from <YYYY-MM-DD> to <YYYY-MM-DD> Custom date range
+ *   order [by] <fields>              Comma-separated, "-" prefix sorts descending
+ *   limit <N>                        Maximum number of rows
+ *
+ * Conditions compare a field with a value using = != > >= < <= ~ (contains)
+ * !~ (does not contain) =~ (regex) ^= (begins with) $= (ends with), or use
+ * "field in (a, b)" and "field between 1 and 5". Combine them with and, or,
+ * not and parentheses. Quote values containing spaces or operators.
+ */
+
+import { resolveDateRange } from "./date-ranges.js";
+import { getSchemaForSource } from "../datasources/registry.js";
+
+const KEYWORDS = ["by", "where", "order", "limit", "from", "to", "and", "or", "not", "in", "between"];
+
+const COMPARISON_OPERATORS = {
+  "=": "eq",
+  "!=": "neq",
+  ">": "gt",
+  ">=": "gte",
+  "<": "lt",
+  "<=": "lte",
+  "~": "contains",
+  "=~": "regex",
+  "^=": "beginsWith",
+  "$=": "endsWith",
+};
+
+// Longest operators first so ">=" is not read as ">"
+const OPERATOR_PATTERN = /^(!=|>=|<=|=~|!~|\^=|\$=|=|>|<|~)/;
+const WORD_PATTERN = /^[^\s,()=<>!~^$"']+/;
+
+const DEFAULT_DATE_RANGE = "last7";
+
+/**
+ * Error raised for malformed query text
+ * `position` is the 0-based offset of the offending token in the text
+ */
+export class QueryParseError extends Error {
+  constructor(message, position, token) {
+    super(message);
+    this.name = "QueryParseError";
+    this.position = position;
+    this.token = token;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const rest = text.slice(position);
+    const whitespace = rest.match(/^\s+/);
+    if (whitespace) {
+      position += whitespace[0].length;
+      continue;
+    }
+
+    const char = rest[0];
+    if (char === '"' || char === "'") {
+      const end = rest.indexOf(char, 1);
+      if (end === -1) {
+        throw new QueryParseError(`Unterminated string at column ${position + 1}`, position, rest);
+      }
+      tokens.push({ type: "string", value: rest.slice(1, end), position });
+      position += end + 1;
+      continue;
+    }
+
+    if (char === "," || char === "(" || char === ")") {
+      tokens.push({ type: char, value: char, position });
+      position += 1;
+      continue;
+    }
+
+    const operator = rest.match(OPERATOR_PATTERN);
+    if (operator) {
+      tokens.push({ type: "operator", value: operator[0], position });
+      position += operator[0].length;
+      continue;
+    }
+
+    const word = rest.match(WORD_PATTERN);
+    if (!word) {
+      throw new QueryParseError(`Unexpected character "${char}" at column ${position + 1}`, position, char);
+    }
+    tokens.push({ type: "word", value: word[0], position });
+    position += word[0].length;
+  }
+
+  tokens.push({ type: "end", value: "", position: text.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(text, fields) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+    this.fields = fields;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(token, keyword) {
+    return token.type === "word" && token.value.toLowerCase() === keyword;
+  }
+
+  fail(token, expected) {
+    const found = token.type === "end" ? "end of query" : `"${token.value}"`;
+    throw new QueryParseError(`Unexpected ${found} at column ${token.position + 1}: expected ${expected}`, token.position, token.value);
+  }
+
+  expectKeyword(keyword) {
+    const token = this.next();
+    if (!this.isKeyword(token, keyword)) {
+      this.fail(token, `"${keyword}"`);
+    }
+    return token;
+  }
+
+  expectType(type, expected) {
+    const token = this.next();
+    if (token.type !== type) {
+      this.fail(token, expected);
+    }
+    return token;
+  }
+
+  // A field name: any word that is not a reserved keyword
+  parseName(expected) {
+    const token = this.next();
+    if (token.type !== "word" || KEYWORDS.includes(token.value.toLowerCase())) {
+      this.fail(token, expected);
+    }
+    return token.value;
+  }
+
+  parseNameList(expected) {
+    const names = [this.parseName(expected)];
+    while (this.peek().type === ",") {
+      this.next();
+      names.push(this.parseName(expected));
+    }
+    return names;
+  }
+
+  parseQuery() {
+    const query = { metrics: this.parseNameList("a metric name") };
+    const seen = new Set();
+
+    // Fields listed as metrics are metrics even without a config entry
+    query.metrics.forEach(metric => this.fields.metrics.add(metric));
+
+    const startClause = (token, clause) => {
+      if (seen.has(clause)) {
+        throw new QueryParseError(`Duplicate ${clause} clause at column ${token.position + 1}`, token.position, token.value);
+      }
+      seen.add(clause);
+    };
+
+    while (this.peek().type !== "end") {
+      const token = this.peek();
+      const keyword = token.type === "word" ? token.value.toLowerCase() : null;
+
+      if (keyword === "by") {
+        startClause(token, "by");
+        this.next();
+        query.dimensions = this.parseNameList("a dimension name");
+      } else if (keyword === "where") {
+        startClause(token, "where");
+        this.next();
+        query.filters = flattenAnd(this.parseOr());
+      } else if (keyword === "order") {
+        startClause(token, "order");
+        this.next();
+        if (this.isKeyword(this.peek(), "by")) {
+          this.next();
+        }
+        query.orderBys = this.parseOrderList();
+      } else if (keyword === "limit") {
+        startClause(token, "limit");
+        this.next();
+        const value = this.next();
+        if (value.type !== "word" || !/^\d+$/.test(value.value) || parseInt(value.value, 10) < 1) {
+          this.fail(value, "a positive whole number");
+        }
+        query.limit = parseInt(value.value, 10);
+      } else if (keyword === "from") {
+        startClause(token, "date range");
+        this.next();
+        query.customStartDate = this.parseDate();
+        this.expectKeyword("to");
+        query.customEndDate = this.parseDate();
+        query.dateRangeType = "custom";
+      } else if (token.type === "word" && isDateRange(token.value)) {
+        startClause(token, "date range");
+        this.next();
+        query.dateRangeType = token.value;
+      } else {
+        this.fail(token, "by, where, order, limit, from or a date range");
+      }
+    }
+
+    return query;
+  }
+
+  parseDate() {
+    const token = this.next();
+    if (token.type !== "word" || !/^\d{4}-\d{2}-\d{2}$/.test(token.value)) {
+      this.fail(token, "a date in YYYY-MM-DD format");
+    }
+    return token.value;
+  }
+
+  parseOrderList() {
+    const orderBys = [];
+    do {
+      if (orderBys.length > 0) {
+        this.next();
+      }
+      const token = this.peek();
+      const name = this.parseName("a field to order by");
+      const desc = name.startsWith("-");
+      const field = name.replace(/^[-+]/, "");
+      if (!field) {
+        this.fail(token, "a field to order by");
+      }
+      orderBys.push(this.isMetric(field) ? { metric: field, desc } : { dimension: field, desc });
+    } while (this.peek().type === ",");
+    return orderBys;
+  }
+
+  parseOr() {
+    const expressions = [this.parseAnd()];
+    while (this.isKeyword(this.peek(), "or")) {
+      this.next();
+      expressions.push(this.parseAnd());
+    }
+    return expressions.length === 1 ? expressions[0] : { or: expressions };
+  }
+
+  parseAnd() {
+    const expressions = [this.parseNot()];
+    while (this.isKeyword(this.peek(), "and")) {
+      this.next();
+      expressions.push(this.parseNot());
+    }
+    return expressions.length === 1 ? expressions[0] : { and: expressions };
+  }
+
+  parseNot() {
+    if (this.isKeyword(this.peek(), "not")) {
+      this.next();
+      return { not: this.parseNot() };
+    }
+    if (this.peek().type === "(") {
+      this.next();
+      const expression = this.parseOr();
+      this.expectType(")", '")"');
+      return expression;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const field = this.parseName("a field name");
+    const type = this.isMetric(field) ? "metric" : "dimension";
+    const token = this.next();
+
+    if (this.isKeyword(token, "in")) {
+      this.expectType("(", '"("');
+      const values = [this.parseValue(type, field)];
+      while (this.peek().type === ",") {
+        this.next();
+        values.push(this.parseValue(type, field));
+      }
+      this.expectType(")", '"," or ")"');
+      return { type, field, op: "inList", values: values.map(String) };
+    }
+
+    if (this.isKeyword(token, "between")) {
+      const from = this.parseNumber(field);
+      this.expectKeyword("and");
+      const to = this.parseNumber(field);
+      return { type, field, op: "between", from, to };
+    }
+
+    if (token.type !== "operator") {
+      this.fail(token, `an operator (${Object.keys(COMPARISON_OPERATORS).join(" ")} !~), "in" or "between"`);
+    }
+
+    const value = this.parseValue(type, field);
+    if (token.value === "!~") {
+      return { not: { type, field, op: "contains", value } };
+    }
+    return { type, field, op: COMPARISON_OPERATORS[token.value], value };
+  }
+
+  parseValue(type, field) {
+    if (type === "metric") {
+      return this.parseNumber(field);
+    }
+    const token = this.next();
+    if (token.type !== "word" && token.type !== "string") {
+      this.fail(token, `a value for ${field}`);
+    }
+    return token.value;
+  }
+
+  parseNumber(field) {
+    const token = this.next();
+    if (token.type !== "word" || isNaN(Number(token.value))) {
+      this.fail(token, `a number for ${field}`);
+    }
+    return Number(token.value);
+  }
+
+  isMetric(field) {
+    return this.fields.metrics.has(field);
+  }
+}
+
+// Top-level AND groups become separate filters so dimension and metric
+// conditions can be combined
+function flattenAnd(node) {
+  return node.and ? node.and.flatMap(flattenAnd) : [node];
+}
+
+function isDateRange(value) {
+  try {
+    resolveDateRange(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse query text into ad-hoc query answers
+ * The result carries the NormalizedQuery fields (metrics, dimensions,
+ * filters, orderBys, limit) plus the date range type, so runQuery can
+ * resolve and validate it like any other ad-hoc query
+ * @param {string} text - The query text
+ * @param {Object} cfg - The loaded configuration
+ * @param {string} [source] - The data source whose metric names are known
+ * @returns {Object} - {metrics, dimensions, filters, orderBys, limit, dateRangeType, customStartDate?, customEndDate?}
+ * @throws {QueryParseError} - When the text is malformed
+ */
+export function parseQueryText(text, cfg, source = "analytics") {
+  if (!text || !text.trim()) {
+    throw new QueryParseError("Query text is required", 0, "");
+  }
+
+  // Metrics may be written with their config alias, their API name or
+  // the name of a calculated metric
+  const metricMap = getSchemaForSource(source, cfg).metrics || {};
+  const calculatedMetrics = cfg.sources[source]?.calculatedMetrics || {};
+  const metrics = new Set([...Object.keys(metricMap), ...Object.values(metricMap), ...Object.keys(calculatedMetrics)]);
+
+  const parsed = new Parser(text, { metrics }).parseQuery();
+
+  const query = {
+    metrics: parsed.metrics,
+    dimensions: parsed.dimensions || [],
+    filters: parsed.filters || [],
+    orderBys: parsed.orderBys || [],
+    dateRangeType: parsed.dateRangeType || DEFAULT_DATE_RANGE,
+  };
+  if (parsed.limit) {
+    query.limit = parsed.limit;
+  }
+  if (parsed.dateRangeType === "custom") {
+    query.customStartDate = parsed.customStartDate;
+    query.customEndDate = parsed.customEndDate;
+  }
+
+  return query;
+}
+
+/**
+ * Format a parse error with the query text and a caret under the bad token
+ * @param {string} text - The query text
+ * @param {QueryParseError} error - The parse error
+ * @returns {string}
+ */
+export function formatQueryParseError(text, error) {
+  return `${error.message}\n  ${text}\n  ${" ".repeat(error.position)}^`;
+}
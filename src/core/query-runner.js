@@ -1,38 +1,160 @@
-import runBQ from "../datasources/bigquery.js";
-import runGSC from "../datasources/searchconsole.js";
-import runAnalytics from "../datasources/analytics.js";
-import { validateQuery } from "../cli/validators.js";
+import { getDatasource, getPresetsForSource } from "../datasources/registry.js";
+import { validateQuery, QueryValidationError } from "../cli/validators.js";
+import { checkAnalyticsFields } from "./compatibility.js";
+import { abortable, createQuerySignal, toAbortError } from "./cancellation.js";
+import { getComparisonDateRange } from "./comparison.js";
+import { resolveDateRangeFromAnswers } from "./date-ranges.js";
+import { parseQueryText } from "./query-language.js";
+import { pivotsFromAnswers, normalizePivots, getPivotDimensions } from "./pivot.js";
+import { getCacheScope, buildCacheKey, getCacheTtl, readCache, writeCache } from "./query-cache.js";
+import { normalizeDataQuality } from "./data-quality.js";
+import { detectAnomalies } from "./anomalies.js";
+import { validateForecast, buildForecast } from "./forecast.js";
 
 /**
  * @typedef NormalizedQuery
  * @property {string} source - "searchconsole" | "bigquery"
  * @property {Object} dateRange - {start: string, end: string}
+ * @property {Object|null} compareDateRange - {start: string, end: string} for period-over-period comparison
  * @property {string[]} metrics - Array of metric names
  * @property {string[]} dimensions - Array of dimension names
  * @property {Array} orderBys - Array of {metric?: string, dimension?: string, desc?: boolean}
  * @property {number} limit - Maximum number of rows
  * @property {Array} filters - Array of filter objects
+ * @property {Pivot[]} [pivots] - Pivot layout of pivot queries; the first pivot holds the rows
+ * @property {string} [searchType] - Search Console only: web, image, video, news, discover or googleNews
+ * @property {string} [aggregationType] - Search Console only: auto, byPage, byProperty or byNewsShowcasePanel
+ * @property {string} [dataState] - Search Console only: final or all (includes fresh data)
  */
 
-export async function runQuery(answers, cfg, auth = null) {
+/**
+ * Run a query and wrap the datasource rows in a QueryResult envelope
+ * Results are served from the query cache when a fresh entry exists,
+ * unless answers.bypassCache is set
+ * Queries grouped by date are projected answers.forecastDays days ahead
+ * when it is set (see core/forecast.js)
+ * Throws a QueryValidationError listing the offending fields when the query
+ * is invalid, and a QueryAbortedError when options.signal aborts or the query
+ * runs longer than cfg.limits.maxRuntimeMs
+ * @param {Object} answers - CLI answers or API request parameters
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [auth] - An authenticated OAuth2 client
+ * @param {Object} [options] - {propertyId, siteUrl, dataset, onProgress, onRetry, signal} forwarded to
+ *   the datasource; the selection also scopes the cache entry, and the datasource
+ *   receives a signal that also fires on the runtime limit
+ * @returns {Promise<QueryResult>}
+ */
+export async function runQuery(answers, cfg, auth = null, options = {}) {
   const normalized = normalize(answers, cfg);
   
   // Validate the normalized query
-  const errors = validateQuery(normalized);
+  const errors = validateQuery(normalized, null, cfg);
+  if (answers.forecastDays) {
+    errors.push(...validateForecast(answers.forecastDays, normalized, cfg));
+  }
   if (errors.length > 0) {
-    throw new Error(`Query validation failed: ${errors.join(", ")}`);
+    throw new QueryValidationError(errors);
+  }
+
+  const ttlMs = getCacheTtl(normalized.source, cfg);
+  const propertyId = getCacheScope(normalized, cfg, options);
+  const cacheKey = buildCacheKey(propertyId, normalized);
+  const cache = { hit: false, bypassed: !!answers.bypassCache, enabled: ttlMs > 0 };
+  const forecastDays = Number(answers.forecastDays) || 0;
+
+  if (ttlMs > 0 && !answers.bypassCache) {
+    const cached = readCache(cacheKey);
+    if (cached) {
+      return toQueryResult(cached.result, normalized, cfg, {
+        hit: true,
+        bypassed: false,
+        enabled: true,
+        cachedAt: new Date(cached.createdAt).toISOString(),
+        expiresAt: new Date(cached.expiresAt).toISOString(),
+      }, forecastDays);
+    }
   }
 
-  // Route to appropriate data source
-  if (normalized.source === "analytics") {
-    return runAnalytics(normalized, cfg, auth);
-  } else if (normalized.source === "searchconsole") {
-    return runGSC(normalized, cfg, auth);
-  } else if (normalized.source === "bigquery") {
-    return runBQ(normalized, cfg);
-  } else {
+  const { signal, cleanup } = createQuerySignal(cfg, options.signal);
+  let result;
+  try {
+    // Check field names and compatibility before the report is requested;
+    // a cached result was already accepted by GA4
+    if (normalized.source === "analytics" && auth && cfg.validation?.checkCompatibility !== false) {
+      const fields = await checkAnalyticsFields(normalized, cfg, auth, propertyId);
+      if (fields.length > 0) {
+        throw new QueryValidationError(fields.map(field => field.message), fields);
+      }
+    }
+
+    // abortable also enforces the limit on datasources that ignore the signal
+    result = await abortable(runDatasource(normalized, cfg, auth, { ...options, signal }), signal);
+  } catch (error) {
+    // Datasources surface aborts as their own errors; report why the query stopped
+    if (signal.aborted) {
+      throw toAbortError(signal);
+    }
+    throw error;
+  } finally {
+    cleanup();
+  }
+
+  if (ttlMs > 0) {
+    writeCache(cacheKey, normalized.source, propertyId, result, ttlMs);
+  }
+
+  return toQueryResult(result, normalized, cfg, cache, forecastDays);
+}
+
+function runDatasource(normalized, cfg, auth, options) {
+  // Route to the registered data source
+  const datasource = getDatasource(normalized.source);
+  if (!datasource) {
     throw new Error(`Unsupported source: ${normalized.source}`);
   }
+  return datasource.run(normalized, cfg, auth, options);
+}
+
+/**
+ * Wrap a datasource result (a row array or {rows, metadata}) in a QueryResult
+ * Date series are scored for anomalies and forecast last, so cached results
+ * follow the current settings
+ */
+function toQueryResult(result, normalized, cfg, cache, forecastDays = 0) {
+  const rows = Array.isArray(result) ? result : result.rows || [];
+  const metadata = Array.isArray(result) ? {} : result.metadata || {};
+  const aggregations = Array.isArray(result) ? null : result.aggregations || null;
+
+  return {
+    rows,
+    totalRows: rows.length,
+    aggregations,
+    anomalies: normalized.pivots ? [] : detectAnomalies(rows, normalized, cfg),
+    forecast: forecastDays > 0 ? buildForecast(rows, normalized, forecastDays, cfg) : null,
+    metadata: {
+      ...metadata,
+      // Sources without sampling or thresholding report exact data
+      dataQuality: normalizeDataQuality(metadata.dataQuality),
+      source: normalized.source,
+      cache,
+    },
+  };
+}
+
+// Search Console options come from the answers, then the preset; other
+// sources leave them out so their cache keys do not change
+function getSearchConsoleOptions(source, answers, preset = {}) {
+  if (source !== "searchconsole") {
+    return {};
+  }
+  const options = {};
+  ["searchType", "aggregationType", "dataState"].forEach(key => {
+    const value = answers[key] || preset[key];
+    if (value) {
+      options[key] = value;
+    }
+  });
+  return options;
 }
 
 function normalize(answers, cfg) {
@@ -41,58 +163,62 @@ function normalize(answers, cfg) {
   
   // Handle preset queries
   if (answers.action === "preset") {
-    const preset = cfg.presets.find(p => p.id === answers.preset);
+    const preset = getPresetsForSource(source, cfg).find(p => p.id === answers.preset);
     if (!preset) {
       throw new Error(`Preset not found: ${answers.preset}`);
     }
 
+    const dateRange = resolveDateRangeFromAnswers(answers, cfg);
+    const limit = Math.min(answers.limit || preset.limit || 1000, cfg.limits.maxRows);
+    const pivots = preset.pivots ? normalizePivots(preset.pivots, limit) : null;
     return {
       source,
-      dateRange: getDateRange(answers),
+      dateRange,
+      compareDateRange: getComparisonDateRange(dateRange, answers.compareTo, answers.compareStartDate, answers.compareEndDate),
       metrics: preset.metrics,
-      dimensions: preset.dimensions,
+      dimensions: preset.dimensions || (pivots ? getPivotDimensions(pivots) : undefined),
       orderBys: preset.orderBys || [],
-      limit: Math.min(answers.limit || preset.limit || 1000, cfg.limits.maxRows),
+      limit,
       filters: preset.filters || [],
+      ...(pivots ? { pivots } : {}),
+      ...getSearchConsoleOptions(source, answers, preset),
+    };
+  }
+
+  // Pivot queries take their dimensions from the pivots
+  if (answers.action === "pivot") {
+    const dateRange = resolveDateRangeFromAnswers(answers, cfg);
+    const limit = Math.min(answers.limit || 1000, cfg.limits.maxRows);
+    const pivots = normalizePivots(pivotsFromAnswers(answers), limit);
+    return {
+      source,
+      dateRange,
+      compareDateRange: getComparisonDateRange(dateRange, answers.compareTo, answers.compareStartDate, answers.compareEndDate),
+      metrics: answers.metrics || [],
+      dimensions: getPivotDimensions(pivots),
+      orderBys: [],
+      limit,
+      filters: answers.filters || [],
+      pivots,
     };
   }
 
+  // Text queries parse into ad-hoc answers
+  if (answers.action === "text") {
+    answers = { ...answers, ...parseQueryText(answers.queryText, cfg, source) };
+  }
+
   // Handle ad-hoc queries
+  const dateRange = resolveDateRangeFromAnswers(answers, cfg);
   return {
     source,
-    dateRange: getDateRange(answers),
+    dateRange,
+    compareDateRange: getComparisonDateRange(dateRange, answers.compareTo, answers.compareStartDate, answers.compareEndDate),
     metrics: answers.metrics || [],
     dimensions: answers.dimensions || [],
     orderBys: answers.orderBys || [],
     limit: Math.min(answers.limit || 1000, cfg.limits.maxRows),
     filters: answers.filters || [],
+    ...getSearchConsoleOptions(source, answers),
   };
 }
-
-function getDateRange(answers) {
-  const today = new Date();
-  const formatDate = (date) => date.toISOString().split('T')[0];
-
-  switch (answers.dateRangeType) {
-    case "last7":
-      const last7 = new Date(today);
-      last7.setDate(today.getDate() - 7);
-      return { start: formatDate(last7), end: formatDate(today) };
-    
-    case "last28":
-      const last28 = new Date(today);
-      last28.setDate(today.getDate() - 28);
-      return { start: formatDate(last28), end: formatDate(today) };
-    
-    case "last90":
-      const last90 = new Date(today);
-      last90.setDate(today.getDate() - 90);
-      return { start: formatDate(last90), end: formatDate(today) };
-    
-    case "custom":
-      return { start: answers.customStartDate, end: answers.customEndDate };
-    
-    default:
-      throw new Error(`Unknown date range type: ${answers.dateRangeType}`);
-  }
-}
@@ -0,0 +1,162 @@
+/**
+ * GA4 property quota tracking
+ *
+ * Every runReport request asks GA4 for the property quota
+ * (returnPropertyQuota). The latest state per property is stored in the
+ * SQLite database and checked against the soft limits in config.quota before
+ * the next analytics request.
+ */
+
+import { getPropertyQuotas, storePropertyQuota } from "../utils/database.js";
+
+// GA4 resets daily token quotas at midnight Pacific time
+const QUOTA_TIME_ZONE = "America/Los_Angeles";
+const HOUR_MS = 60 * 60 * 1000;
+
+export const QUOTA_BUCKETS = {
+  tokensPerDay: "Tokens per day",
+  tokensPerHour: "Tokens per hour",
+  tokensPerProjectPerHour: "Tokens per project per hour",
+  concurrentRequests: "Concurrent requests",
+  serverErrorsPerProjectPerHour: "Server errors per project per hour",
+  potentiallyThresholdedRequestsPerHour: "Potentially thresholded requests per hour",
+};
+
+/**
+ * Error raised when a soft limit refuses an analytics request
+ */
+export class QuotaLimitError extends Error {
+  constructor(message, propertyId, bucket, remaining) {
+    super(message);
+    this.name = "QuotaLimitError";
+    this.propertyId = propertyId;
+    this.bucket = bucket;
+    this.remaining = remaining;
+  }
+}
+
+/**
+ * Store the propertyQuota block of a runReport response
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} [propertyQuota] - The response's propertyQuota, if any
+ */
+export function recordPropertyQuota(propertyId, propertyQuota) {
+  if (!propertyQuota) {
+    return;
+  }
+
+  try {
+    storePropertyQuota(propertyId, propertyQuota);
+  } catch (error) {
+    console.log(`Warning: Could not store property quota: ${error.message}`);
+  }
+}
+
+function getQuotaDay(timestamp) {
+  return new Date(timestamp).toLocaleDateString("en-CA", { timeZone: QUOTA_TIME_ZONE });
+}
+
+// Whether a stored bucket still describes the current quota window;
+// concurrent requests are a snapshot and never carried over
+function isCurrentWindow(bucket, updatedAt, now) {
+  if (bucket === "concurrentRequests") {
+    return false;
+  }
+  if (bucket === "tokensPerDay") {
+    return getQuotaDay(updatedAt) === getQuotaDay(now);
+  }
+  return now - updatedAt < HOUR_MS;
+}
+
+/**
+ * Evaluate a stored quota state against the configured soft limits
+ * @param {Object} entry - {propertyId, quota, updatedAt} as stored
+ * @param {Object} cfg - The loaded configuration
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} - {propertyId, updatedAt, buckets: {name: {label, consumed, remaining, current}},
+ *   warnings: string[], refusal: {bucket, remaining, message}|null}
+ */
+export function evaluateQuota(entry, cfg, now = Date.now()) {
+  const softLimits = cfg.quota?.softLimits || {};
+  const buckets = {};
+  const warnings = [];
+  let refusal = null;
+
+  Object.entries(entry.quota).forEach(([bucket, state]) => {
+    const label = QUOTA_BUCKETS[bucket] || bucket;
+    const current = isCurrentWindow(bucket, entry.updatedAt, now);
+    buckets[bucket] = {
+      label,
+      consumed: state.consumed ?? 0,
+      remaining: state.remaining ?? null,
+      current,
+    };
+
+    const limits = softLimits[bucket];
+    if (!limits || !current || state.remaining === undefined) {
+      return;
+    }
+
+    if (limits.refuse && state.remaining < limits.refuse) {
+      refusal = refusal || {
+        bucket,
+        remaining: state.remaining,
+        message: `${label} for property ${entry.propertyId}: ${state.remaining} remaining, below the limit of ${limits.refuse}`,
+      };
+    } else if (limits.warn && state.remaining < limits.warn) {
+      warnings.push(`${label} for property ${entry.propertyId}: ${state.remaining} remaining (warning below ${limits.warn})`);
+    }
+  });
+
+  return {
+    propertyId: entry.propertyId,
+    updatedAt: new Date(entry.updatedAt).toISOString(),
+    buckets,
+    warnings,
+    refusal,
+  };
+}
+
+/**
+ * Get the evaluated quota state of one property, or of every property that
+ * has reported quota
+ * @param {Object} cfg - The loaded configuration
+ * @param {string} [propertyId] - Limit the result to this property
+ * @returns {Object[]} - evaluateQuota results, most recently updated first
+ */
+export function getQuotaStatus(cfg, propertyId = null) {
+  try {
+    return getPropertyQuotas(propertyId).map(entry => evaluateQuota(entry, cfg));
+  } catch (error) {
+    console.log(`Warning: Could not read property quota: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Check the soft limits before a request is sent to a property
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} cfg - The loaded configuration
+ * @returns {string[]} - Warnings for buckets below their warn threshold
+ * @throws {QuotaLimitError} - When a bucket is below its refuse threshold
+ */
+export function checkQuotaLimits(propertyId, cfg) {
+  if (!cfg.quota?.softLimits) {
+    return [];
+  }
+
+  const [status] = getQuotaStatus(cfg, propertyId);
+  if (!status) {
+    return [];
+  }
+
+  if (status.refusal) {
+    throw new QuotaLimitError(
+      `Query refused to protect the GA4 quota. ${status.refusal.message}. Try again later or lower quota.softLimits in config.js.`,
+      propertyId,
+      status.refusal.bucket,
+      status.refusal.remaining,
+    );
+  }
+  return status.warnings;
+}
@@ -0,0 +1,222 @@
+/**
+ * Realtime reports
+ *
+ * Realtime queries cover the last minutes of activity on a GA4 property
+ * through the runRealtimeReport endpoint. They use the field set in
+ * cfg.sources.analytics.realtime and minute ranges instead of date ranges,
+ * and are never cached.
+ */
+
+import { runRealtimeReport } from "../datasources/ga4-client.js";
+import { QueryValidationError, suggestFieldName } from "../cli/validators.js";
+import { createQuerySignal, toAbortError } from "./cancellation.js";
+
+// GA4 accepts at most two minute ranges per realtime request
+const MAX_MINUTE_RANGES = 2;
+const DEFAULT_MINUTES = 30;
+const DEFAULT_LIMIT = 100;
+
+// GA4 names the range of each row in the dateRange dimension
+const RANGE_DIMENSION = "dateRange";
+const RANGE_COLUMN = "minuteRange";
+
+export function getRealtimeConfig(cfg) {
+  return cfg.sources.analytics?.realtime || {};
+}
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value).split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse minute ranges written as "from-to" minutes ago, e.g. "0-4,5-29"
+ * @param {string|string[]} text
+ * @returns {Object[]} - {name, startMinutesAgo, endMinutesAgo}; unparseable
+ *   ranges have NaN bounds and are reported by validateRealtimeQuery
+ */
+export function parseMinuteRanges(text) {
+  return toList(text).map(range => {
+    const match = /^(\d+)\s*-\s*(\d+)$/.exec(range);
+    if (!match) {
+      return { name: range, startMinutesAgo: NaN, endMinutesAgo: NaN };
+    }
+    const [from, to] = [Number(match[1]), Number(match[2])].sort((a, b) => a - b);
+    return { name: `${from}-${to} min ago`, startMinutesAgo: to, endMinutesAgo: from };
+  });
+}
+
+/**
+ * Build a realtime query from CLI answers or API parameters
+ * @param {Object} params - {metrics, dimensions, minutes, minuteRanges, limit}; metrics and
+ *   dimensions are arrays or comma-separated names, minuteRanges a parseMinuteRanges string
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Object} - {metrics, dimensions, minuteRanges, limit}
+ */
+export function normalizeRealtimeQuery(params, cfg) {
+  const realtime = getRealtimeConfig(cfg);
+  const minutes = Number(params.minutes ?? realtime.minutes ?? DEFAULT_MINUTES);
+
+  return {
+    metrics: params.metrics ? toList(params.metrics) : realtime.defaultMetrics || [],
+    dimensions: params.dimensions !== undefined ? toList(params.dimensions) : realtime.defaultDimensions || [],
+    minuteRanges: params.minuteRanges
+      ? parseMinuteRanges(params.minuteRanges)
+      : [{ startMinutesAgo: minutes - 1, endMinutesAgo: 0 }],
+    limit: Math.min(Number(params.limit) || DEFAULT_LIMIT, cfg.limits?.maxRows ?? Infinity),
+  };
+}
+
+// Realtime fields may be given by their config name or their GA4 API name
+function findUnknownRealtimeFields(names, fieldMap, kind) {
+  const known = [...Object.keys(fieldMap), ...Object.values(fieldMap)];
+  return names
+    .filter(name => !known.includes(name))
+    .map(name => {
+      const suggestion = suggestFieldName(name, Object.keys(fieldMap));
+      return {
+        field: name,
+        kind,
+        reason: "unknown",
+        ...(suggestion ? { suggestion } : {}),
+        message: `Unknown realtime ${kind} "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`,
+      };
+    });
+}
+
+/**
+ * Validate a realtime query against the realtime field set and minute limits
+ * @param {Object} query - A normalizeRealtimeQuery result
+ * @param {Object} cfg - The loaded configuration
+ * @returns {{errors: string[], fields: Object[]}} - fields as reported by findUnknownFields
+ */
+export function validateRealtimeQuery(query, cfg) {
+  const realtime = getRealtimeConfig(cfg);
+  const maxMinutes = realtime.maxMinutes || DEFAULT_MINUTES;
+  const errors = [];
+
+  if (query.metrics.length === 0) {
+    errors.push("At least one metric is required");
+  }
+
+  const fields = [
+    ...findUnknownRealtimeFields(query.metrics, realtime.metrics || {}, "metric"),
+    ...findUnknownRealtimeFields(query.dimensions, realtime.dimensions || {}, "dimension"),
+  ];
+  errors.push(...fields.map(field => field.message));
+
+  if (query.minuteRanges.length > MAX_MINUTE_RANGES) {
+    errors.push(`At most ${MAX_MINUTE_RANGES} minute ranges are allowed`);
+  }
+  query.minuteRanges.forEach(range => {
+    if (!Number.isInteger(range.startMinutesAgo) || !Number.isInteger(range.endMinutesAgo)) {
+      errors.push(range.name
+        ? `Invalid minute range "${range.name}": use "from-to" minutes ago, e.g. "0-4"`
+        : `minutes must be a whole number between 1 and ${maxMinutes}`);
+    } else if (range.endMinutesAgo < 0 || range.startMinutesAgo >= maxMinutes) {
+      errors.push(`Minute ranges must lie within the last ${maxMinutes} minutes (0-${maxMinutes - 1} minutes ago)`);
+    }
+  });
+
+  return { errors, fields };
+}
+
+/**
+ * Build the runRealtimeReport request body; rows are ordered by the first metric
+ */
+export function buildRealtimeRequest(query, cfg) {
+  const realtime = getRealtimeConfig(cfg);
+  const toApiName = (name, fieldMap) => fieldMap?.[name] || name;
+  const metrics = query.metrics.map(name => ({ name: toApiName(name, realtime.metrics) }));
+
+  return {
+    dimensions: query.dimensions.map(name => ({ name: toApiName(name, realtime.dimensions) })),
+    metrics,
+    minuteRanges: query.minuteRanges,
+    metricAggregations: ["TOTAL"],
+    orderBys: [{ metric: { metricName: metrics[0].name }, desc: true }],
+    limit: query.limit,
+  };
+}
+
+// Response rows keyed by the requested field names
+function toRows(responseRows, data, columnNames) {
+  const dimensionColumns = (data.dimensionHeaders || [])
+    .map(header => (header.name === RANGE_DIMENSION ? RANGE_COLUMN : columnNames.get(header.name) || header.name));
+  const metricColumns = (data.metricHeaders || []).map(header => columnNames.get(header.name) || header.name);
+
+  return (responseRows || []).map(row => {
+    const result = {};
+    dimensionColumns.forEach((column, index) => {
+      result[column] = row.dimensionValues?.[index]?.value ?? "";
+    });
+    metricColumns.forEach((column, index) => {
+      result[column] = Number(row.metricValues?.[index]?.value ?? 0);
+    });
+    return result;
+  });
+}
+
+/**
+ * Run a realtime report
+ * @param {Object} params - normalizeRealtimeQuery parameters
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} [options] - {signal}; the report is also aborted after cfg.limits.maxRuntimeMs
+ * @returns {Promise<{rows: Object[], totalRows: number, totals: Object[], metadata: Object}>} -
+ *   totals holds one row per minute range
+ * @throws {QueryValidationError} - When a field or minute range is invalid
+ */
+export async function runRealtime(params, cfg, auth, propertyId, options = {}) {
+  const query = normalizeRealtimeQuery(params, cfg);
+  const { errors, fields } = validateRealtimeQuery(query, cfg);
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors, fields);
+  }
+
+  const body = buildRealtimeRequest(query, cfg);
+  const columnNames = new Map();
+  [...body.dimensions, ...body.metrics].forEach(({ name }, index) => {
+    columnNames.set(name, [...query.dimensions, ...query.metrics][index]);
+  });
+
+  const { signal, cleanup } = createQuerySignal(cfg, options.signal);
+  let data;
+  try {
+    data = await runRealtimeReport(auth, propertyId, body, { signal });
+  } catch (error) {
+    if (signal.aborted) {
+      throw toAbortError(signal);
+    }
+    throw error;
+  } finally {
+    cleanup();
+  }
+
+  const rows = toRows(data.rows, data, columnNames);
+  const totals = toRows(data.totals, data, columnNames).map(row => {
+    const total = RANGE_COLUMN in row ? { [RANGE_COLUMN]: row[RANGE_COLUMN] } : {};
+    query.metrics.forEach(metric => {
+      total[metric] = row[metric];
+    });
+    return total;
+  });
+
+  return {
+    rows,
+    totalRows: rows.length,
+    totals,
+    metadata: {
+      propertyId,
+      metrics: query.metrics,
+      dimensions: query.dimensions,
+      minuteRanges: query.minuteRanges,
+      rowCount: data.rowCount || 0,
+      fetchedAt: new Date().toISOString(),
+      quota: data.propertyQuota || null,
+    },
+  };
+}
@@ -19,10 +19,35 @@
  * @typedef {Object} Filter
  * @property {string} type - "metric" | "dimension"
  * @property {string} field - Field name
- * @property {string} op - Operator: "eq" | "neq" | "gt" | "lt" | "regex" | "contains"
- * @property {string|number} value - Filter value
+ * @property {string} op - Operator: "eq" | "neq" | "gt" | "gte" | "lt" | "lte" | "regex" | "contains"
+ *   | "beginsWith" | "endsWith" | "inList" | "between"
+ * @property {string|number} [value] - Filter value (all operators except inList and between)
+ * @property {string[]} [values] - Values for the inList operator
+ * @property {number} [from] - Lower bound for the between operator (inclusive)
+ * @property {number} [to] - Upper bound for the between operator (inclusive)
+ * @property {boolean} [caseSensitive] - Case-sensitive string matching (default: false)
  */
 
+/**
+ * A filter group combines filters with boolean logic. Exactly one key is set.
+ * Groups are only supported for analytics queries, and a group may not mix
+ * dimension and metric filters.
+ * @typedef {Object} FilterGroup
+ * @property {Array<Filter|FilterGroup>} [and] - All expressions must match
+ * @property {Array<Filter|FilterGroup>} [or] - At least one expression must match
+ * @property {Filter|FilterGroup} [not] - The expression must not match
+ */
+
+// Filter operators accepted in Filter.op
+export const FILTER_OPERATORS = [
+  "eq", "neq", "gt", "gte", "lt", "lte",
+  "regex", "contains", "beginsWith", "endsWith",
+  "inList", "between",
+];
+
+// Operators that compare numbers rather than strings
+export const NUMERIC_FILTER_OPERATORS = ["gt", "gte", "lt", "lte", "between"];
+
 /**
  * @typedef {Object} NormalizedQuery
  * @property {string} source - "searchconsole" | "bigquery"
@@ -31,14 +56,44 @@
  * @property {string[]} dimensions - Array of dimension names
  * @property {OrderBy[]} [orderBys] - Array of ordering specifications
  * @property {number} [limit] - Maximum number of rows to return
- * @property {Filter[]} [filters] - Array of filter specifications
+ * @property {Array<Filter|FilterGroup>} [filters] - Filters, combined with AND
  */
 
 /**
  * @typedef {Object} QueryResult
  * @property {Object[]} rows - Array of result rows
  * @property {number} totalRows - Total number of rows returned
- * @property {Object} metadata - Additional metadata about the query
+ * @property {Aggregations|null} aggregations - Metric aggregations, when the source provides them
+ * @property {Object[]} anomalies - Anomalous days of date series (see core/anomalies.js)
+ * @property {Object|null} forecast - Projected days of date series when requested (see core/forecast.js)
+ * @property {QueryMetadata} metadata - Additional metadata about the query
+ */
+
+/**
+ * Metric aggregations across every row matching a query, keyed by metric
+ * @typedef {Object} Aggregations
+ * @property {Object<string, number|null>} total - Report total of each metric
+ * @property {Object<string, number|null>} minimum - Smallest row value of each metric
+ * @property {Object<string, number|null>} maximum - Largest row value of each metric
+ */
+
+/**
+ * @typedef {Object} CacheStatus
+ * @property {boolean} enabled - Whether caching is enabled for the source
+ * @property {boolean} hit - Whether the rows were served from the cache
+ * @property {boolean} bypassed - Whether the caller asked to skip the cache
+ * @property {string} [cachedAt] - When the cached entry was stored (ISO 8601)
+ * @property {string} [expiresAt] - When the cached entry expires (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} QueryMetadata
+ * @property {string} source - The data source that produced the rows
+ * @property {CacheStatus} cache - Query cache status
+ * @property {Object} dataQuality - Sampling, thresholding and "(other)" row flags (see core/data-quality.js)
+ * @property {number} [rowCount] - Total rows the source reports for the query
+ * @property {boolean} [truncated] - Whether more rows exist than were returned
+ * @property {number} [pages] - Number of API pages fetched
  */
 
 // Common GSC metrics
@@ -59,6 +114,15 @@ export const GSC_DIMENSIONS = {
   date: "date",
 };
 
+// GSC result types: Search results by vertical, Discover and Google News
+export const GSC_SEARCH_TYPES = ["web", "image", "video", "news", "discover", "googleNews"];
+
+// How GSC aggregates results: by page (canonical URL) or by property
+export const GSC_AGGREGATION_TYPES = ["auto", "byPage", "byProperty", "byNewsShowcasePanel"];
+
+// Dimensions GSC can filter on
+export const GSC_FILTER_DIMENSIONS = ["query", "page", "country", "device", "searchAppearance"];
+
 // Common BigQuery fields (for GSC data)
 export const BQ_FIELDS = {
   date: "date",
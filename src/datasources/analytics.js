@@ -6,6 +6,13 @@ import { join } from "path";
 import open from "open";
 import { getTokensForUser, storeTokensForUser } from '../utils/database.js';
 import { processRow } from '../utils/dimension-processors.js';
+import { mergeComparisonRows, CURRENT_RANGE_NAME, COMPARISON_RANGE_NAME } from '../core/comparison.js';
+import { planCalculatedMetrics, applyCalculatedMetrics, isCalculatedMetric } from '../core/calculated-metrics.js';
+import { checkQuotaLimits } from '../core/quota.js';
+import { QueryAbortedError } from '../core/cancellation.js';
+import { buildCrossTab, toWideRows, toWideTotals } from '../core/pivot.js';
+import { extractDataQuality } from '../core/data-quality.js';
+import { runReport, runPivotReport, getMetadata, checkCompatibility, listAccountSummaries, GA4Error, GA4AuthError } from './ga4-client.js';
 import config from '../../config.js';
 
 /**
@@ -40,20 +47,385 @@ function getSourceMetricForAPI(metric, analyticsConfig) {
   return metric;
 }
 
-export default async function runAnalytics(query, cfg, auth = null) {
+// GA4 stringFilter match types for string operators
+const STRING_MATCH_TYPES = {
+  eq: "EXACT",
+  contains: "CONTAINS",
+  beginsWith: "BEGINS_WITH",
+  endsWith: "ENDS_WITH",
+  regex: "PARTIAL_REGEXP"
+};
+
+// GA4 numericFilter operations for numeric operators
+const NUMERIC_OPERATIONS = {
+  eq: "EQUAL",
+  gt: "GREATER_THAN",
+  gte: "GREATER_THAN_OR_EQUAL",
+  lt: "LESS_THAN",
+  lte: "LESS_THAN_OR_EQUAL"
+};
+
+function toNumericValue(value) {
+  const number = Number(value);
+  return Number.isInteger(number) ? { int64Value: String(number) } : { doubleValue: number };
+}
+
+/**
+ * Translate a single Filter into a GA4 FilterExpression
+ * Dimension "eq" matches strings exactly; metric "eq" compares numbers
+ */
+function buildFilterLeaf(filter, analyticsConfig) {
+  if (filter.type === "metric" && isCalculatedMetric(filter.field, analyticsConfig)) {
+    throw new Error(`Calculated metric ${filter.field} cannot be used in filters`);
+  }
+  
+  const fieldName = filter.type === "metric"
+    ? getSourceMetricForAPI(filter.field, analyticsConfig)
+    : getSourceDimensionForAPI(filter.field, analyticsConfig);
+  const caseSensitive = !!filter.caseSensitive;
+
+  if (filter.op === "neq") {
+    return { notExpression: buildFilterLeaf({ ...filter, op: "eq" }, analyticsConfig) };
+  }
+
+  if (filter.op === "inList") {
+    return { filter: { fieldName, inListFilter: { values: filter.values.map(String), caseSensitive } } };
+  }
+
+  if (filter.op === "between") {
+    return {
+      filter: {
+        fieldName,
+        betweenFilter: { fromValue: toNumericValue(filter.from), toValue: toNumericValue(filter.to) }
+      }
+    };
+  }
+
+  if (filter.type === "dimension" && STRING_MATCH_TYPES[filter.op]) {
+    return {
+      filter: {
+        fieldName,
+        stringFilter: { matchType: STRING_MATCH_TYPES[filter.op], value: String(filter.value), caseSensitive }
+      }
+    };
+  }
+
+  if (NUMERIC_OPERATIONS[filter.op]) {
+    return {
+      filter: {
+        fieldName,
+        numericFilter: { operation: NUMERIC_OPERATIONS[filter.op], value: toNumericValue(filter.value) }
+      }
+    };
+  }
+
+  throw new Error(`Unsupported ${filter.type} filter operator: ${filter.op}`);
+}
+
+/**
+ * Translate a Filter or FilterGroup into a GA4 FilterExpression
+ */
+function buildFilterExpression(node, analyticsConfig) {
+  if (node.and) {
+    return { andGroup: { expressions: node.and.map(child => buildFilterExpression(child, analyticsConfig)) } };
+  }
+  if (node.or) {
+    return { orGroup: { expressions: node.or.map(child => buildFilterExpression(child, analyticsConfig)) } };
+  }
+  if (node.not) {
+    return { notExpression: buildFilterExpression(node.not, analyticsConfig) };
+  }
+  return buildFilterLeaf(node, analyticsConfig);
+}
+
+// The filter type of a group is the type of its first leaf
+function getFilterType(node) {
+  if (node.and || node.or) {
+    return getFilterType((node.and || node.or)[0]);
+  }
+  if (node.not) {
+    return getFilterType(node.not);
+  }
+  return node.type;
+}
+
+/**
+ * Split normalized filters into the GA4 dimensionFilter and metricFilter
+ * Top-level filters are combined with AND
+ * @param {Array} filters - Filters and filter groups from the normalized query
+ * @param {Object} analyticsConfig - The analytics source configuration
+ * @returns {{dimensionFilter: Object|undefined, metricFilter: Object|undefined}}
+ */
+function buildFilterExpressions(filters, analyticsConfig) {
+  const combine = (nodes) => {
+    if (nodes.length === 0) {
+      return undefined;
+    }
+    const expressions = nodes.map(node => buildFilterExpression(node, analyticsConfig));
+    return expressions.length === 1 ? expressions[0] : { andGroup: { expressions } };
+  };
+
+  const list = filters || [];
+  return {
+    dimensionFilter: combine(list.filter(filter => getFilterType(filter) === "dimension")),
+    metricFilter: combine(list.filter(filter => getFilterType(filter) === "metric"))
+  };
+}
+
+// Calculated metrics are computed from the returned rows, after GA4 has
+// applied the filters, so they cannot be filtered on
+function validateAnalyticsFilter(node, path, errors, sourceConfig) {
+  if ("and" in node || "or" in node) {
+    const key = "and" in node ? "and" : "or";
+    (node[key] || []).forEach((child, index) => validateAnalyticsFilter(child, `${path}.${key}[${index}]`, errors, sourceConfig));
+  } else if ("not" in node) {
+    if (node.not) {
+      validateAnalyticsFilter(node.not, `${path}.not`, errors, sourceConfig);
+    }
+  } else if (node.type === "metric" && isCalculatedMetric(node.field, sourceConfig)) {
+    errors.push(`Filter ${path}: calculated metric ${node.field} cannot be used in filters`);
+  }
+}
+
+/**
+ * Check a normalized query against what GA4 can run
+ * @param {Object} query - The normalized query
+ * @param {Object} cfg - The loaded configuration
+ * @returns {string[]} - Error messages
+ */
+export function validateQuery(query, cfg) {
+  const errors = [];
+  const sourceConfig = cfg?.sources?.analytics || {};
+  (query.filters || []).forEach((filter, index) => {
+    if (filter && typeof filter === "object") {
+      validateAnalyticsFilter(filter, `filters[${index}]`, errors, sourceConfig);
+    }
+  });
+  return errors;
+}
+
+// GA4 response fields for each requested metric aggregation
+const AGGREGATION_FIELDS = {
+  total: "totals",
+  minimum: "minimums",
+  maximum: "maximums"
+};
+
+/**
+ * Map the GA4 totals/minimums/maximums rows to metric values
+ * Aggregations span every row matching the query, not just the fetched
+ * rows. Calculated metrics are derived from the totals; their minimum and
+ * maximum are null because a ratio of per-column extremes is meaningless.
+ * @returns {Object|null} - {total, minimum, maximum} or null when GA4 returned none
+ */
+function buildAggregations(reportData, query, metricPlan, dateRangeIndex) {
+  if (!reportData?.totals || reportData.totals.length === 0) {
+    return null;
+  }
+
+  const aggregations = {};
+  Object.entries(AGGREGATION_FIELDS).forEach(([kind, field]) => {
+    let rows = (reportData[field] || []).map((row, rangeIndex) => {
+      const result = {};
+      if (query.compareDateRange) {
+        result.dateRange = row.dimensionValues?.[dateRangeIndex]?.value
+          || (rangeIndex === 0 ? CURRENT_RANGE_NAME : COMPARISON_RANGE_NAME);
+      }
+      metricPlan.fetchMetrics.forEach((metric, index) => {
+        const value = row.metricValues?.[index]?.value;
+        result[metric] = value ? parseFloat(value) : 0;
+      });
+      return result;
+    });
+
+    rows = applyCalculatedMetrics(rows, metricPlan, query.metrics);
+    if (kind !== "total") {
+      metricPlan.calculated.forEach(({ name }) => {
+        rows.forEach(row => { row[name] = null; });
+      });
+    }
+
+    if (query.compareDateRange) {
+      rows = mergeComparisonRows(rows, [], query.metrics);
+    }
+    const values = { ...rows[0] };
+    delete values.dateRange;
+    aggregations[kind] = values;
+  });
+
+  return aggregations;
+}
+
+// GA4 rejects runReport requests with a limit above this value
+const GA4_MAX_PAGE_SIZE = 250000;
+
+/**
+ * Fetch the dimensions and metrics available on a property, including its
+ * custom definitions (customEvent:*, customUser:*, ...)
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @returns {Promise<{dimensions: Object[], metrics: Object[]}>} - The getMetadata response
+ */
+export async function fetchPropertyMetadata(propertyId, auth) {
+  const data = await getMetadata(auth, propertyId);
+  return {
+    dimensions: data.dimensions || [],
+    metrics: data.metrics || []
+  };
+}
+
+/**
+ * Ask GA4 which of the requested dimensions and metrics cannot be used
+ * together in one report
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {Object} fields - {dimensions: string[], metrics: string[]} API names
+ * @returns {Promise<{dimensions: string[], metrics: string[]}>} - Incompatible API names
+ */
+export async function fetchIncompatibleFields(propertyId, auth, fields) {
+  const data = await checkCompatibility(auth, propertyId, {
+    dimensions: fields.dimensions.map(name => ({ name })),
+    metrics: fields.metrics.map(name => ({ name })),
+    compatibilityFilter: 'INCOMPATIBLE'
+  });
+  
+  return {
+    dimensions: (data.dimensionCompatibilities || []).map(entry => entry.dimensionMetadata.apiName),
+    metrics: (data.metricCompatibilities || []).map(entry => entry.metricMetadata.apiName)
+  };
+}
+
+/**
+ * Run a GA4 pivot report and lay it out as a cross-tab
+ * The first pivot's dimensions become the rows and the other pivots' the
+ * columns; the result rows are the wide rows of the cross-tab
+ */
+async function runPivotAnalytics(query, cfg, auth, propertyId, options) {
   const analyticsConfig = cfg.sources.analytics;
-  const propertyId = process.env.GA_PROPERTY_ID || analyticsConfig.propertyId;
+  
+  const calculated = query.metrics.filter(metric => isCalculatedMetric(metric, analyticsConfig));
+  if (calculated.length > 0) {
+    throw new Error(`Calculated metrics are not supported in pivot reports: ${calculated.join(", ")}`);
+  }
+  
+  const apiDimension = dimension => getSourceDimensionForAPI(dimension, analyticsConfig);
+  const apiMetric = metric => getSourceMetricForAPI(metric, analyticsConfig);
+  const { dimensionFilter, metricFilter } = buildFilterExpressions(query.filters, analyticsConfig);
+  
+  const requestBody = {
+    dateRanges: [{ startDate: query.dateRange.start, endDate: query.dateRange.end }],
+    dimensions: query.dimensions.map(dimension => ({ name: apiDimension(dimension) })),
+    metrics: query.metrics.map(metric => ({ name: apiMetric(metric) })),
+    dimensionFilter,
+    metricFilter,
+    pivots: query.pivots.map(pivot => ({
+      fieldNames: pivot.dimensions.map(apiDimension),
+      limit: pivot.limit,
+      orderBys: pivot.orderBys.map(orderBy => (orderBy.metric
+        ? { metric: { metricName: apiMetric(orderBy.metric) }, desc: orderBy.desc || false }
+        : { dimension: { dimensionName: apiDimension(orderBy.dimension) }, desc: orderBy.desc || false })),
+      // Totals per row, per column and overall come back as aggregates
+      metricAggregations: ["TOTAL"]
+    }))
+  };
+  
+  console.log(chalk.blue(`Querying Analytics property ${propertyId} (pivot report)...`));
+  console.log(chalk.gray(`Request body:`, JSON.stringify(requestBody, null, 2)));
+  
+  const data = await runPivotReport(auth, propertyId, requestBody, { signal: options.signal, onRetry: options.onRetry });
+  
+  // Key response values by the requested field names
+  const names = new Map();
+  [...query.dimensions.map(dimension => [apiDimension(dimension), dimension]), ...query.metrics.map(metric => [apiMetric(metric), metric])]
+    .forEach(([apiName, name]) => names.set(apiName, name));
+  const dimensionNames = (data.dimensionHeaders || []).map(header => names.get(header.name) || header.name);
+  const metricNames = (data.metricHeaders || []).map(header => names.get(header.name) || header.name);
+  const toRecord = row => {
+    const record = {};
+    dimensionNames.forEach((name, index) => {
+      record[name] = row.dimensionValues?.[index]?.value ?? '';
+    });
+    metricNames.forEach((name, index) => {
+      const value = row.metricValues?.[index]?.value;
+      record[name] = value ? parseFloat(value) : 0;
+    });
+    return record;
+  };
+  
+  // Pivot headers list each pivot's values in the requested order
+  const headerValues = (pivotHeader, dimensions) => (pivotHeader?.pivotDimensionHeaders || []).map(header => {
+    const values = {};
+    dimensions.forEach((dimension, index) => {
+      values[dimension] = header.dimensionValues?.[index]?.value ?? '';
+    });
+    return values;
+  });
+  const [rowPivot, ...columnPivots] = query.pivots;
+  const columnHeaders = columnPivots.reduce(
+    (combinations, pivot, index) => combinations.flatMap(combination => headerValues(data.pivotHeaders?.[index + 1], pivot.dimensions)
+      .map(values => ({ ...combination, ...values }))),
+    [{}]
+  );
+  
+  const crossTab = buildCrossTab((data.rows || []).map(toRecord), (data.aggregates || []).map(toRecord), {
+    rowDimensions: rowPivot.dimensions,
+    columnDimensions: columnPivots.flatMap(pivot => pivot.dimensions),
+    metrics: query.metrics,
+    rowHeaders: headerValues(data.pivotHeaders?.[0], rowPivot.dimensions),
+    columnHeaders
+  });
+  const rowCount = data.pivotHeaders?.[0]?.rowCount ?? crossTab.rows.length;
+  
+  console.log(chalk.gray(`GA4 returned a ${crossTab.rows.length} x ${crossTab.columns.length} pivot (${rowCount} row values available)`));
+  
+  return {
+    rows: toWideRows(crossTab),
+    aggregations: { total: toWideTotals(crossTab) },
+    metadata: {
+      rowCount,
+      truncated: rowCount > crossTab.rows.length,
+      dateRange: query.dateRange,
+      compareDateRange: null,
+      quota: data.propertyQuota || null,
+      dataQuality: extractDataQuality([data.metadata]),
+      pivot: crossTab
+    }
+  };
+}
+
+/**
+ * Run a GA4 report, following offset pages until all rows are fetched
+ * or query.limit (capped at cfg.limits.maxRows) is reached
+ * @param {Object} query - The normalized query
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [auth] - An authenticated OAuth2 client
+ * @param {Object} [options] - {propertyId, onProgress({fetched, total, page}), onRetry, signal};
+ *   propertyId overrides GA_PROPERTY_ID so concurrent queries can target different properties,
+ *   onRetry reports retried GA4 requests (see ga4Request) and signal aborts the page being fetched
+ * @returns {Promise<{rows: Object[], aggregations: Object|null, metadata: Object}>}
+ */
+export default async function runAnalytics(query, cfg, auth = null, options = {}) {
+  const analyticsConfig = cfg.sources.analytics;
+  const propertyId = options.propertyId || process.env.GA_PROPERTY_ID || analyticsConfig.propertyId;
   
   if (!propertyId) {
     throw new Error("Analytics property ID is required. Set GA_PROPERTY_ID environment variable or configure in config.js");
   }
 
+  // Refuse or warn when the property quota reported by the previous request
+  // is below the configured soft limits
+  checkQuotaLimits(propertyId, cfg).forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
   // Use provided auth or initialize OAuth2 client
   if (!auth) {
     auth = await getOAuth2Client(analyticsConfig);
   }
 
   try {
+    if (query.pivots) {
+      return await runPivotAnalytics(query, cfg, auth, propertyId, options);
+    }
+    
     // Build the Analytics Data API request
     // Map derived dimensions to their source dimensions for the API request
     // Deduplicate API dimensions while preserving user-requested dimensions
@@ -69,16 +441,45 @@ export default async function runAnalytics(query, cfg, auth = null) {
       dimensionMapping.get(sourceDim).push(dim);
     });
     
+    // GA4 cannot order by calculated metrics, so reports sorted by one fetch
+    // every row up to limits.maxRows, sort client-side and keep the first `limit`
+    const rowLimit = query.limit || analyticsConfig.pageSize || 1000;
+    const sortsCalculated = (query.orderBys || []).some(orderBy => orderBy.metric && isCalculatedMetric(orderBy.metric, analyticsConfig));
+    const maxRows = sortsCalculated ? (cfg.limits?.maxRows ?? Infinity) : Math.min(rowLimit, cfg.limits?.maxRows ?? Infinity);
+    const pageSize = Math.min(analyticsConfig.pageSize || 10000, maxRows, GA4_MAX_PAGE_SIZE);
+    const startRow = query.startRow || 0;
+    
+    // Comparison queries send both ranges; GA4 tags each row with the range name
+    const dateRanges = [{
+      startDate: query.dateRange.start,
+      endDate: query.dateRange.end,
+      name: CURRENT_RANGE_NAME
+    }];
+    if (query.compareDateRange) {
+      dateRanges.push({
+        startDate: query.compareDateRange.start,
+        endDate: query.compareDateRange.end,
+        name: COMPARISON_RANGE_NAME
+      });
+    }
+    
+    // Calculated metrics are computed per row from the native metrics they use
+    const metricPlan = planCalculatedMetrics(query.metrics, analyticsConfig);
+    
+    // Filters run server-side so they apply before the row limit
+    const { dimensionFilter, metricFilter } = buildFilterExpressions(query.filters, analyticsConfig);
+    
     const requestBody = {
-      dateRanges: [{
-        startDate: query.dateRange.start,
-        endDate: query.dateRange.end
-      }],
+      dateRanges,
       dimensions: apiDimensions,
-      metrics: query.metrics.map(metric => ({ name: getSourceMetricForAPI(metric, analyticsConfig) })),
-      limit: query.limit || analyticsConfig.pageSize || 1000,
-      offset: query.startRow || 0,
-      orderBys: query.orderBys ? query.orderBys.map(orderBy => {
+      metrics: metricPlan.fetchMetrics.map(metric => ({ name: getSourceMetricForAPI(metric, analyticsConfig) })),
+      dimensionFilter,
+      metricFilter,
+      metricAggregations: ["TOTAL", "MINIMUM", "MAXIMUM"],
+      limit: pageSize,
+      offset: startRow,
+      // GA4 cannot order by calculated metrics; those are sorted client-side
+      orderBys: query.orderBys ? query.orderBys.filter(orderBy => !isCalculatedMetric(orderBy.metric, analyticsConfig)).map(orderBy => {
         const fieldName = orderBy.metric || orderBy.dimension;
         const apiFieldName = getSourceDimensionForAPI(fieldName, analyticsConfig);
         return {
@@ -92,36 +493,66 @@ export default async function runAnalytics(query, cfg, auth = null) {
     console.log(chalk.blue(`Querying Analytics property ${propertyId}...`));
     console.log(chalk.gray(`Request body:`, JSON.stringify(requestBody, null, 2)));
     
-    // Use REST API directly with OAuth2 instead of client libraries
-    console.log("Using REST API directly with OAuth2...");
-    
-    // Get fresh access token
-    const accessToken = await auth.getAccessToken();
-    const token = accessToken.token;
-    
-    console.log("Making direct REST API call to runReport...");
-    
-    // Make direct REST API call
-    const response = await fetch(`https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+    // Follow offset pages until every row is fetched or maxRows is reached
+    const rawRows = [];
+    let rowCount = 0;
+    let pages = 0;
+    let dimensionHeaders = [];
+    let aggregationData = null;
+    let propertyQuota = null;
+    const responseMetadatas = [];
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    while (true) {
+      const remaining = maxRows - rawRows.length;
+      const offset = startRow + rawRows.length;
+      // Aggregations cover every matching row; only the first page asks for them
+      const { metricAggregations, ...pageRequest } = requestBody;
+      const pageBody = {
+        ...pageRequest,
+        ...(offset === startRow ? { metricAggregations } : {}),
+        limit: Math.min(pageSize, remaining),
+        offset
+      };
+      
+      const pageData = await runReport(auth, propertyId, pageBody, { signal: options.signal, onRetry: options.onRetry });
+      const pageRows = pageData.rows || [];
+      
+      rawRows.push(...pageRows);
+      rowCount = pageData.rowCount || 0;
+      dimensionHeaders = pageData.dimensionHeaders || dimensionHeaders;
+      // Only the first page carries the aggregations
+      aggregationData = aggregationData || pageData;
+      propertyQuota = pageData.propertyQuota || propertyQuota;
+      responseMetadatas.push(pageData.metadata);
+      pages++;
+      
+      if (options.onProgress) {
+        options.onProgress({ fetched: rawRows.length, total: Math.min(rowCount - startRow, maxRows), page: pages });
+      }
+      
+      if (pageRows.length === 0 || rawRows.length >= maxRows || startRow + rawRows.length >= rowCount) {
+        break;
+      }
     }
     
-    const responseData = await response.json();
+    const dateRangeIndex = dimensionHeaders.findIndex(header => header.name === 'dateRange');
+    const aggregations = buildAggregations(
+      aggregationData,
+      query,
+      metricPlan,
+      dateRangeIndex >= 0 ? dateRangeIndex : apiDimensions.length
+    );
     
     // Transform response to array of objects
-    let rows = (responseData.rows || []).map(row => {
+    let rows = rawRows.map(row => {
       const result = {};
       
+      // Tag comparison rows with the date range they belong to
+      if (query.compareDateRange && row.dimensionValues) {
+        const index = dateRangeIndex >= 0 ? dateRangeIndex : apiDimensions.length;
+        result.dateRange = row.dimensionValues[index]?.value || CURRENT_RANGE_NAME;
+      }
+      
       // Add dimensions - map source dimensions to requested dimensions
       if (row.dimensionValues) {
         let dimensionIndex = 0;
@@ -151,7 +582,7 @@ export default async function runAnalytics(query, cfg, auth = null) {
       
       // Add metrics
       if (row.metricValues) {
-        query.metrics.forEach((metric, index) => {
+        metricPlan.fetchMetrics.forEach((metric, index) => {
           const value = row.metricValues[index]?.value;
           result[metric] = value ? parseFloat(value) : 0;
         });
@@ -186,7 +617,30 @@ export default async function runAnalytics(query, cfg, auth = null) {
       return filteredRow;
     });
 
-    console.log(chalk.gray(`Analytics API returned ${rows.length} rows (requested limit: ${requestBody.limit})`));
+    rows = applyCalculatedMetrics(rows, metricPlan, query.metrics);
+    
+    const fetchTruncated = startRow + rawRows.length < rowCount;
+    
+    console.log(chalk.gray(`Analytics API returned ${rawRows.length} of ${rowCount} rows in ${pages} page(s) (requested limit: ${maxRows})`));
+    if (fetchTruncated) {
+      console.log(chalk.yellow(`Results truncated: ${rowCount - startRow - rawRows.length} more rows are available`));
+      if (sortsCalculated) {
+        console.log(chalk.yellow(`Sorted by a calculated metric over the first ${rawRows.length} rows only (limits.maxRows)`));
+      }
+    }
+    
+    // Merge current and previous range rows into delta columns. The row limit
+    // counts each range's row separately, so a truncated report can hold only
+    // one range of a dimension value; those values are dropped rather than
+    // compared against 0
+    if (query.compareDateRange) {
+      const merged = mergeComparisonRows(rows, query.dimensions, query.metrics, { completeOnly: fetchTruncated });
+      const dropped = new Set(rows.map(row => JSON.stringify(query.dimensions.map(dimension => row[dimension])))).size - merged.length;
+      if (dropped > 0) {
+        console.log(chalk.yellow(`Dropped ${dropped} value(s) missing one date range in the truncated results`));
+      }
+      rows = merged;
+    }
 
     // Apply client-side sorting if orderBys are specified
     if (query.orderBys && query.orderBys.length > 0) {
@@ -203,19 +657,32 @@ export default async function runAnalytics(query, cfg, auth = null) {
         return 0;
       });
     }
+    
+    const truncated = fetchTruncated || rows.length > rowLimit;
+    if (sortsCalculated) {
+      rows = rows.slice(0, rowLimit);
+    }
 
-    return rows;
+    return {
+      rows,
+      aggregations,
+      metadata: {
+        rowCount,
+        truncated,
+        pages,
+        dateRange: query.dateRange,
+        compareDateRange: query.compareDateRange || null,
+        quota: propertyQuota,
+        dataQuality: extractDataQuality(responseMetadatas)
+      }
+    };
     
   } catch (error) {
-    if (error.code === 403) {
-      throw new Error(`Analytics access denied. Check that your account has access to property ${propertyId} and has the "Viewer" or "Analyst" role.`);
-    } else if (error.code === 404) {
-      throw new Error(`Analytics property ${propertyId} not found. Check your property ID.`);
-    } else if (error.code === 400) {
-      throw new Error(`Invalid Analytics query: ${error.message}`);
-    } else {
-      throw new Error(`Analytics API error: ${error.message}`);
+    // Typed GA4 errors already name the property and the cause
+    if (error instanceof GA4Error || error instanceof QueryAbortedError) {
+      throw error;
     }
+    throw new Error(`Analytics API error: ${error.message}`);
   }
 }
 
@@ -267,6 +734,15 @@ export async function getOAuth2Client(analyticsConfig) {
       
       console.log("OAuth2 client credentials set");
       
+      // Persist access tokens the client refreshes, e.g. on a 401 from GA4
+      oauth2Client.on('tokens', (refreshedTokens) => {
+        try {
+          storeTokensForUser(userId, { ...oauth2Client.credentials, ...refreshedTokens });
+        } catch (error) {
+          console.log(chalk.yellow(`Could not store refreshed tokens: ${error.message}`));
+        }
+      });
+      
       // Test if tokens are still valid
       try {
         const freshToken = await oauth2Client.getAccessToken();
@@ -287,6 +763,7 @@ export async function getOAuth2Client(analyticsConfig) {
     access_type: 'offline',
     scope: [
       'https://www.googleapis.com/auth/analytics.readonly',
+      'https://www.googleapis.com/auth/webmasters.readonly',
       'https://www.googleapis.com/auth/bigquery.readonly'
     ],
     prompt: 'consent'
@@ -406,42 +883,10 @@ export async function getAvailableProperties(cfg) {
   // Ensure the auth client is properly authenticated
   await auth.getAccessToken();
   
-  // Use REST API directly with OAuth2 instead of client libraries
-  console.log("Using REST API directly with OAuth2...");
-
   try {
     console.log("Making API call to list properties...");
-    console.log("OAuth2 client credentials:", !!auth.credentials);
-    console.log("Access token present:", !!auth.credentials?.access_token);
-    console.log("Token type:", auth.credentials?.token_type);
-    console.log("Scope:", auth.credentials?.scope);
-    
-    // Get fresh access token
-    const accessToken = await auth.getAccessToken();
-    console.log("Fresh access token obtained:", !!accessToken.token);
-    
-    // Use REST API directly
-    const token = accessToken.token;
-    
-    console.log("Making direct REST API call to accountSummaries.list...");
-    
-    const response = await fetch('https://analyticsadmin.googleapis.com/v1beta/accountSummaries', {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-    
-    const data = await response.json();
-    console.log("REST API response received:", !!data);
     
-    const accountSummaries = data.accountSummaries || [];
+    const accountSummaries = await listAccountSummaries(auth);
     console.log("Found account summaries:", accountSummaries.length);
     
     if (accountSummaries.length === 0) {
@@ -469,13 +914,12 @@ export async function getAvailableProperties(cfg) {
     return allProperties;
   } catch (error) {
     console.error("API call failed:", error.message);
-    console.error("Error code:", error.code);
     console.error("Error status:", error.status);
     
-    if (error.code === 401) {
-      throw new Error(`Authentication failed. Please re-authenticate by running the app and selecting "Authenticate with Google". Make sure you grant all requested permissions during the OAuth2 flow.`);
-    } else if (error.code === 403) {
-      throw new Error(`Access denied. Make sure your Google account has access to Google Analytics properties.`);
+    if (error instanceof GA4AuthError && error.status === 401) {
+      throw new GA4AuthError(`Authentication failed. Please re-authenticate by running the app and selecting "Authenticate with Google". Make sure you grant all requested permissions during the OAuth2 flow.`, error);
+    } else if (error instanceof GA4AuthError) {
+      throw new GA4AuthError(`Access denied. Make sure your Google account has access to Google Analytics properties.`, error);
     } else {
       throw new Error(`Failed to fetch Analytics properties: ${error.message}`);
     }
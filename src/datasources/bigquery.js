@@ -1,10 +1,20 @@
 import { BigQuery } from "@google-cloud/bigquery";
 import chalk from "chalk";
+import { abortable, throwIfAborted } from "../core/cancellation.js";
 
-export default async function runBQ(query, cfg) {
+/**
+ * Run a query as a BigQuery job
+ * @param {Object} query - The normalized query
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [_auth] - Unused; the client uses application default credentials
+ * @param {Object} [options] - {dataset, signal}; dataset overrides the configured dataset
+ *   and aborting the signal cancels the job
+ * @returns {Promise<Object[]>}
+ */
+export default async function runBQ(query, cfg, _auth = null, options = {}) {
   const bqConfig = cfg.sources.bigquery;
   const projectId = process.env.BQ_PROJECT_ID || bqConfig.projectId;
-  const dataset = process.env.BQ_DATASET || bqConfig.dataset;
+  const dataset = options.dataset || process.env.BQ_DATASET || bqConfig.dataset;
   
   if (!projectId) {
     throw new Error("BigQuery project ID is required. Set BQ_PROJECT_ID environment variable or configure in config.js");
@@ -29,7 +39,7 @@ export default async function runBQ(query, cfg) {
     console.log(chalk.gray(`Query limit:`, query.limit || 1000));
     
     // Execute query
-    const options = {
+    const jobOptions = {
       query: sql,
       params: {
         start_date: query.dateRange.start,
@@ -37,15 +47,23 @@ export default async function runBQ(query, cfg) {
         limit: query.limit || 1000,
       },
     };
+    // BigQuery also stops the job server-side once the runtime limit passes
+    if (cfg.limits?.maxRuntimeMs) {
+      jobOptions.jobTimeoutMs = cfg.limits.maxRuntimeMs;
+    }
 
-    const [job] = await client.createQueryJob(options);
-    const [rows] = await job.getQueryResults();
+    const [job] = await client.createQueryJob(jobOptions);
+    // Cancel the job rather than leaving it running (and billing) after an abort
+    const [rows] = await abortable(job.getQueryResults(), options.signal, () => {
+      job.cancel().catch(error => console.log(chalk.yellow(`Warning: Could not cancel BigQuery job: ${error.message}`)));
+    });
     
     console.log(chalk.gray(`BigQuery returned ${rows.length} rows (requested limit: ${query.limit || 1000})`));
     
     return rows;
     
   } catch (error) {
+    throwIfAborted(options.signal);
     if (error.code === 403) {
       throw new Error(`BigQuery access denied. Check that your service account has access to project ${projectId} and has the "Job User" and "Data Viewer" roles.`);
     } else if (error.code === 404) {
@@ -120,3 +138,35 @@ function buildWhereClause(query) {
 function getParamName(filter) {
   return `p_${filter.field.replace(/\W+/g, '_')}`;
 }
+
+/**
+ * List the datasets of the configured BigQuery project
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Promise<Object[]>} - [{datasetId, location}]
+ */
+export async function getAvailableDatasets(cfg) {
+  const bqConfig = cfg.sources.bigquery;
+  const projectId = process.env.BQ_PROJECT_ID || bqConfig.projectId;
+  
+  if (!projectId) {
+    throw new Error("BigQuery project ID is required. Set BQ_PROJECT_ID environment variable or configure in config.js");
+  }
+  
+  const client = new BigQuery({
+    projectId: projectId,
+    location: bqConfig.location || "US",
+  });
+  
+  try {
+    const [datasets] = await client.getDatasets();
+    return datasets.map(dataset => ({
+      datasetId: dataset.id,
+      location: dataset.metadata?.location || bqConfig.location || "US",
+    }));
+  } catch (error) {
+    if (error.code === 403) {
+      throw new Error(`BigQuery access denied. Check that your service account can list datasets in project ${projectId}.`);
+    }
+    throw new Error(`Failed to fetch BigQuery datasets: ${error.message}`);
+  }
+}
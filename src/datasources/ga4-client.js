@@ -0,0 +1,386 @@
+/**
+ * Shared GA4 HTTP client
+ *
+ * Every request to the Analytics Data and Admin APIs goes through
+ * ga4Request, which
+ *   - gets a fresh OAuth2 access token, and forces a refresh once on a 401
+ *   - retries 429 and 5xx responses and network errors with exponential
+ *     backoff and full jitter, honouring Retry-After
+ *   - limits concurrent requests per property
+ *   - raises typed errors for auth, quota, invalid-argument and not-found
+ *     responses
+ *   - stops at once when options.signal aborts, without retrying, also while
+ *     waiting for a free slot
+ */
+
+import chalk from "chalk";
+import { recordPropertyQuota } from "../core/quota.js";
+import { abortable, throwIfAborted } from "../core/cancellation.js";
+import config from "../../config.js";
+
+const DATA_API_URL = "https://analyticsdata.googleapis.com/v1beta";
+// Funnel reports are only available in the alpha version of the Data API
+const DATA_API_ALPHA_URL = "https://analyticsdata.googleapis.com/v1alpha";
+const ADMIN_API_URL = "https://analyticsadmin.googleapis.com/v1beta";
+
+const DEFAULT_RETRIES = { maxRetries: 4, initialDelayMs: 500, maxDelayMs: 16000 };
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 5;
+
+/**
+ * Base class of GA4 API errors
+ * `status` is the HTTP status and `reason` the API error status, e.g.
+ * "PERMISSION_DENIED"
+ */
+export class GA4Error extends Error {
+  constructor(message, { status = null, reason = null, propertyId = null } = {}) {
+    super(message);
+    this.name = "GA4Error";
+    this.status = status;
+    this.reason = reason;
+    this.propertyId = propertyId;
+  }
+}
+
+// 401 and 403 responses: expired credentials or no access to the property
+export class GA4AuthError extends GA4Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "GA4AuthError";
+  }
+}
+
+// 429 responses and RESOURCE_EXHAUSTED errors
+export class GA4QuotaError extends GA4Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "GA4QuotaError";
+  }
+}
+
+// 400 responses: unknown fields, incompatible fields, malformed requests
+export class GA4InvalidArgumentError extends GA4Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "GA4InvalidArgumentError";
+  }
+}
+
+// 404 responses: unknown property
+export class GA4NotFoundError extends GA4Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "GA4NotFoundError";
+  }
+}
+
+function getRequestSettings(options) {
+  return {
+    ...DEFAULT_RETRIES,
+    ...config.retries,
+    maxConcurrent: config.limits?.maxConcurrentRequestsPerProperty || DEFAULT_MAX_CONCURRENT_REQUESTS,
+    ...options,
+  };
+}
+
+// Concurrency limiter: active request count and waiting callers per property
+const slots = new Map();
+
+// Wait for a free slot; aborting the signal leaves the queue and rejects
+async function acquireSlot(key, maxConcurrent, signal) {
+  throwIfAborted(signal);
+  if (!slots.has(key)) {
+    slots.set(key, { active: 0, waiting: [] });
+  }
+  const slot = slots.get(key);
+
+  if (slot.active >= maxConcurrent) {
+    let wake;
+    const turn = new Promise(resolve => {
+      wake = resolve;
+      slot.waiting.push(resolve);
+    });
+    await abortable(turn, signal, () => {
+      slot.waiting.splice(slot.waiting.indexOf(wake), 1);
+    });
+  }
+  slot.active++;
+}
+
+function releaseSlot(key) {
+  const slot = slots.get(key);
+  slot.active--;
+  const next = slot.waiting.shift();
+  if (next) {
+    next();
+  } else if (slot.active === 0) {
+    slots.delete(key);
+  }
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, or the
+ * server's Retry-After when it is longer
+ */
+export function getRetryDelay(attempt, settings, retryAfterSeconds = null) {
+  const backoff = Math.min(settings.maxDelayMs, settings.initialDelayMs * 2 ** attempt);
+  const jittered = Math.random() * backoff;
+  return retryAfterSeconds ? Math.max(jittered, retryAfterSeconds * 1000) : jittered;
+}
+
+function sleep(ms, signal) {
+  let timer;
+  return abortable(new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  }), signal, () => clearTimeout(timer));
+}
+
+// A failed token refresh (e.g. a revoked refresh token) is an auth error,
+// not a transient one
+async function getToken(auth, forceRefresh, propertyId) {
+  if (forceRefresh && auth.credentials) {
+    // Dropping the cached access token makes the client use its refresh token
+    auth.setCredentials({ ...auth.credentials, access_token: null, expiry_date: null });
+  }
+  try {
+    const accessToken = await auth.getAccessToken();
+    return accessToken.token;
+  } catch (error) {
+    const reason = error.response?.data?.error || null;
+    throw new GA4AuthError(`GA4 authentication failed: ${error.message}. Please re-authenticate.`, { status: 401, reason, propertyId });
+  }
+}
+
+async function parseErrorResponse(response) {
+  const text = await response.text();
+  try {
+    const body = JSON.parse(text);
+    return { message: body.error?.message || text, reason: body.error?.status || null };
+  } catch {
+    return { message: text, reason: null };
+  }
+}
+
+function toGA4Error(status, { message, reason }, propertyId) {
+  const details = { status, reason, propertyId };
+  const property = propertyId ? ` property ${propertyId}` : "";
+
+  if (status === 429 || reason === "RESOURCE_EXHAUSTED") {
+    return new GA4QuotaError(`GA4 quota exhausted for${property || " this project"}: ${message}`, details);
+  }
+  if (status === 401) {
+    return new GA4AuthError(`GA4 authentication failed: ${message}. Please re-authenticate.`, details);
+  }
+  if (status === 403) {
+    return new GA4AuthError(`Access denied to GA4${property}. Check that your account has the "Viewer" or "Analyst" role. (${message})`, details);
+  }
+  if (status === 404) {
+    return new GA4NotFoundError(`GA4${property || " resource"} not found. Check your property ID. (${message})`, details);
+  }
+  if (status === 400) {
+    return new GA4InvalidArgumentError(`Invalid GA4 request: ${message}`, details);
+  }
+  return new GA4Error(`GA4 API error (HTTP ${status}): ${message}`, details);
+}
+
+/**
+ * Send a request to a GA4 API
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {Object} request - {url, method, body, propertyId}; propertyId scopes the
+ *   concurrency limit and error messages
+ * @param {Object} [options] - Overrides of {maxRetries, initialDelayMs, maxDelayMs, maxConcurrent},
+ *   an AbortSignal as `signal`, and onRetry({status, attempt, maxRetries, delayMs}) to report
+ *   retries instead of the warning on stderr
+ * @returns {Promise<Object>} - The parsed JSON response
+ * @throws {GA4Error} - A typed error once retries are exhausted, or a GA4AuthError
+ *   at once when the access token cannot be refreshed
+ * @throws {QueryAbortedError} - When the signal aborts
+ */
+export async function ga4Request(auth, request, options = {}) {
+  const { signal, onRetry, ...settingOverrides } = options;
+  const settings = getRequestSettings(settingOverrides);
+  const { url, method = "GET", body, propertyId = null } = request;
+  const slotKey = propertyId || "admin";
+
+  await acquireSlot(slotKey, settings.maxConcurrent, signal);
+  try {
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      throwIfAborted(signal);
+      const token = await getToken(auth, false, propertyId);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: {
+            "Authorization": `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal,
+        });
+      } catch (error) {
+        throwIfAborted(signal);
+        // Network errors are transient
+        if (attempt >= settings.maxRetries) {
+          throw new GA4Error(`GA4 request failed: ${error.message}`, { propertyId });
+        }
+        await sleep(getRetryDelay(attempt, settings), signal);
+        continue;
+      }
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      if (response.status === 401 && !refreshed) {
+        refreshed = true;
+        await getToken(auth, true, propertyId);
+        attempt--;
+        continue;
+      }
+
+      const error = toGA4Error(response.status, await parseErrorResponse(response), propertyId);
+      if (!isRetryable(response.status) || attempt >= settings.maxRetries) {
+        throw error;
+      }
+
+      const retryAfter = Number(response.headers?.get?.("retry-after")) || null;
+      const delay = getRetryDelay(attempt, settings, retryAfter);
+      const retry = { status: response.status, attempt: attempt + 1, maxRetries: settings.maxRetries, delayMs: Math.round(delay) };
+      if (onRetry) {
+        onRetry(retry);
+      } else {
+        // stderr keeps the warning out of JSON and CSV written to stdout
+        console.error(chalk.yellow(`GA4 request returned HTTP ${retry.status}, retrying in ${retry.delayMs}ms (attempt ${retry.attempt} of ${retry.maxRetries})`));
+      }
+      await sleep(delay, signal);
+    }
+  } finally {
+    releaseSlot(slotKey);
+  }
+}
+
+/**
+ * Run a report; the property quota is requested and recorded with every call
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} body - The runReport request body
+ * @param {Object} [options] - ga4Request options
+ * @returns {Promise<Object>} - The runReport response
+ */
+export async function runReport(auth, propertyId, body, options = {}) {
+  const data = await ga4Request(auth, {
+    url: `${DATA_API_URL}/properties/${propertyId}:runReport`,
+    method: "POST",
+    body: { ...body, returnPropertyQuota: true },
+    propertyId,
+  }, options);
+
+  recordPropertyQuota(propertyId, data.propertyQuota);
+  return data;
+}
+
+/**
+ * Run a pivot report; the property quota is recorded like for runReport
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} body - The runPivotReport request body
+ * @param {Object} [options] - ga4Request options
+ * @returns {Promise<Object>} - The runPivotReport response
+ */
+export async function runPivotReport(auth, propertyId, body, options = {}) {
+  const data = await ga4Request(auth, {
+    url: `${DATA_API_URL}/properties/${propertyId}:runPivotReport`,
+    method: "POST",
+    body: { ...body, returnPropertyQuota: true },
+    propertyId,
+  }, options);
+
+  recordPropertyQuota(propertyId, data.propertyQuota);
+  return data;
+}
+
+/**
+ * Run a funnel report; the property quota is recorded like for runReport
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} body - The runFunnelReport request body
+ * @param {Object} [options] - ga4Request options
+ * @returns {Promise<Object>} - The runFunnelReport response
+ */
+export async function runFunnelReport(auth, propertyId, body, options = {}) {
+  const data = await ga4Request(auth, {
+    url: `${DATA_API_ALPHA_URL}/properties/${propertyId}:runFunnelReport`,
+    method: "POST",
+    body: { ...body, returnPropertyQuota: true },
+    propertyId,
+  }, options);
+
+  recordPropertyQuota(propertyId, data.propertyQuota);
+  return data;
+}
+
+/**
+ * Run a realtime report over the last minutes of a property
+ * Realtime requests draw on a separate quota, so the returned property quota
+ * is not recorded against the core soft limits
+ * @param {Object} auth - An authenticated OAuth2 client
+ * @param {string} propertyId - The GA4 property ID
+ * @param {Object} body - The runRealtimeReport request body
+ * @param {Object} [options] - ga4Request options
+ * @returns {Promise<Object>} - The runRealtimeReport response
+ */
+export function runRealtimeReport(auth, propertyId, body, options = {}) {
+  return ga4Request(auth, {
+    url: `${DATA_API_URL}/properties/${propertyId}:runRealtimeReport`,
+    method: "POST",
+    body: { ...body, returnPropertyQuota: true },
+    propertyId,
+  }, options);
+}
+
+/**
+ * Get the dimensions and metrics available on a property
+ */
+export function getMetadata(auth, propertyId, options = {}) {
+  return ga4Request(auth, {
+    url: `${DATA_API_URL}/properties/${propertyId}/metadata`,
+    propertyId,
+  }, options);
+}
+
+/**
+ * Check which dimensions and metrics can be combined in one report
+ */
+export function checkCompatibility(auth, propertyId, body, options = {}) {
+  return ga4Request(auth, {
+    url: `${DATA_API_URL}/properties/${propertyId}:checkCompatibility`,
+    method: "POST",
+    body,
+    propertyId,
+  }, options);
+}
+
+/**
+ * List the account summaries (accounts and their properties) of the user,
+ * following every page
+ */
+export async function listAccountSummaries(auth, options = {}) {
+  const summaries = [];
+  let pageToken = null;
+
+  do {
+    const query = pageToken ? `?pageToken=${encodeURIComponent(pageToken)}` : "";
+    const data = await ga4Request(auth, { url: `${ADMIN_API_URL}/accountSummaries${query}` }, options);
+    summaries.push(...(data.accountSummaries || []));
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+
+  return summaries;
+}
@@ -0,0 +1,247 @@
+/**
+ * Datasource registry
+ *
+ * Every data source, built-in or plugin, is described by a Datasource object
+ * and registered here. runQuery, config validation, the CLI and the API look
+ * sources up by name instead of hard-coding them.
+ */
+
+import { existsSync, readdirSync } from "fs";
+import { join, resolve } from "path";
+import { pathToFileURL } from "url";
+import runAnalytics, { validateQuery as validateAnalyticsQuery } from "./analytics.js";
+import runGSC, { validateQuery as validateSearchConsoleQuery } from "./searchconsole.js";
+import runBQ from "./bigquery.js";
+import { BQ_FIELDS, GSC_METRICS, GSC_DIMENSIONS, GSC_SEARCH_TYPES, GSC_AGGREGATION_TYPES } from "../core/schema.js";
+import { GSC_PRESETS, BIGQUERY_PRESETS } from "../core/presets.js";
+
+/**
+ * @typedef {Object} DatasourceAuth
+ * @property {string} type - "oauth2" | "service-account" | "none"
+ * @property {string[]} [scopes] - OAuth2 scopes the source needs
+ */
+
+/**
+ * @typedef {Object} Datasource
+ * @property {string} name - Source name used in queries and config.sources
+ * @property {string} label - Human-readable name for menus
+ * @property {function(Object, Object, Object, Object): Promise<Object[]|Object>} run
+ *   - run(query, cfg, auth, options) returns rows or {rows, metadata, aggregations}
+ * @property {function(Object): Object} [getSchema] - getSchema(cfg) returns {metrics, dimensions, ...}
+ * @property {function(Object): Object[]} [getPresets] - getPresets(cfg) returns query presets
+ * @property {function(Object, Object): string[]} [validateConfig]
+ *   - validateConfig(sourceConfig, cfg) returns error messages
+ * @property {function(Object, Object): string[]} [validateQuery]
+ *   - validateQuery(query, cfg) returns error messages for a normalized query the source cannot run
+ * @property {DatasourceAuth} [auth] - Authentication the source requires
+ */
+
+const datasources = new Map();
+
+/**
+ * Register a data source
+ * @param {Datasource} datasource
+ * @returns {Datasource}
+ */
+export function registerDatasource(datasource) {
+  if (!datasource || typeof datasource.name !== "string" || !datasource.name) {
+    throw new Error("Datasource name is required");
+  }
+  if (typeof datasource.run !== "function") {
+    throw new Error(`Datasource ${datasource.name} must implement run()`);
+  }
+  if (datasources.has(datasource.name)) {
+    throw new Error(`Datasource ${datasource.name} is already registered`);
+  }
+
+  datasources.set(datasource.name, {
+    label: datasource.name,
+    auth: { type: "none" },
+    ...datasource,
+  });
+  return datasources.get(datasource.name);
+}
+
+/**
+ * Look up a registered data source
+ * @param {string} name
+ * @returns {Datasource|null}
+ */
+export function getDatasource(name) {
+  return datasources.get(name) || null;
+}
+
+export function listDatasources() {
+  return [...datasources.values()];
+}
+
+/**
+ * Registered data sources that are enabled in the configuration
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Datasource[]}
+ */
+export function getEnabledDatasources(cfg) {
+  return listDatasources().filter(datasource => cfg.sources[datasource.name]?.enabled);
+}
+
+/**
+ * Get the presets of a source, from the datasource or from config.presets
+ * @param {string} name - The source name
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Object[]}
+ */
+export function getPresetsForSource(name, cfg) {
+  const datasource = getDatasource(name);
+  if (datasource?.getPresets) {
+    return datasource.getPresets(cfg);
+  }
+  return getConfigPresets(name, cfg);
+}
+
+/**
+ * Get the schema of a source
+ * @param {string} name - The source name
+ * @param {Object} cfg - The loaded configuration
+ * @returns {Object} - {metrics, dimensions, ...}
+ */
+export function getSchemaForSource(name, cfg) {
+  const datasource = getDatasource(name);
+  if (datasource?.getSchema) {
+    return datasource.getSchema(cfg);
+  }
+  const sourceConfig = cfg.sources[name] || {};
+  return { metrics: sourceConfig.metrics || {}, dimensions: sourceConfig.dimensions || {} };
+}
+
+function getConfigPresets(name, cfg) {
+  return (cfg.presets || []).filter(preset => preset.source === name || preset.source === "any");
+}
+
+/**
+ * Load data source plugins from a directory
+ * Each .js or .mjs file default-exports a Datasource or an array of them.
+ * A plugin that fails to load is skipped with a warning.
+ * @param {string} directory - Plugin directory, relative to the working directory
+ * @returns {Promise<string[]>} - Names of the registered plugin sources
+ */
+export async function loadPlugins(directory) {
+  const pluginDir = resolve(directory || "./plugins");
+  if (!existsSync(pluginDir)) {
+    return [];
+  }
+
+  const registered = [];
+  const files = readdirSync(pluginDir)
+    .filter(file => file.endsWith(".js") || file.endsWith(".mjs"))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(join(pluginDir, file)).href);
+      const exported = Array.isArray(module.default) ? module.default : [module.default];
+      exported.forEach(datasource => {
+        registerDatasource(datasource);
+        registered.push(datasource.name);
+      });
+    } catch (error) {
+      console.log(`Warning: Could not load datasource plugin ${file}: ${error.message}`);
+    }
+  }
+
+  return registered;
+}
+
+// Built-in sources
+
+registerDatasource({
+  name: "analytics",
+  label: "Google Analytics 4",
+  run: runAnalytics,
+  getSchema: (cfg) => {
+    const sourceConfig = cfg.sources.analytics || {};
+    return {
+      metrics: sourceConfig.metrics || {},
+      calculatedMetrics: sourceConfig.calculatedMetrics || {},
+      dimensions: sourceConfig.dimensions || {},
+    };
+  },
+  validateQuery: validateAnalyticsQuery,
+  validateConfig: (sourceConfig) => {
+    const errors = [];
+    if (!sourceConfig.credentialsFile && !process.env.GA_CREDENTIALS_FILE) {
+      errors.push("Analytics OAuth2 credentials are required (set GA_CREDENTIALS_FILE env var or in config)");
+    }
+    return errors;
+  },
+  auth: {
+    type: "oauth2",
+    scopes: ["https://www.googleapis.com/auth/analytics.readonly"],
+  },
+});
+
+registerDatasource({
+  name: "searchconsole",
+  label: "Google Search Console",
+  run: runGSC,
+  getSchema: (cfg) => {
+    const sourceConfig = cfg.sources.searchconsole || {};
+    return {
+      metrics: sourceConfig.metrics || GSC_METRICS,
+      dimensions: sourceConfig.dimensions || GSC_DIMENSIONS,
+      searchTypes: GSC_SEARCH_TYPES,
+      aggregationTypes: GSC_AGGREGATION_TYPES,
+    };
+  },
+  // Built-in presets first, then those in config.js
+  getPresets: (cfg) => [...GSC_PRESETS, ...getConfigPresets("searchconsole", cfg)],
+  validateQuery: validateSearchConsoleQuery,
+  validateConfig: (sourceConfig) => {
+    const errors = [];
+    if (!sourceConfig.siteUrl && !process.env.GSC_SITE_URL) {
+      errors.push("GSC site URL is required (set GSC_SITE_URL env var or in config)");
+    }
+    if (!sourceConfig.credentialsFile && !process.env.GSC_CREDENTIALS_FILE && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      errors.push("GSC credentials are required (set GSC_CREDENTIALS_FILE or GOOGLE_APPLICATION_CREDENTIALS env var or in config)");
+    }
+    return errors;
+  },
+  auth: {
+    type: "oauth2",
+    scopes: ["https://www.googleapis.com/auth/webmasters.readonly"],
+  },
+});
+
+// BigQuery tables hold the GSC export; metrics are its numeric columns
+const BQ_METRICS = ["clicks", "impressions", "ctr", "position"];
+
+registerDatasource({
+  name: "bigquery",
+  label: "BigQuery (GSC export)",
+  run: runBQ,
+  getSchema: () => {
+    const metrics = {};
+    const dimensions = {};
+    Object.entries(BQ_FIELDS).forEach(([key, value]) => {
+      if (BQ_METRICS.includes(key)) {
+        metrics[key] = value;
+      } else {
+        dimensions[key] = value;
+      }
+    });
+    return { metrics, dimensions };
+  },
+  getPresets: (cfg) => [...BIGQUERY_PRESETS, ...getConfigPresets("bigquery", cfg)],
+  validateConfig: (sourceConfig) => {
+    const errors = [];
+    if (!sourceConfig.projectId && !process.env.BQ_PROJECT_ID) {
+      errors.push("BigQuery project ID is required (set BQ_PROJECT_ID env var or in config)");
+    }
+    if (!sourceConfig.dataset && !process.env.BQ_DATASET) {
+      errors.push("BigQuery dataset is required (set BQ_DATASET env var or in config)");
+    }
+    return errors;
+  },
+  auth: {
+    type: "service-account",
+  },
+});
@@ -5,11 +5,181 @@ import { readFileSync } from "fs";
 import { join } from "path";
 import open from "open";
 import { getTokensForUser, storeTokensForUser } from '../utils/database.js';
+import { throwIfAborted } from '../core/cancellation.js';
+import { GSC_SEARCH_TYPES, GSC_AGGREGATION_TYPES, GSC_FILTER_DIMENSIONS } from '../core/schema.js';
 import config from '../../config.js';
 
-export default async function runGSC(query, cfg, auth = null) {
+// The Search Analytics API returns at most 25,000 rows per request
+const GSC_MAX_PAGE_SIZE = 25000;
+
+const FILTER_OPERATORS = {
+  eq: "equals",
+  neq: "notEquals",
+  contains: "contains",
+  regex: "includingRegex",
+};
+
+// {not: filter} flips the operator, which gives notContains and excludingRegex
+const NEGATED_OPERATORS = {
+  equals: "notEquals",
+  notEquals: "equals",
+  contains: "notContains",
+  notContains: "contains",
+  includingRegex: "excludingRegex",
+  excludingRegex: "includingRegex",
+};
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Map a dimension filter to a GSC filter; operators GSC lacks become RE2 regexes
+function toDimensionFilter(filter, negate = false) {
+  let operator = FILTER_OPERATORS[filter.op];
+  let expression = String(filter.value ?? "");
+
+  switch (filter.op) {
+    case "beginsWith":
+      operator = "includingRegex";
+      expression = `^${escapeRegex(filter.value)}`;
+      break;
+    case "endsWith":
+      operator = "includingRegex";
+      expression = `${escapeRegex(filter.value)}$`;
+      break;
+    case "inList":
+      operator = "includingRegex";
+      expression = `^(${filter.values.map(escapeRegex).join("|")})$`;
+      break;
+    default:
+      if (!operator) {
+        throw new Error(`Unsupported dimension filter operator: ${filter.op}`);
+      }
+  }
+
+  return {
+    dimension: filter.field,
+    operator: negate ? NEGATED_OPERATORS[operator] : operator,
+    expression,
+  };
+}
+
+function toGroupFilters(node, path) {
+  if ("not" in node) {
+    return [toDimensionFilter(node.not, true)];
+  }
+  if ("and" in node || "or" in node) {
+    throw new Error(`Filter ${path}: Search Console filter groups hold single filters`);
+  }
+  if (node.type === "metric") {
+    throw new Error(`Filter ${path}: Search Console only filters on dimensions`);
+  }
+  return [toDimensionFilter(node)];
+}
+
+/**
+ * Build the dimensionFilterGroups of a Search Analytics request
+ * Top-level filters and negations share one group; every top-level
+ * {and: [...]} becomes a group of its own. GSC combines groups with AND.
+ * @param {Array} filters - Normalized query filters
+ * @returns {Object[]|undefined} - [{groupType: "and", filters: [{dimension, operator, expression}]}]
+ */
+export function buildDimensionFilterGroups(filters) {
+  if (!filters || filters.length === 0) return undefined;
+
+  const topLevel = [];
+  const groups = [];
+  filters.forEach((node, index) => {
+    if ("and" in node) {
+      const groupFilters = node.and.flatMap((child, childIndex) => toGroupFilters(child, `filters[${index}].and[${childIndex}]`));
+      groups.push({ groupType: "and", filters: groupFilters });
+    } else {
+      topLevel.push(...toGroupFilters(node, `filters[${index}]`));
+    }
+  });
+
+  if (topLevel.length > 0) {
+    groups.unshift({ groupType: "and", filters: topLevel });
+  }
+  return groups.length > 0 ? groups : undefined;
+}
+
+// GSC filter groups are ANDed together and hold dimension filters, each
+// optionally negated; there are no OR groups and no metric filters
+function validateSearchConsoleFilter(node, path, errors, inGroup = false) {
+  if ("or" in node) {
+    errors.push(`Filter ${path}: Search Console has no "or" groups; filter groups are always combined with AND`);
+  } else if ("and" in node) {
+    if (inGroup) {
+      errors.push(`Filter ${path}: Search Console filter groups cannot be nested`);
+    } else {
+      (node.and || []).forEach((child, index) => validateSearchConsoleFilter(child, `${path}.and[${index}]`, errors, true));
+    }
+  } else if ("not" in node) {
+    if (node.not && ["and", "or", "not"].some(key => key in node.not)) {
+      errors.push(`Filter ${path}: Search Console can only negate a single filter`);
+    } else if (node.not) {
+      validateSearchConsoleFilter(node.not, `${path}.not`, errors, inGroup);
+    }
+  } else if (node.type === "metric") {
+    errors.push(`Filter ${path}: Search Console only filters on dimensions`);
+  } else if (!GSC_FILTER_DIMENSIONS.includes(node.field)) {
+    errors.push(`Filter ${path}: Search Console cannot filter on ${node.field} (use ${GSC_FILTER_DIMENSIONS.join(", ")})`);
+  } else if (["gt", "gte", "lt", "lte", "between"].includes(node.op)) {
+    errors.push(`Filter ${path}: operator "${node.op}" is not supported by Search Console`);
+  }
+}
+
+/**
+ * Check a normalized query against what the Search Analytics API can run
+ * @param {Object} query - The normalized query
+ * @returns {string[]} - Error messages
+ */
+export function validateQuery(query) {
+  const errors = [];
+  const searchType = query.searchType || "web";
+  const aggregationType = query.aggregationType || "auto";
+  const usesPage = query.dimensions?.includes("page")
+    || JSON.stringify(query.filters || []).includes('"field":"page"');
+
+  if (!GSC_SEARCH_TYPES.includes(searchType)) {
+    errors.push(`Unknown searchType "${searchType}" (use ${GSC_SEARCH_TYPES.join(", ")})`);
+  }
+  if (!GSC_AGGREGATION_TYPES.includes(aggregationType)) {
+    errors.push(`Unknown aggregationType "${aggregationType}" (use ${GSC_AGGREGATION_TYPES.join(", ")})`);
+  }
+  if (["discover", "googleNews"].includes(searchType) && query.dimensions?.includes("query")) {
+    errors.push(`The query dimension is not available for searchType ${searchType}`);
+  }
+  if (aggregationType === "byProperty" && usesPage) {
+    errors.push("aggregationType byProperty cannot be used with the page dimension or a page filter");
+  }
+  if (aggregationType === "byNewsShowcasePanel" && !["discover", "googleNews"].includes(searchType)) {
+    errors.push("aggregationType byNewsShowcasePanel needs searchType discover or googleNews");
+  }
+  (query.filters || []).forEach((filter, index) => {
+    if (filter && typeof filter === "object") {
+      validateSearchConsoleFilter(filter, `filters[${index}]`, errors);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Run a Search Analytics query
+ * Follows startRow pages until every row is fetched, the query limit is
+ * reached or cfg.limits.maxRows is hit
+ * @param {Object} query - The normalized query; searchType, aggregationType and
+ *   dataState default to "web", "auto" and "final"
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [auth] - An authenticated OAuth2 client
+ * @param {Object} [options] - {siteUrl, signal, onProgress}; siteUrl overrides the configured
+ *   site and aborting the signal aborts the request
+ * @returns {Promise<Object>} - {rows, metadata: {pages, truncated, searchType, aggregationType}}
+ */
+export default async function runGSC(query, cfg, auth = null, options = {}) {
   const gscConfig = cfg.sources.searchconsole;
-  const siteUrl = process.env.GSC_SITE_URL || gscConfig.siteUrl;
+  const siteUrl = options.siteUrl || process.env.GSC_SITE_URL || gscConfig.siteUrl;
   
   if (!siteUrl) {
     throw new Error("GSC site URL is required. Set GSC_SITE_URL environment variable or configure in config.js");
@@ -21,15 +191,20 @@ export default async function runGSC(query, cfg, auth = null) {
   }
 
   try {
+    const maxRows = Math.min(query.limit || gscConfig.pageSize || 1000, cfg.limits?.maxRows ?? Infinity);
+    const pageSize = Math.min(gscConfig.pageSize || GSC_MAX_PAGE_SIZE, maxRows, GSC_MAX_PAGE_SIZE);
+    const startRow = query.startRow || 0;
+
     // Build the GSC request body
     const requestBody = {
       startDate: query.dateRange.start,
       endDate: query.dateRange.end,
       dimensions: query.dimensions || [],
-      rowLimit: query.limit || gscConfig.pageSize || 1000,
-      startRow: query.startRow || 0,
-      dimensionFilterGroups: buildDimensionFilters(query.filters),
+      rowLimit: pageSize,
+      startRow,
+      dimensionFilterGroups: buildDimensionFilterGroups(query.filters),
       searchType: query.searchType || 'web',
+      aggregationType: query.aggregationType || 'auto',
       dataState: query.dataState || 'final',
     };
 
@@ -44,15 +219,41 @@ export default async function runGSC(query, cfg, auth = null) {
     console.log(chalk.blue(`Querying GSC site ${siteUrl}...`));
     console.log(chalk.gray(`Request body:`, JSON.stringify(requestBody, null, 2)));
     
-    // Use direct OAuth2 client request like the working functions
-    const response = await auth.request({
-      url: `https://searchconsole.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
-      method: 'POST',
-      data: requestBody
-    });
+    // GSC does not report a total row count; a short page is the last one
+    const rawRows = [];
+    let pages = 0;
+    let responseAggregationType = null;
+    let lastPageFull = false;
+
+    while (true) {
+      throwIfAborted(options.signal);
+      const rowLimit = Math.min(pageSize, maxRows - rawRows.length);
+
+      // Use direct OAuth2 client request like the working functions
+      const response = await auth.request({
+        url: `https://searchconsole.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
+        method: 'POST',
+        data: { ...requestBody, rowLimit, startRow: startRow + rawRows.length },
+        signal: options.signal
+      });
+      const pageRows = response.data.rows || [];
+
+      rawRows.push(...pageRows);
+      responseAggregationType = response.data.responseAggregationType || responseAggregationType;
+      lastPageFull = pageRows.length === rowLimit;
+      pages++;
+
+      if (options.onProgress) {
+        options.onProgress({ fetched: rawRows.length, total: maxRows, page: pages });
+      }
+
+      if (!lastPageFull || rawRows.length >= maxRows) {
+        break;
+      }
+    }
     
     // Transform response to array of objects
-    let rows = (response.data.rows || []).map(row => {
+    let rows = rawRows.map(row => {
       const result = {};
       
       // Add dimensions
@@ -71,7 +272,13 @@ export default async function runGSC(query, cfg, auth = null) {
       return result;
     });
 
-    console.log(chalk.gray(`GSC API returned ${rows.length} rows (requested limit: ${requestBody.rowLimit})`));
+    // A full last page at the limit means more rows may be available
+    const truncated = lastPageFull && rawRows.length >= maxRows;
+
+    console.log(chalk.gray(`GSC API returned ${rows.length} rows in ${pages} page(s) (requested limit: ${maxRows})`));
+    if (truncated) {
+      console.log(chalk.yellow(`Results truncated at ${maxRows} rows; more rows may be available`));
+    }
 
     // Apply client-side sorting if orderBys are specified
     if (query.orderBys && query.orderBys.length > 0) {
@@ -89,9 +296,19 @@ export default async function runGSC(query, cfg, auth = null) {
       });
     }
 
-    return rows;
+    return {
+      rows,
+      metadata: {
+        pages,
+        truncated,
+        dateRange: query.dateRange,
+        searchType: requestBody.searchType,
+        aggregationType: responseAggregationType || requestBody.aggregationType,
+      }
+    };
     
   } catch (error) {
+    throwIfAborted(options.signal);
     if (error.code === 403) {
       throw new Error(`GSC access denied. Check that your service account has access to site ${siteUrl} and has the "Search Console" role.`);
     } else if (error.code === 404) {
@@ -104,50 +321,6 @@ export default async function runGSC(query, cfg, auth = null) {
   }
 }
 
-function buildDimensionFilters(filters) {
-  if (!filters || filters.length === 0) return undefined;
-  
-  const filterGroups = [];
-  const dimensionFilters = filters
-    .filter(f => f.type === "dimension")
-    .map(f => {
-      const filter = {
-        dimension: f.field,
-      };
-      
-      switch (f.op) {
-        case "eq":
-          filter.expression = f.value;
-          break;
-        case "neq":
-          filter.expression = f.value;
-          filter.operator = "notEquals";
-          break;
-        case "contains":
-          filter.expression = f.value;
-          filter.operator = "contains";
-          break;
-        case "regex":
-          filter.expression = f.value;
-          filter.operator = "regex";
-          break;
-        default:
-          throw new Error(`Unsupported dimension filter operator: ${f.op}`);
-      }
-      
-      return filter;
-    });
-  
-  if (dimensionFilters.length > 0) {
-    filterGroups.push({
-      filters: dimensionFilters,
-      groupType: "and"
-    });
-  }
-  
-  return filterGroups.length > 0 ? filterGroups : undefined;
-}
-
 // OAuth2 client setup and token management
 export async function getOAuth2Client(gscConfig) {
   const credentialsPath = gscConfig.credentialsFile || process.env.GSC_CREDENTIALS_FILE;
@@ -201,7 +374,7 @@ export async function getOAuth2Client(gscConfig) {
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
     scope: [
-      // 'https://www.googleapis.com/auth/webmasters.readonly',
+      'https://www.googleapis.com/auth/webmasters.readonly',
       'https://www.googleapis.com/auth/bigquery.readonly',
       'https://www.googleapis.com/auth/analytics.readonly'
     ],
@@ -314,10 +487,14 @@ async function waitForCallback() {
 }
 
 // Helper function to get available sites
-export async function getAvailableSites(cfg) {
+// auth defaults to the Search Console OAuth2 client; the CLI and API pass the
+// client of the shared Google sign-in
+export async function getAvailableSites(cfg, auth = null) {
   const gscConfig = cfg.sources.searchconsole;
   
-  const auth = await getOAuth2Client(gscConfig);
+  if (!auth) {
+    auth = await getOAuth2Client(gscConfig);
+  }
   
   // Ensure the auth client is properly authenticated
   await auth.getAccessToken();
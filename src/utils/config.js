@@ -1,5 +1,6 @@
 import config from "../../config.js";
 import { validateConfig } from "../cli/validators.js";
+import { getPresetsForSource as getRegisteredPresets, loadPlugins } from "../datasources/registry.js";
 
 export function loadConfig() {
   // Validate configuration
@@ -11,6 +12,11 @@ export function loadConfig() {
   return config;
 }
 
+// Register datasource plugins; call once at startup, before loadConfig()
+export async function initializePlugins(cfg = config) {
+  return loadPlugins(cfg.plugins?.directory);
+}
+
 export function getSourceConfig(source, cfg = config) {
   const sourceConfig = cfg.sources[source];
   if (!sourceConfig) {
@@ -25,7 +31,5 @@ export function getSourceConfig(source, cfg = config) {
 }
 
 export function getPresetsForSource(source, cfg = config) {
-  return cfg.presets.filter(preset => 
-    preset.source === source || preset.source === "any"
-  );
+  return getRegisteredPresets(source, cfg);
 }
@@ -40,6 +40,49 @@ function initializeTables() {
       selected_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
+
+  // Create source_selections table (Search Console site, BigQuery dataset, ...);
+  // the GA4 property stays in selected_sites
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS source_selections (
+      user_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      value TEXT NOT NULL,
+      selected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, source)
+    );
+  `);
+
+  // Create query_cache table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS query_cache (
+      cache_key TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      property_id TEXT NOT NULL,
+      result TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+
+  // Create property_metadata table (GA4 getMetadata responses)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS property_metadata (
+      property_id TEXT PRIMARY KEY,
+      metadata TEXT NOT NULL,
+      fetched_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+
+  // Create property_quota table (latest GA4 propertyQuota per property)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS property_quota (
+      property_id TEXT PRIMARY KEY,
+      quota TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
 }
 
 // Store OAuth2 tokens for a user
@@ -104,6 +147,154 @@ export function getSiteForUser(userId) {
   return result ? result.site_url : null;
 }
 
+// Store what a user queries with a non-Analytics source
+export function storeSourceSelection(userId, source, value) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO source_selections 
+    (user_id, source, value, selected_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+  `);
+  
+  return stmt.run(userId, source, value);
+}
+
+// Get what a user queries with a non-Analytics source
+export function getSourceSelection(userId, source) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT value FROM source_selections 
+    WHERE user_id = ? AND source = ?
+  `);
+  
+  const result = stmt.get(userId, source);
+  return result ? result.value : null;
+}
+
+// Clear the selections of one source, or of every source
+export function clearSourceSelections(userId, source = null) {
+  const db = getDatabase();
+  
+  if (source) {
+    return db.prepare('DELETE FROM source_selections WHERE user_id = ? AND source = ?').run(userId, source);
+  }
+  return db.prepare('DELETE FROM source_selections WHERE user_id = ?').run(userId);
+}
+
+// Get a cached query result that has not expired yet
+export function getCachedQueryResult(cacheKey) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT * FROM query_cache 
+    WHERE cache_key = ? AND expires_at > ?
+  `);
+  
+  const entry = stmt.get(cacheKey, Date.now());
+  if (!entry) {
+    return null;
+  }
+  
+  return {
+    result: JSON.parse(entry.result),
+    createdAt: entry.created_at,
+    expiresAt: entry.expires_at
+  };
+}
+
+// Store a query result in the cache, purging expired entries first so the
+// table does not keep growing
+export function storeCachedQueryResult(cacheKey, source, propertyId, result, ttlMs) {
+  const db = getDatabase();
+  const now = Date.now();
+  
+  clearQueryCache();
+  
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO query_cache 
+    (cache_key, source, property_id, result, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(cacheKey, source, propertyId, JSON.stringify(result), now, now + ttlMs);
+}
+
+// Remove expired cache entries, or every entry for a property when given
+export function clearQueryCache(propertyId = null) {
+  const db = getDatabase();
+  
+  if (propertyId) {
+    return db.prepare('DELETE FROM query_cache WHERE property_id = ?').run(propertyId);
+  }
+  
+  return db.prepare('DELETE FROM query_cache WHERE expires_at <= ?').run(Date.now());
+}
+
+// Get the cached metadata of a property when it has not expired yet
+export function getCachedPropertyMetadata(propertyId) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT * FROM property_metadata 
+    WHERE property_id = ? AND expires_at > ?
+  `);
+  
+  const entry = stmt.get(propertyId, Date.now());
+  if (!entry) {
+    return null;
+  }
+  
+  return {
+    metadata: JSON.parse(entry.metadata),
+    fetchedAt: entry.fetched_at,
+    expiresAt: entry.expires_at
+  };
+}
+
+// Store the metadata of a property
+export function storeCachedPropertyMetadata(propertyId, metadata, ttlMs) {
+  const db = getDatabase();
+  const now = Date.now();
+  
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO property_metadata 
+    (property_id, metadata, fetched_at, expires_at)
+    VALUES (?, ?, ?, ?)
+  `);
+  
+  return stmt.run(propertyId, JSON.stringify(metadata), now, now + ttlMs);
+}
+
+// Store the latest quota state reported for a property
+export function storePropertyQuota(propertyId, quota) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO property_quota 
+    (property_id, quota, updated_at)
+    VALUES (?, ?, ?)
+  `);
+  
+  return stmt.run(propertyId, JSON.stringify(quota), Date.now());
+}
+
+// Get the latest quota state of a property, or of every property when none is given
+export function getPropertyQuotas(propertyId = null) {
+  const db = getDatabase();
+  
+  const entries = propertyId
+    ? db.prepare('SELECT * FROM property_quota WHERE property_id = ?').all(propertyId)
+    : db.prepare('SELECT * FROM property_quota ORDER BY updated_at DESC').all();
+  
+  return entries.map(entry => ({
+    propertyId: entry.property_id,
+    quota: JSON.parse(entry.quota),
+    updatedAt: entry.updated_at
+  }));
+}
+
 // Close database connection
 export function closeDatabase() {
   if (db) {
@@ -1,15 +1,39 @@
 import chalk from 'chalk';
 import { getAvailableProperties } from '../datasources/analytics.js';
-import { getSiteForUser, storeSiteForUser } from './database.js';
+import { getAvailableSites } from '../datasources/searchconsole.js';
+import { getAvailableDatasets } from '../datasources/bigquery.js';
+import { getSiteForUser, storeSiteForUser, getSourceSelection, storeSourceSelection, clearSourceSelections } from './database.js';
 import config from '../../config.js';
 
+/**
+ * What a query of each source runs against: a GA4 property, a Search Console
+ * site or a BigQuery dataset. optionKey is the runQuery option the selection
+ * is passed in; without one, datasources fall back to configKey in their
+ * config section.
+ */
+const SELECTION_TARGETS = {
+  analytics: { label: 'property', optionKey: 'propertyId', configKey: 'propertyId' },
+  searchconsole: { label: 'site', optionKey: 'siteUrl', configKey: 'siteUrl' },
+  bigquery: { label: 'dataset', optionKey: 'dataset', configKey: 'dataset' },
+};
+
+/**
+ * Describe what a source is queried against
+ * @param {string} source - The source name
+ * @returns {Object|null} - {label, optionKey, configKey}, or null for sources without a selection
+ */
+export function getSelectionTarget(source) {
+  return SELECTION_TARGETS[source] || null;
+}
+
 /**
  * Get the currently selected site
+ * @param {string} [source] - The source; the GA4 property by default
  */
-export function getSelectedSite() {
+export function getSelectedSite(source = 'analytics') {
   try {
     const userId = config.userId;
-    return getSiteForUser(userId);
+    return source === 'analytics' ? getSiteForUser(userId) : getSourceSelection(userId, source);
   } catch (error) {
     console.log(chalk.yellow('Warning: Could not read site configuration from database'));
     return null;
@@ -18,11 +42,17 @@ export function getSelectedSite() {
 
 /**
  * Save the selected site
+ * @param {string} siteUrl - Property ID, site URL or dataset ID
+ * @param {string} [source] - The source; the GA4 property by default
  */
-export function saveSelectedSite(siteUrl) {
+export function saveSelectedSite(siteUrl, source = 'analytics') {
   try {
     const userId = config.userId;
-    storeSiteForUser(userId, siteUrl);
+    if (source === 'analytics') {
+      storeSiteForUser(userId, siteUrl);
+    } else {
+      storeSourceSelection(userId, source, siteUrl);
+    }
     return true;
   } catch (error) {
     console.error(chalk.red(`Failed to save site selection to database: ${error.message}`));
@@ -30,6 +60,63 @@ export function saveSelectedSite(siteUrl) {
   }
 }
 
+/**
+ * The selection a source's queries run against: the stored selection, or
+ * the one set in config.js
+ * @param {string} source - The source name
+ * @param {Object} cfg - The loaded configuration
+ * @returns {string|null}
+ */
+export function resolveSourceSelection(source, cfg) {
+  const target = getSelectionTarget(source);
+  if (!target) {
+    return null;
+  }
+  return getSelectedSite(source) || cfg.sources[source]?.[target.configKey] || null;
+}
+
+/**
+ * The runQuery options that point a source's datasource at a selection
+ * @param {string} source - The source name
+ * @param {string|null} selection - The selection, see resolveSourceSelection()
+ * @returns {Object} - e.g. {siteUrl}, or {} for sources without a selection
+ */
+export function getSelectionOptions(source, selection) {
+  const target = getSelectionTarget(source);
+  return target && selection ? { [target.optionKey]: selection } : {};
+}
+
+/**
+ * List what a source can be queried against, in one shape for every source
+ * @param {string} source - The source name
+ * @param {Object} cfg - The loaded configuration
+ * @param {Object} [auth] - The Google OAuth2 client; Search Console sites are listed with it
+ * @returns {Promise<Object[]>} - [{id, name, detail}]
+ */
+export async function getSelectableTargets(source, cfg, auth = null) {
+  switch (source) {
+    case 'analytics':
+      return (await getVerifiedSites(cfg)).map(property => ({
+        id: property.propertyId,
+        name: property.displayName,
+        detail: property.accountName,
+      }));
+    case 'searchconsole':
+      // Unverified sites cannot be queried
+      return (await getAvailableSites(cfg, auth))
+        .filter(site => site.permissionLevel !== 'siteUnverifiedUser')
+        .map(site => ({ id: site.siteUrl, name: site.siteUrl, detail: site.permissionLevel }));
+    case 'bigquery':
+      return (await getAvailableDatasets(cfg)).map(dataset => ({
+        id: dataset.datasetId,
+        name: dataset.datasetId,
+        detail: dataset.location,
+      }));
+    default:
+      throw new Error(`Source ${source} has nothing to select`);
+  }
+}
+
 /**
  * Get available properties (no filtering needed for Analytics)
  */
@@ -46,13 +133,18 @@ export async function getVerifiedSites(cfg) {
 
 /**
  * Clear the selected site
+ * @param {string} [source] - The source; the GA4 property by default
  */
-export async function clearSelectedSite() {
+export async function clearSelectedSite(source = 'analytics') {
   try {
     const { getDatabase } = await import('./database.js');
     const db = getDatabase();
     const userId = config.userId;
     
+    if (source !== 'analytics') {
+      return clearSourceSelections(userId, source).changes > 0;
+    }
+    
     // Delete the site selection from database
     const deleteSite = db.prepare('DELETE FROM selected_sites WHERE user_id = ?');
     const result = deleteSite.run(userId);
@@ -66,9 +158,10 @@ export async function clearSelectedSite() {
 
 /**
  * Check if a site is selected and valid
+ * @param {string} [source] - The source; the GA4 property by default
  */
-export function hasValidSiteSelection() {
-  const selectedSite = getSelectedSite();
+export function hasValidSiteSelection(source = 'analytics') {
+  const selectedSite = getSelectedSite(source);
   return selectedSite && selectedSite.trim() !== '';
 }
 
@@ -98,6 +191,11 @@ export async function signOut() {
       cleared.push('selected site');
     }
     
+    // Clear Search Console and BigQuery selections for user
+    if (clearSourceSelections(userId).changes > 0) {
+      cleared.push('selected sites and datasets');
+    }
+    
   } catch (error) {
     console.error('Failed to clear user data from database:', error.message);
   }
@@ -0,0 +1,317 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import runAnalytics, { validateQuery } from "../src/datasources/analytics.js";
+
+describe("Analytics Data Source", () => {
+  let auth;
+
+  const config = {
+    sources: {
+      analytics: {
+        propertyId: "123456789",
+        pageSize: 2,
+        metrics: { sessions: "sessions" },
+        dimensions: { country: "country" },
+      },
+    },
+    limits: { maxRows: 100000 },
+  };
+
+  const query = {
+    dateRange: { start: "2024-01-01", end: "2024-01-31" },
+    metrics: ["sessions"],
+    dimensions: ["country"],
+    limit: 1000,
+  };
+
+  function reportPage(countries, rowCount) {
+    return {
+      ok: true,
+      json: async () => ({
+        rowCount,
+        rows: countries.map(([country, sessions]) => ({
+          dimensionValues: [{ value: country }],
+          metricValues: [{ value: String(sessions) }],
+        })),
+      }),
+    };
+  }
+
+  beforeEach(() => {
+    auth = {
+      getAccessToken: vi.fn().mockResolvedValue({ token: "test-token" }),
+    };
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    delete process.env.GA_PROPERTY_ID;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("should follow offset pages until all rows are fetched", async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(reportPage([["US", 30], ["CA", 20]], 3))
+      .mockResolvedValueOnce(reportPage([["MX", 10]], 3));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const onProgress = vi.fn();
+    const result = await runAnalytics(query, config, auth, { onProgress });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toMatchObject({ limit: 2, offset: 2 });
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).metricAggregations).toEqual(["TOTAL", "MINIMUM", "MAXIMUM"]);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).not.toHaveProperty("metricAggregations");
+    expect(result.rows.map(row => row.country)).toEqual(["US", "CA", "MX"]);
+    expect(result.metadata).toMatchObject({ rowCount: 3, truncated: false, pages: 2 });
+    expect(onProgress).toHaveBeenLastCalledWith({ fetched: 3, total: 3, page: 2 });
+  });
+
+  it("should stop at the row limit and flag truncation", async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(reportPage([["US", 30], ["CA", 20]], 5));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await runAnalytics({ ...query, limit: 2 }, config, auth);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(result.rows).toHaveLength(2);
+    expect(result.metadata).toMatchObject({ rowCount: 5, truncated: true });
+  });
+
+  it("should carry sampling, thresholding and currency metadata", async () => {
+    const page = reportPage([["US", 30]], 1);
+    const data = await page.json();
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        ...data,
+        metadata: {
+          samplingMetadatas: [{ samplesReadCount: "250", samplingSpaceSize: "1000" }],
+          subjectToThresholding: true,
+          currencyCode: "EUR",
+          timeZone: "Europe/Berlin",
+        },
+      }),
+    }));
+
+    const result = await runAnalytics(query, config, auth);
+
+    expect(result.metadata.dataQuality).toMatchObject({
+      sampled: true,
+      samplingRate: 25,
+      thresholded: true,
+      otherRow: false,
+      currencyCode: "EUR",
+      timeZone: "Europe/Berlin",
+    });
+    expect(result.metadata.dataQuality.warnings).toHaveLength(2);
+  });
+
+  it("should merge comparison ranges into delta columns", async () => {
+    const fetchMock = vi.fn().mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        rowCount: 3,
+        dimensionHeaders: [{ name: "country" }, { name: "dateRange" }],
+        rows: [
+          { dimensionValues: [{ value: "US" }, { value: "current" }], metricValues: [{ value: "150" }] },
+          { dimensionValues: [{ value: "US" }, { value: "previous" }], metricValues: [{ value: "100" }] },
+          { dimensionValues: [{ value: "CA" }, { value: "current" }], metricValues: [{ value: "20" }] },
+        ],
+      }),
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await runAnalytics({
+      ...query,
+      dateRange: { start: "2024-02-01", end: "2024-02-28" },
+      compareDateRange: { start: "2024-01-04", end: "2024-01-31" },
+    }, config, auth);
+
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).dateRanges).toEqual([
+      { startDate: "2024-02-01", endDate: "2024-02-28", name: "current" },
+      { startDate: "2024-01-04", endDate: "2024-01-31", name: "previous" },
+    ]);
+    expect(result.rows).toEqual([
+      { country: "US", sessions: 150, sessions_previous: 100, sessions_delta: 50, sessions_change_pct: 50 },
+      { country: "CA", sessions: 20, sessions_previous: 0, sessions_delta: 20, sessions_change_pct: null },
+    ]);
+  });
+
+  it("should drop values missing one date range from truncated comparisons", async () => {
+    const fetchMock = vi.fn().mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        rowCount: 5,
+        dimensionHeaders: [{ name: "country" }, { name: "dateRange" }],
+        rows: [
+          { dimensionValues: [{ value: "US" }, { value: "current" }], metricValues: [{ value: "150" }] },
+          { dimensionValues: [{ value: "US" }, { value: "previous" }], metricValues: [{ value: "100" }] },
+          { dimensionValues: [{ value: "CA" }, { value: "current" }], metricValues: [{ value: "20" }] },
+        ],
+      }),
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await runAnalytics({
+      ...query,
+      limit: 3,
+      dateRange: { start: "2024-02-01", end: "2024-02-28" },
+      compareDateRange: { start: "2024-01-04", end: "2024-01-31" },
+    }, config, auth);
+
+    expect(result.metadata.truncated).toBe(true);
+    expect(result.rows).toEqual([
+      { country: "US", sessions: 150, sessions_previous: 100, sessions_delta: 50, sessions_change_pct: 50 },
+    ]);
+  });
+
+  it("should send filters to GA4 as dimension and metric filter expressions", async () => {
+    const fetchMock = vi.fn().mockResolvedValueOnce(reportPage([["US", 30]], 1));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await runAnalytics({
+      ...query,
+      filters: [
+        { type: "dimension", field: "country", op: "inList", values: ["US", "CA"] },
+        { or: [
+          { type: "dimension", field: "country", op: "contains", value: "u", caseSensitive: true },
+          { not: { type: "dimension", field: "country", op: "eq", value: "MX" } },
+        ] },
+        { type: "metric", field: "sessions", op: "between", from: 10, to: 99.5 },
+      ],
+    }, config, auth);
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.dimensionFilter).toEqual({
+      andGroup: {
+        expressions: [
+          { filter: { fieldName: "country", inListFilter: { values: ["US", "CA"], caseSensitive: false } } },
+          { orGroup: { expressions: [
+            { filter: { fieldName: "country", stringFilter: { matchType: "CONTAINS", value: "u", caseSensitive: true } } },
+            { notExpression: { filter: { fieldName: "country", stringFilter: { matchType: "EXACT", value: "MX", caseSensitive: false } } } },
+          ] } },
+        ],
+      },
+    });
+    expect(body.metricFilter).toEqual({
+      filter: {
+        fieldName: "sessions",
+        betweenFilter: { fromValue: { int64Value: "10" }, toValue: { doubleValue: 99.5 } },
+      },
+    });
+  });
+
+  it("should fetch the metrics a calculated metric uses and compute it per row", async () => {
+    const fetchMock = vi.fn().mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        rowCount: 2,
+        rows: [
+          { dimensionValues: [{ value: "US" }], metricValues: [{ value: "40" }, { value: "100" }] },
+          { dimensionValues: [{ value: "CA" }], metricValues: [{ value: "0" }, { value: "5" }] },
+        ],
+      }),
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await runAnalytics({ ...query, metrics: ["sessions", "pagesPerSession"] }, {
+      ...config,
+      sources: {
+        analytics: {
+          ...config.sources.analytics,
+          metrics: { sessions: "sessions", pageviews: "screenPageViews" },
+          calculatedMetrics: { pagesPerSession: { expression: "pageviews / sessions" } },
+        },
+      },
+    }, auth);
+
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).metrics).toEqual([
+      { name: "sessions" },
+      { name: "screenPageViews" },
+    ]);
+    expect(result.rows).toEqual([
+      { country: "US", sessions: 40, pagesPerSession: 2.5 },
+      { country: "CA", sessions: 0, pagesPerSession: null },
+    ]);
+  });
+
+  it("should fetch every row before keeping the top rows by a calculated metric", async () => {
+    const page = (rows, rowCount) => ({
+      ok: true,
+      json: async () => ({
+        rowCount,
+        rows: rows.map(([country, sessions, pageviews]) => ({
+          dimensionValues: [{ value: country }],
+          metricValues: [{ value: String(sessions) }, { value: String(pageviews) }],
+        })),
+      }),
+    });
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(page([["US", 40, 100], ["CA", 10, 50]], 3))
+      .mockResolvedValueOnce(page([["MX", 10, 10]], 3));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await runAnalytics({
+      ...query,
+      metrics: ["sessions", "pagesPerSession"],
+      orderBys: [{ metric: "pagesPerSession", desc: true }],
+      limit: 1,
+    }, {
+      ...config,
+      sources: {
+        analytics: {
+          ...config.sources.analytics,
+          metrics: { sessions: "sessions", pageviews: "screenPageViews" },
+          calculatedMetrics: { pagesPerSession: { expression: "pageviews / sessions" } },
+        },
+      },
+    }, auth);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).orderBys).toEqual([]);
+    expect(result.rows).toEqual([{ country: "CA", sessions: 10, pagesPerSession: 5 }]);
+    expect(result.metadata.truncated).toBe(true);
+  });
+
+  it("should reject filters on calculated metrics", () => {
+    const cfg = { sources: { analytics: { calculatedMetrics: { pagesPerSession: { expression: "pageviews / sessions" } } } } };
+    const query = {
+      source: "analytics",
+      metrics: ["sessions", "pagesPerSession"],
+      filters: [
+        { type: "metric", field: "sessions", op: "gt", value: 10 },
+        { or: [{ not: { type: "metric", field: "pagesPerSession", op: "gt", value: 5 } }] },
+      ],
+    };
+
+    expect(validateQuery(query, cfg)).toEqual([
+      "Filter filters[1].or[0].not: calculated metric pagesPerSession cannot be used in filters",
+    ]);
+    expect(validateQuery({ ...query, filters: [query.filters[0]] }, cfg)).toEqual([]);
+  });
+
+  it("should request metric aggregations and return them with the rows", async () => {
+    const fetchMock = vi.fn().mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        rowCount: 1,
+        rows: [{ dimensionValues: [{ value: "US" }], metricValues: [{ value: "30" }] }],
+        totals: [{ dimensionValues: [{ value: "RESERVED_TOTAL" }], metricValues: [{ value: "75" }] }],
+        minimums: [{ dimensionValues: [{ value: "RESERVED_MIN" }], metricValues: [{ value: "5" }] }],
+        maximums: [{ dimensionValues: [{ value: "RESERVED_MAX" }], metricValues: [{ value: "30" }] }],
+      }),
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await runAnalytics(query, config, auth);
+
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).metricAggregations).toEqual(["TOTAL", "MINIMUM", "MAXIMUM"]);
+    expect(result.aggregations).toEqual({
+      total: { sessions: 75 },
+      minimum: { sessions: 5 },
+      maximum: { sessions: 30 },
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { detectAnomalies, getMetricThreshold, scoreSeries, validateAnomalyConfig } from "../src/core/anomalies.js";
+
+describe("Anomaly Detection", () => {
+  const cfg = { anomalies: { threshold: 3.5, metrics: { bounceRate: false } } };
+
+  // Four weeks of weekday traffic around 1000 with quiet weekends, starting on Monday 2024-01-01
+  function buildRows(overrides = {}) {
+    return Array.from({ length: 28 }, (_, index) => {
+      const date = new Date(Date.UTC(2024, 0, 1 + index));
+      const weekday = date.getUTCDay();
+      const base = weekday === 0 || weekday === 6 ? 300 : 1000;
+      const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+      return { date: day, sessions: overrides[day] ?? base + (index % 3) * 10, bounceRate: 0.5 };
+    });
+  }
+
+  it("should not flag the weekly pattern", () => {
+    expect(detectAnomalies(buildRows(), { dimensions: ["date"], metrics: ["sessions"] }, cfg)).toEqual([]);
+  });
+
+  it("should flag spikes and drops with score and direction", () => {
+    const rows = buildRows({ 20240110: 2500, 20240120: 20 }).reverse();
+
+    const anomalies = detectAnomalies(rows, { dimensions: ["date"], metrics: ["sessions", "bounceRate"] }, cfg);
+
+    expect(anomalies.map(({ date, direction }) => [date, direction])).toEqual([
+      ["20240110", "up"],
+      ["20240120", "down"],
+    ]);
+    expect(rows[anomalies[0].rowIndex].date).toBe("20240110");
+    expect(anomalies[0].score).toBeGreaterThan(3.5);
+    expect(anomalies[0].expected).toBeCloseTo(1000, -2);
+  });
+
+  it("should score each series of a split report separately", () => {
+    const rows = [
+      ...buildRows({ 20240115: 3000 }).map(row => ({ ...row, country: "US" })),
+      ...buildRows().map(row => ({ ...row, country: "CA" })),
+    ];
+
+    const anomalies = detectAnomalies(rows, { dimensions: ["date", "country"], metrics: ["sessions"] }, cfg);
+
+    expect(anomalies).toHaveLength(1);
+    expect(anomalies[0]).toMatchObject({ date: "20240115", group: { country: "US" }, direction: "up" });
+  });
+
+  it("should skip short series and queries without a date dimension", () => {
+    expect(scoreSeries(Array.from({ length: 5 }, () => ({ value: 1, weekday: 1 })))).toBeNull();
+    expect(detectAnomalies(buildRows(), { dimensions: ["country"], metrics: ["sessions"] }, cfg)).toEqual([]);
+  });
+
+  it("should use per-metric thresholds", () => {
+    const settings = { anomalies: { threshold: 3, metrics: { sessions: 5, users: false } } };
+
+    expect(getMetricThreshold("sessions", settings)).toBe(5);
+    expect(getMetricThreshold("pageviews", settings)).toBe(3);
+    expect(getMetricThreshold("users", settings)).toBeNull();
+    expect(validateAnomalyConfig({ anomalies: { metrics: { sessions: "high" } } }))
+      .toEqual(["anomalies.metrics.sessions must be a positive number or false"]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createQuerySignal, QueryAbortedError } from "../src/core/cancellation.js";
+import runBQ from "../src/datasources/bigquery.js";
+
+vi.mock("@google-cloud/bigquery", () => ({
+  BigQuery: vi.fn(),
+}));
+
+describe("Query Cancellation", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("should abort with a timeout error after limits.maxRuntimeMs", () => {
+    vi.useFakeTimers();
+    const { signal, cleanup } = createQuerySignal({ limits: { maxRuntimeMs: 1000 } });
+
+    vi.advanceTimersByTime(999);
+    expect(signal.aborted).toBe(false);
+    vi.advanceTimersByTime(1);
+
+    expect(signal.reason).toBeInstanceOf(QueryAbortedError);
+    expect(signal.reason).toMatchObject({ reason: "timeout", timeoutMs: 1000 });
+    cleanup();
+  });
+
+  it("should abort as cancelled when the caller's signal aborts", () => {
+    const controller = new AbortController();
+    const { signal, cleanup } = createQuerySignal({ limits: { maxRuntimeMs: 1000 } }, controller.signal);
+
+    controller.abort();
+
+    expect(signal.reason).toMatchObject({ name: "QueryAbortedError", reason: "cancelled" });
+    cleanup();
+  });
+
+  it("should cancel a running BigQuery job", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const job = {
+      getQueryResults: vi.fn(() => new Promise(() => {})),
+      cancel: vi.fn().mockResolvedValue([]),
+    };
+    const { BigQuery } = await import("@google-cloud/bigquery");
+    BigQuery.mockImplementation(() => ({ createQueryJob: vi.fn().mockResolvedValue([job]) }));
+
+    const controller = new AbortController();
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["event_count"],
+      dimensions: ["event_name"],
+      orderBys: [],
+      filters: [],
+    };
+    const cfg = { sources: { bigquery: { projectId: "test-project", dataset: "analytics_1" } } };
+
+    const pending = runBQ(query, cfg, null, { signal: controller.signal });
+    await vi.waitFor(() => expect(job.getQueryResults).toHaveBeenCalled());
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(QueryAbortedError);
+    expect(job.cancel).toHaveBeenCalled();
+  });
+});
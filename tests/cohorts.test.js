@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { buildCohorts, buildCohortRequest, buildCohortMatrix, runCohortAnalysis, toCohortRows } from "../src/core/cohorts.js";
+import { runReport } from "../src/datasources/ga4-client.js";
+import { QueryValidationError } from "../src/cli/validators.js";
+
+vi.mock("../src/datasources/ga4-client.js", () => ({
+  runReport: vi.fn(),
+}));
+
+describe("Cohort Retention", () => {
+  const cfg = { limits: {} };
+
+  function row(cohort, period, activeUsers, totalUsers) {
+    return {
+      dimensionValues: [{ value: cohort }, { value: String(period).padStart(4, "0") }],
+      metricValues: [{ value: String(activeUsers) }, { value: String(totalUsers) }],
+    };
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should align cohorts to Sunday weeks and calendar months", () => {
+    expect(buildCohorts({ start: "2024-02-06", end: "2024-02-17" }, "weekly")).toEqual([
+      { name: "2024-02-04", startDate: "2024-02-04", endDate: "2024-02-10" },
+      { name: "2024-02-11", startDate: "2024-02-11", endDate: "2024-02-17" },
+    ]);
+    expect(buildCohorts({ start: "2024-01-15", end: "2024-02-10" }, "monthly").map(cohort => cohort.endDate))
+      .toEqual(["2024-01-31", "2024-02-29"]);
+    expect(buildCohorts({ start: "2024-01-01", end: "2024-01-31" }, "daily")).toHaveLength(12);
+  });
+
+  it("should request a cohortSpec instead of date ranges", () => {
+    const cohorts = buildCohorts({ start: "2024-02-04", end: "2024-02-17" }, "weekly");
+    const body = buildCohortRequest(cohorts, "weekly");
+
+    expect(body.dateRanges).toBeUndefined();
+    expect(body.dimensions).toEqual([{ name: "cohort" }, { name: "cohortNthWeek" }]);
+    expect(body.cohortSpec.cohortsRange).toEqual({ granularity: "WEEKLY", startOffset: 0, endOffset: 1 });
+    expect(body.cohortSpec.cohorts[0]).toEqual({
+      name: "2024-02-04",
+      dimension: "firstSessionDate",
+      dateRange: { startDate: "2024-02-04", endDate: "2024-02-10" },
+    });
+  });
+
+  it("should build a retention triangle with a weighted average", () => {
+    const cohorts = buildCohorts({ start: "2024-02-04", end: "2024-02-17" }, "weekly");
+    const data = {
+      rows: [
+        row("2024-02-04", 0, 100, 100),
+        row("2024-02-04", 1, 25, 100),
+        row("2024-02-11", 0, 300, 300),
+        row("2024-02-11", 1, 0, 300),
+      ],
+    };
+
+    const matrix = buildCohortMatrix(data, cohorts, "weekly", "2024-02-17");
+
+    expect(matrix.periods).toEqual(["Week 0", "Week 1"]);
+    expect(matrix.cohorts.map(cohort => cohort.retention)).toEqual([[100, 25], [100, null]]);
+    expect(matrix.cohorts[1].activeUsers).toEqual([300, null]);
+    expect(matrix.average).toEqual([100, 25]);
+    expect(toCohortRows(matrix)[0]).toEqual({ cohort: "2024-02-04", users: 100, "Week 0": 100, "Week 1": 25 });
+  });
+
+  it("should run the report and reject unknown granularities", async () => {
+    runReport.mockResolvedValue({ rows: [row("2024-02-04", 0, 10, 10)] });
+
+    const matrix = await runCohortAnalysis(
+      { dateRange: { start: "2024-02-04", end: "2024-02-10" }, granularity: "weekly" },
+      cfg,
+      {},
+      "123",
+    );
+
+    expect(runReport).toHaveBeenCalledWith({}, "123", expect.objectContaining({ cohortSpec: expect.any(Object) }), expect.any(Object));
+    expect(matrix.cohorts[0]).toMatchObject({ users: 10, retention: [100] });
+
+    await expect(runCohortAnalysis({ dateRange: { start: "2024-02-04", end: "2024-02-10" }, granularity: "hourly" }, cfg, {}, "123"))
+      .rejects.toBeInstanceOf(QueryValidationError);
+  });
+});
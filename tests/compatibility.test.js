@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { checkAnalyticsFields } from "../src/core/compatibility.js";
+import { findUnknownFields, suggestFieldName } from "../src/cli/validators.js";
+import { fetchIncompatibleFields } from "../src/datasources/analytics.js";
+import { loadAnalyticsSchema } from "../src/core/metadata.js";
+
+vi.mock("../src/datasources/analytics.js", () => ({
+  default: vi.fn(),
+  validateQuery: vi.fn(() => []),
+  fetchIncompatibleFields: vi.fn(),
+}));
+
+vi.mock("../src/core/metadata.js", () => ({
+  loadAnalyticsSchema: vi.fn(),
+}));
+
+describe("Query Field Compatibility", () => {
+  const cfg = {
+    sources: {
+      analytics: {
+        metrics: { sessions: "sessions", pageviews: "screenPageViews" },
+        dimensions: { country: "country" },
+        calculatedMetrics: { pagesPerSession: { expression: "pageviews / sessions" } },
+      },
+    },
+  };
+
+  const field = (name, apiName = name) => ({ name, apiName });
+  const schema = {
+    origin: "metadata",
+    metrics: [field("sessions"), field("pageviews", "screenPageViews"), field("itemRevenue")],
+    dimensions: [field("country"), field("itemName"), field("customUser:plan")],
+    calculatedMetrics: cfg.sources.analytics.calculatedMetrics,
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should suggest the closest field name", () => {
+    expect(suggestFieldName("sesions", ["sessions", "country"])).toBe("sessions");
+    expect(suggestFieldName("Country", ["sessions", "country"])).toBe("country");
+    expect(suggestFieldName("bananas", ["sessions", "country"])).toBeNull();
+  });
+
+  it("should report unknown and misplaced fields with suggestions", () => {
+    const query = {
+      metrics: ["sesions", "pagesPerSession", "country"],
+      dimensions: ["customUser:plan", "itemNme"],
+      filters: [{ type: "dimension", field: "contry", op: "eq", value: "US" }],
+    };
+
+    expect(findUnknownFields(query, schema)).toEqual([
+      { field: "sesions", kind: "metric", reason: "unknown", suggestion: "sessions", message: 'Unknown metric "sesions" (did you mean "sessions"?)' },
+      { field: "country", kind: "metric", reason: "wrong-kind", message: "country is a dimension, not a metric" },
+      { field: "itemNme", kind: "dimension", reason: "unknown", suggestion: "itemName", message: 'Unknown dimension "itemNme" (did you mean "itemName"?)' },
+      { field: "contry", kind: "dimension", reason: "unknown", suggestion: "country", message: 'Unknown dimension "contry" (did you mean "country"?)' },
+    ]);
+  });
+
+  it("should report incompatible fields, including calculated metrics through their inputs", async () => {
+    loadAnalyticsSchema.mockResolvedValue(schema);
+    fetchIncompatibleFields.mockResolvedValue({ dimensions: ["itemName"], metrics: ["screenPageViews"] });
+
+    const fields = await checkAnalyticsFields(
+      { metrics: ["sessions", "pagesPerSession"], dimensions: ["itemName", "country"], filters: [] },
+      cfg,
+      {},
+      "123",
+    );
+
+    expect(fetchIncompatibleFields).toHaveBeenCalledWith("123", {}, {
+      dimensions: ["itemName", "country"],
+      metrics: ["sessions", "screenPageViews"],
+    });
+    expect(fields.map(({ field, kind, reason }) => ({ field, kind, reason }))).toEqual([
+      { field: "itemName", kind: "dimension", reason: "incompatible" },
+      { field: "pagesPerSession", kind: "metric", reason: "incompatible" },
+    ]);
+  });
+
+  it("should not block the query when the compatibility check fails", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    loadAnalyticsSchema.mockResolvedValue({ ...schema, origin: "config" });
+    fetchIncompatibleFields.mockRejectedValue(new Error("HTTP 503: unavailable"));
+
+    const fields = await checkAnalyticsFields({ metrics: ["sessions"], dimensions: ["country"], filters: [] }, cfg, {}, "123");
+    log.mockRestore();
+
+    expect(fields).toEqual([]);
+  });
+});
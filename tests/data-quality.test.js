@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { extractDataQuality, mergeDataQuality, normalizeDataQuality } from "../src/core/data-quality.js";
+
+describe("Data Quality", () => {
+  it("should report exact data when GA4 sends no flags", () => {
+    expect(extractDataQuality([{ currencyCode: "USD", timeZone: "UTC" }])).toEqual({
+      sampled: false,
+      samplingRate: null,
+      samplingMetadatas: [],
+      thresholded: false,
+      otherRow: false,
+      currencyCode: "USD",
+      timeZone: "UTC",
+      warnings: [],
+    });
+  });
+
+  it("should flag the (other) row from any page", () => {
+    const dataQuality = extractDataQuality([{}, { dataLossFromOtherRow: true }, undefined]);
+
+    expect(dataQuality.otherRow).toBe(true);
+    expect(dataQuality.warnings).toEqual(["High cardinality: some rows were grouped into \"(other)\""]);
+  });
+
+  it("should merge properties and keep only shared currencies", () => {
+    const merged = mergeDataQuality([
+      extractDataQuality([{ currencyCode: "USD", samplingMetadatas: [{ samplesReadCount: "50", samplingSpaceSize: "100" }] }]),
+      extractDataQuality([{ currencyCode: "EUR", subjectToThresholding: true }]),
+      undefined,
+    ]);
+
+    expect(merged).toMatchObject({ sampled: true, samplingRate: 50, thresholded: true, currencyCode: null });
+    expect(merged.warnings).toHaveLength(2);
+  });
+
+  it("should fill in partial blocks from plugins", () => {
+    expect(normalizeDataQuality({ thresholded: true })).toMatchObject({
+      sampled: false,
+      thresholded: true,
+      warnings: ["Thresholding applied: rows with few users may be withheld"],
+    });
+  });
+});
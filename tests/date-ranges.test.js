@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { resolveDateRange, resolveDateRangeFromAnswers } from "../src/core/date-ranges.js";
+
+// Wednesday, 2024-05-15
+const now = new Date("2024-05-15T12:00:00Z");
+
+describe("Date Range Resolver", () => {
+  it("should resolve named ranges", () => {
+    expect(resolveDateRange("today", { now })).toEqual({ start: "2024-05-15", end: "2024-05-15" });
+    expect(resolveDateRange("yesterday", { now })).toEqual({ start: "2024-05-14", end: "2024-05-14" });
+    expect(resolveDateRange("last7", { now })).toEqual({ start: "2024-05-08", end: "2024-05-15" });
+    expect(resolveDateRange("month_to_date", { now })).toEqual({ start: "2024-05-01", end: "2024-05-15" });
+    expect(resolveDateRange("last_month", { now })).toEqual({ start: "2024-04-01", end: "2024-04-30" });
+    expect(resolveDateRange("quarter_to_date", { now })).toEqual({ start: "2024-04-01", end: "2024-05-15" });
+    expect(resolveDateRange("last_quarter", { now })).toEqual({ start: "2024-01-01", end: "2024-03-31" });
+    expect(resolveDateRange("year_to_date", { now })).toEqual({ start: "2024-01-01", end: "2024-05-15" });
+  });
+
+  it("should honour the configured week start", () => {
+    expect(resolveDateRange("this_week", { now })).toEqual({ start: "2024-05-12", end: "2024-05-15" });
+    expect(resolveDateRange("last_week", { now, weekStartsOn: 1 })).toEqual({ start: "2024-05-06", end: "2024-05-12" });
+  });
+
+  it("should resolve last N days, weeks and months", () => {
+    expect(resolveDateRange("last_14_days", { now })).toEqual({ start: "2024-05-01", end: "2024-05-14" });
+    expect(resolveDateRange("last_2_weeks", { now, weekStartsOn: 1 })).toEqual({ start: "2024-04-29", end: "2024-05-12" });
+    expect(resolveDateRange("last_3_months", { now })).toEqual({ start: "2024-02-01", end: "2024-04-30" });
+  });
+
+  it("should resolve relative expressions and same period last year", () => {
+    expect(resolveDateRange("-30d..-1d", { now })).toEqual({ start: "2024-04-15", end: "2024-05-14" });
+    expect(resolveDateRange("2024-01-01..yesterday", { now })).toEqual({ start: "2024-01-01", end: "2024-05-14" });
+    expect(resolveDateRange("same_period_last_year:last_month", { now })).toEqual({ start: "2023-04-01", end: "2023-04-30" });
+  });
+
+  it("should reject unknown or inverted ranges", () => {
+    expect(() => resolveDateRange("fortnight", { now })).toThrow("Unknown date range type: fortnight");
+    expect(() => resolveDateRange("-1d..-5d", { now })).toThrow("starts after it ends");
+    expect(() => resolveDateRange("-3x..0", { now })).toThrow('Invalid date expression "-3x"');
+  });
+
+  it("should build ranges from prompt answers", () => {
+    expect(resolveDateRangeFromAnswers({ dateRangeType: "custom", customStartDate: "2024-01-01", customEndDate: "2024-01-31" }))
+      .toEqual({ start: "2024-01-01", end: "2024-01-31" });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { buildForecast, forecastSeries, validateForecast, validateForecastConfig, withForecastRows } from "../src/core/forecast.js";
+
+describe("Forecast", () => {
+  const cfg = { forecast: { maxDays: 30, confidence: 0.95 } };
+  const weekly = [100, 120, 130, 125, 110, 60, 50];
+
+  // Four weeks from Monday 2024-01-01 with a weekly pattern and a steady rise
+  function dailyRows(country = null) {
+    return Array.from({ length: 28 }, (_, index) => {
+      const day = new Date(Date.UTC(2024, 0, 1 + index)).toISOString().slice(0, 10).replace(/-/g, "");
+      return { date: day, ...(country ? { country } : {}), sessions: weekly[index % 7] + index * 2 };
+    });
+  }
+
+  it("should follow the weekly season and the trend with widening bounds", () => {
+    const values = dailyRows().map(row => row.sessions);
+    const projection = forecastSeries(values, 14);
+
+    expect(projection.method).toBe("holt-winters");
+    projection.points.forEach((point, index) => {
+      const expected = weekly[(28 + index) % 7] + (28 + index) * 2;
+      expect(Math.abs(point.value - expected)).toBeLessThan(5);
+      expect(point.lower).toBeLessThanOrEqual(point.value);
+      expect(point.upper).toBeGreaterThanOrEqual(point.value);
+    });
+    const width = point => point.upper - point.lower;
+    expect(width(projection.points[13])).toBeGreaterThanOrEqual(width(projection.points[0]));
+  });
+
+  it("should widen the bounds by the Holt prediction variance", () => {
+    const projection = forecastSeries([10, 12, 11, 14, 13, 16, 15, 18], 3);
+
+    // alpha 0.5 and beta 0.3: step h adds (alpha * (1 + (h - 1) * beta))² to the variance multiplier
+    expect(projection.parameters).toEqual({ alpha: 0.5, beta: 0.3 });
+    const halfWidths = projection.points.map(point => (point.upper - point.lower) / 2 / (1.96 * projection.rmse));
+    expect(halfWidths[0]).toBeCloseTo(1, 6);
+    expect(halfWidths[1]).toBeCloseTo(Math.sqrt(1 + 0.65 ** 2), 6);
+    expect(halfWidths[2]).toBeCloseTo(Math.sqrt(1 + 0.65 ** 2 + 0.8 ** 2), 6);
+  });
+
+  it("should fall back to a linear trend on short series and skip very short ones", () => {
+    expect(forecastSeries([10, 12, 14, 16, 18], 2)).toMatchObject({ method: "holt", parameters: { alpha: expect.any(Number), beta: expect.any(Number) } });
+    expect(forecastSeries([10, 12, 14], 2)).toBeNull();
+    // Falling counts stop at zero
+    expect(forecastSeries([40, 30, 20, 10, 5], 10).points.every(point => point.value >= 0 && point.lower >= 0)).toBe(true);
+  });
+
+  it("should project every series and label projected rows", () => {
+    const rows = [...dailyRows("France"), ...dailyRows("Spain").slice(0, 3)];
+    const forecast = buildForecast(rows, { dimensions: ["date", "country"], metrics: ["sessions"] }, 3, cfg);
+
+    expect(forecast.rows.map(row => [row.date, row.country, row.rowType])).toEqual([
+      ["20240129", "France", "forecast"],
+      ["20240130", "France", "forecast"],
+      ["20240131", "France", "forecast"],
+    ]);
+    expect(Object.keys(forecast.rows[0])).toEqual(["date", "country", "sessions", "sessions_lower", "sessions_upper", "rowType"]);
+    expect(forecast.series.map(series => [series.group.country, series.method])).toEqual([["France", "holt-winters"], ["Spain", null]]);
+    expect(forecast.series[0].end.date).toBe("20240131");
+
+    const output = withForecastRows(rows.slice(0, 1), forecast);
+    expect(output).toHaveLength(4);
+    expect(output[0]).toMatchObject({ sessions_lower: null, sessions_upper: null, rowType: "actual" });
+    expect(withForecastRows(rows, null)).toBe(rows);
+  });
+
+  it("should keep the date format of the series", () => {
+    const rows = dailyRows().map(row => ({ ...row, date: `${row.date.slice(0, 4)}-${row.date.slice(4, 6)}-${row.date.slice(6)}` }));
+    const forecast = buildForecast(rows, { dimensions: ["date"], metrics: ["sessions"] }, 1, cfg);
+
+    expect(forecast.rows[0].date).toBe("2024-01-29");
+  });
+
+  it("should validate requests and settings", () => {
+    expect(validateForecast(14, { dimensions: ["date"] }, cfg)).toEqual([]);
+    expect(validateForecast(31, { dimensions: ["country"] }, cfg)).toEqual([
+      "forecastDays must be a whole number between 1 and 30",
+      "Forecasts need the date dimension",
+    ]);
+    expect(validateForecastConfig({ forecast: { maxDays: 0, confidence: 0.5 } })).toHaveLength(2);
+  });
+});
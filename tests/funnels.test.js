@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { buildFunnelRequest, buildFunnelResult, normalizeFunnel, runFunnel, validateFunnel } from "../src/core/funnels.js";
+import { runFunnelReport } from "../src/datasources/ga4-client.js";
+import { QueryValidationError } from "../src/cli/validators.js";
+
+vi.mock("../src/datasources/ga4-client.js", () => ({
+  runFunnelReport: vi.fn(),
+}));
+
+describe("Funnels", () => {
+  const funnel = normalizeFunnel({
+    id: "signup",
+    label: "Sign-up",
+    steps: [
+      { name: "Pricing", path: "/pricing" },
+      { name: "Form", event: "form_start" },
+      { name: "Signed up", event: "sign_up", parameter: { name: "method", value: "email" } },
+    ],
+  });
+  const cfg = {
+    sources: { analytics: { dimensions: { device: "deviceCategory" }, funnels: [funnel] } },
+    limits: {},
+  };
+
+  function row(step, value, users) {
+    return {
+      dimensionValues: [{ value: `${step}. ${funnel.steps[step - 1].name}` }, { value }],
+      metricValues: [{ value: String(users) }],
+    };
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should build path, event and event parameter step filters", () => {
+    const body = buildFunnelRequest(funnel, { start: "2024-02-01", end: "2024-02-28" }, { dimension: "deviceCategory", limit: 3 });
+
+    expect(body.funnel.isOpenFunnel).toBe(false);
+    expect(body.funnel.steps.map(step => step.filterExpression)).toEqual([
+      { funnelFieldFilter: { fieldName: "pagePath", stringFilter: { matchType: "BEGINS_WITH", value: "/pricing" } } },
+      { funnelEventFilter: { eventName: "form_start" } },
+      {
+        funnelEventFilter: {
+          eventName: "sign_up",
+          funnelParameterFilterExpression: {
+            funnelParameterFilter: { eventParameterName: "method", stringFilter: { matchType: "EXACT", value: "email" } },
+          },
+        },
+      },
+    ]);
+    expect(body.funnelBreakdown).toEqual({ breakdownDimension: { name: "deviceCategory" }, limit: "3" });
+  });
+
+  it("should reject steps without exactly one of path and event", () => {
+    const errors = validateFunnel(normalizeFunnel({
+      steps: [{ path: "/a", event: "b" }, { parameter: { name: "x", value: "y" }, path: "/c", match: "fuzzy" }],
+    }));
+
+    expect(errors).toEqual([
+      "Step 1 (Step 1) must match either a path or an event",
+      "Step 2 (Step 2) has an unknown match type \"fuzzy\" (use exact, beginsWith, endsWith, contains, regex)",
+      "Step 2 (Step 2) has a parameter condition but no event",
+    ]);
+  });
+
+  it("should reject funnels whose steps are not a list", async () => {
+    expect(validateFunnel(normalizeFunnel({ steps: { path: "/a" } }))).toEqual(["A funnel's steps must be a list"]);
+    expect(validateFunnel(normalizeFunnel({ steps: "/a" }))).toEqual(["A funnel's steps must be a list"]);
+    expect(validateFunnel(normalizeFunnel({ steps: [null, { path: "/b" }] }))).toEqual(["Step 1 (Step 1) must match either a path or an event"]);
+    await expect(runFunnel({ funnel: { steps: {} }, dateRange: { start: "2024-01-01", end: "2024-01-31" } }, {}, {}, "123"))
+      .rejects.toBeInstanceOf(QueryValidationError);
+  });
+
+  it("should compute conversion and abandonment overall and per breakdown value", () => {
+    const data = {
+      funnelTable: {
+        dimensionHeaders: [{ name: "funnelStepName" }, { name: "deviceCategory" }],
+        metricHeaders: [{ name: "activeUsers" }],
+        rows: [
+          row(1, "RESERVED_TOTAL", 1000), row(2, "RESERVED_TOTAL", 400), row(3, "RESERVED_TOTAL", 250),
+          row(1, "desktop", 600), row(2, "desktop", 300), row(3, "desktop", 150),
+        ],
+      },
+    };
+
+    const result = buildFunnelResult(data, funnel);
+
+    expect(result.steps.map(step => [step.users, step.conversionRate, step.abandonments, step.abandonmentRate])).toEqual([
+      [1000, 100, 600, 60],
+      [400, 40, 150, 37.5],
+      [250, 62.5, 0, 0],
+    ]);
+    expect(result.overallConversionRate).toBe(25);
+    expect(result.breakdowns).toHaveLength(1);
+    expect(result.breakdowns[0]).toMatchObject({ value: "desktop", overallConversionRate: 25 });
+  });
+
+  it("should run a configured funnel and map the breakdown dimension", async () => {
+    runFunnelReport.mockResolvedValue({ funnelTable: { rows: [] } });
+
+    const result = await runFunnel({ funnelId: "signup", breakdown: "device", dateRange: { start: "2024-02-01", end: "2024-02-28" } }, cfg, {}, "123");
+
+    expect(runFunnelReport.mock.calls[0][2].funnelBreakdown.breakdownDimension).toEqual({ name: "deviceCategory" });
+    expect(result).toMatchObject({ funnel: { id: "signup", open: false }, breakdown: "device", overallConversionRate: 0 });
+
+    await expect(runFunnel({ funnelId: "missing", dateRange: {} }, cfg, {}, "123")).rejects.toBeInstanceOf(QueryValidationError);
+  });
+});
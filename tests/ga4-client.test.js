@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  ga4Request,
+  runReport,
+  listAccountSummaries,
+  GA4AuthError,
+  GA4InvalidArgumentError,
+  GA4NotFoundError,
+  GA4QuotaError,
+} from "../src/datasources/ga4-client.js";
+import { recordPropertyQuota } from "../src/core/quota.js";
+
+vi.mock("../src/core/quota.js", () => ({
+  recordPropertyQuota: vi.fn(),
+}));
+
+describe("GA4 Client", () => {
+  let auth;
+  const fast = { maxRetries: 2, initialDelayMs: 1, maxDelayMs: 2 };
+  const request = { url: "https://analyticsdata.googleapis.com/v1beta/properties/123/metadata", propertyId: "123" };
+
+  function jsonResponse(data) {
+    return { ok: true, status: 200, json: async () => data };
+  }
+
+  function errorResponse(status, reason, message) {
+    return {
+      ok: false,
+      status,
+      headers: { get: () => null },
+      text: async () => JSON.stringify({ error: { code: status, status: reason, message } }),
+    };
+  }
+
+  beforeEach(() => {
+    auth = {
+      credentials: { access_token: "old", refresh_token: "refresh" },
+      getAccessToken: vi.fn().mockResolvedValue({ token: "test-token" }),
+      setCredentials: vi.fn(function (credentials) {
+        this.credentials = credentials;
+      }),
+    };
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("should retry 429 and 5xx responses with backoff", async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(errorResponse(503, "UNAVAILABLE", "Backend unavailable"))
+      .mockResolvedValueOnce(errorResponse(429, "RESOURCE_EXHAUSTED", "Too many concurrent requests"))
+      .mockResolvedValueOnce(jsonResponse({ dimensions: [] }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await expect(ga4Request(auth, request, fast)).resolves.toEqual({ dimensions: [] });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe("Bearer test-token");
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+
+  it("should report retries through onRetry instead of stderr", async () => {
+    vi.stubGlobal("fetch", vi.fn()
+      .mockResolvedValueOnce(errorResponse(503, "UNAVAILABLE", "Backend unavailable"))
+      .mockResolvedValueOnce(jsonResponse({ dimensions: [] })));
+    const onRetry = vi.fn();
+
+    await ga4Request(auth, request, { ...fast, onRetry });
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ status: 503, attempt: 1, maxRetries: 2 }));
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("should raise a typed error once retries are exhausted", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(errorResponse(429, "RESOURCE_EXHAUSTED", "Exhausted property tokens per day")));
+
+    const error = await ga4Request(auth, request, fast).catch(e => e);
+    expect(error).toBeInstanceOf(GA4QuotaError);
+    expect(error.message).toBe("GA4 quota exhausted for property 123: Exhausted property tokens per day");
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("should map client errors to typed errors without retrying", async () => {
+    const cases = [
+      [400, "INVALID_ARGUMENT", GA4InvalidArgumentError],
+      [403, "PERMISSION_DENIED", GA4AuthError],
+      [404, "NOT_FOUND", GA4NotFoundError],
+    ];
+
+    for (const [status, reason, ErrorClass] of cases) {
+      vi.stubGlobal("fetch", vi.fn().mockResolvedValue(errorResponse(status, reason, "Nope")));
+      const error = await ga4Request(auth, request, fast).catch(e => e);
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toMatchObject({ status, reason, propertyId: "123" });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it("should stop without retrying when the signal aborts", async () => {
+    const controller = new AbortController();
+    vi.stubGlobal("fetch", vi.fn(async () => {
+      controller.abort();
+      throw new DOMException("This operation was aborted", "AbortError");
+    }));
+
+    const error = await ga4Request(auth, request, { ...fast, signal: controller.signal }).catch(e => e);
+
+    expect(error.name).toBe("QueryAbortedError");
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  it("should refresh the access token once on a 401", async () => {
+    auth.getAccessToken
+      .mockResolvedValueOnce({ token: "expired-token" })
+      .mockResolvedValue({ token: "fresh-token" });
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(errorResponse(401, "UNAUTHENTICATED", "Invalid credentials"))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await ga4Request(auth, request, fast);
+
+    expect(auth.setCredentials).toHaveBeenCalledWith(expect.objectContaining({ access_token: null, refresh_token: "refresh" }));
+    expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe("Bearer fresh-token");
+  });
+
+  it("should raise an auth error without retrying when the token cannot be refreshed", async () => {
+    const invalidGrant = Object.assign(new Error("invalid_grant"), { response: { data: { error: "invalid_grant" } } });
+    auth.getAccessToken.mockRejectedValue(invalidGrant);
+    vi.stubGlobal("fetch", vi.fn());
+
+    const error = await ga4Request(auth, request, fast).catch(e => e);
+    expect(error).toBeInstanceOf(GA4AuthError);
+    expect(error).toMatchObject({ status: 401, reason: "invalid_grant", propertyId: "123" });
+    expect(auth.getAccessToken).toHaveBeenCalledTimes(1);
+    expect(fetch).not.toHaveBeenCalled();
+
+    // The forced refresh after a 401 fails the same way
+    auth.getAccessToken.mockReset()
+      .mockResolvedValueOnce({ token: "expired-token" })
+      .mockRejectedValue(invalidGrant);
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(errorResponse(401, "UNAUTHENTICATED", "Invalid credentials")));
+
+    await expect(ga4Request(auth, request, fast)).rejects.toBeInstanceOf(GA4AuthError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should limit concurrent requests per property", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    vi.stubGlobal("fetch", vi.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return jsonResponse({});
+    }));
+
+    await Promise.all(Array.from({ length: 5 }, () => ga4Request(auth, request, { ...fast, maxConcurrent: 2 })));
+
+    expect(maxRunning).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(5);
+  });
+
+  it("should drop a queued request when its signal aborts", async () => {
+    let release;
+    vi.stubGlobal("fetch", vi.fn(() => new Promise(resolve => {
+      release = () => resolve(jsonResponse({}));
+    })));
+    const controller = new AbortController();
+
+    const running = ga4Request(auth, request, { ...fast, maxConcurrent: 1 });
+    const queued = ga4Request(auth, request, { ...fast, maxConcurrent: 1, signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    const error = await queued.catch(e => e);
+    expect(error.name).toBe("QueryAbortedError");
+    release();
+    await running;
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    // The slot is free again for the next request
+    const next = ga4Request(auth, request, { ...fast, maxConcurrent: 1 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    release();
+    await expect(next).resolves.toEqual({});
+  });
+
+  it("should request and record the property quota with every report", async () => {
+    const propertyQuota = { tokensPerDay: { consumed: 5, remaining: 199995 } };
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(jsonResponse({ rows: [], propertyQuota })));
+
+    await runReport(auth, "123", { limit: 10 }, fast);
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ limit: 10, returnPropertyQuota: true });
+    expect(recordPropertyQuota).toHaveBeenCalledWith("123", propertyQuota);
+  });
+
+  it("should follow account summary pages", async () => {
+    vi.stubGlobal("fetch", vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ accountSummaries: [{ account: "accounts/1" }], nextPageToken: "next" }))
+      .mockResolvedValueOnce(jsonResponse({ accountSummaries: [{ account: "accounts/2" }] })));
+
+    const summaries = await listAccountSummaries(auth, fast);
+
+    expect(summaries.map(summary => summary.account)).toEqual(["accounts/1", "accounts/2"]);
+    expect(fetch.mock.calls[1][0]).toContain("pageToken=next");
+  });
+});
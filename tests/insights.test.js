@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { decomposeChange, explainChange, getRateWeight, toExplainRows } from "../src/core/insights.js";
+import runAnalytics from "../src/datasources/analytics.js";
+import { QueryValidationError } from "../src/cli/validators.js";
+
+vi.mock("../src/datasources/analytics.js", () => ({
+  default: vi.fn(),
+  validateQuery: vi.fn(() => []),
+}));
+
+describe("Explain change", () => {
+  const cfg = {
+    sources: { analytics: { metrics: { sessionDuration: "averageSessionDuration" } } },
+    insights: { rateMetrics: { pagesPerSession: "sessions" } },
+    limits: { maxRows: 1000 },
+  };
+  const dateRange = { start: "2024-02-04", end: "2024-02-10" };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should know rate metrics by name, alias and configuration", () => {
+    expect(getRateWeight("bounceRate", cfg)).toBe("sessions");
+    expect(getRateWeight("sessionDuration", cfg)).toBe("sessions");
+    expect(getRateWeight("pagesPerSession", cfg)).toBe("sessions");
+    expect(getRateWeight("totalRevenue", cfg)).toBeNull();
+  });
+
+  it("should split a count change into volume (mix) and per-unit (rate) effects", () => {
+    const rows = [
+      { channel: "Organic", totalRevenue: 900, totalRevenue_previous: 1000, sessions: 450, sessions_previous: 500 },
+      { channel: "Paid", totalRevenue: 600, totalRevenue_previous: 400, sessions: 200, sessions_previous: 200 },
+      { channel: "Email", totalRevenue: 50, totalRevenue_previous: 0, sessions: 10, sessions_previous: 0 },
+    ];
+    const contributions = decomposeChange(
+      rows,
+      { dimension: "channel", metric: "totalRevenue", weightMetric: "sessions", ratio: false },
+      { current: 1550, previous: 1400, weightCurrent: 660, weightPrevious: 700 },
+    );
+
+    expect(contributions.map(item => [item.value, item.contribution, item.mixEffect, item.rateEffect])).toEqual([
+      ["Paid", 200, 0, 200],
+      ["Organic", -100, -100, 0],
+      ["Email", 50, 50, 0],
+    ]);
+    expect(contributions[0].share).toBe(133.3);
+  });
+
+  it("should split a rate change into mix and rate effects that add up to the total", () => {
+    // Mobile has the higher bounce rate and grew from half to three quarters of the sessions
+    const rows = [
+      { device: "mobile", bounceRate: 0.6, bounceRate_previous: 0.6, sessions: 750, sessions_previous: 500 },
+      { device: "desktop", bounceRate: 0.3, bounceRate_previous: 0.2, sessions: 250, sessions_previous: 500 },
+    ];
+    const totals = { current: 0.525, previous: 0.4, weightCurrent: 1000, weightPrevious: 1000 };
+    const contributions = decomposeChange(rows, { dimension: "device", metric: "bounceRate", weightMetric: "sessions", ratio: true }, totals);
+
+    const mobile = contributions.find(item => item.value === "mobile");
+    const desktop = contributions.find(item => item.value === "desktop");
+    expect(mobile).toMatchObject({ mixEffect: 0.05, rateEffect: 0 });
+    expect(desktop).toMatchObject({ mixEffect: 0.05, rateEffect: 0.025 });
+    expect(mobile.contribution + desktop.contribution).toBeCloseTo(0.125);
+  });
+
+  it("should run one comparison report per dimension and rank the drivers", async () => {
+    runAnalytics.mockImplementation(async query => {
+      const dimension = query.dimensions[0];
+      const rows = dimension === "deviceCategory"
+        ? [
+          { deviceCategory: "mobile", sessions: 500, sessions_previous: 700 },
+          { deviceCategory: "desktop", sessions: 300, sessions_previous: 300 },
+        ]
+        : [
+          { country: "France", sessions: 400, sessions_previous: 450 },
+          { country: "Spain", sessions: 350, sessions_previous: 500 },
+        ];
+      return { rows, aggregations: { total: { sessions: 800, sessions_previous: 1000 } } };
+    });
+
+    const result = await explainChange(
+      { metric: "sessions", dimensions: ["country", "deviceCategory"], dateRange, compareTo: "previous_period" },
+      cfg,
+      {},
+      "123",
+    );
+
+    expect(runAnalytics).toHaveBeenCalledTimes(2);
+    expect(runAnalytics.mock.calls[0][0]).toMatchObject({
+      metrics: ["sessions"],
+      dimensions: ["country"],
+      compareDateRange: { start: "2024-01-28", end: "2024-02-03" },
+    });
+    expect(runAnalytics.mock.calls[0][3]).toMatchObject({ propertyId: "123" });
+    expect(result.total).toEqual({ current: 800, previous: 1000, delta: -200, changePct: -20 });
+    expect(result.kind).toBe("count");
+    // Mobile accounts for the whole drop, Spain for three quarters of it
+    expect(result.dimensions.map(dimension => [dimension.dimension, dimension.topShare, dimension.unexplained])).toEqual([
+      ["deviceCategory", 100, 0],
+      ["country", 75, 0],
+    ]);
+    expect(result.drivers[0]).toMatchObject({ dimension: "deviceCategory", value: "mobile", contribution: -200 });
+    expect(toExplainRows(result)).toHaveLength(4);
+  });
+
+  it("should report values missing from a truncated report as unexplained", async () => {
+    runAnalytics.mockResolvedValue({
+      rows: [{ pagePath: "/a", sessions: 600, sessions_previous: 700 }],
+      aggregations: { total: { sessions: 800, sessions_previous: 1000 } },
+      metadata: { truncated: true },
+    });
+
+    const result = await explainChange({ metric: "sessions", dimensions: ["pagePath"], dateRange, compareTo: "previous_period", limit: 2 }, cfg, {}, "123");
+
+    expect(result.dimensions[0]).toMatchObject({ dimension: "pagePath", explained: -100, unexplained: -100, truncated: true });
+  });
+
+  it("should reject requests without a metric, dimensions or comparison", async () => {
+    await expect(explainChange({ dimensions: [], dateRange }, cfg, {}, "123")).rejects.toBeInstanceOf(QueryValidationError);
+    await expect(explainChange({ metric: "sessions", dimensions: ["date"], dateRange, compareTo: "previous_period" }, cfg, {}, "123"))
+      .rejects.toThrow("The date dimension cannot explain a change between two periods");
+    await expect(explainChange({ metric: "sessions", dimensions: "city", dateRange, compareTo: "previous_period" }, cfg, {}, "123"))
+      .rejects.toThrow("dimensions must be an array of dimension names");
+    await expect(explainChange({ metric: "sessions", dimensions: ["city", 3], dateRange, compareTo: "previous_period" }, cfg, {}, "123"))
+      .rejects.toBeInstanceOf(QueryValidationError);
+    expect(runAnalytics).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { loadAnalyticsSchema, mergeSchema, toFieldMap } from "../src/core/metadata.js";
+import { fetchPropertyMetadata } from "../src/datasources/analytics.js";
+import { getCachedPropertyMetadata, storeCachedPropertyMetadata } from "../src/utils/database.js";
+
+vi.mock("../src/datasources/analytics.js", () => ({
+  fetchPropertyMetadata: vi.fn(),
+}));
+
+vi.mock("../src/utils/database.js", () => ({
+  getCachedPropertyMetadata: vi.fn(),
+  storeCachedPropertyMetadata: vi.fn(),
+}));
+
+describe("GA4 Metadata Schema", () => {
+  const cfg = {
+    cache: { metadataTtlSeconds: 60 },
+    sources: {
+      analytics: {
+        metrics: { sessions: "sessions", pageviews: "screenPageViews" },
+        dimensions: { country: "country" },
+        calculatedMetrics: { pagesPerSession: { expression: "pageviews / sessions" } },
+      },
+    },
+  };
+
+  const metadata = {
+    metrics: [
+      { apiName: "sessions", uiName: "Sessions", description: "Sessions started", category: "Session", type: "TYPE_INTEGER" },
+      { apiName: "screenPageViews", uiName: "Views", description: "Views", category: "Page / screen", type: "TYPE_INTEGER" },
+      { apiName: "purchaseRevenue", uiName: "Purchase revenue", description: "Revenue", category: "Ecommerce", type: "TYPE_CURRENCY" },
+    ],
+    dimensions: [
+      { apiName: "country", uiName: "Country", description: "Country", category: "Geography" },
+      { apiName: "customUser:plan", uiName: "Plan", description: "", category: "Custom", customDefinition: true },
+    ],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should merge config aliases with property metadata", () => {
+    const schema = mergeSchema(cfg.sources.analytics, metadata);
+
+    expect(schema.metrics.map(field => field.name)).toEqual(["sessions", "pageviews", "purchaseRevenue"]);
+    expect(schema.metrics[1]).toMatchObject({ apiName: "screenPageViews", uiName: "Views", category: "Page / screen", alias: true });
+    expect(schema.metrics[2]).toMatchObject({ type: "TYPE_CURRENCY", alias: false, custom: false });
+    expect(schema.dimensions[1]).toMatchObject({ name: "customUser:plan", category: "Custom", custom: true });
+    expect(toFieldMap(schema.dimensions)).toEqual({ country: "country", "customUser:plan": "customUser:plan" });
+  });
+
+  it("should fetch and cache metadata on a cache miss", async () => {
+    getCachedPropertyMetadata.mockReturnValue(null);
+    fetchPropertyMetadata.mockResolvedValue(metadata);
+
+    const schema = await loadAnalyticsSchema(cfg, {}, "123");
+
+    expect(schema.origin).toBe("metadata");
+    expect(schema.dimensions).toHaveLength(2);
+    expect(storeCachedPropertyMetadata).toHaveBeenCalledWith("123", metadata, 60000);
+  });
+
+  it("should use cached metadata without calling the API", async () => {
+    getCachedPropertyMetadata.mockReturnValue({ metadata, fetchedAt: Date.now(), expiresAt: Date.now() + 1000 });
+
+    const schema = await loadAnalyticsSchema(cfg, {}, "123");
+
+    expect(schema.origin).toBe("metadata");
+    expect(fetchPropertyMetadata).not.toHaveBeenCalled();
+  });
+
+  it("should fall back to the configured maps when metadata fails", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    getCachedPropertyMetadata.mockReturnValue(null);
+    fetchPropertyMetadata.mockRejectedValue(new Error("HTTP 403: denied"));
+
+    const schema = await loadAnalyticsSchema(cfg, {}, "123");
+    log.mockRestore();
+
+    expect(schema.origin).toBe("config");
+    expect(schema.error).toBe("HTTP 403: denied");
+    expect(toFieldMap(schema.metrics)).toEqual(cfg.sources.analytics.metrics);
+  });
+});
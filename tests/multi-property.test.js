@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { runQueryAcrossProperties, resolveProperties } from "../src/core/multi-property.js";
+import { runQuery } from "../src/core/query-runner.js";
+import { getAvailableProperties } from "../src/datasources/analytics.js";
+
+vi.mock("../src/core/query-runner.js", () => ({
+  runQuery: vi.fn(),
+}));
+
+vi.mock("../src/datasources/analytics.js", () => ({
+  getAvailableProperties: vi.fn(),
+}));
+
+describe("Multi-Property Queries", () => {
+  const config = { limits: { maxRows: 1000, maxConcurrentProperties: 2 } };
+  const properties = [
+    { propertyId: "1", displayName: "Site One" },
+    { propertyId: "2", displayName: "Site Two" },
+    { propertyId: "3", displayName: "Site Three" },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should union rows with property columns and report failures per property", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    runQuery.mockImplementation(async (answers, cfg, auth, { propertyId }) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      if (propertyId === "2") {
+        throw new Error("Access denied");
+      }
+      return {
+        rows: [{ country: "US", sessions: Number(propertyId) * 10 }],
+        aggregations: null,
+        metadata: { truncated: false, cache: { hit: false } },
+      };
+    });
+
+    const result = await runQueryAcrossProperties({ action: "adhoc" }, config, {}, properties);
+
+    expect(maxRunning).toBe(2);
+    expect(result.rows).toEqual([
+      { propertyId: "1", propertyName: "Site One", country: "US", sessions: 10 },
+      { propertyId: "3", propertyName: "Site Three", country: "US", sessions: 30 },
+    ]);
+    expect(result.failed).toBe(1);
+    expect(result.properties[1]).toEqual({
+      propertyId: "2",
+      propertyName: "Site Two",
+      success: false,
+      error: "Access denied",
+    });
+  });
+
+  it("should fall back to the configured concurrency on invalid values", async () => {
+    runQuery.mockResolvedValue({ rows: [{ sessions: 1 }], aggregations: null, metadata: { truncated: false, cache: { hit: false } } });
+
+    const result = await runQueryAcrossProperties({ action: "adhoc" }, config, {}, properties, { concurrency: "2x" });
+
+    expect(runQuery).toHaveBeenCalledTimes(3);
+    expect(result.totalRows).toBe(3);
+  });
+
+  it("should resolve property IDs and all properties", async () => {
+    getAvailableProperties.mockResolvedValue(properties);
+
+    await expect(resolveProperties("all", config)).resolves.toEqual(properties);
+    await expect(resolveProperties(["3", "9"], config)).resolves.toEqual([
+      { propertyId: "3", displayName: "Site Three" },
+      { propertyId: "9", displayName: "9" },
+    ]);
+    await expect(resolveProperties([], config)).rejects.toThrow("Select at least one property ID");
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { buildCrossTab, toWideRows, toWideTotals, normalizePivots, pivotsFromAnswers, validatePivots, TOTAL_VALUE } from "../src/core/pivot.js";
+
+describe("Pivot Reports", () => {
+  const layout = { rowDimensions: ["country"], columnDimensions: ["deviceCategory"], metrics: ["sessions"] };
+  const records = [
+    { country: "United States", deviceCategory: "desktop", sessions: 1200 },
+    { country: "United States", deviceCategory: "mobile", sessions: 800 },
+    { country: "Germany", deviceCategory: "mobile", sessions: 300 },
+  ];
+  const aggregates = [
+    { country: TOTAL_VALUE, deviceCategory: TOTAL_VALUE, sessions: 2300 },
+    { country: "United States", deviceCategory: TOTAL_VALUE, sessions: 2000 },
+    { country: "Germany", deviceCategory: TOTAL_VALUE, sessions: 300 },
+    { country: TOTAL_VALUE, deviceCategory: "desktop", sessions: 1200 },
+    { country: TOTAL_VALUE, deviceCategory: "mobile", sessions: 1100 },
+  ];
+
+  it("should lay records out as a cross-tab with totals", () => {
+    const crossTab = buildCrossTab(records, aggregates, {
+      ...layout,
+      columnHeaders: [{ deviceCategory: "mobile" }, { deviceCategory: "desktop" }],
+    });
+
+    expect(crossTab.columns.map(column => column.key)).toEqual(["mobile", "desktop"]);
+    expect(crossTab.rows[1]).toEqual({
+      key: "Germany",
+      values: { country: "Germany" },
+      cells: { mobile: { sessions: 300 }, desktop: null },
+      total: { sessions: 300 },
+    });
+    expect(crossTab.grandTotal).toEqual({ sessions: 2300 });
+  });
+
+  it("should flatten the cross-tab into wide rows", () => {
+    const crossTab = buildCrossTab(records, aggregates, layout);
+
+    expect(toWideRows(crossTab)).toEqual([
+      { country: "United States", desktop: 1200, mobile: 800, Total: 2000 },
+      { country: "Germany", desktop: null, mobile: 300, Total: 300 },
+    ]);
+    expect(toWideTotals(crossTab)).toEqual({ desktop: 1200, mobile: 1100, Total: 2300 });
+
+    const twoMetrics = buildCrossTab([{ ...records[0], users: 900 }], [], { ...layout, metrics: ["sessions", "users"] });
+    expect(Object.keys(toWideRows(twoMetrics)[0])).toEqual(["country", "desktop · sessions", "desktop · users", "Total · sessions", "Total · users"]);
+  });
+
+  it("should build and validate pivots from row and column dimensions", () => {
+    const pivots = normalizePivots(pivotsFromAnswers({
+      metrics: ["sessions"],
+      rowDimensions: ["country"],
+      columnDimensions: ["country", "deviceCategory"],
+    }), 50);
+
+    expect(pivots[0]).toEqual({ dimensions: ["country"], limit: 50, orderBys: [{ metric: "sessions", desc: true }] });
+    expect(pivots[1].limit).toBe(10);
+    expect(validatePivots({ pivots, metrics: ["users"] })).toEqual([
+      "Row pivot is ordered by sessions, which is not one of the selected metrics",
+      "Dimension country is used in more than one pivot",
+      "Column pivot 1 is ordered by sessions, which is not one of the selected metrics",
+    ]);
+  });
+
+  it("should reject pivot limits whose product is over the GA4 maximum", () => {
+    const pivots = normalizePivots(pivotsFromAnswers({
+      metrics: ["sessions"],
+      rowDimensions: ["country"],
+      columnDimensions: ["deviceCategory"],
+      columnLimit: 10,
+    }), 100000);
+
+    expect(validatePivots({ pivots, metrics: ["sessions"] })).toEqual([
+      "The pivot limits multiply to 1,000,000; GA4 allows at most 250,000",
+    ]);
+    expect(validatePivots({ pivots: [{ ...pivots[0], limit: 25000 }, pivots[1]], metrics: ["sessions"] })).toEqual([]);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from "vitest";
+import { buildAdhocPrompts, buildPresetPrompts } from "../src/cli/prompts.js";
+
+vi.mock("../src/utils/site-manager.js", () => ({
+  getSelectedSite: vi.fn(),
+  getVerifiedSites: vi.fn(),
+  hasValidSiteSelection: vi.fn(),
+  getSelectionTarget: vi.fn(),
+}));
+vi.mock("../src/datasources/analytics.js", () => ({ default: vi.fn(), validateQuery: vi.fn() }));
+vi.mock("../src/datasources/searchconsole.js", () => ({ default: vi.fn(), validateQuery: vi.fn() }));
+vi.mock("../src/datasources/bigquery.js", () => ({ default: vi.fn() }));
+
+describe("Query prompts", () => {
+  const cfg = {
+    sources: {
+      analytics: { enabled: true, metrics: { sessions: "sessions" }, dimensions: { country: "country" } },
+      searchconsole: { enabled: true },
+    },
+    presets: [],
+  };
+
+  const findPrompt = (prompts, name) => prompts.find(prompt => prompt.name === name);
+
+  it("should only ask for a period comparison on analytics queries", async () => {
+    const gscPreset = findPrompt(await buildPresetPrompts(cfg, "searchconsole"), "compareTo");
+    const gscAdhoc = findPrompt(await buildAdhocPrompts(cfg, "searchconsole"), "compareTo");
+    const analyticsAdhoc = findPrompt(await buildAdhocPrompts(cfg, "analytics"), "compareTo");
+
+    expect(gscPreset.when({})).toBe(false);
+    expect(gscAdhoc.when({})).toBe(false);
+    expect(analyticsAdhoc.when({})).toBe(true);
+  });
+});
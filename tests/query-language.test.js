@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { parseQueryText, QueryParseError } from "../src/core/query-language.js";
+
+describe("Text Query Language", () => {
+  const config = {
+    sources: {
+      analytics: {
+        metrics: { sessions: "sessions", users: "totalUsers" },
+        dimensions: { country: "country", deviceCategory: "deviceCategory" },
+      },
+    },
+  };
+
+  it("should parse metrics, dimensions, filters, date range, order and limit", () => {
+    const query = parseQueryText(
+      "sessions,users by country,deviceCategory where country=US and sessions>100 last28 order -sessions limit 50",
+      config
+    );
+
+    expect(query).toEqual({
+      metrics: ["sessions", "users"],
+      dimensions: ["country", "deviceCategory"],
+      filters: [
+        { type: "dimension", field: "country", op: "eq", value: "US" },
+        { type: "metric", field: "sessions", op: "gt", value: 100 },
+      ],
+      orderBys: [{ metric: "sessions", desc: true }],
+      dateRangeType: "last28",
+      limit: 50,
+    });
+  });
+
+  it("should parse groups, lists, ranges, quoted values and custom dates", () => {
+    const query = parseQueryText(
+      "sessions by country where (country ^= 'United' or country in (CA, MX)) and not country ~ \"Isle of\" and sessions between 10 and 20 from 2024-01-01 to 2024-01-31 order by country",
+      config
+    );
+
+    expect(query.filters).toEqual([
+      { or: [
+        { type: "dimension", field: "country", op: "beginsWith", value: "United" },
+        { type: "dimension", field: "country", op: "inList", values: ["CA", "MX"] },
+      ] },
+      { not: { type: "dimension", field: "country", op: "contains", value: "Isle of" } },
+      { type: "metric", field: "sessions", op: "between", from: 10, to: 20 },
+    ]);
+    expect(query).toMatchObject({
+      dateRangeType: "custom",
+      customStartDate: "2024-01-01",
+      customEndDate: "2024-01-31",
+      orderBys: [{ dimension: "country", desc: false }],
+    });
+  });
+
+  it("should point at the offending token", () => {
+    const text = "sessions by country where sessions > lots";
+
+    expect(() => parseQueryText(text, config)).toThrow(QueryParseError);
+    try {
+      parseQueryText(text, config);
+    } catch (error) {
+      expect(error.message).toBe('Unexpected "lots" at column 38: expected a number for sessions');
+      expect(error.position).toBe(37);
+      expect(error.token).toBe("lots");
+    }
+
+    expect(() => parseQueryText("sessions by country yesterweek", config))
+      .toThrow('Unexpected "yesterweek" at column 21: expected by, where, order, limit, from or a date range');
+    expect(() => parseQueryText("sessions by country where country=", config))
+      .toThrow("Unexpected end of query at column 35: expected a value for country");
+  });
+});
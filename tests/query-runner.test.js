@@ -4,12 +4,25 @@ import { runQuery } from "../src/core/query-runner.js";
 // Mock the data sources
 vi.mock("../src/datasources/searchconsole.js", () => ({
   default: vi.fn(),
+  validateQuery: vi.fn(() => []),
 }));
 
 vi.mock("../src/datasources/bigquery.js", () => ({
   default: vi.fn(),
 }));
 
+// Keep the query cache in memory instead of gsc_auth.db
+vi.mock("../src/utils/database.js", () => {
+  const entries = new Map();
+  return {
+    getCachedQueryResult: vi.fn((key) => entries.get(key) || null),
+    storeCachedQueryResult: vi.fn((key, source, propertyId, result, ttlMs) => {
+      const now = Date.now();
+      entries.set(key, { result, createdAt: now, expiresAt: now + ttlMs });
+    }),
+  };
+});
+
 describe("Query Runner", () => {
   let mockRunGSC;
   let mockRunBQ;
@@ -60,7 +73,7 @@ describe("Query Runner", () => {
 
     const result = await runQuery(answers, config);
 
-    expect(result).toEqual(mockResult);
+    expect(result.rows).toEqual(mockResult);
     expect(mockRunGSC).toHaveBeenCalledWith(
       expect.objectContaining({
         source: "searchconsole",
@@ -109,7 +122,7 @@ describe("Query Runner", () => {
 
     const result = await runQuery(answers, config);
 
-    expect(result).toEqual(mockResult);
+    expect(result.rows).toEqual(mockResult);
     expect(mockRunBQ).toHaveBeenCalledWith(
       expect.objectContaining({
         source: "bigquery",
@@ -150,7 +163,7 @@ describe("Query Runner", () => {
 
     const result = await runQuery(answers, config);
 
-    expect(result).toEqual(mockResult);
+    expect(result.rows).toEqual(mockResult);
     expect(mockRunGSC).toHaveBeenCalledWith(
       expect.objectContaining({
         source: "searchconsole",
@@ -269,4 +282,37 @@ describe("Query Runner", () => {
       "Query validation failed"
     );
   });
+
+  it("should serve repeated queries from the cache unless bypassed", async () => {
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      dateRangeType: "custom",
+      customStartDate: "2024-01-01",
+      customEndDate: "2024-01-31",
+      limit: 10,
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true, siteUrl: "https://example.com/" },
+      },
+      cache: { enabled: true, ttlSeconds: { searchconsole: 60 } },
+      limits: { maxRows: 100000 },
+    };
+
+    mockRunGSC.mockResolvedValue([{ page: "/home", clicks: 10 }]);
+
+    const first = await runQuery(answers, config);
+    const second = await runQuery(answers, config);
+    const bypassed = await runQuery({ ...answers, bypassCache: true }, config);
+
+    expect(first.metadata.cache.hit).toBe(false);
+    expect(second.metadata.cache.hit).toBe(true);
+    expect(second.rows).toEqual([{ page: "/home", clicks: 10 }]);
+    expect(bypassed.metadata.cache).toMatchObject({ hit: false, bypassed: true });
+    expect(mockRunGSC).toHaveBeenCalledTimes(2);
+  });
 });
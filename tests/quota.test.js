@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { checkQuotaLimits, evaluateQuota, QuotaLimitError } from "../src/core/quota.js";
+import { getPropertyQuotas } from "../src/utils/database.js";
+
+vi.mock("../src/utils/database.js", () => ({
+  getPropertyQuotas: vi.fn(),
+  storePropertyQuota: vi.fn(),
+}));
+
+describe("Property Quota", () => {
+  const cfg = {
+    quota: {
+      softLimits: {
+        tokensPerHour: { warn: 4000, refuse: 500 },
+        tokensPerDay: { warn: 20000, refuse: 2000 },
+      },
+    },
+  };
+
+  const now = Date.parse("2024-03-01T18:00:00Z");
+
+  const entry = (quota, updatedAt = now - 60 * 1000) => ({ propertyId: "123", quota, updatedAt });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should warn below the warn threshold", () => {
+    const status = evaluateQuota(entry({
+      tokensPerDay: { consumed: 10, remaining: 15000 },
+      tokensPerHour: { consumed: 10, remaining: 39000 },
+      concurrentRequests: { consumed: 0, remaining: 10 },
+    }), cfg, now);
+
+    expect(status.refusal).toBeNull();
+    expect(status.warnings).toEqual(["Tokens per day for property 123: 15000 remaining (warning below 20000)"]);
+    expect(status.buckets.tokensPerHour).toEqual({ label: "Tokens per hour", consumed: 10, remaining: 39000, current: true });
+    expect(status.buckets.concurrentRequests.current).toBe(false);
+  });
+
+  it("should ignore buckets whose window has reset", () => {
+    const twoHoursAgo = now - 2 * 60 * 60 * 1000;
+    const status = evaluateQuota(entry({
+      tokensPerHour: { consumed: 39800, remaining: 200 },
+      tokensPerDay: { consumed: 190000, remaining: 10000 },
+    }, twoHoursAgo), cfg, now);
+
+    expect(status.refusal).toBeNull();
+    expect(status.buckets.tokensPerHour.current).toBe(false);
+    expect(status.buckets.tokensPerDay.current).toBe(true);
+    expect(status.warnings).toHaveLength(1);
+
+    // Midnight Pacific time starts a new daily window
+    const nextDay = Date.parse("2024-03-02T09:00:00Z");
+    expect(evaluateQuota(entry({ tokensPerDay: { remaining: 100 } }, now), cfg, nextDay).refusal).toBeNull();
+  });
+
+  it("should refuse queries below the refuse threshold", () => {
+    vi.useFakeTimers({ now });
+    getPropertyQuotas.mockReturnValue([entry({ tokensPerHour: { consumed: 39700, remaining: 300 } })]);
+
+    try {
+      expect(() => checkQuotaLimits("123", cfg)).toThrow(QuotaLimitError);
+      expect(() => checkQuotaLimits("123", cfg)).toThrow("Tokens per hour for property 123: 300 remaining, below the limit of 500");
+    } finally {
+      vi.useRealTimers();
+    }
+    expect(getPropertyQuotas).toHaveBeenCalledWith("123");
+  });
+
+  it("should not read the database without soft limits", () => {
+    expect(checkQuotaLimits("123", {})).toEqual([]);
+    expect(getPropertyQuotas).not.toHaveBeenCalled();
+  });
+});
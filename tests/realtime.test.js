@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { runRealtime, normalizeRealtimeQuery, validateRealtimeQuery } from "../src/core/realtime.js";
+import { runRealtimeReport } from "../src/datasources/ga4-client.js";
+import { QueryValidationError } from "../src/cli/validators.js";
+
+vi.mock("../src/datasources/ga4-client.js", () => ({
+  runRealtimeReport: vi.fn(),
+}));
+
+describe("Realtime Reports", () => {
+  const cfg = {
+    sources: {
+      analytics: {
+        realtime: {
+          metrics: { activeUsers: "activeUsers", pageviews: "screenPageViews" },
+          dimensions: { country: "country", pageTitle: "unifiedScreenName" },
+          defaultMetrics: ["activeUsers"],
+          defaultDimensions: ["country"],
+          minutes: 30,
+          maxMinutes: 30,
+        },
+      },
+    },
+    limits: { maxRows: 1000 },
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should default to the configured fields and the last 30 minutes", () => {
+    expect(normalizeRealtimeQuery({}, cfg)).toEqual({
+      metrics: ["activeUsers"],
+      dimensions: ["country"],
+      minuteRanges: [{ startMinutesAgo: 29, endMinutesAgo: 0 }],
+      limit: 100,
+    });
+  });
+
+  it("should report unknown fields and out-of-range minutes", () => {
+    const query = normalizeRealtimeQuery({ metrics: "activeUser", dimensions: "sessionSource", minuteRanges: "0-4,5-45" }, cfg);
+    const { errors, fields } = validateRealtimeQuery(query, cfg);
+
+    expect(fields.map(({ field, suggestion }) => ({ field, suggestion }))).toEqual([
+      { field: "activeUser", suggestion: "activeUsers" },
+      { field: "sessionSource", suggestion: undefined },
+    ]);
+    expect(errors).toContain("Minute ranges must lie within the last 30 minutes (0-29 minutes ago)");
+  });
+
+  it("should map realtime rows and totals to the requested names", async () => {
+    runRealtimeReport.mockResolvedValue({
+      dimensionHeaders: [{ name: "unifiedScreenName" }, { name: "dateRange" }],
+      metricHeaders: [{ name: "screenPageViews" }],
+      rows: [{ dimensionValues: [{ value: "Home" }, { value: "0-4 min ago" }], metricValues: [{ value: "12" }] }],
+      totals: [{ dimensionValues: [{ value: "RESERVED_TOTAL" }, { value: "0-4 min ago" }], metricValues: [{ value: "12" }] }],
+      rowCount: 1,
+    });
+
+    const result = await runRealtime({ metrics: ["pageviews"], dimensions: ["pageTitle"], minuteRanges: "0-4,5-29" }, cfg, {}, "123");
+
+    expect(runRealtimeReport).toHaveBeenCalledWith({}, "123", expect.objectContaining({
+      metrics: [{ name: "screenPageViews" }],
+      dimensions: [{ name: "unifiedScreenName" }],
+      minuteRanges: [
+        { name: "0-4 min ago", startMinutesAgo: 4, endMinutesAgo: 0 },
+        { name: "5-29 min ago", startMinutesAgo: 29, endMinutesAgo: 5 },
+      ],
+    }), expect.anything());
+    expect(result.rows).toEqual([{ pageTitle: "Home", minuteRange: "0-4 min ago", pageviews: 12 }]);
+    expect(result.totals).toEqual([{ minuteRange: "0-4 min ago", pageviews: 12 }]);
+  });
+
+  it("should not send invalid queries", async () => {
+    await expect(runRealtime({ metrics: ["sessions"] }, cfg, {}, "123")).rejects.toThrow(QueryValidationError);
+    expect(runRealtimeReport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  getDatasource,
+  getEnabledDatasources,
+  getPresetsForSource,
+  getSchemaForSource,
+  loadPlugins,
+  registerDatasource,
+} from "../src/datasources/registry.js";
+import { validateQuery as validateAnalyticsQuery } from "../src/datasources/analytics.js";
+import { validateQuery as validateSearchConsoleQuery } from "../src/datasources/searchconsole.js";
+
+vi.mock("../src/datasources/analytics.js", () => ({ default: vi.fn(), validateQuery: vi.fn() }));
+vi.mock("../src/datasources/searchconsole.js", () => ({ default: vi.fn(), validateQuery: vi.fn() }));
+vi.mock("../src/datasources/bigquery.js", () => ({ default: vi.fn() }));
+
+describe("Datasource Registry", () => {
+  let pluginDir;
+
+  afterEach(() => {
+    if (pluginDir) {
+      rmSync(pluginDir, { recursive: true, force: true });
+      pluginDir = null;
+    }
+  });
+
+  it("should register the built-in sources", () => {
+    expect(getDatasource("analytics").label).toBe("Google Analytics 4");
+    expect(getDatasource("searchconsole").auth.type).toBe("oauth2");
+    expect(getDatasource("bigquery").auth.type).toBe("service-account");
+    expect(getDatasource("missing")).toBeNull();
+    expect(getDatasource("analytics").validateQuery).toBe(validateAnalyticsQuery);
+    expect(getDatasource("searchconsole").validateQuery).toBe(validateSearchConsoleQuery);
+  });
+
+  it("should serve built-in presets and schemas for Search Console and BigQuery", () => {
+    const cfg = {
+      sources: { searchconsole: { enabled: true }, bigquery: { enabled: true } },
+      presets: [
+        { id: "brand-queries", source: "searchconsole", metrics: ["clicks"] },
+        { id: "overview", source: "analytics", metrics: ["sessions"] },
+      ],
+    };
+
+    expect(getPresetsForSource("searchconsole", cfg).map(preset => preset.id)).toEqual([
+      "top-queries", "top-pages", "queries-by-country", "device-breakdown", "search-appearance", "brand-queries",
+    ]);
+    expect(getPresetsForSource("bigquery", cfg).map(preset => preset.id)).toEqual(["bq-gsc-sample", "bq-daily-performance"]);
+    expect(getSchemaForSource("searchconsole", cfg)).toMatchObject({
+      metrics: { clicks: "clicks" },
+      dimensions: { query: "query" },
+      searchTypes: expect.arrayContaining(["discover"]),
+    });
+    expect(Object.keys(getSchemaForSource("bigquery", cfg).metrics)).toEqual(["clicks", "impressions", "ctr", "position"]);
+  });
+
+  it("should reject duplicate or incomplete datasources", () => {
+    expect(() => registerDatasource({ name: "analytics", run: () => [] })).toThrow("already registered");
+    expect(() => registerDatasource({ name: "norun" })).toThrow("must implement run()");
+  });
+
+  it("should load plugins from a directory and skip broken ones", async () => {
+    pluginDir = mkdtempSync(join(tmpdir(), "plugins-"));
+    writeFileSync(join(pluginDir, "matomo.mjs"), `
+      export default {
+        name: "matomo",
+        label: "Matomo",
+        run: async () => [{ visits: 1 }],
+      };
+    `);
+    writeFileSync(join(pluginDir, "broken.mjs"), "export default { label: \"No name\" };");
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    const loaded = await loadPlugins(pluginDir);
+    log.mockRestore();
+
+    expect(loaded).toEqual(["matomo"]);
+    expect(await getDatasource("matomo").run()).toEqual([{ visits: 1 }]);
+
+    const cfg = {
+      sources: { analytics: { enabled: true }, matomo: { enabled: true }, bigquery: { enabled: false } },
+      presets: [
+        { id: "visits", source: "matomo" },
+        { id: "shared", source: "any" },
+        { id: "ga", source: "analytics" },
+      ],
+    };
+    expect(getEnabledDatasources(cfg).map(datasource => datasource.name)).toEqual(["analytics", "matomo"]);
+    expect(getPresetsForSource("matomo", cfg).map(preset => preset.id)).toEqual(["visits", "shared"]);
+  });
+
+  it("should return no plugins when the directory does not exist", async () => {
+    expect(await loadPlugins(join(tmpdir(), "no-such-plugin-dir"))).toEqual([]);
+  });
+});
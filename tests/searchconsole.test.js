@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import runGSC, { buildDimensionFilterGroups } from "../src/datasources/searchconsole.js";
+import { validateQuery } from "../src/cli/validators.js";
+import config from "../config.js";
+
+vi.mock("../src/utils/database.js", () => ({
+  getTokensForUser: vi.fn(),
+  storeTokensForUser: vi.fn(),
+}));
+
+describe("Search Console Data Source", () => {
+  const cfg = {
+    sources: { searchconsole: { siteUrl: "https://example.com/", pageSize: 2 } },
+    limits: { maxRows: 5 },
+  };
+  const query = {
+    source: "searchconsole",
+    dateRange: { start: "2024-01-01", end: "2024-01-31" },
+    metrics: ["clicks"],
+    dimensions: ["query"],
+    orderBys: [],
+    limit: 1000,
+    filters: [],
+  };
+  let auth;
+
+  function page(size, offset = 0) {
+    return { data: { rows: Array.from({ length: size }, (_, index) => ({ keys: [`q${offset + index}`], clicks: 1 })), responseAggregationType: "byProperty" } };
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    auth = { request: vi.fn() };
+  });
+
+  it("should page through startRow until a short page", async () => {
+    auth.request
+      .mockResolvedValueOnce(page(2))
+      .mockResolvedValueOnce(page(2, 2))
+      .mockResolvedValueOnce(page(1, 4));
+
+    const result = await runGSC({ ...query, limit: 4 }, { ...cfg, limits: { maxRows: 100 } }, auth);
+
+    expect(auth.request.mock.calls.map(([request]) => [request.data.startRow, request.data.rowLimit])).toEqual([[0, 2], [2, 2]]);
+    expect(result.rows.map(row => row.query)).toEqual(["q0", "q1", "q2", "q3"]);
+    expect(result.metadata).toMatchObject({ pages: 2, truncated: true, searchType: "web", aggregationType: "byProperty" });
+  });
+
+  it("should stop at limits.maxRows and send the search and aggregation types", async () => {
+    auth.request
+      .mockResolvedValueOnce(page(2))
+      .mockResolvedValueOnce(page(2, 2))
+      .mockResolvedValueOnce(page(1, 4));
+
+    const result = await runGSC({ ...query, dimensions: ["page"], searchType: "image", aggregationType: "byPage" }, cfg, auth);
+
+    expect(auth.request).toHaveBeenCalledTimes(3);
+    expect(auth.request.mock.calls[2][0].data).toMatchObject({ startRow: 4, rowLimit: 1, searchType: "image", aggregationType: "byPage" });
+    expect(result.rows).toHaveLength(5);
+    expect(result.metadata.truncated).toBe(true);
+  });
+
+  it("should request the API maximum of 25,000 rows per page with the shipped config", async () => {
+    auth.request.mockResolvedValueOnce(page(1));
+    const shipped = { sources: { searchconsole: { ...config.sources.searchconsole, siteUrl: "https://example.com/" } }, limits: { maxRows: 100000 } };
+
+    await runGSC({ ...query, limit: 30000 }, shipped, auth);
+
+    expect(auth.request.mock.calls[0][0].data.rowLimit).toBe(25000);
+  });
+
+  it("should query the site passed in the options", async () => {
+    auth.request.mockResolvedValueOnce(page(1));
+
+    await runGSC(query, cfg, auth, { siteUrl: "sc-domain:other.com" });
+
+    expect(auth.request.mock.calls[0][0].url).toContain("/sites/sc-domain%3Aother.com/searchAnalytics/query");
+  });
+
+  it("should map operators and filter groups", () => {
+    const groups = buildDimensionFilterGroups([
+      { type: "dimension", field: "country", op: "eq", value: "fra" },
+      { not: { type: "dimension", field: "query", op: "contains", value: "brand" } },
+      { and: [
+        { type: "dimension", field: "page", op: "beginsWith", value: "https://example.com/blog/" },
+        { not: { type: "dimension", field: "query", op: "regex", value: "^how" } },
+        { type: "dimension", field: "device", op: "inList", values: ["MOBILE", "TABLET"] },
+      ] },
+    ]);
+
+    expect(groups).toEqual([
+      { groupType: "and", filters: [
+        { dimension: "country", operator: "equals", expression: "fra" },
+        { dimension: "query", operator: "notContains", expression: "brand" },
+      ] },
+      { groupType: "and", filters: [
+        { dimension: "page", operator: "includingRegex", expression: "^https://example\\.com/blog/" },
+        { dimension: "query", operator: "excludingRegex", expression: "^how" },
+        { dimension: "device", operator: "includingRegex", expression: "^(MOBILE|TABLET)$" },
+      ] },
+    ]);
+    expect(buildDimensionFilterGroups([])).toBeUndefined();
+  });
+
+  it("should reject queries Search Console cannot run", () => {
+    expect(validateQuery({ ...query, searchType: "discover" })).toContain("The query dimension is not available for searchType discover");
+    expect(validateQuery({ ...query, dimensions: ["page"], aggregationType: "byProperty" }))
+      .toContain("aggregationType byProperty cannot be used with the page dimension or a page filter");
+    expect(validateQuery({ ...query, searchType: "shopping" })).toContain('Unknown searchType "shopping" (use web, image, video, news, discover, googleNews)');
+
+    const errors = validateQuery({ ...query, filters: [{ or: [
+      { type: "dimension", field: "query", op: "eq", value: "a" },
+      { type: "dimension", field: "query", op: "eq", value: "b" },
+    ] }] });
+    expect(errors).toContain('Filter filters[0]: Search Console has no "or" groups; filter groups are always combined with AND');
+    expect(validateQuery({ ...query, searchType: "news", filters: [{ and: [{ type: "dimension", field: "page", op: "contains", value: "/a" }] }] })).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  getSelectableTargets,
+  getSelectionOptions,
+  resolveSourceSelection,
+  saveSelectedSite,
+} from "../src/utils/site-manager.js";
+import { getAvailableSites } from "../src/datasources/searchconsole.js";
+import { getAvailableDatasets } from "../src/datasources/bigquery.js";
+import { getSourceSelection, storeSiteForUser, storeSourceSelection } from "../src/utils/database.js";
+
+vi.mock("../src/datasources/analytics.js", () => ({ getAvailableProperties: vi.fn() }));
+vi.mock("../src/datasources/searchconsole.js", () => ({ getAvailableSites: vi.fn() }));
+vi.mock("../src/datasources/bigquery.js", () => ({ getAvailableDatasets: vi.fn() }));
+vi.mock("../src/utils/database.js", () => ({
+  getSiteForUser: vi.fn(),
+  storeSiteForUser: vi.fn(),
+  getSourceSelection: vi.fn(),
+  storeSourceSelection: vi.fn(),
+  clearSourceSelections: vi.fn(),
+}));
+
+describe("Source selection", () => {
+  const cfg = {
+    sources: {
+      searchconsole: { siteUrl: "https://config.example.com/" },
+      bigquery: { dataset: "" },
+    },
+  };
+  const saved = { GSC_SITE_URL: process.env.GSC_SITE_URL, BQ_DATASET: process.env.BQ_DATASET };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete process.env.GSC_SITE_URL;
+    delete process.env.BQ_DATASET;
+  });
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  });
+
+  it("should store GA4 properties and other selections separately", () => {
+    saveSelectedSite("123");
+    saveSelectedSite("https://example.com/", "searchconsole");
+
+    expect(storeSiteForUser).toHaveBeenCalledWith(expect.anything(), "123");
+    expect(storeSourceSelection).toHaveBeenCalledWith(expect.anything(), "searchconsole", "https://example.com/");
+  });
+
+  it("should prefer the stored selection, then config and never the environment", () => {
+    process.env.BQ_DATASET = "env_dataset";
+    getSourceSelection.mockReturnValueOnce("https://stored.example.com/");
+    expect(resolveSourceSelection("searchconsole", cfg)).toBe("https://stored.example.com/");
+    expect(resolveSourceSelection("searchconsole", cfg)).toBe("https://config.example.com/");
+    expect(resolveSourceSelection("bigquery", cfg)).toBeNull();
+    expect(resolveSourceSelection("matomo", cfg)).toBeNull();
+  });
+
+  it("should pass the selection as a runQuery option without touching the environment", () => {
+    expect(getSelectionOptions("analytics", "123")).toEqual({ propertyId: "123" });
+    expect(getSelectionOptions("searchconsole", "https://example.com/")).toEqual({ siteUrl: "https://example.com/" });
+    expect(getSelectionOptions("bigquery", "gsc_export")).toEqual({ dataset: "gsc_export" });
+    expect(getSelectionOptions("bigquery", null)).toEqual({});
+    expect(getSelectionOptions("matomo", "x")).toEqual({});
+    expect(process.env.BQ_DATASET).toBeUndefined();
+  });
+
+  it("should list sites and datasets in one shape", async () => {
+    const auth = { request: vi.fn() };
+    getAvailableSites.mockResolvedValue([
+      { siteUrl: "https://example.com/", permissionLevel: "siteOwner" },
+      { siteUrl: "sc-domain:other.com", permissionLevel: "siteUnverifiedUser" },
+    ]);
+    getAvailableDatasets.mockResolvedValue([{ datasetId: "gsc_export", location: "EU" }]);
+
+    expect(await getSelectableTargets("searchconsole", cfg, auth)).toEqual([
+      { id: "https://example.com/", name: "https://example.com/", detail: "siteOwner" },
+    ]);
+    expect(getAvailableSites).toHaveBeenCalledWith(cfg, auth);
+    expect(await getSelectableTargets("bigquery", cfg)).toEqual([{ id: "gsc_export", name: "gsc_export", detail: "EU" }]);
+    await expect(getSelectableTargets("matomo", cfg)).rejects.toThrow("Source matomo has nothing to select");
+  });
+});